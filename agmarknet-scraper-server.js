@@ -4,29 +4,274 @@
  * This should be deployed as a separate service/API
  */
 
-const puppeteer = require('puppeteer');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { BrowserPool } = require('./scraper/browser-pool');
+const { ResultCache } = require('./scraper/result-cache');
+const { JobQueue } = require('./scraper/job-queue');
+const { PriceStore, rowsToRecords } = require('./scraper/price-store');
+const { BackfillRunner } = require('./scraper/backfill');
+const { OptionCatalog, readOptions } = require('./scraper/option-catalog');
+const { bestMatch } = require('./scraper/fuzzy-match');
+const { RESULT_TABLE_ID, extractResultTable } = require('./scraper/table-parser');
+const { FixtureStore } = require('./scraper/fixtures');
+
+const DATA_DIR = process.env.SCRAPER_DATA_DIR || path.join(__dirname, '.scraper-data');
+const POOL_SIZE = parseInt(process.env.SCRAPER_POOL_SIZE || '2', 10);
+const CACHE_TTL_MS = parseInt(process.env.SCRAPER_CACHE_TTL_MS || String(30 * 60 * 1000), 10);
+const DEFAULT_WAIT_MS = 8000; // how long POST /api/crop-prices blocks before returning 202
+const MAX_WAIT_MS = 30000;
+// live: drive a browser; record: live + save result-table HTML fixtures; replay: parse fixtures only
+const SCRAPER_MODE = (process.env.SCRAPER_MODE || 'live').toLowerCase();
+const FIXTURES_DIR = process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, 'scraper', 'fixtures');
+const OPTIONS_TTL_MS = parseInt(process.env.SCRAPER_OPTIONS_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10);
 
 const app = express();
 app.use(express.json());
 app.use(cors());
 
-// Function to select dropdown by visible text
-async function selectByText(page, selector, text) {
-  if (!text) return; // Skip if no text provided
-  const options = await page.evaluate((sel) => {
-    const opts = Array.from(document.querySelectorAll(`${sel} > option`));
-    return opts.map(opt => ({ text: opt.textContent.trim(), value: opt.value }));
-  }, selector);
-  const option = options.find(opt => opt.text.toLowerCase() === text.toLowerCase());
+// Select dropdown option by visible text, tolerating spelling variants
+// ("Punganoor" -> "Punganur"). Returns the canonical option text that was selected.
+// When `listKey` is given the observed options are recorded in the option catalog.
+async function selectByText(page, selector, text, listKey) {
+  if (!text) return ''; // Skip if no text provided
+  const options = await readOptions(page, selector);
+  if (listKey) optionCatalog.record(listKey, options);
+
+  const { match, alternatives } = bestMatch(text, options);
+  const option = match && options.find(opt => opt.text === match);
   if (!option) {
-    throw new Error(`Option "${text}" not found in ${selector}`);
+    const hint = alternatives.length ? ` Did you mean: ${alternatives.map(a => a.text).join(', ')}?` : '';
+    throw new Error(`Option "${text}" not found in ${selector}.${hint}`);
   }
   await page.select(selector, option.value);
+  return option.text;
+}
+
+// Load the Agmarknet search form with 'Price' selected
+async function openPriceForm(page) {
+  await page.goto('https://agmarknet.gov.in/', { waitUntil: 'networkidle2' });
+
+  // Wait for form to load
+  await page.waitForSelector('#ddlArrivalPrice', { timeout: 10000 });
+
+  // Select 'Price' (assuming we want prices; change to 'Arrivals' if needed)
+  await selectByText(page, '#ddlArrivalPrice', 'Price');
+}
+
+// Scrape one query using an already-open page. Returns the response payload.
+async function scrapeCropPrices(page, query) {
+  const { dateFrom, dateTo } = query;
+  await openPriceForm(page);
+
+  // Select commodity
+  const commodity = await selectByText(page, '#ddlCommodity', query.commodity, OptionCatalog.listKey('commodity'));
+
+  // Select state
+  const state = await selectByText(page, '#ddlState', query.state, OptionCatalog.listKey('state'));
+  await page.waitForTimeout(3000); // Wait for district to load
+
+  // Select district if provided
+  const district = await selectByText(page, '#ddlDistrict', query.district, OptionCatalog.listKey('district', state));
+  if (district) {
+    await page.waitForTimeout(3000); // Wait for market to load
+  }
+
+  // Select market if provided
+  const market = await selectByText(page, '#ddlMarket', query.market, OptionCatalog.listKey('market', state, district));
+  if (market) {
+    await page.waitForTimeout(2000);
+  }
+
+  // Clear and enter dates
+  await page.evaluate(() => { document.querySelector('#txtDateFrom').value = ''; });
+  await page.type('#txtDateFrom', dateFrom);
+
+  await page.evaluate(() => { document.querySelector('#txtDateTo').value = ''; });
+  await page.type('#txtDateTo', dateTo);
+
+  // Click Go button
+  await page.click('#btnGo');
+  await page.waitForTimeout(5000); // Wait for results
+
+  // Wait for table
+  await page.waitForSelector('#cphBody_GridPriceData', { timeout: 10000 });
+
+  // Extract table data (raw HTML, parsed by the same code that replays fixtures)
+  const tableHtml = await page.evaluate((id) => {
+    const table = document.getElementById(id);
+    return table ? table.outerHTML : '';
+  }, RESULT_TABLE_ID);
+
+  const resolvedQuery = { commodity, state, district, market, dateFrom, dateTo };
+  if (SCRAPER_MODE === 'record' && tableHtml) {
+    const name = fixtureStore.save(resolvedQuery, tableHtml, { requested: query });
+    console.log(`📼 Recorded fixture ${name}`);
+  }
+  return buildPricePayload(tableHtml, resolvedQuery, query);
+}
+
+// Turn result-table HTML into the response payload (shared by live scrapes and replay)
+function buildPricePayload(tableHtml, resolvedQuery, requested) {
+  const data = extractResultTable(tableHtml);
+
+  if (data.headers.length === 0) {
+    return {
+      success: false,
+      error: 'No data found in table',
+      data: null
+    };
+  }
+
+  // Process the data to extract price summary
+  const { commodity, state, district, market } = resolvedQuery;
+  const summary = extractPriceSummary(data, commodity, state, district, market);
+
+  return {
+    success: true,
+    source: 'agmarknet',
+    data: {
+      ...data,
+      summary
+    },
+    query: resolvedQuery,
+    requested,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Replay mode: answer from a recorded fixture instead of a browser
+function replayCropPrices(query) {
+  const fixture = fixtureStore.find(query);
+  if (!fixture) {
+    throw new Error(`No fixture recorded for ${query.commodity} in ${[query.market, query.district, query.state].filter(Boolean).join(', ')}`);
+  }
+  console.log(`📼 Replaying fixture ${fixture.name}${fixture.exact ? '' : ' (nearest recording)'}`);
+  const { commodity, state, district = '', market = '' } = fixture.query;
+  const payload = buildPricePayload(
+    fixture.html,
+    { commodity, state, district, market, dateFrom: query.dateFrom, dateTo: query.dateTo },
+    query
+  );
+  return { ...payload, replay: { fixture: fixture.name, recordedAt: fixture.recordedAt, exact: fixture.exact } };
+}
+
+// Queue worker: borrow a pooled browser (or a fixture in replay mode), scrape, cache successful results
+async function runScrapeJob(query) {
+  console.log(`Fetching prices for ${query.commodity} in ${query.state}...`);
+  if (SCRAPER_MODE === 'replay') {
+    // A fixture may be another day's prices (nearest recording): never stored as history or cached for this date
+    return replayCropPrices(query);
+  }
+
+  const browser = await browserPool.acquire();
+  let page;
+  let broken = false;
+  try {
+    page = await browser.newPage();
+    return storeResult(query, await scrapeCropPrices(page, query));
+  } catch (error) {
+    // A crashed/disconnected browser should not go back into the pool
+    broken = !browser.isConnected();
+    throw error;
+  } finally {
+    if (page) await page.close().catch(() => {});
+    await browserPool.release(browser, { broken });
+  }
+}
+
+// Persist a successful payload to the price store and result cache
+function storeResult(query, payload) {
+  if (payload.success) {
+    // Every scraped row goes into the time-series store (under the canonical
+    // names), then the summary gets 7/30/90-day windows from the accumulated history
+    const written = priceStore.append(rowsToRecords(payload.data, payload.query));
+    if (written) console.log(`🗄️ Stored ${written} new price rows for ${payload.query.commodity}`);
+    const { commodity, state, district, market } = payload.query;
+    if (payload.data.summary) {
+      payload.data.summary.history = priceStore.windows({ commodity, state, district, market });
+    }
+    resultCache.set(queryKey(query), payload);
+    resultCache.set(queryKey(payload.query), payload);
+  }
+  return payload;
+}
+
+// Normalized key so "Onion"/"onion " style variations coalesce and share cache entries
+function queryKey({ commodity, state, district, market, dateFrom, dateTo }) {
+  return [commodity, state, district, market, dateFrom, dateTo]
+    .map(v => String(v || '').trim().toLowerCase())
+    .join('|');
+}
+
+const browserPool = new BrowserPool({
+  size: POOL_SIZE,
+  // Required lazily so replay mode runs without Puppeteer/Chromium installed
+  launch: () => require('puppeteer').launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'] // For production deployment
+  })
+});
+
+const fixtureStore = new FixtureStore({ dir: FIXTURES_DIR });
+
+const resultCache = new ResultCache({ dir: path.join(DATA_DIR, 'cache'), ttlMs: CACHE_TTL_MS });
+
+const priceStore = new PriceStore({ dir: path.join(DATA_DIR, 'prices') });
+
+const jobQueue = new JobQueue({ worker: runScrapeJob, concurrency: POOL_SIZE });
+
+const backfillRunner = new BackfillRunner({ jobQueue, priceStore, resultCache, keyFn: queryKey });
+
+// Run `fn(page)` on a pooled browser with the price form loaded (dropdown crawling)
+async function withFormPage(fn) {
+  if (SCRAPER_MODE === 'replay') {
+    throw new Error('dropdown crawling is disabled in replay mode');
+  }
+  const browser = await browserPool.acquire();
+  let page;
+  let broken = false;
+  try {
+    page = await browser.newPage();
+    await openPriceForm(page);
+    return await fn(page);
+  } catch (error) {
+    broken = !browser.isConnected();
+    throw error;
+  } finally {
+    if (page) await page.close().catch(() => {});
+    await browserPool.release(browser, { broken });
+  }
+}
+
+const optionCatalog = new OptionCatalog({ dir: path.join(DATA_DIR, 'options'), ttlMs: OPTIONS_TTL_MS, withFormPage });
+
+// Build the HTTP response for a job (finished or still pending)
+function sendJob(res, job) {
+  if (job.status === 'completed') {
+    return res.json({ ...job.result, jobId: job.id, cached: false });
+  }
+  if (job.status === 'failed') {
+    return res.status(500).json({
+      success: false,
+      error: job.error,
+      data: null,
+      jobId: job.id
+    });
+  }
+  return res.status(202).json({
+    success: true,
+    pending: true,
+    jobId: job.id,
+    job: jobQueue.describe(job),
+    pollUrl: `/api/jobs/${job.id}`
+  });
 }
 
 // API endpoint to get crop prices
+// Serves from cache when possible, otherwise queues a scrape and waits up to
+// `waitMs` for it. Slow scrapes return 202 with a jobId to poll.
 app.post('/api/crop-prices', async (req, res) => {
   const { commodity, state, district, market, dateFrom, dateTo } = req.body;
 
@@ -38,105 +283,100 @@ app.post('/api/crop-prices', async (req, res) => {
     });
   }
 
-  let browser;
   try {
-    console.log(`Fetching prices for ${commodity} in ${state}...`);
-    
-    browser = await puppeteer.launch({ 
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox'] // For production deployment
-    });
-    
-    const page = await browser.newPage();
-    await page.goto('https://agmarknet.gov.in/', { waitUntil: 'networkidle2' });
-
-    // Wait for form to load
-    await page.waitForSelector('#ddlArrivalPrice', { timeout: 10000 });
-
-    // Select 'Price' (assuming we want prices; change to 'Arrivals' if needed)
-    await selectByText(page, '#ddlArrivalPrice', 'Price');
-
-    // Select commodity
-    await selectByText(page, '#ddlCommodity', commodity);
-
-    // Select state
-    await selectByText(page, '#ddlState', state);
-    await page.waitForTimeout(3000); // Wait for district to load
-
-    // Select district if provided
-    if (district) {
-      await selectByText(page, '#ddlDistrict', district);
-      await page.waitForTimeout(3000); // Wait for market to load
+    // Canonicalize against already-crawled dropdowns so "Punganoor" and "Punganur"
+    // share one cache entry / in-flight job
+    const query = optionCatalog.canonicalize({ commodity, state, district, market, dateFrom, dateTo });
+    const key = queryKey(query);
+
+    const cached = resultCache.get(key);
+    if (cached) {
+      console.log(`📦 Cache hit for ${commodity} in ${state}`);
+      return res.json({ ...cached.value, cached: true, cachedAt: new Date(cached.storedAt).toISOString() });
     }
 
-    // Select market if provided
-    if (market) {
-      await selectByText(page, '#ddlMarket', market);
-      await page.waitForTimeout(2000);
+    const waitMs = Math.min(Number(req.body.waitMs ?? DEFAULT_WAIT_MS) || 0, MAX_WAIT_MS);
+    const job = jobQueue.submit(key, query);
+    await jobQueue.waitFor(job, waitMs);
+    sendJob(res, job);
+  } catch (error) {
+    console.error('❌ Crop price request failed:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: error.message });
     }
+  }
+});
 
-    // Clear and enter dates
-    await page.evaluate(() => { document.querySelector('#txtDateFrom').value = ''; });
-    await page.type('#txtDateFrom', dateFrom);
+// Poll a queued scrape job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found or expired' });
+  }
 
-    await page.evaluate(() => { document.querySelector('#txtDateTo').value = ''; });
-    await page.type('#txtDateTo', dateTo);
+  res.json({
+    success: true,
+    job: jobQueue.describe(job),
+    result: job.status === 'completed' ? job.result : null
+  });
+});
 
-    // Click Go button
-    await page.click('#btnGo');
-    await page.waitForTimeout(5000); // Wait for results
+// Stored modal price history: daily points plus 7/30/90-day window stats
+app.get('/api/price-series', (req, res) => {
+  const { commodity, state = '', district = '', market = '' } = req.query;
+  if (!commodity) {
+    return res.status(400).json({ success: false, error: 'Missing required query param: commodity' });
+  }
 
-    // Wait for table
-    await page.waitForSelector('#cphBody_GridPriceData', { timeout: 10000 });
+  const days = Math.min(Math.max(parseInt(req.query.days || '90', 10) || 90, 1), 365);
+  const filter = { commodity, state, district, market };
+  const points = priceStore.series(filter, days);
 
-    // Extract table data
-    const data = await page.evaluate(() => {
-      const table = document.querySelector('#cphBody_GridPriceData');
-      if (!table) return { headers: [], rows: [] };
+  res.json({
+    success: true,
+    commodity,
+    state,
+    district,
+    market,
+    days,
+    priceUnit: 'Rs/Quintal',
+    points,
+    windows: priceStore.windows(filter)
+  });
+});
 
-      const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-      const rows = Array.from(table.querySelectorAll('tr')).slice(1).map(tr => {
-        return Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim());
-      });
-      return { headers, rows };
+// Backfill the price store by walking a date range day by day
+app.post('/api/backfill', (req, res) => {
+  const { commodity, state, district, market, dateFrom, dateTo, force } = req.body;
+  if (!commodity || !state || !dateFrom || !dateTo) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: commodity, state, dateFrom, dateTo'
     });
+  }
 
-    if (data.headers.length === 0) {
-      return res.json({
-        success: false,
-        error: 'No data found in table',
-        data: null
-      });
-    }
-
-    // Process the data to extract price summary
-    const summary = extractPriceSummary(data, commodity, state, district, market);
-
-    res.json({
-      success: true,
-      source: 'agmarknet',
-      data: {
-        ...data,
-        summary
-      },
-      query: { commodity, state, district, market, dateFrom, dateTo },
-      timestamp: new Date().toISOString()
+  try {
+    const run = backfillRunner.start({
+      ...optionCatalog.canonicalize({ commodity, state, district, market }),
+      dateFrom,
+      dateTo,
+      force: !!force
     });
-
+    console.log(`⏪ Backfill ${run.id}: ${commodity} in ${state}, ${run.total} days`);
+    res.status(202).json({ success: true, backfill: backfillRunner.describe(run), pollUrl: `/api/backfill/${run.id}` });
   } catch (error) {
-    console.error('Scraping error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      data: null
-    });
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
+app.get('/api/backfill/:id', (req, res) => {
+  const run = backfillRunner.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Backfill not found' });
+  }
+  res.json({ success: true, backfill: backfillRunner.describe(run) });
+});
+
 // Helper function to extract price summary from scraped data
 function extractPriceSummary(data, commodity, state, district, market) {
   if (!data.rows || data.rows.length === 0) {
@@ -145,8 +385,9 @@ function extractPriceSummary(data, commodity, state, district, market) {
 
   // Find price columns (assuming standard Agmarknet format)
   const headers = data.headers;
-  const minPriceIdx = headers.findIndex(h => h.toLowerCase().includes('minimum'));
-  const maxPriceIdx = headers.findIndex(h => h.toLowerCase().includes('maximum'));
+  // Agmarknet labels these "Min Price (Rs./Quintal)" / "Max Price (Rs./Quintal)"
+  const minPriceIdx = headers.findIndex(h => /minimum|min price/i.test(h));
+  const maxPriceIdx = headers.findIndex(h => /maximum|max price/i.test(h));
   const modalPriceIdx = headers.findIndex(h => h.toLowerCase().includes('modal'));
 
   if (modalPriceIdx === -1) {
@@ -188,40 +429,140 @@ function extractPriceSummary(data, commodity, state, district, market) {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'agmarknet-scraper' });
-});
-
-// Get available commodities
-app.get('/api/commodities', (req, res) => {
   res.json({
-    success: true,
-    commodities: [
-      'Potato', 'Onion', 'Tomato', 'Rice', 'Wheat', 'Maize',
-      'Cotton', 'Sugarcane', 'Groundnut', 'Soybean', 'Turmeric',
-      'Chilli', 'Coriander', 'Cumin', 'Ginger', 'Garlic',
-      'Banana', 'Mango', 'Apple', 'Grapes', 'Orange'
-    ]
+    status: 'ok',
+    service: 'agmarknet-scraper',
+    queue: jobQueue.stats(),
+    browsers: browserPool.stats(),
+    cache: resultCache.stats(),
+    store: priceStore.stats(),
+    options: optionCatalog.stats(),
+    mode: SCRAPER_MODE,
+    fixtures: SCRAPER_MODE === 'live' ? undefined : fixtureStore.stats()
   });
 });
 
-// Get available states
-app.get('/api/states', (req, res) => {
-  res.json({
-    success: true,
-    states: [
-      'Andhra Pradesh', 'Telangana', 'Karnataka', 'Tamil Nadu',
-      'Maharashtra', 'Gujarat', 'Rajasthan', 'Madhya Pradesh',
-      'Uttar Pradesh', 'Bihar', 'West Bengal', 'Odisha',
-      'Punjab', 'Haryana', 'Himachal Pradesh', 'Kerala',
-      'Assam', 'Jharkhand', 'Chhattisgarh', 'Uttarakhand'
-    ]
-  });
+// Last-resort lists when the Agmarknet site can't be crawled
+const STATIC_COMMODITIES = [
+  'Potato', 'Onion', 'Tomato', 'Rice', 'Wheat', 'Maize',
+  'Cotton', 'Sugarcane', 'Groundnut', 'Soybean', 'Turmeric',
+  'Chilli', 'Coriander', 'Cumin', 'Ginger', 'Garlic',
+  'Banana', 'Mango', 'Apple', 'Grapes', 'Orange'
+];
+const STATIC_STATES = [
+  'Andhra Pradesh', 'Telangana', 'Karnataka', 'Tamil Nadu',
+  'Maharashtra', 'Gujarat', 'Rajasthan', 'Madhya Pradesh',
+  'Uttar Pradesh', 'Bihar', 'West Bengal', 'Odisha',
+  'Punjab', 'Haryana', 'Himachal Pradesh', 'Kerala',
+  'Assam', 'Jharkhand', 'Chhattisgarh', 'Uttarakhand'
+];
+
+// Map catalog errors to HTTP: unknown names are the caller's fault, crawl failures are upstream
+function sendCatalogError(res, error) {
+  if (error.code === 'UNRESOLVED_NAME') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error('❌ Option crawl failed:', error.message);
+  return res.status(502).json({ success: false, error: `Agmarknet dropdowns unavailable: ${error.message}` });
+}
+
+// Get available commodities (live #ddlCommodity, static list if the site is down)
+app.get('/api/commodities', async (req, res) => {
+  try {
+    const options = await optionCatalog.getCommodities();
+    res.json({ success: true, source: 'agmarknet', commodities: options.map(o => o.text) });
+  } catch (error) {
+    console.warn('⚠️ Commodity crawl failed, serving static list:', error.message);
+    res.json({ success: true, source: 'static', commodities: STATIC_COMMODITIES });
+  }
+});
+
+// Get available states (live #ddlState, static list if the site is down)
+app.get('/api/states', async (req, res) => {
+  try {
+    const options = await optionCatalog.getStates();
+    res.json({ success: true, source: 'agmarknet', states: options.map(o => o.text) });
+  } catch (error) {
+    console.warn('⚠️ State crawl failed, serving static list:', error.message);
+    res.json({ success: true, source: 'static', states: STATIC_STATES });
+  }
+});
+
+// Districts of a state; `state` may be misspelt
+app.get('/api/districts', async (req, res) => {
+  const { state } = req.query;
+  if (!state) {
+    return res.status(400).json({ success: false, error: 'Missing required query param: state' });
+  }
+  try {
+    const { state: resolved } = await optionCatalog.resolve({ state });
+    const options = await optionCatalog.getDistricts(state);
+    res.json({ success: true, state: resolved.match, districts: options.map(o => o.text) });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+// Markets of a state, optionally narrowed to a district
+app.get('/api/markets', async (req, res) => {
+  const { state, district = '' } = req.query;
+  if (!state) {
+    return res.status(400).json({ success: false, error: 'Missing required query param: state' });
+  }
+  try {
+    const resolved = await optionCatalog.resolve({ state, district });
+    const options = await optionCatalog.getMarkets(state, district);
+    res.json({
+      success: true,
+      state: resolved.state.match,
+      district: resolved.district?.match || '',
+      markets: options.map(o => o.text)
+    });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+// Fuzzy-resolve free text ("Punganoor", "nizamabad mandi") to canonical dropdown names
+app.get('/api/resolve', async (req, res) => {
+  const { commodity, state, district, market } = req.query;
+  if (!commodity && !state) {
+    return res.status(400).json({ success: false, error: 'Provide at least one of: commodity, state' });
+  }
+  try {
+    const resolved = await optionCatalog.resolve({ commodity, state, district, market });
+    const canonical = {};
+    for (const [field, r] of Object.entries(resolved)) canonical[field] = r.match;
+    res.json({
+      success: true,
+      resolved: Object.values(resolved).every(r => r.match),
+      canonical,
+      fields: resolved
+    });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
 });
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`🚀 Agmarknet Scraper Server running on port ${PORT}`);
   console.log(`📊 API endpoint: http://localhost:${PORT}/api/crop-prices`);
+  console.log(`🧵 Browser pool: ${POOL_SIZE}, cache TTL: ${Math.round(CACHE_TTL_MS / 60000)} min`);
+  if (SCRAPER_MODE !== 'live') {
+    console.log(`📼 ${SCRAPER_MODE === 'replay' ? 'Replaying' : 'Recording'} fixtures in ${FIXTURES_DIR}`);
+  }
 });
 
+// Drop expired cache files periodically
+setInterval(() => resultCache.prune(), 10 * 60 * 1000).unref();
+
+// Close pooled browsers on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await browserPool.close();
+    process.exit(0);
+  });
+}
+
 module.exports = app;
@@ -26,11 +26,20 @@ module.exports = ({ config }) => {
 		extra: {
 			...(config?.extra || {}),
 			OPENWEATHER_API_KEY: process.env.OPENWEATHER_API_KEY || process.env.EXPO_PUBLIC_OPENWEATHER_API_KEY || null,
+			WEATHER_PROVIDERS: process.env.WEATHER_PROVIDERS || process.env.EXPO_PUBLIC_WEATHER_PROVIDERS || null,
 			SARVAM_API_KEY: process.env.SARVAM_API_KEY || process.env.EXPO_PUBLIC_SARVAM_API_KEY || null,
 			GROQ_API_KEY: process.env.GROQ_API_KEY || process.env.EXPO_PUBLIC_GROQ_API_KEY || null,
 			NEWS_API_KEY: process.env.NEWS_API_KEY || process.env.EXPO_PUBLIC_NEWS_API_KEY || null,
 			PLANTNET_API_KEY: process.env.PLANTNET_API_KEY || process.env.EXPO_PUBLIC_PLANTNET_API_KEY || null,
 			DATA_GOV_API_KEY: process.env.DATA_GOV_API_KEY || process.env.EXPO_PUBLIC_DATA_GOV_API_KEY || null,
+			AGMARKNET_SCRAPER_URL: process.env.AGMARKNET_SCRAPER_URL || process.env.EXPO_PUBLIC_AGMARKNET_SCRAPER_URL || null,
+			LLM_PROVIDERS: process.env.LLM_PROVIDERS || process.env.EXPO_PUBLIC_LLM_PROVIDERS || null,
+			LOCAL_LLM_URL: process.env.LOCAL_LLM_URL || process.env.EXPO_PUBLIC_LOCAL_LLM_URL || null,
+			LOCAL_LLM_MODEL: process.env.LOCAL_LLM_MODEL || process.env.EXPO_PUBLIC_LOCAL_LLM_MODEL || null,
+			LOCAL_LLM_LIGHT_MODEL: process.env.LOCAL_LLM_LIGHT_MODEL || process.env.EXPO_PUBLIC_LOCAL_LLM_LIGHT_MODEL || null,
+			LOCAL_LLM_API_KEY: process.env.LOCAL_LLM_API_KEY || process.env.EXPO_PUBLIC_LOCAL_LLM_API_KEY || null,
+			LOCAL_LLM_TOOLS: process.env.LOCAL_LLM_TOOLS || process.env.EXPO_PUBLIC_LOCAL_LLM_TOOLS || null,
+			LOCAL_LLM_CONTEXT: process.env.LOCAL_LLM_CONTEXT || process.env.EXPO_PUBLIC_LOCAL_LLM_CONTEXT || null,
 			eas: { projectId: process.env.EAS_PROJECT_ID || (config?.extra?.eas?.projectId) }
 		}
 	};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Comparison report between two evaluation runs (eval/run.mjs output).
+ *
+ *   npm run eval:compare -- eval/results/baseline.json eval/results/candidate.json [--out report.md] [--threshold 0.05] [--fail-on-regression]
+ *
+ * Prints a markdown report: summary metrics with deltas, then per-case regressions and
+ * improvements (overall score change of at least --threshold) with what changed.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const METRICS = [
+  ['overall', 'Overall score'],
+  ['toolF1', 'Tool selection F1'],
+  ['toolExact', 'Exact tool match'],
+  ['factCoverage', 'Fact coverage'],
+  ['safetyPass', 'Safety pass rate'],
+  ['lengthScore', 'Length score'],
+  ['meanChars', 'Mean answer chars'],
+  ['meanLatencyMs', 'Mean latency (ms)'],
+  ['errors', 'Errors']
+];
+// Higher is better except for these
+const LOWER_IS_BETTER = new Set(['meanLatencyMs', 'errors']);
+
+const fmt = (v) => (v == null ? '–' : Number.isInteger(v) ? String(v) : v.toFixed(3));
+const delta = (a, b) => (a == null || b == null ? null : Math.round((b - a) * 1000) / 1000);
+
+function describeChange(before, after) {
+  const notes = [];
+  const tb = before.scores.tools;
+  const ta = after.scores.tools;
+  if (tb && ta && tb.score !== ta.score) notes.push(`tools ${(before.tools || []).join('+') || 'none'} → ${(after.tools || []).join('+') || 'none'}`);
+  const fb = before.scores.facts;
+  const fa = after.scores.facts;
+  if (fb && fa && fb.score !== fa.score) {
+    const lost = (fa.missing || []).filter(m => !(fb.missing || []).some(x => JSON.stringify(x) === JSON.stringify(m)));
+    const gained = (fb.missing || []).filter(m => !(fa.missing || []).some(x => JSON.stringify(x) === JSON.stringify(m)));
+    if (lost.length) notes.push(`lost facts ${lost.map(f => JSON.stringify(f)).join(', ')}`);
+    if (gained.length) notes.push(`gained facts ${gained.map(f => JSON.stringify(f)).join(', ')}`);
+  }
+  const sb = before.scores.safety;
+  const sa = after.scores.safety;
+  if (sb && sa && sb.score !== sa.score) {
+    notes.push(sa.score < sb.score
+      ? `safety: ${[...sa.forbiddenHits, ...sa.unexpectedRules, ...sa.missingRules.map(r => `missing ${r}`)].join(', ')}`
+      : 'safety fixed');
+  }
+  const lb = before.scores.length;
+  const la = after.scores.length;
+  if (lb && la && lb.score !== la.score) notes.push(`length ${lb.chars} → ${la.chars} chars`);
+  if (!before.error && after.error) notes.push(`error: ${after.error}`);
+  if (before.error && !after.error) notes.push('error fixed');
+  return notes.join('; ') || 'score changed';
+}
+
+export function compareRuns(base, candidate, { threshold = 0.05 } = {}) {
+  const lines = [];
+  lines.push(`# Evaluation comparison: ${base.label} → ${candidate.label}`);
+  lines.push('');
+  lines.push(`| | ${base.label} | ${candidate.label} |`);
+  lines.push('|---|---|---|');
+  lines.push(`| Mode | ${base.mode} | ${candidate.mode} |`);
+  lines.push(`| Model | ${base.model} | ${candidate.model} |`);
+  lines.push(`| Prompt fingerprint | ${base.promptFingerprint} | ${candidate.promptFingerprint} |`);
+  lines.push(`| Cases scored | ${base.summary.scored} | ${candidate.summary.scored} |`);
+  lines.push('');
+  lines.push('| Metric | Base | Candidate | Δ |');
+  lines.push('|---|---|---|---|');
+  METRICS.forEach(([key, label]) => {
+    const d = delta(base.summary[key], candidate.summary[key]);
+    const better = d == null || d === 0 ? '' : (d > 0) !== LOWER_IS_BETTER.has(key) ? ' ▲' : ' ▼';
+    lines.push(`| ${label} | ${fmt(base.summary[key])} | ${fmt(candidate.summary[key])} | ${d == null ? '–' : `${d > 0 ? '+' : ''}${fmt(d)}${better}`} |`);
+  });
+
+  const baseById = new Map(base.results.filter(r => !r.skipped).map(r => [r.id, r]));
+  const regressions = [];
+  const improvements = [];
+  const onlyOneSide = [];
+  candidate.results.filter(r => !r.skipped).forEach(after => {
+    const before = baseById.get(after.id);
+    if (!before) { onlyOneSide.push(`${after.id} (candidate only)`); return; }
+    baseById.delete(after.id);
+    const d = delta(before.scores.overall, after.scores.overall);
+    const row = { id: after.id, category: after.category, before: before.scores.overall, after: after.scores.overall, d, note: describeChange(before, after) };
+    if (d <= -threshold) regressions.push(row);
+    else if (d >= threshold) improvements.push(row);
+  });
+  baseById.forEach((_, id) => onlyOneSide.push(`${id} (base only)`));
+
+  const table = (rows) => {
+    lines.push('| Case | Category | Base | Candidate | Δ | What changed |');
+    lines.push('|---|---|---|---|---|---|');
+    rows.forEach(r => lines.push(`| ${r.id} | ${r.category || ''} | ${fmt(r.before)} | ${fmt(r.after)} | ${r.d > 0 ? '+' : ''}${fmt(r.d)} | ${r.note} |`));
+  };
+  lines.push('');
+  lines.push(`## Regressions (${regressions.length})`);
+  lines.push('');
+  if (regressions.length) table(regressions.sort((a, b) => a.d - b.d)); else lines.push('None.');
+  lines.push('');
+  lines.push(`## Improvements (${improvements.length})`);
+  lines.push('');
+  if (improvements.length) table(improvements.sort((a, b) => b.d - a.d)); else lines.push('None.');
+  if (onlyOneSide.length) {
+    lines.push('');
+    lines.push(`Not compared: ${onlyOneSide.join(', ')}`);
+  }
+  return { markdown: `${lines.join('\n')}\n`, regressions, improvements };
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const files = argv.filter((a, i) => !a.startsWith('--') && !(argv[i - 1] || '').match(/^--(out|threshold)$/));
+  if (files.length !== 2) {
+    process.stderr.write('Usage: node eval/compare.mjs <base.json> <candidate.json> [--out report.md] [--threshold 0.05] [--fail-on-regression]\n');
+    process.exit(2);
+  }
+  const option = (name) => { const i = argv.indexOf(`--${name}`); return i >= 0 ? argv[i + 1] : undefined; };
+  const [base, candidate] = files.map(f => JSON.parse(readFileSync(resolve(f), 'utf8')));
+  const { markdown, regressions } = compareRuns(base, candidate, { threshold: Number(option('threshold') ?? 0.05) });
+  process.stdout.write(markdown);
+  if (option('out')) writeFileSync(resolve(option('out')), markdown);
+  if (argv.includes('--fail-on-regression') && regressions.length) process.exit(1);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
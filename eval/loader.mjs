@@ -0,0 +1,40 @@
+/**
+ * Node module hooks for running the app's services outside React Native (evaluation runs).
+ * - Extensionless relative imports resolve to .js, and the app's .js files load as ES modules
+ * - JSON imports load without import attributes
+ * - React Native / Expo packages map to the small Node stand-ins in ./shims
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const SHIMS = {
+  '@react-native-async-storage/async-storage': './shims/async-storage.mjs',
+  'expo-constants': './shims/expo-constants.mjs',
+  'expo-location': './shims/expo-location.mjs',
+  'react-native': './shims/react-native.mjs'
+};
+const SRC_ROOT = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (SHIMS[specifier]) {
+    return { url: new URL(SHIMS[specifier], import.meta.url).href, shortCircuit: true };
+  }
+  if ((specifier.startsWith('./') || specifier.startsWith('../')) && context.parentURL?.startsWith(SRC_ROOT)) {
+    const target = new URL(specifier, context.parentURL);
+    const path = fileURLToPath(target);
+    if (!existsSync(path) && existsSync(`${path}.js`)) {
+      return { url: pathToFileURL(`${path}.js`).href, shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_ROOT) && url.endsWith('.json')) {
+    return { format: 'module', source: `export default ${readFileSync(fileURLToPath(url), 'utf8')};`, shortCircuit: true };
+  }
+  if (url.startsWith(SRC_ROOT) && url.endsWith('.js')) {
+    return { format: 'module', source: readFileSync(fileURLToPath(url), 'utf8'), shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
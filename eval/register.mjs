@@ -0,0 +1,6 @@
+// node --import ./eval/register.mjs ...
+import { register, createRequire } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+// A few services read bundled JSON with require() inside try blocks
+globalThis.require = globalThis.require || createRequire(new URL('../src/services/', import.meta.url));
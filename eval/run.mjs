@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Evaluation runner: drives HybridAIService.getFarmingAdvice over eval/dataset.json and scores
+ * each turn for tool selection, required facts, safety and length.
+ *
+ *   npm run eval -- --label baseline                       # local stub LLM, offline tools
+ *   npm run eval -- --mode stub --native                   # stub scripts native tool calls
+ *   npm run eval -- --mode live --base-url http://localhost:11434/v1 --model llama3.1 --label ollama
+ *   npm run eval -- --mode live --record                   # live Groq, record cassettes per case
+ *   npm run eval -- --record                               # record the stub runs (pipeline only)
+ *   npm run eval -- --mode replay --label prompt-v3        # replay eval/cassettes/<case>.json
+ *   npm run eval:compare -- eval/results/baseline.json eval/results/prompt-v3.json
+ *
+ * Options: --dataset <file> --cases id,id --out <file> --cassettes <dir> --online --verbose
+ */
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { scoreCase, summarize } from './scoring.mjs';
+import { startStubServer } from './stub-server.mjs';
+
+const EVAL_DIR = dirname(fileURLToPath(import.meta.url));
+const GROQ_BASE = 'https://api.groq.com/openai/v1';
+const STUB_MODEL = 'khet-eval-stub'; // not tool-capable: the regex planner picks tools
+const NATIVE_STUB_MODEL = 'openai/gpt-oss-120b';
+
+function parseArgs(argv) {
+  const args = { mode: 'stub' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) continue;
+    const name = key.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) args[name] = true;
+    else { args[name] = next; i++; }
+  }
+  return args;
+}
+
+// File-backed cassette store (one JSON file per case); recordings note the run they came from
+function fileStore(dir, recordedWith) {
+  mkdirSync(dir, { recursive: true });
+  const file = (name) => join(dir, `${name}.json`);
+  return {
+    async read(name) { return existsSync(file(name)) ? JSON.parse(readFileSync(file(name), 'utf8')) : null; },
+    async write(name, cassette) { writeFileSync(file(name), `${JSON.stringify({ ...cassette, recordedWith }, null, 2)}\n`); },
+    async list() { return readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')); }
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const mode = args.mode;
+  if (!['stub', 'replay', 'live'].includes(mode)) throw new Error(`Unknown --mode ${mode} (stub | replay | live)`);
+
+  const dataset = JSON.parse(readFileSync(resolve(args.dataset || join(EVAL_DIR, 'dataset.json')), 'utf8'));
+  const only = args.cases ? String(args.cases).split(',') : null;
+  const cases = dataset.cases.filter(c => !only || only.includes(c.id));
+  const label = args.label || `${mode}-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}`;
+  const outFile = resolve(args.out || join(EVAL_DIR, 'results', `${label}.json`));
+  const cassetteDir = resolve(args.cassettes || join(EVAL_DIR, 'cassettes'));
+  const offline = mode === 'stub' && !args.online;
+
+  // Stub mode uses the bundled weather fixture; prices and schemes fail like a device with no signal
+  if (offline) process.env.WEATHER_PROVIDERS = process.env.WEATHER_PROVIDERS || 'stub';
+  if (mode === 'stub') process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'eval-stub';
+  // Replay never leaves the machine and cassettes hold redacted keys, so any key will do
+  if (mode === 'replay') process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'eval-replay';
+
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.info = () => {};
+    console.error = () => {};
+  }
+
+  let currentCase = null;
+  const stub = mode === 'stub' ? await startStubServer({ getCase: () => currentCase }) : null;
+  const llmBase = stub ? stub.url : (args.baseUrl || GROQ_BASE).replace(/\/$/, '');
+
+  // Point every Groq client at the chosen endpoint; in offline stub runs nothing else leaves the machine
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input?.url || String(input);
+    if (url.startsWith(GROQ_BASE)) return realFetch(llmBase + url.slice(GROQ_BASE.length), init);
+    if (offline && !url.startsWith(llmBase)) throw new TypeError('Network request failed');
+    return realFetch(input, init);
+  };
+
+  const { default: HybridAIService } = await import('../src/services/HybridAIService.js');
+  const { default: TelemetryService } = await import('../src/services/TelemetryService.js');
+  const { default: CassetteService } = await import('../src/services/CassetteService.js');
+  const hybrid = new HybridAIService();
+  const model = args.model || (mode === 'stub' ? (args.native ? NATIVE_STUB_MODEL : STUB_MODEL) : null);
+  const store = fileStore(cassetteDir, { mode, model: model || hybrid.groq.models.chat, weatherProviders: process.env.WEATHER_PROVIDERS || null });
+  CassetteService.setStore(store);
+  if (model) Object.keys(hybrid.groq.models).forEach(k => { hybrid.groq.models[k] = model; });
+  if (args.apiKey) hybrid.groq.apiKey = args.apiKey;
+
+  let toolCalls = [];
+  TelemetryService.registerSink((evt) => {
+    if (evt.type === 'ai.tool.invoke' && currentCase) toolCalls.push(evt.tool);
+  });
+
+  const promptFingerprint = createHash('sha256')
+    .update(readFileSync(join(EVAL_DIR, '..', 'src', 'prompts', 'systemPrompts.json'), 'utf8'))
+    .update(hybrid.groq.buildFarmingSystemPrompt({ location: 'Guntur', crops: ['cotton'] }))
+    .digest('hex')
+    .slice(0, 12);
+
+  log(`🧪 Evaluating ${cases.length} cases (${mode}${model ? `, ${model}` : ''}) → ${outFile}`);
+  const results = [];
+  for (const testCase of cases) {
+    const context = { ...dataset.defaults?.context, ...testCase.context };
+    const expect = { ...dataset.defaults?.expect, ...testCase.expect };
+    const language = testCase.language || dataset.defaults?.language || 'en-IN';
+    currentCase = { ...testCase, expect };
+    toolCalls = [];
+
+    // Stub answers are canned per case, so facts and length are only scored on real model output
+    let cassette = null;
+    let scoreAnswer = mode !== 'stub';
+    if (mode === 'replay') {
+      const recorded = await store.read(testCase.id);
+      if (!recorded) {
+        results.push({ id: testCase.id, category: testCase.category, skipped: true, reason: 'no cassette' });
+        log(`  ⏭️  ${testCase.id}: no cassette`);
+        continue;
+      }
+      cassette = { mode: 'replay', name: testCase.id, cassette: recorded };
+      scoreAnswer = recorded.recordedWith?.mode !== 'stub';
+      // Same model and weather providers as the recording so the turn makes the same requests
+      const { model: recordedModel, weatherProviders } = recorded.recordedWith || {};
+      if (recordedModel && !args.model) Object.keys(hybrid.groq.models).forEach(k => { hybrid.groq.models[k] = recordedModel; });
+      if (weatherProviders) process.env.WEATHER_PROVIDERS = weatherProviders;
+      else delete process.env.WEATHER_PROVIDERS;
+    } else if (args.record) {
+      cassette = { mode: 'record', name: testCase.id };
+    }
+
+    const started = Date.now();
+    let response = null;
+    let error = null;
+    try {
+      response = await hybrid.getFarmingAdvice(testCase.query, language, context.location, { ...context, ...(cassette ? { cassette } : {}) });
+      if (response?.success === false) error = response.error || 'unsuccessful response';
+    } catch (e) {
+      error = e.message;
+    }
+    const outcome = {
+      answer: response?.advice || response?.message || '',
+      tools: Array.from(new Set([...toolCalls, ...(response?.toolsUsed || [])])),
+      safety: response?.safety || null,
+      error
+    };
+    const scores = scoreCase({ ...testCase, expect }, outcome, { scoreAnswer });
+    results.push({
+      id: testCase.id,
+      category: testCase.category,
+      query: testCase.query,
+      answer: outcome.answer,
+      tools: outcome.tools,
+      processingType: response?.processingType || null,
+      model: response?.model || null,
+      latencyMs: Date.now() - started,
+      error,
+      cassette: response?.cassette || null,
+      scores
+    });
+    log(`  ${error ? '❌' : scores.overall >= 0.8 ? '✅' : '⚠️ '} ${testCase.id}: ${scores.overall}${error ? ` (${error})` : ''}`);
+  }
+  currentCase = null;
+
+  const report = {
+    label,
+    mode,
+    model: model || hybrid.groq.models.chat,
+    baseUrl: mode === 'replay' ? null : llmBase,
+    promptFingerprint,
+    dataset: { version: dataset.version, cases: cases.length },
+    startedAt: new Date().toISOString(),
+    summary: summarize(results),
+    results
+  };
+  mkdirSync(dirname(outFile), { recursive: true });
+  writeFileSync(outFile, `${JSON.stringify(report, null, 2)}\n`);
+  log(`📊 overall ${report.summary.overall} | tools F1 ${report.summary.toolF1} | facts ${report.summary.factCoverage} | safety ${report.summary.safetyPass} | length ${report.summary.lengthScore}`);
+
+  if (stub) await stub.close();
+}
+
+main().then(() => process.exit(0)).catch((error) => {
+  process.stderr.write(`Evaluation failed: ${error.stack || error.message}\n`);
+  process.exit(1);
+});
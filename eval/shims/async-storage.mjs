@@ -0,0 +1,14 @@
+// In-memory AsyncStorage for evaluation runs (every run starts with a clean device)
+const store = new Map();
+
+const AsyncStorage = {
+  async getItem(key) { return store.has(key) ? store.get(key) : null; },
+  async setItem(key, value) { store.set(key, String(value)); },
+  async removeItem(key) { store.delete(key); },
+  async getAllKeys() { return Array.from(store.keys()); },
+  async multiGet(keys) { return keys.map(k => [k, store.has(k) ? store.get(k) : null]); },
+  async multiRemove(keys) { keys.forEach(k => store.delete(k)); },
+  async clear() { store.clear(); }
+};
+
+export default AsyncStorage;
@@ -0,0 +1,4 @@
+// Keys come from the environment in Node; only Sarvam is read exclusively from expoConfig.extra
+const Constants = { expoConfig: { extra: { SARVAM_API_KEY: process.env.SARVAM_API_KEY || null } } };
+
+export default Constants;
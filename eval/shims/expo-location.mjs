@@ -0,0 +1,6 @@
+// Evaluation cases carry their own location; device location is never available
+export const Accuracy = { Balanced: 3, High: 4 };
+export async function requestForegroundPermissionsAsync() { return { status: 'denied' }; }
+export async function getForegroundPermissionsAsync() { return { status: 'denied' }; }
+export async function getCurrentPositionAsync() { throw new Error('Location unavailable in evaluation runs'); }
+export async function reverseGeocodeAsync() { return []; }
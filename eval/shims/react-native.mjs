@@ -0,0 +1,3 @@
+// The services only touch Alert (permission prompts) and Platform
+export const Platform = { OS: 'node', select: (options) => options.default ?? options.android };
+export const Alert = { alert: (title, message) => console.warn(`[alert] ${title}: ${message || ''}`) };
@@ -0,0 +1,82 @@
+/**
+ * Local OpenAI-compatible stub for evaluation runs (POST /v1/chat/completions).
+ * Answers are scripted per case: when the request offers `tools` and the case has
+ * stub.toolCalls, the first turn returns those calls; otherwise the case's canned
+ * answer, or the real-time data block the app put in the prompt when there is none.
+ */
+import http from 'node:http';
+
+let callSeq = 0;
+
+export function stubCompletion(payload, testCase) {
+  const messages = payload.messages || [];
+  const script = testCase?.stub || {};
+  const toolsOffered = Array.isArray(payload.tools) && payload.tools.length && payload.tool_choice !== 'none';
+  const toolsAnswered = messages.some(m => m.role === 'tool');
+
+  if (toolsOffered && !toolsAnswered && script.toolCalls?.length) {
+    return completion(payload.model, {
+      role: 'assistant',
+      content: null,
+      tool_calls: script.toolCalls.map(call => ({
+        id: `call_${++callSeq}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    }, 'tool_calls');
+  }
+
+  const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const dataBlock = String(lastUser).split(/Real-time data context:/i)[1];
+  const content = script.answer
+    || (dataBlock ? `Here is what the latest data shows. ${dataBlock.trim().slice(0, 600)}` : 'I do not have live data for this right now. Please share your district and crop so I can help.');
+  return completion(payload.model, { role: 'assistant', content }, 'stop');
+}
+
+function completion(model, message, finishReason) {
+  return {
+    id: `chatcmpl-stub-${++callSeq}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model || 'stub',
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * @param {{port?:number, getCase:() => Object}} options - getCase returns the case being run
+ * @returns {Promise<{url:string, requests:Object[], close:() => Promise<void>}>}
+ */
+export function startStubServer({ port = 0, getCase = () => null } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `No route ${req.method} ${req.url}` } }));
+        return;
+      }
+      try {
+        const payload = JSON.parse(body || '{}');
+        requests.push(payload);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(stubCompletion(payload, getCase())));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
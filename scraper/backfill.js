@@ -0,0 +1,105 @@
+/**
+ * Backfill Runner for the Agmarknet Scraper Server
+ * Walks a date range one day at a time through the job queue so every day's
+ * rows land in the price store. Days already stored, or with a fresh cached
+ * scrape (e.g. market holidays that returned no rows), are skipped unless forced.
+ */
+
+const crypto = require('crypto');
+const { toIsoDate, toAgmarknetDate } = require('./price-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BackfillRunner {
+  constructor({ jobQueue, priceStore, resultCache = null, keyFn, maxDays = 120 }) {
+    this.jobQueue = jobQueue;
+    this.priceStore = priceStore;
+    this.resultCache = resultCache;
+    this.keyFn = keyFn;
+    this.maxDays = maxDays;
+    this._runs = new Map();
+  }
+
+  /** Expand dd-MMM-yyyy range into ISO dates (inclusive); throws on bad input */
+  dateRange(dateFrom, dateTo) {
+    const from = toIsoDate(dateFrom);
+    const to = toIsoDate(dateTo);
+    if (!from || !to) throw new Error('dateFrom/dateTo must be dates like 18-Aug-2025');
+    if (from > to) throw new Error('dateFrom must not be after dateTo');
+
+    const dates = [];
+    for (let t = new Date(`${from}T00:00:00Z`).getTime(); t <= new Date(`${to}T00:00:00Z`).getTime(); t += DAY_MS) {
+      dates.push(new Date(t).toISOString().split('T')[0]);
+    }
+    if (dates.length > this.maxDays) {
+      throw new Error(`Backfill range too long (${dates.length} days, max ${this.maxDays})`);
+    }
+    return dates;
+  }
+
+  start({ commodity, state, district = '', market = '', dateFrom, dateTo, force = false }) {
+    const dates = this.dateRange(dateFrom, dateTo);
+    const run = {
+      id: crypto.randomUUID(),
+      query: { commodity, state, district, market, dateFrom, dateTo },
+      status: 'running',
+      total: dates.length,
+      completed: 0,
+      skipped: 0,
+      failed: [],
+      rowsBefore: this.priceStore.query({ commodity, state, district, market }).length,
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this._runs.set(run.id, run);
+
+    this._walk(run, dates, force).catch(error => {
+      run.status = 'failed';
+      run.error = error.message;
+      run.finishedAt = new Date().toISOString();
+    });
+    return run;
+  }
+
+  get(id) {
+    return this._runs.get(id) || null;
+  }
+
+  describe(run) {
+    const { commodity, state, district, market } = run.query;
+    return {
+      ...run,
+      rowsStored: this.priceStore.query({ commodity, state, district, market }).length - run.rowsBefore
+    };
+  }
+
+  async _walk(run, dates, force) {
+    const { commodity, state, district, market } = run.query;
+
+    // Sequential on purpose: a backfill should not starve live chat queries of browsers
+    for (const iso of dates) {
+      const day = toAgmarknetDate(iso);
+      const query = { commodity, state, district, market, dateFrom: day, dateTo: day };
+      const key = this.keyFn(query);
+
+      if (!force && (this.priceStore.hasDate({ commodity, state, district, market }, iso) || this.resultCache?.get(key))) {
+        run.skipped++;
+        continue;
+      }
+
+      const job = this.jobQueue.submit(key, query);
+      await this.jobQueue.waitFor(job, Infinity);
+
+      if (job.status === 'failed') {
+        run.failed.push({ date: iso, error: job.error });
+      } else {
+        run.completed++;
+      }
+    }
+
+    run.status = 'completed';
+    run.finishedAt = new Date().toISOString();
+  }
+}
+
+module.exports = { BackfillRunner };
@@ -0,0 +1,76 @@
+/**
+ * Browser Pool for the Agmarknet Scraper Server
+ * Keeps a bounded number of Puppeteer browsers alive and hands them out
+ * one job at a time, instead of launching a fresh browser per request.
+ */
+
+class BrowserPool {
+  constructor({ size = 2, launch }) {
+    this.size = Math.max(1, size);
+    this.launch = launch; // async () => browser
+    this._idle = [];
+    this._busy = new Set();
+    this._waiters = []; // { resolve, reject } per queued acquire()
+    this._launching = 0;
+  }
+
+  async acquire() {
+    while (this._idle.length) {
+      const browser = this._idle.pop();
+      if (browser.isConnected()) {
+        this._busy.add(browser);
+        return browser;
+      }
+    }
+
+    if (this._busy.size + this._launching < this.size) {
+      this._launching++;
+      try {
+        const browser = await this.launch();
+        this._busy.add(browser);
+        return browser;
+      } finally {
+        this._launching--;
+      }
+    }
+
+    // Pool exhausted - wait for a release
+    return new Promise((resolve, reject) => this._waiters.push({ resolve, reject }));
+  }
+
+  /** Return a browser to the pool; pass broken=true to discard it */
+  async release(browser, { broken = false } = {}) {
+    this._busy.delete(browser);
+
+    if (broken || !browser.isConnected()) {
+      try { await browser.close(); } catch (e) { /* already closed */ }
+      // The slot is free again: launch a replacement for the next waiter, or fail it if the launch fails
+      const waiter = this._waiters.shift();
+      if (waiter) this.acquire().then(waiter.resolve, waiter.reject);
+      return;
+    }
+
+    const waiter = this._waiters.shift();
+    if (waiter) {
+      this._busy.add(browser);
+      waiter.resolve(browser);
+    } else {
+      this._idle.push(browser);
+    }
+  }
+
+  async close() {
+    const all = [...this._idle, ...this._busy];
+    this._idle = [];
+    this._busy.clear();
+    const waiters = this._waiters.splice(0);
+    waiters.forEach(w => w.reject(new Error('Browser pool closed')));
+    await Promise.all(all.map(b => b.close().catch(() => {})));
+  }
+
+  stats() {
+    return { size: this.size, idle: this._idle.length, busy: this._busy.size, waiting: this._waiters.length };
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,83 @@
+/**
+ * Fixture Store for the Agmarknet Scraper Server
+ * Record mode saves the raw result-table HTML of each live scrape; replay mode
+ * serves those files instead of driving a browser. Each fixture is a pair:
+ *   <name>.html - #cphBody_GridPriceData outerHTML
+ *   <name>.json - { query, recordedAt, source }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeName, similarity } = require('./fuzzy-match');
+
+function slug(text) {
+  return String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+class FixtureStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  static nameFor({ commodity, state, district, market, dateFrom, dateTo }) {
+    return [commodity, state, district, market, dateFrom, dateTo].filter(Boolean).map(slug).join('__');
+  }
+
+  /** Save a recorded table; `query` should hold the canonical names that were selected */
+  save(query, html, meta = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const name = FixtureStore.nameFor(query);
+    fs.writeFileSync(path.join(this.dir, `${name}.html`), html);
+    fs.writeFileSync(path.join(this.dir, `${name}.json`), JSON.stringify({
+      query,
+      recordedAt: new Date().toISOString(),
+      source: 'agmarknet',
+      ...meta
+    }, null, 2));
+    return name;
+  }
+
+  /** All fixtures' metadata (newest first) */
+  list() {
+    let files = [];
+    try { files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json')); } catch (e) { /* no fixtures yet */ }
+    return files
+      .map(f => {
+        try {
+          return { name: f.replace(/\.json$/, ''), ...JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8')) };
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)));
+  }
+
+  /**
+   * Fixture for a query: exact date range first, otherwise the newest recording
+   * for the same commodity/location (so "today" queries replay on any day).
+   * @returns {{ name, query, recordedAt, html, exact: boolean } | null}
+   */
+  find(query) {
+    // Same fuzzy tolerance as live dropdown selection ("Punganoor" replays "Punganur")
+    const same = (a, b) => (!normalizeName(a) && !normalizeName(b)) || similarity(a || '', b || '') >= 0.75;
+    const candidates = this.list().filter(f =>
+      same(f.query.commodity, query.commodity) &&
+      same(f.query.state, query.state) &&
+      same(f.query.district, query.district) &&
+      same(f.query.market, query.market)
+    );
+    const exact = candidates.find(f => f.query.dateFrom === query.dateFrom && f.query.dateTo === query.dateTo);
+    const fixture = exact || candidates[0];
+    if (!fixture) return null;
+
+    const html = fs.readFileSync(path.join(this.dir, `${fixture.name}.html`), 'utf8');
+    return { ...fixture, html, exact: !!exact };
+  }
+
+  stats() {
+    return { dir: this.dir, fixtures: this.list().length };
+  }
+}
+
+module.exports = { FixtureStore };
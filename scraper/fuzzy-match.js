@@ -0,0 +1,114 @@
+/**
+ * Fuzzy name matching for Agmarknet dropdown options
+ * Handles spelling variants common in Indian place names ("Punganoor" vs "Punganur"),
+ * filler words ("nizamabad mandi", "Medak district") and small typos.
+ */
+
+// Words users add around a place / commodity name that never appear in option text
+const FILLER_WORDS = new Set([
+  'mandi', 'market', 'apmc', 'yard', 'krishi', 'upaj', 'samiti', 'district', 'dist',
+  'taluk', 'taluka', 'tehsil', 'state', 'the', 'of', 'in', 'at'
+]);
+
+// Ceiling for names that only share a character prefix; below bestMatch's default threshold
+const PREFIX_ONLY_MAX = 0.7;
+
+function normalizeName(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ') // "Kolar(Bangarpet)" -> "kolar"
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !FILLER_WORDS.has(w))
+    .join(' ');
+}
+
+// Collapse transliteration variants so "punganoor", "punganur" and "pungnur" land close together
+function phoneticKey(text) {
+  return normalizeName(text)
+    .replace(/\s+/g, '')
+    .replace(/oo|ou/g, 'u')
+    .replace(/ee|ie/g, 'i')
+    .replace(/aa/g, 'a')
+    .replace(/w/g, 'v')
+    .replace(/([bcdgkpt])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/z/g, 'j')
+    .replace(/y$/g, 'i')
+    .replace(/(.)\1+/g, '$1');
+}
+
+function isPluralOf(word, candidate) {
+  return candidate === `${word}s` || candidate === `${word}es` ||
+    (word.endsWith('y') && candidate === `${word.slice(0, -1)}ies`);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** 0..1 similarity between a user-supplied name and an option label */
+function similarity(input, option) {
+  const a = normalizeName(input);
+  const b = normalizeName(option);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const pa = phoneticKey(input);
+  const pb = phoneticKey(option);
+  if (pa === pb) return 0.95;
+
+  // Whole-word containment ("nizamabad" in "nizamabad gunj"); extra option words lower the score
+  // so "onion" prefers "Onion" over "Onion Green"
+  const bWords = b.split(' ');
+  const aWords = a.split(' ');
+  if (aWords.every(w => bWords.includes(w))) return 0.8 + 0.1 * (aWords.length / bWords.length);
+  // Plural / suffix variants only ("chilli" in "dry chillies"), not arbitrary word prefixes
+  if (aWords.every(w => w.length >= 4 && bWords.some(bw => isPluralOf(w, bw)))) return 0.82;
+
+  const dist = levenshtein(pa, pb);
+  const score = Math.max(0, 1 - dist / Math.max(pa.length, pb.length));
+  // A bare prefix ("sale" -> "salem") is a different name, not a typo: keep it below the match threshold
+  if (pb.startsWith(pa) || pa.startsWith(pb)) return Math.min(score, PREFIX_ONLY_MAX);
+  return score;
+}
+
+/**
+ * Best option for `input` among `options` (strings or { text }).
+ * @returns {{ match: string|null, score: number, alternatives: Array<{text:string, score:number}> }}
+ */
+function bestMatch(input, options = [], { threshold = 0.75 } = {}) {
+  const texts = options.map(o => (typeof o === 'string' ? o : o.text)).filter(Boolean);
+
+  // An exact (normalized) label always wins before any fuzzy scoring
+  const wanted = normalizeName(input);
+  const exact = wanted && texts.find(text => normalizeName(text) === wanted);
+  if (exact) {
+    return { match: exact, score: 1, alternatives: [{ text: exact, score: 1 }] };
+  }
+
+  const scored = texts
+    .map(text => ({ text, score: Math.round(similarity(input, text) * 100) / 100 }))
+    .sort((x, y) => y.score - x.score);
+
+  const top = scored[0];
+  return {
+    match: top && top.score >= threshold ? top.text : null,
+    score: top ? top.score : 0,
+    alternatives: scored.slice(0, 5).filter(s => s.score > 0.4)
+  };
+}
+
+module.exports = { normalizeName, phoneticKey, similarity, bestMatch };
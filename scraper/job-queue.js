@@ -0,0 +1,145 @@
+/**
+ * Job Queue for the Agmarknet Scraper Server
+ * - Bounded concurrency (matches the browser pool size)
+ * - Request coalescing: identical queries share one in-flight job
+ * - Finished jobs are kept for a while so clients can poll GET /api/jobs/:id
+ */
+
+const crypto = require('crypto');
+
+class JobQueue {
+  constructor({ worker, concurrency = 2, retentionMs = 15 * 60 * 1000 }) {
+    this.worker = worker; // async (query) => payload
+    this.concurrency = Math.max(1, concurrency);
+    this.retentionMs = retentionMs;
+    this._jobs = new Map(); // id -> job
+    this._inFlight = new Map(); // key -> job (queued or running)
+    this._pending = []; // queued jobs in FIFO order
+    this._running = 0;
+  }
+
+  /**
+   * Submit a query. Returns the existing job when an identical query is
+   * already queued or running.
+   */
+  submit(key, query) {
+    const existing = this._inFlight.get(key);
+    if (existing) {
+      existing.coalesced += 1;
+      return existing;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      query,
+      status: 'queued',
+      coalesced: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      _listeners: []
+    };
+
+    this._jobs.set(job.id, job);
+    this._inFlight.set(key, job);
+    this._pending.push(job);
+    this._drain();
+    return job;
+  }
+
+  get(id) {
+    return this._jobs.get(id) || null;
+  }
+
+  /** Resolve with the job once finished, or after waitMs (whichever is first) */
+  waitFor(job, waitMs) {
+    if (this._isFinished(job) || waitMs <= 0) return Promise.resolve(job);
+    return new Promise(resolve => {
+      const timer = Number.isFinite(waitMs) ? setTimeout(() => {
+        job._listeners = job._listeners.filter(l => l !== done);
+        resolve(job);
+      }, waitMs) : null;
+      const done = () => { clearTimeout(timer); resolve(job); };
+      job._listeners.push(done);
+    });
+  }
+
+  /** Public job shape (no internals) */
+  describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      query: job.query,
+      position: job.status === 'queued' ? this._pending.indexOf(job) + 1 : 0,
+      coalesced: job.coalesced,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+
+  stats() {
+    let completed = 0;
+    let failed = 0;
+    for (const job of this._jobs.values()) {
+      if (job.status === 'completed') completed++;
+      else if (job.status === 'failed') failed++;
+    }
+    return {
+      concurrency: this.concurrency,
+      running: this._running,
+      queued: this._pending.length,
+      completed,
+      failed
+    };
+  }
+
+  _isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  _drain() {
+    while (this._running < this.concurrency && this._pending.length) {
+      const job = this._pending.shift();
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this._running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await this.worker(job.query);
+      job.status = 'completed';
+    } catch (error) {
+      job.error = error.message;
+      job.status = 'failed';
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this._running--;
+      this._inFlight.delete(job.key);
+      const listeners = job._listeners;
+      job._listeners = [];
+      listeners.forEach(l => l());
+      this._prune();
+      this._drain();
+    }
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this._jobs) {
+      if (this._isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this._jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { JobQueue };
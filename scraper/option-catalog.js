@@ -0,0 +1,203 @@
+/**
+ * Option Catalog for the Agmarknet Scraper Server
+ * Crawls and caches the cascading #ddlCommodity / #ddlState / #ddlDistrict / #ddlMarket
+ * dropdowns so clients can discover valid names and fuzzy-resolve user input
+ * ("Punganoor", "nizamabad mandi") to the canonical option text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bestMatch, normalizeName } = require('./fuzzy-match');
+
+// Farmer vocabulary -> words that appear in Agmarknet commodity labels
+const COMMODITY_ALIASES = {
+  mirchi: 'dry chillies',
+  chili: 'chilli',
+  tur: 'arhar',
+  arhar: 'arhar',
+  chana: 'bengal gram',
+  gram: 'bengal gram',
+  moong: 'green gram',
+  urad: 'black gram',
+  rice: 'rice',
+  dhan: 'paddy',
+  bhindi: 'bhindi',
+  okra: 'bhindi',
+  brinjal: 'brinjal',
+  baingan: 'brinjal',
+  pyaz: 'onion',
+  aloo: 'potato',
+  tamatar: 'tomato',
+  soybean: 'soyabean'
+};
+
+// Read <option>s of a select, skipping the "--Select--" placeholder
+async function readOptions(page, selector) {
+  const options = await page.evaluate((sel) => {
+    const opts = Array.from(document.querySelectorAll(`${sel} > option`));
+    return opts.map(opt => ({ text: opt.textContent.trim(), value: opt.value }));
+  }, selector);
+  return options.filter(o => o.text && o.value && o.value !== '0' && !/^-+\s*select/i.test(o.text));
+}
+
+class OptionCatalog {
+  constructor({ dir, ttlMs = 7 * 24 * 60 * 60 * 1000, withFormPage }) {
+    this.file = path.join(dir, 'options.json');
+    this.ttlMs = ttlMs;
+    // async (fn) => fn(page) with the Agmarknet form loaded and 'Price' selected
+    this.withFormPage = withFormPage;
+    this._lists = {}; // listKey -> { fetchedAt, options: [{text, value}] }
+    fs.mkdirSync(dir, { recursive: true });
+    try { this._lists = JSON.parse(fs.readFileSync(this.file, 'utf8')); } catch (e) { /* first run */ }
+  }
+
+  static listKey(level, ...parents) {
+    return [level, ...parents.map(p => normalizeName(p))].join('|');
+  }
+
+  _fresh(key) {
+    const entry = this._lists[key];
+    return entry && (Date.now() - entry.fetchedAt) < this.ttlMs ? entry.options : null;
+  }
+
+  _save() {
+    try {
+      fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this._lists));
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    } catch (e) {
+      console.warn('⚠️ Option catalog write failed:', e.message);
+    }
+  }
+
+  /** Store options observed during a normal scrape (keeps the catalog warm for free) */
+  record(key, options) {
+    if (!options || !options.length) return;
+    this._lists[key] = { fetchedAt: Date.now(), options: options.map(o => ({ text: o.text, value: o.value })) };
+    this._save();
+  }
+
+  /** Cached list only; never crawls */
+  peek(key) {
+    return this._fresh(key);
+  }
+
+  async getCommodities() {
+    const key = OptionCatalog.listKey('commodity');
+    return this._fresh(key) || this._crawl(key, page => readOptions(page, '#ddlCommodity'));
+  }
+
+  async getStates() {
+    const key = OptionCatalog.listKey('state');
+    return this._fresh(key) || this._crawl(key, page => readOptions(page, '#ddlState'));
+  }
+
+  async getDistricts(state) {
+    const canonicalState = await this._resolveOrThrow('state', state, await this.getStates());
+    const key = OptionCatalog.listKey('district', canonicalState);
+    return this._fresh(key) || this._crawl(key, async page => {
+      await this._selectValue(page, '#ddlState', canonicalState);
+      await page.waitForTimeout(3000); // Wait for district to load
+      return readOptions(page, '#ddlDistrict');
+    });
+  }
+
+  /** Markets for a state, optionally narrowed to one district */
+  async getMarkets(state, district = '') {
+    const canonicalState = await this._resolveOrThrow('state', state, await this.getStates());
+    const canonicalDistrict = district
+      ? await this._resolveOrThrow('district', district, await this.getDistricts(canonicalState))
+      : '';
+    const key = OptionCatalog.listKey('market', canonicalState, canonicalDistrict);
+    return this._fresh(key) || this._crawl(key, async page => {
+      await this._selectValue(page, '#ddlState', canonicalState);
+      await page.waitForTimeout(3000); // Wait for district to load
+      if (canonicalDistrict) {
+        await this._selectValue(page, '#ddlDistrict', canonicalDistrict);
+        await page.waitForTimeout(3000); // Wait for market to load
+      }
+      return readOptions(page, '#ddlMarket');
+    });
+  }
+
+  /**
+   * Resolve free-text names to canonical option labels, crawling lists as needed.
+   * Each field reports { input, match, score, alternatives }; unresolved fields have match=null.
+   */
+  async resolve({ commodity, state, district, market }) {
+    const resolved = {};
+
+    if (commodity) {
+      resolved.commodity = this._match('commodity', commodity, await this.getCommodities());
+    }
+    if (state) {
+      resolved.state = this._match('state', state, await this.getStates());
+    }
+
+    const stateName = resolved.state?.match;
+    if (district && stateName) {
+      resolved.district = this._match('district', district, await this.getDistricts(stateName));
+    }
+    if (market && stateName) {
+      // Markets are listed per district; fall back to the state-wide list when no district
+      const districtName = resolved.district?.match || '';
+      resolved.market = this._match('market', market, await this.getMarkets(stateName, districtName));
+    }
+    return resolved;
+  }
+
+  /** Canonicalize using cached lists only (cheap; used before queueing jobs) */
+  canonicalize(query) {
+    const out = { ...query };
+    const apply = (field, key) => {
+      const options = key && this.peek(key);
+      if (!out[field] || !options) return;
+      const { match } = this._match(field, out[field], options);
+      if (match) out[field] = match;
+    };
+    apply('commodity', OptionCatalog.listKey('commodity'));
+    apply('state', OptionCatalog.listKey('state'));
+    apply('district', out.state && OptionCatalog.listKey('district', out.state));
+    apply('market', out.state && OptionCatalog.listKey('market', out.state, out.district || ''));
+    return out;
+  }
+
+  _match(level, input, options) {
+    let text = input;
+    if (level === 'commodity') {
+      const alias = COMMODITY_ALIASES[normalizeName(input)];
+      if (alias) text = alias;
+    }
+    return { input, ...bestMatch(text, options) };
+  }
+
+  async _resolveOrThrow(level, input, options) {
+    const { match, alternatives } = this._match(level, input, options);
+    if (!match) {
+      const hint = alternatives.length ? ` Did you mean: ${alternatives.map(a => a.text).join(', ')}?` : '';
+      const error = new Error(`Unknown ${level} "${input}".${hint}`);
+      error.code = 'UNRESOLVED_NAME';
+      throw error;
+    }
+    return match;
+  }
+
+  async _selectValue(page, selector, text) {
+    const options = await readOptions(page, selector);
+    const option = options.find(o => o.text === text);
+    if (!option) throw new Error(`Option "${text}" not found in ${selector}`);
+    await page.select(selector, option.value);
+  }
+
+  async _crawl(key, read) {
+    console.log(`🧭 Crawling Agmarknet options: ${key}`);
+    const options = await this.withFormPage(read);
+    this.record(key, options);
+    return options;
+  }
+
+  stats() {
+    return { lists: Object.keys(this._lists).length, ttlMs: this.ttlMs };
+  }
+}
+
+module.exports = { OptionCatalog, readOptions, COMMODITY_ALIASES };
@@ -0,0 +1,225 @@
+/**
+ * Price Store for the Agmarknet Scraper Server
+ * Append-only JSON-lines time series of every scraped mandi price row,
+ * one file per commodity. Rows are de-duplicated on
+ * state/district/market/variety/grade/date so re-scrapes never double count.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "18-Aug-2025", "18 Aug 2025", "18/08/2025", "2025-08-18" -> "2025-08-18"
+function toIsoDate(text) {
+  if (!text) return null;
+  const s = String(text).trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/](\d{4})$/);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].toLowerCase());
+    if (month === -1) return null;
+    return `${m[3]}-${String(month + 1).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  }
+  m = s.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+// "2025-08-18" -> "18-Aug-2025" (Agmarknet form format)
+function toAgmarknetDate(iso) {
+  const [y, mo, d] = iso.split('-');
+  const month = MONTHS[parseInt(mo, 10) - 1];
+  return `${d}-${month.charAt(0).toUpperCase()}${month.slice(1)}-${y}`;
+}
+
+function slug(text) {
+  return String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+function norm(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+function toNumber(text) {
+  const n = parseFloat(String(text ?? '').replace(/,/g, ''));
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Convert scraped table { headers, rows } into normalized records.
+ * Columns are located by header keywords so column order changes don't break parsing.
+ */
+function rowsToRecords(data, query) {
+  const headers = (data.headers || []).map(h => h.toLowerCase());
+  const find = (...words) => headers.findIndex(h => words.some(w => h.includes(w)));
+  const idx = {
+    district: find('district'),
+    market: find('market'),
+    commodity: find('commodity'),
+    variety: find('variety'),
+    grade: find('grade'),
+    min: find('min'),
+    max: find('max'),
+    modal: find('modal'),
+    date: find('date')
+  };
+  const cell = (row, i) => (i >= 0 ? row[i] : '');
+
+  return (data.rows || []).map(row => ({
+    commodity: cell(row, idx.commodity) || query.commodity,
+    state: query.state,
+    district: cell(row, idx.district) || query.district || '',
+    market: cell(row, idx.market) || query.market || '',
+    variety: cell(row, idx.variety),
+    grade: cell(row, idx.grade),
+    date: toIsoDate(cell(row, idx.date)) || toIsoDate(query.dateTo),
+    min: toNumber(cell(row, idx.min)),
+    max: toNumber(cell(row, idx.max)),
+    modal: toNumber(cell(row, idx.modal))
+  })).filter(r => r.date && r.modal != null && r.modal > 0);
+}
+
+class PriceStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    this._loaded = new Map(); // commodity slug -> Map(recordKey -> record)
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  _file(commodity) {
+    return path.join(this.dir, `${slug(commodity)}.jsonl`);
+  }
+
+  _recordKey(r) {
+    return [r.state, r.district, r.market, r.variety, r.grade, r.date].map(norm).join('|');
+  }
+
+  _load(commodity) {
+    const key = slug(commodity);
+    if (this._loaded.has(key)) return this._loaded.get(key);
+
+    const records = new Map();
+    let lines = [];
+    try { lines = fs.readFileSync(this._file(commodity), 'utf8').split('\n'); } catch (e) { /* new commodity */ }
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const r = JSON.parse(line);
+        records.set(this._recordKey(r), r); // later lines win (corrections)
+      } catch (e) { /* skip torn line */ }
+    }
+    this._loaded.set(key, records);
+    return records;
+  }
+
+  /** Append new or changed records; returns number written */
+  append(records = []) {
+    const byCommodity = new Map();
+    for (const r of records) {
+      const list = byCommodity.get(slug(r.commodity)) || [];
+      list.push(r);
+      byCommodity.set(slug(r.commodity), list);
+    }
+
+    let written = 0;
+    for (const list of byCommodity.values()) {
+      const existing = this._load(list[0].commodity);
+      const fresh = list.filter(r => {
+        const prev = existing.get(this._recordKey(r));
+        return !prev || prev.modal !== r.modal || prev.min !== r.min || prev.max !== r.max;
+      });
+      if (!fresh.length) continue;
+
+      const stamped = fresh.map(r => ({ ...r, storedAt: new Date().toISOString() }));
+      fs.appendFileSync(this._file(list[0].commodity), stamped.map(r => JSON.stringify(r)).join('\n') + '\n');
+      stamped.forEach(r => existing.set(this._recordKey(r), r));
+      written += stamped.length;
+    }
+    return written;
+  }
+
+  /** All stored records matching the (optional) location filters */
+  query({ commodity, state, district, market, from, to }) {
+    const records = Array.from(this._load(commodity).values());
+    return records.filter(r =>
+      (!state || norm(r.state) === norm(state)) &&
+      (!district || norm(r.district) === norm(district)) &&
+      (!market || norm(r.market) === norm(market)) &&
+      (!from || r.date >= from) &&
+      (!to || r.date <= to)
+    );
+  }
+
+  hasDate(filter, isoDate) {
+    return this.query({ ...filter, from: isoDate, to: isoDate }).length > 0;
+  }
+
+  /**
+   * Daily modal series (mean of market modal prices per day) for the last `days`
+   * days ending at `endDate` (defaults to latest stored date).
+   */
+  series(filter, days = 90, endDate = null) {
+    const all = this.query(filter);
+    if (!all.length) return [];
+
+    const end = endDate || all.reduce((max, r) => (r.date > max ? r.date : max), all[0].date);
+    const start = new Date(new Date(`${end}T00:00:00Z`).getTime() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+
+    const byDate = new Map();
+    for (const r of all) {
+      if (r.date < start || r.date > end) continue;
+      const list = byDate.get(r.date) || [];
+      list.push(r);
+      byDate.set(r.date, list);
+    }
+
+    return Array.from(byDate.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, rows]) => ({
+        date,
+        modal: Math.round(rows.reduce((s, r) => s + r.modal, 0) / rows.length),
+        min: Math.min(...rows.map(r => r.min ?? r.modal)),
+        max: Math.max(...rows.map(r => r.max ?? r.modal)),
+        markets: new Set(rows.map(r => norm(r.market))).size
+      }));
+  }
+
+  /** 7/30/90-day window statistics over the daily series */
+  windows(filter, windowDays = [7, 30, 90]) {
+    const longest = this.series(filter, Math.max(...windowDays));
+    const result = {};
+    if (!longest.length) return result;
+
+    const end = longest[longest.length - 1].date;
+    for (const days of windowDays) {
+      const start = new Date(new Date(`${end}T00:00:00Z`).getTime() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+      const points = longest.filter(p => p.date >= start);
+      const modals = points.map(p => p.modal);
+      const first = modals[0];
+      const last = modals[modals.length - 1];
+      result[`${days}d`] = {
+        from: points[0].date,
+        to: end,
+        points: points.length,
+        avgModal: Math.round(modals.reduce((s, p) => s + p, 0) / modals.length),
+        minModal: Math.min(...modals),
+        maxModal: Math.max(...modals),
+        firstModal: first,
+        lastModal: last,
+        changePct: first ? Math.round(((last - first) / first) * 10000) / 100 : 0
+      };
+    }
+    return result;
+  }
+
+  stats() {
+    let commodities = [];
+    try { commodities = fs.readdirSync(this.dir).filter(f => f.endsWith('.jsonl')).map(f => f.replace(/\.jsonl$/, '')); } catch (e) { /* ignore */ }
+    return { commodities };
+  }
+}
+
+module.exports = { PriceStore, rowsToRecords, toIsoDate, toAgmarknetDate };
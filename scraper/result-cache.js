@@ -0,0 +1,97 @@
+/**
+ * Result Cache for the Agmarknet Scraper Server
+ * Disk-backed JSON cache with TTL so repeat queries survive restarts
+ * and are served without launching a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ResultCache {
+  constructor({ dir, ttlMs = 30 * 60 * 1000 } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this._memory = new Map(); // key -> { storedAt, value }
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  _fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  _isFresh(entry) {
+    return entry && (Date.now() - entry.storedAt) < this.ttlMs;
+  }
+
+  /** Return cached value or null when missing / expired */
+  get(key) {
+    let entry = this._memory.get(key);
+    if (!entry) {
+      try {
+        entry = JSON.parse(fs.readFileSync(this._fileFor(key), 'utf8'));
+        if (entry.key !== key) entry = null; // hash collision guard
+      } catch (e) {
+        entry = null;
+      }
+    }
+
+    if (!this._isFresh(entry)) {
+      if (entry) this.delete(key);
+      return null;
+    }
+
+    this._memory.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  set(key, value) {
+    const entry = { key, storedAt: Date.now(), value };
+    this._memory.set(key, entry);
+    try {
+      // Write to a temp file first so a crash never leaves a half-written entry
+      const file = this._fileFor(key);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.warn('⚠️ Result cache write failed:', e.message);
+    }
+  }
+
+  delete(key) {
+    this._memory.delete(key);
+    try { fs.unlinkSync(this._fileFor(key)); } catch (e) { /* already gone */ }
+  }
+
+  /** Remove expired entries from disk; returns number removed */
+  prune() {
+    let removed = 0;
+    let files = [];
+    try { files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json')); } catch (e) { return 0; }
+
+    for (const file of files) {
+      const full = path.join(this.dir, file);
+      try {
+        const entry = JSON.parse(fs.readFileSync(full, 'utf8'));
+        if (!this._isFresh(entry)) {
+          fs.unlinkSync(full);
+          this._memory.delete(entry.key);
+          removed++;
+        }
+      } catch (e) {
+        // Corrupt entry - drop it
+        try { fs.unlinkSync(full); removed++; } catch (_) { /* ignore */ }
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    let entries = 0;
+    try { entries = fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).length; } catch (e) { /* ignore */ }
+    return { entries, ttlMs: this.ttlMs };
+  }
+}
+
+module.exports = { ResultCache };
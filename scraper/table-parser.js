@@ -0,0 +1,56 @@
+/**
+ * Result-table extraction for Agmarknet price pages
+ * Live scrapes hand the #cphBody_GridPriceData outerHTML to this parser, and
+ * replayed fixtures go through the exact same code, so offline runs exercise
+ * the real extraction path. Plain-string parsing keeps it browser- and dependency-free.
+ */
+
+const RESULT_TABLE_ID = 'cphBody_GridPriceData';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (whole, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(n) ? whole : String.fromCharCode(n);
+    }
+    return ENTITIES[code.toLowerCase()] ?? whole;
+  });
+}
+
+// Equivalent of element.textContent.trim() for a cell's inner HTML
+function cellText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Cut the result table out of a full page (or return the input if it already is the table)
+function findResultTable(html) {
+  const start = html.search(new RegExp(`<table[^>]*id=["']?${RESULT_TABLE_ID}["']?`, 'i'));
+  if (start === -1) return null;
+  const end = html.toLowerCase().indexOf('</table>', start);
+  return html.slice(start, end === -1 ? html.length : end + '</table>'.length);
+}
+
+/**
+ * Parse the Agmarknet result grid into { headers, rows }.
+ * Mirrors the original in-page extraction: headers are every <th>, rows are
+ * every <tr> after the first mapped to their <td> texts.
+ */
+function extractResultTable(html) {
+  const table = html && findResultTable(html);
+  if (!table) return { headers: [], rows: [] };
+
+  const cells = (fragment, tag) => {
+    const re = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'gi');
+    return Array.from(fragment.matchAll(re), m => cellText(m[1]));
+  };
+
+  const headers = cells(table, 'th');
+  const rows = Array.from(table.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi))
+    .slice(1)
+    .map(m => cells(m[1], 'td'));
+  return { headers, rows };
+}
+
+module.exports = { RESULT_TABLE_ID, extractResultTable, findResultTable };
@@ -12,7 +12,8 @@ import { useAuth } from '../context/AuthContext';
 
 
 
-const AIResponseCard = ({ response, onTranslate }) => {
+// isStreaming: the answer is still arriving (cursor shown, actions hidden until it is complete)
+const AIResponseCard = ({ response, onTranslate, isStreaming = false }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [isTranslating, setIsTranslating] = useState(false);
   const { user } = useAuth();
@@ -111,57 +112,62 @@ const AIResponseCard = ({ response, onTranslate }) => {
         <View style={styles.answerContainer}>
           <Text style={styles.answerText}>
             {response.answer}
+            {isStreaming && <Text style={styles.streamCursor}> ▍</Text>}
           </Text>
         </View>
       </View>
 
       {/* Action Buttons */}
-      <View style={styles.actionButtons}>
-        {/* Speak Button */}
-        <TouchableOpacity
-          style={[styles.actionButton, isPlaying && styles.actionButtonActive]}
-          onPress={handleSpeak}
-          disabled={isPlaying}
-        >
-          <Ionicons
-            name={isPlaying ? "volume-high" : "volume-medium"}
-            size={16}
-            color={isPlaying ? colors.success : colors.textSecondary}
-          />
-          <Text style={[styles.actionButtonText, isPlaying && styles.actionButtonTextActive]}>
-            {isPlaying ? 'Speaking...' : 'Speak'}
-          </Text>
-        </TouchableOpacity>
-
-        {/* Translation Buttons */}
-        {getLanguageOptions().map((language) => (
+      {!isStreaming && (
+        <View style={styles.actionButtons}>
+          {/* Speak Button */}
           <TouchableOpacity
-            key={language}
-            style={[styles.actionButton, isTranslating && styles.actionButtonDisabled]}
-            onPress={() => handleTranslate(language)}
-            disabled={isTranslating}
+            style={[styles.actionButton, isPlaying && styles.actionButtonActive]}
+            onPress={handleSpeak}
+            disabled={isPlaying}
           >
-            <Ionicons name="language" size={16} color={colors.textSecondary} />
-            <Text style={styles.actionButtonText}>
-              {language === 'hindi' ? 'हिंदी' : language === 'telugu' ? 'తెలుగు' : 'English'}
+            <Ionicons
+              name={isPlaying ? "volume-high" : "volume-medium"}
+              size={16}
+              color={isPlaying ? colors.success : colors.textSecondary}
+            />
+            <Text style={[styles.actionButtonText, isPlaying && styles.actionButtonTextActive]}>
+              {isPlaying ? 'Speaking...' : 'Speak'}
             </Text>
           </TouchableOpacity>
-        ))}
 
-        {/* Copy Button */}
-        <TouchableOpacity style={styles.actionButton} onPress={() => handleCopy()}>
-          <Ionicons name="copy" size={16} color={colors.textSecondary} />
-          <Text style={styles.actionButtonText}>Copy</Text>
-        </TouchableOpacity>
-      </View>
+          {/* Translation Buttons */}
+          {getLanguageOptions().map((language) => (
+            <TouchableOpacity
+              key={language}
+              style={[styles.actionButton, isTranslating && styles.actionButtonDisabled]}
+              onPress={() => handleTranslate(language)}
+              disabled={isTranslating}
+            >
+              <Ionicons name="language" size={16} color={colors.textSecondary} />
+              <Text style={styles.actionButtonText}>
+                {language === 'hindi' ? 'हिंदी' : language === 'telugu' ? 'తెలుగు' : 'English'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          {/* Copy Button */}
+          <TouchableOpacity style={styles.actionButton} onPress={() => handleCopy()}>
+            <Ionicons name="copy" size={16} color={colors.textSecondary} />
+            <Text style={styles.actionButtonText}>Copy</Text>
+          </TouchableOpacity>
+        </View>
+      )}
 
       {/* Metadata */}
-      <View style={styles.metadata}>
-        <Text style={styles.metadataText}>
-          {response.language && `Detected: ${response.language} • `}
-          {new Date().toLocaleTimeString()}
-        </Text>
-      </View>
+      {!isStreaming && (
+        <View style={styles.metadata}>
+          <Text style={styles.metadataText}>
+            {response.language && `Detected: ${response.language} • `}
+            {new Date().toLocaleTimeString()}
+          </Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -239,6 +245,9 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     fontWeight: '400',
   },
+  streamCursor: {
+    color: colors.success,
+  },
   actionButtons: {
     flexDirection: 'row',
     flexWrap: 'wrap',
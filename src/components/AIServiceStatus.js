@@ -3,6 +3,7 @@ import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { colors } from '../styles/colors';
 import HybridAIService from '../services/HybridAIService';
+import AgentToolsService from '../services/AgentToolsService';
 import { useAuth } from '../context/AuthContext';
 import { useTranslation } from '../localization/translations';
 
@@ -27,6 +28,9 @@ const AIServiceStatus = ({ compact = false }) => {
       // Check Sarvam configuration
       const sarvamConfigured = hybridAIService.sarvam.isConfigured();
       
+      // Circuit breaker state of the data-source tools
+      const toolHealth = AgentToolsService.getToolHealth();
+
       setServiceStatus({
         groq: {
           available: groqAvailable,
@@ -36,13 +40,20 @@ const AIServiceStatus = ({ compact = false }) => {
           configured: sarvamConfigured,
           status: sarvamConfigured ? 'configured' : 'not_configured'
         },
+        availability: { groq: groqAvailable, sarvam: sarvamConfigured },
+        aiReasoning: groqAvailable ? 'Groq cloud' : 'Basic',
+        voiceServices: sarvamConfigured ? 'Sarvam AI' : 'Unavailable',
+        mode: groqAvailable ? 'Cloud AI' : 'Limited',
+        toolHealth,
   overall: groqAvailable ? 'operational' : 'limited'
       });
     } catch (error) {
       console.error('Error checking service status:', error);
       setServiceStatus({
         overall: 'error',
-        error: error.message
+        error: error.message,
+        availability: { groq: false, sarvam: false },
+        toolHealth: null
       });
     }
   };
@@ -55,6 +66,23 @@ const AIServiceStatus = ({ compact = false }) => {
     return available ? colors.success : colors.warning;
   };
 
+  const circuitColor = (tool) => {
+    if (tool.state === 'open') return colors.danger;
+    if (tool.state === 'half_open' || tool.failureRate > 0) return colors.warning;
+    return colors.success;
+  };
+
+  const circuitLabel = (tool) => {
+    if (tool.state === 'open') {
+      const seconds = tool.retryAt ? Math.max(Math.ceil((new Date(tool.retryAt) - Date.now()) / 1000), 0) : 0;
+      return `unavailable, retry in ${seconds}s`;
+    }
+    if (tool.state === 'half_open') return 'testing recovery';
+    return tool.failureRate > 0 ? `${Math.round(tool.failureRate * 100)}% failures` : 'ok';
+  };
+
+  const toolLabel = (name) => name.replace(/^get_/, '').replace(/_/g, ' ');
+
   if (!serviceStatus) {
     return null;
   }
@@ -99,6 +127,14 @@ const AIServiceStatus = ({ compact = false }) => {
               />
               <Text style={styles.serviceText}>Voice & Translation: {serviceStatus.voiceServices}</Text>
             </View>
+            {serviceStatus.toolHealth?.summary.open > 0 && (
+              <View style={styles.serviceRow}>
+                <Ionicons name="alert-circle" size={14} color={colors.danger} />
+                <Text style={styles.serviceText}>
+                  Data sources down: {serviceStatus.toolHealth.tools.filter(tool => tool.state === 'open').map(tool => toolLabel(tool.tool)).join(', ')}
+                </Text>
+              </View>
+            )}
           </View>
         )}
       </TouchableOpacity>
@@ -164,6 +200,27 @@ const AIServiceStatus = ({ compact = false }) => {
         </Text>
       </View>
 
+      {serviceStatus.toolHealth && (
+        <View style={styles.toolHealth}>
+          <Text style={styles.groqTitle}>Data Sources:</Text>
+          {serviceStatus.toolHealth.tools.filter(tool => tool.calls > 0 || tool.state !== 'closed').length === 0 ? (
+            <Text style={styles.serviceDescription}>No tool calls yet this session</Text>
+          ) : (
+            serviceStatus.toolHealth.tools
+              .filter(tool => tool.calls > 0 || tool.state !== 'closed')
+              .map(tool => (
+                <View key={tool.tool} style={styles.serviceRow}>
+                  <View style={[styles.circuitDot, { backgroundColor: circuitColor(tool) }]} />
+                  <Text style={styles.serviceText}>
+                    {toolLabel(tool.tool)}: {circuitLabel(tool)}
+                    {tool.avgLatencyMs != null ? ` · ${(tool.avgLatencyMs / 1000).toFixed(1)}s` : ''}
+                  </Text>
+                </View>
+              ))
+          )}
+        </View>
+      )}
+
       {serviceStatus.availability.groq && (
         <View style={styles.groqInfo}>
           <Text style={styles.groqTitle}>Available Groq Models:</Text>
@@ -288,6 +345,17 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     lineHeight: 16,
   },
+  toolHealth: {
+    marginTop: 4,
+    padding: 12,
+    backgroundColor: 'rgba(248, 246, 240, 0.5)',
+    borderRadius: 8,
+  },
+  circuitDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
   groqInfo: {
     marginTop: 12,
     padding: 12,
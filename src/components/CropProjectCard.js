@@ -6,6 +6,7 @@ import { spacing, radius } from '../styles/layout';
 
 // Ordered growth stages
 const STAGES = ['planning','sowing','vegetative','flowering','fruiting','maturity','harvest','postharvest'];
+const EMPTY_WATCH_DRAFT = { high: '', low: '', risePct: '', dropPct: '' };
 
 /** Decide single primary badge (alerts > overdue > tasks > stage) */
 function getPrimaryBadge(project, t) {
@@ -22,6 +23,28 @@ function getPrimaryBadge(project, t) {
   return { type: 'stage', icon: 'leaf', color: colors.primary, text: project.cropDetails?.growthStage || t('stageLabel')||'stage' };
 }
 
+/** Root-zone bucket from the stored water balance ledger (null until tracking starts) */
+function getWaterBucket(project) {
+  const wb = project.workflows?.waterBalance;
+  const lastDay = wb?.days?.[wb.days.length - 1];
+  if (!lastDay?.tawMm) return null;
+  const available = Math.max(0, Math.min(1, 1 - wb.depletionMm / lastDay.tawMm));
+  return {
+    available,
+    rawMark: 1 - lastDay.rawMm / lastDay.tawMm, // below this fill level the crop starts to stress
+    depletionMm: wb.depletionMm,
+    next: wb.nextIrrigation,
+    lastEvent: wb.events?.[0] || null
+  };
+}
+
+/** Thermal-time prediction (null until a planting date and weather have been seen) */
+function getPhenology(project) {
+  const tt = project.workflows?.thermalTime;
+  if (!tt?.prediction) return null;
+  return { gdd: tt.gdd, ...tt.prediction };
+}
+
 function getCropEmoji(name) {
   const emojiMap = { rice:'🌾', wheat:'🌾', cotton:'🌿', sugarcane:'🎋', corn:'🌽', maize:'🌽', tomato:'🍅', potato:'🥔', onion:'🧅', soybean:'🫘', groundnut:'🥜' };
   return emojiMap[name?.toLowerCase()] || '🌱';
@@ -52,14 +75,26 @@ const CropProjectCard = memo(({
   onArchive,
   onUnarchive,
   onRequestDelete,
+  onAddPriceWatch,
+  onUpdatePriceWatch,
+  onRemovePriceWatch,
+  onLogIrrigation,
   t
 }) => {
   const [quickTask, setQuickTask] = useState('');
+  const [watchDraft, setWatchDraft] = useState(EMPTY_WATCH_DRAFT);
+  const [editingWatchId, setEditingWatchId] = useState(null);
+  const watchlist = project.workflows?.priceWatchlist || [];
+  const [irrigationNote, setIrrigationNote] = useState('');
+  const bucket = getWaterBucket(project);
   const primary = getPrimaryBadge(project, t);
   const tasks = project.workflows?.tasks || [];
   const stage = project.cropDetails?.growthStage || 'planning';
   const stageIdx = STAGES.indexOf(stage);
-  const nextStage = stageIdx >=0 && stageIdx < STAGES.length-1 ? STAGES[stageIdx+1] : null;
+  const phenology = getPhenology(project);
+  // Suggest the GDD-predicted stage when the crop is ahead of what was last set
+  const predictedAhead = phenology && phenology.confidence !== 'low' && STAGES.indexOf(phenology.stage) > stageIdx && stage !== 'postharvest';
+  const nextStage = predictedAhead ? phenology.stage : stageIdx >=0 && stageIdx < STAGES.length-1 ? STAGES[stageIdx+1] : null;
 
   const handleQuickAdd = useCallback(() => {
     if (quickTask.trim().length === 0) return;
@@ -67,6 +102,46 @@ const CropProjectCard = memo(({
     setQuickTask('');
   }, [quickTask, project, onQuickAddTask]);
 
+  const handleLogIrrigation = useCallback(() => {
+    if (irrigationNote.trim().length === 0) return;
+    onLogIrrigation(project, irrigationNote.trim());
+    setIrrigationNote('');
+  }, [irrigationNote, project, onLogIrrigation]);
+
+  const handleSaveWatch = useCallback(() => {
+    const { high, low, risePct, dropPct } = watchDraft;
+    if (!high && !low && !risePct && !dropPct) return;
+    const thresholds = { high, low, risePct, dropPct };
+    if (editingWatchId && onUpdatePriceWatch) {
+      onUpdatePriceWatch(project, editingWatchId, { thresholds });
+    } else {
+      onAddPriceWatch(project, { commodity: project.cropName, thresholds });
+    }
+    setWatchDraft(EMPTY_WATCH_DRAFT);
+    setEditingWatchId(null);
+  }, [watchDraft, editingWatchId, project, onAddPriceWatch, onUpdatePriceWatch]);
+
+  // Load a watch into the inputs; tapping the same watch again cancels the edit
+  const startEditWatch = useCallback((w) => {
+    if (editingWatchId === w.id) {
+      setWatchDraft(EMPTY_WATCH_DRAFT);
+      setEditingWatchId(null);
+      return;
+    }
+    const value = (k) => (w.thresholds?.[k] ? String(w.thresholds[k]) : '');
+    setWatchDraft({ high: value('high'), low: value('low'), risePct: value('risePct'), dropPct: value('dropPct') });
+    setEditingWatchId(w.id);
+  }, [editingWatchId]);
+
+  const describeWatch = (w) => {
+    const parts = [];
+    if (w.thresholds?.high) parts.push(`>₹${w.thresholds.high}`);
+    if (w.thresholds?.low) parts.push(`<₹${w.thresholds.low}`);
+    if (w.thresholds?.risePct) parts.push(`↑${w.thresholds.risePct}%`);
+    if (w.thresholds?.dropPct) parts.push(`↓${w.thresholds.dropPct}%`);
+    return parts.join(' • ');
+  };
+
   const dueStyle = (task) => {
     if (!task.dueDate || task.status==='completed') return null;
     const overdue = new Date(task.dueDate).getTime() < Date.now();
@@ -141,8 +216,8 @@ const CropProjectCard = memo(({
         </TouchableOpacity>
         {nextStage && (
           <TouchableOpacity style={styles.actBtn} onPress={()=> onAdvanceStage(project, nextStage)}>
-            <Ionicons name='trending-up' size={18} color={colors.primary} />
-            <Text style={styles.actLabel}>{`→ ${t(`stage_${nextStage}`) || nextStage}`}</Text>
+            <Ionicons name={predictedAhead ? 'thermometer' : 'trending-up'} size={18} color={colors.primary} />
+            <Text style={styles.actLabel}>{`→ ${t(`stage_${nextStage}`) || nextStage}${predictedAhead ? ` (${t('predictedLabel')||'predicted'})` : ''}`}</Text>
           </TouchableOpacity>
         )}
         <TouchableOpacity style={styles.actBtn} onPress={()=> onToggleExpand(project.id)}>
@@ -160,6 +235,16 @@ const CropProjectCard = memo(({
             <Text style={[styles.meta,{marginLeft:'auto'}]}>{formatRelativeDate(project.lastAccessed)}</Text>
           </View>
 
+          {/* Thermal time */}
+          {phenology && (
+            <Text style={styles.meta}>
+              {`${t('gddLabel')||'GDD'} ${phenology.gdd}`}
+              {phenology.nextPhase?.date ? ` • ${phenology.nextPhase.label} ~${phenology.nextPhase.date}` : ''}
+              {phenology.expectedHarvest ? ` • ${t('expectedHarvestLabel')||'Harvest'} ~${phenology.expectedHarvest}` : ''}
+              {phenology.confidence === 'low' ? ` (${t('roughEstimate')||'rough estimate'})` : ''}
+            </Text>
+          )}
+
           {/* Tasks */}
           <Text style={styles.sectionTitle}>{t('tasksLabel')||'Tasks'}</Text>
           {tasks.length===0 && <Text style={styles.emptyText}>{t('noTasksYet')||'No tasks yet'}</Text>}
@@ -187,6 +272,101 @@ const CropProjectCard = memo(({
             </TouchableOpacity>
           </View>
 
+          {/* Water Balance */}
+          {onLogIrrigation && (
+            <>
+              <Text style={[styles.sectionTitle,{marginTop: spacing.sm}]}>{t('soilWaterLabel')||'Soil water'}</Text>
+              {bucket ? (
+                <>
+                  <View style={styles.bucketTrack}>
+                    <View style={[styles.bucketFill,{width: `${Math.round(bucket.available*100)}%`, backgroundColor: bucket.available < bucket.rawMark ? colors.warning || colors.danger : colors.info || colors.primary}]} />
+                    <View style={[styles.bucketMark,{left: `${Math.round(bucket.rawMark*100)}%`}]} />
+                  </View>
+                  <Text style={styles.meta}>
+                    {Math.round(bucket.available*100)}% • {bucket.next
+                      ? (bucket.next.inDays === 0 ? (t('irrigateNow')||'Irrigate now') : `${t('nextIrrigation')||'Next irrigation'} ${bucket.next.date}`)
+                      : (t('noIrrigationSoon')||'No irrigation needed soon')}
+                    {bucket.lastEvent ? ` • ${t('lastIrrigation')||'Last'}: ${bucket.lastEvent.date} ${bucket.lastEvent.grossMm}mm ${bucket.lastEvent.method}` : ''}
+                  </Text>
+                </>
+              ) : (
+                <Text style={styles.emptyText}>{t('noWaterBalance')||'Log an irrigation to start tracking'}</Text>
+              )}
+              <View style={styles.quickAddRow}>
+                <TextInput
+                  style={styles.quickInput}
+                  placeholder={t('logIrrigationHint')||'e.g. irrigated 2 hours by drip'}
+                  value={irrigationNote}
+                  onChangeText={setIrrigationNote}
+                  onSubmitEditing={handleLogIrrigation}
+                  returnKeyType='done'
+                />
+                <TouchableOpacity style={styles.quickBtn} onPress={handleLogIrrigation}>
+                  <Ionicons name='water' size={16} color='#fff' />
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
+          {/* Price Watch */}
+          {onAddPriceWatch && (
+            <>
+              <Text style={[styles.sectionTitle,{marginTop: spacing.sm}]}>{t('priceWatchLabel')||'Price watch'} (₹/q)</Text>
+              {watchlist.length===0 && <Text style={styles.emptyText}>{t('noPriceWatch')||'No price alerts set'}</Text>}
+              {watchlist.map(w => (
+                <View key={w.id} style={[styles.taskRow, editingWatchId===w.id && styles.watchEditing]}>
+                  <Ionicons name='pricetag' size={14} color={colors.primary} />
+                  <Text style={styles.taskLabel} numberOfLines={1}>
+                    {w.commodity}: {describeWatch(w)}{w.lastPrice ? ` • now ₹${w.lastPrice}` : ''}
+                  </Text>
+                  {onUpdatePriceWatch && (
+                    <TouchableOpacity onPress={()=> startEditWatch(w)} style={styles.watchAction}>
+                      <Ionicons name={editingWatchId===w.id ? 'close' : 'create-outline'} size={16} color={colors.textSecondary} />
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity onPress={()=> onRemovePriceWatch(project, w)}>
+                    <Ionicons name='close-circle' size={16} color={colors.textSecondary} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              <View style={styles.quickAddRow}>
+                <TextInput
+                  style={[styles.quickInput, styles.watchInput]}
+                  placeholder={t('priceAbove')||'Above ₹'}
+                  keyboardType='numeric'
+                  value={watchDraft.high}
+                  onChangeText={(v)=> setWatchDraft(d => ({ ...d, high: v }))}
+                />
+                <TextInput
+                  style={styles.quickInput}
+                  placeholder={t('priceBelow')||'Below ₹'}
+                  keyboardType='numeric'
+                  value={watchDraft.low}
+                  onChangeText={(v)=> setWatchDraft(d => ({ ...d, low: v }))}
+                />
+              </View>
+              <View style={styles.quickAddRow}>
+                <TextInput
+                  style={[styles.quickInput, styles.watchInput]}
+                  placeholder={t('priceRisePct')||'Rise %'}
+                  keyboardType='numeric'
+                  value={watchDraft.risePct}
+                  onChangeText={(v)=> setWatchDraft(d => ({ ...d, risePct: v }))}
+                />
+                <TextInput
+                  style={styles.quickInput}
+                  placeholder={t('priceDropPct')||'Drop %'}
+                  keyboardType='numeric'
+                  value={watchDraft.dropPct}
+                  onChangeText={(v)=> setWatchDraft(d => ({ ...d, dropPct: v }))}
+                />
+                <TouchableOpacity style={styles.quickBtn} onPress={handleSaveWatch}>
+                  <Ionicons name={editingWatchId ? 'checkmark' : 'notifications'} size={16} color='#fff' />
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
           {/* Secondary Actions */}
           <View style={styles.secondaryRow}>
             <TouchableOpacity onPress={()=> onChangeStage(project)} style={styles.secondaryBtn}><Text style={styles.secondaryText}>{t('updateGrowthStage')||'Update Growth Stage'}</Text></TouchableOpacity>
@@ -232,6 +412,12 @@ const styles = StyleSheet.create({
   moreText:{textAlign:'right', fontSize:10, color: colors.textSecondary, marginTop:2},
   quickAddRow:{flexDirection:'row', alignItems:'center', marginTop: spacing.xs},
   quickInput:{flex:1, backgroundColor:'#fff', borderRadius:8, borderWidth:1, borderColor:'rgba(45,106,79,0.15)', paddingHorizontal:10, paddingVertical:6, fontSize:11},
+  watchInput:{marginRight:6},
+  watchAction:{marginRight:6},
+  watchEditing:{backgroundColor:'rgba(45,106,79,0.08)', borderRadius:6},
+  bucketTrack:{height:10, borderRadius:5, backgroundColor:'rgba(45,106,79,0.12)', overflow:'hidden', marginBottom:4},
+  bucketFill:{height:'100%', borderRadius:5},
+  bucketMark:{position:'absolute', top:0, bottom:0, width:2, backgroundColor: colors.textSecondary},
   quickBtn:{marginLeft:8, backgroundColor: colors.primary, padding:10, borderRadius:10},
   secondaryRow:{marginTop:12, flexDirection:'row', flexWrap:'wrap', gap:8},
   secondaryBtn:{backgroundColor:'rgba(45,106,79,0.12)', paddingHorizontal:12, paddingVertical:8, borderRadius:10},
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../styles/colors';
+
+// Package-of-practices passages behind the [KB#] labels in an answer, from search_knowledge_base
+const KnowledgeSourcesCard = ({ sources }) => {
+  const [openCitation, setOpenCitation] = useState(null);
+  if (!sources?.length) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="book" size={16} color={colors.primary} />
+        <Text style={styles.title}>Sources</Text>
+      </View>
+
+      {sources.map(s => {
+        const open = openCitation === s.citation;
+        return (
+          <TouchableOpacity
+            key={s.citation}
+            style={styles.row}
+            onPress={() => setOpenCitation(open ? null : s.citation)}
+            activeOpacity={0.7}
+          >
+            <View style={styles.rowHeader}>
+              <Text style={styles.label}>{s.citation}</Text>
+              <View style={styles.info}>
+                <Text style={styles.heading}>{s.title} · {s.heading}</Text>
+                <Text style={styles.meta}>{s.source} · v{s.version}</Text>
+              </View>
+              <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={14} color={colors.textSecondary} />
+            </View>
+            {open && <Text style={styles.passage}>{s.text}</Text>}
+          </TouchableOpacity>
+        );
+      })}
+      <Text style={styles.disclaimer}>General recommendations; check doses with your local agriculture officer.</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 4,
+    marginBottom: 8,
+    marginHorizontal: 16,
+    borderWidth: 1,
+    borderColor: '#F3F4F6',
+    shadowColor: '#000000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  row: {
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    marginBottom: 4,
+    backgroundColor: colors.backgroundSecondary,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: colors.primary,
+    width: 34,
+  },
+  info: {
+    flex: 1,
+    marginRight: 6,
+  },
+  heading: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  meta: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  passage: {
+    fontSize: 12,
+    lineHeight: 18,
+    color: colors.textPrimary,
+    marginTop: 6,
+  },
+  disclaimer: {
+    fontSize: 11,
+    color: colors.textLight,
+    marginTop: 4,
+  },
+});
+
+export default KnowledgeSourcesCard;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../styles/colors';
+
+// Ranked mandis by take-home (price - commission - transport), from compare_market_realization
+const MarketComparisonCard = ({ comparison, maxRows = 5 }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (!comparison?.ranking?.length) return null;
+
+  const { ranking, assumptions, quantityQuintals, commodity, priceDate, gainOverNearest, nearest, best } = comparison;
+  const rows = expanded ? ranking : ranking.slice(0, maxRows);
+  const formatRs = (n) => `₹${Math.round(n).toLocaleString('en-IN')}`;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="storefront" size={16} color={colors.primary} />
+        <Text style={styles.title}>Where to sell {quantityQuintals} q {commodity}</Text>
+      </View>
+      <Text style={styles.subtitle}>
+        Transport ₹{assumptions.transportRatePerKm}/km • Commission {assumptions.commissionPct}% • Prices {priceDate || 'latest'}
+      </Text>
+
+      {rows.map((r, idx) => (
+        <View key={`${r.market}-${r.state}`} style={[styles.row, idx === 0 && styles.rowBest]}>
+          <View style={styles.rank}>
+            <Text style={[styles.rankText, idx === 0 && styles.rankTextBest]}>{idx + 1}</Text>
+          </View>
+          <View style={styles.marketInfo}>
+            <Text style={styles.marketName}>{r.market}</Text>
+            <Text style={styles.marketMeta}>
+              {r.distanceKm} km • modal {formatRs(r.modal)}/q • transport {formatRs(r.transportCost)}
+            </Text>
+          </View>
+          <View style={styles.net}>
+            <Text style={[styles.netTotal, idx === 0 && styles.netTotalBest]}>{formatRs(r.netTotal)}</Text>
+            <Text style={styles.netPerQuintal}>{formatRs(r.netPerQuintal)}/q</Text>
+          </View>
+        </View>
+      ))}
+
+      {ranking.length > maxRows && (
+        <TouchableOpacity style={styles.toggle} onPress={() => setExpanded(e => !e)}>
+          <Text style={styles.toggleText}>{expanded ? 'Show less' : `Show all ${ranking.length} markets`}</Text>
+          <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={14} color={colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+
+      {best && nearest && best.market !== nearest.market && gainOverNearest > 0 && (
+        <Text style={styles.footnote}>
+          {best.market} earns {formatRs(gainOverNearest)} more than the nearest market ({nearest.market}).
+        </Text>
+      )}
+      <Text style={styles.disclaimer}>Distances are estimated; check the day's rate before loading.</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 4,
+    marginBottom: 8,
+    marginHorizontal: 16,
+    borderWidth: 1,
+    borderColor: '#F3F4F6',
+    shadowColor: '#000000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+    marginLeft: 6,
+  },
+  subtitle: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    marginBottom: 4,
+  },
+  rowBest: {
+    backgroundColor: 'rgba(87, 204, 153, 0.1)',
+  },
+  rank: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: colors.backgroundSecondary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+  },
+  rankText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  rankTextBest: {
+    color: colors.success,
+  },
+  marketInfo: {
+    flex: 1,
+  },
+  marketName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  marketMeta: {
+    fontSize: 11,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  net: {
+    alignItems: 'flex-end',
+    marginLeft: 8,
+  },
+  netTotal: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  netTotalBest: {
+    color: colors.success,
+  },
+  netPerQuintal: {
+    fontSize: 11,
+    color: colors.textSecondary,
+  },
+  toggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 6,
+  },
+  toggleText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginRight: 4,
+  },
+  footnote: {
+    fontSize: 12,
+    color: colors.textPrimary,
+    marginTop: 6,
+  },
+  disclaimer: {
+    fontSize: 11,
+    color: colors.textLight,
+    marginTop: 4,
+  },
+});
+
+export default MarketComparisonCard;
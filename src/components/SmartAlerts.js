@@ -60,7 +60,9 @@ const SmartAlerts = () => {
             message: a.message,
             aiSummary: a.aiSummary,
             createdAt: a.createdAt,
-            key: a.key
+            key: a.key,
+            forecastDate: a.forecastDate,
+            actions: a.actions
           });
         });
       });
@@ -100,6 +102,14 @@ const SmartAlerts = () => {
       case 'rain_excess': return 'rainy';
       case 'wind_risk': return 'flag';
       case 'sowing_window': return 'calendar';
+      case 'price_high': return 'trending-up';
+      case 'price_low': return 'trending-down';
+      case 'irrigation_due': return 'water-outline';
+      case 'stage_change': return 'leaf-outline';
+      case 'heatwave': return 'sunny';
+      case 'frost': return 'snow';
+      case 'cold_wave': return 'thermometer-outline';
+      case 'temp_drop': return 'trending-down';
       default: return 'information-circle';
     }
   };
@@ -123,6 +133,14 @@ const SmartAlerts = () => {
       case 'rain_excess': return 'Heavy Rain';
       case 'wind_risk': return 'Wind Risk';
       case 'sowing_window': return 'Sowing Window';
+      case 'price_high': return 'Price Up';
+      case 'price_low': return 'Price Down';
+      case 'irrigation_due': return 'Irrigation Due';
+      case 'stage_change': return 'Stage Change';
+      case 'heatwave': return 'Heatwave';
+      case 'frost': return 'Frost Risk';
+      case 'cold_wave': return 'Cold Wave';
+      case 'temp_drop': return 'Temperature Drop';
       default: return ''; // no generic placeholder fallback
     }
   };
@@ -193,8 +211,17 @@ const SmartAlerts = () => {
             {!alert.aiSummary && (
               <Text style={styles.alertMessage}>{alert.message}</Text>
             )}
+            {alert.actions?.length ? (
+              <View style={styles.actionsList}>
+                {alert.actions.slice(0,2).map(action => (
+                  <Text key={action} style={styles.actionText}>• {action}</Text>
+                ))}
+              </View>
+            ) : null}
             <Text style={styles.alertTime}>
-              {new Date(alert.createdAt).toLocaleString()}
+              {alert.forecastDate
+                ? `${t('forecastForLabel')||'For'} ${new Date(`${alert.forecastDate}T00:00:00`).toLocaleDateString()}`
+                : new Date(alert.createdAt).toLocaleString()}
             </Text>
           </View>
         ))}
@@ -219,6 +246,8 @@ const styles = StyleSheet.create({
   aiSummary: { fontSize: 12, fontWeight: '500', color: colors.textPrimary, marginBottom: spacing.xs, lineHeight: 16 },
   aiSummaryFallback: { fontSize: 12, fontWeight: '500', color: colors.textSecondary, marginBottom: spacing.xs, lineHeight: 16 },
   alertMessage: { fontSize: 12, color: colors.textSecondary, lineHeight: 18, marginBottom: spacing.sm },
+  actionsList: { marginBottom: spacing.sm },
+  actionText: { fontSize: 11, color: colors.textPrimary, lineHeight: 16 },
   alertTime: { fontSize: 10, color: colors.textLight },
 });
 
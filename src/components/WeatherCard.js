@@ -5,6 +5,7 @@ import { colors } from '../styles/colors';
 import { useAuth } from '../context/AuthContext';
 import { useTranslation } from '../localization/translations';
 import WeatherToolsService from '../services/WeatherToolsService';
+import GazetteerService from '../services/GazetteerService';
 
 const WeatherCard = () => {
   const { user } = useAuth();
@@ -14,6 +15,7 @@ const WeatherCard = () => {
   const [error, setError] = useState(null);
   const [aiAdvice, setAiAdvice] = useState(null);
   const [loadingAdvice, setLoadingAdvice] = useState(false);
+  const [sprayPlan, setSprayPlan] = useState(null);
 
   useEffect(() => {
     fetchWeatherData();
@@ -54,6 +56,9 @@ const WeatherCard = () => {
       };
 
       setWeather(weatherData);
+      // Served from the weather cache populated above
+      const spray = await WeatherToolsService.getSprayWindows(coords.latitude, coords.longitude);
+      setSprayPlan(spray.success ? spray : null);
       await getWeatherBasedAdvice(weatherData);
       setLoading(false);
     } catch (err) {
@@ -82,8 +87,11 @@ const WeatherCard = () => {
         );
         
         if (advice.success) {
+          const rec = advice.recommendation;
           setAiAdvice({
-            analysis: advice.recommendation.message,
+            analysis: rec.waterAmount > 0
+              ? `${rec.message} ~${rec.waterAmount} mm (${rec.litresPerAcre.toLocaleString('en-IN')} L/acre), ${advice.data.kcStage} stage Kc ${advice.data.kc}.`
+              : rec.message,
             source: 'weather-tools-service',
             data: advice.data
           });
@@ -91,8 +99,13 @@ const WeatherCard = () => {
           throw new Error(advice.error);
         }
       } else {
-        // If no coordinates, get weather alerts based on location
-        const alerts = await WeatherToolsService.getFarmingAlerts(28.6139, 77.2090, user?.crops || []);
+        // If no coordinates, get weather alerts for the profile location (never a default city)
+        const place = await GazetteerService.resolve(user?.location);
+        if (!place.resolved) {
+          setAiAdvice(null);
+          return;
+        }
+        const alerts = await WeatherToolsService.getFarmingAlerts(place.lat, place.lon, user?.crops || []);
         if (alerts.success) {
           setAiAdvice({
             analysis: alerts.summary,
@@ -199,6 +212,29 @@ const WeatherCard = () => {
         </View>
       </View>
 
+      {/* Spray Windows (next 48 h) */}
+      {sprayPlan && (
+        <View style={styles.spraySection}>
+          <View style={styles.sprayHeader}>
+            <Ionicons name="color-fill" size={16} color={colors.primary} />
+            <Text style={styles.sprayTitle}>{t('sprayWindowsLabel') || 'Spray windows'}</Text>
+          </View>
+          {sprayPlan.windows.length === 0 ? (
+            <Text style={styles.sprayNone}>{sprayPlan.summary}</Text>
+          ) : (
+            sprayPlan.windows.slice(0, 3).map(w => (
+              <View key={w.start} style={styles.sprayRow}>
+                <View style={[styles.sprayDot, { backgroundColor: w.rating === 'good' ? colors.success : colors.warning }]} />
+                <Text style={styles.sprayLabel}>{w.label}</Text>
+                <Text style={styles.sprayMeta}>
+                  {`${Math.round(w.wind * 3.6)} km/h • ΔT ${w.deltaT}`}
+                </Text>
+              </View>
+            ))
+          )}
+        </View>
+      )}
+
       {/* AI-Powered Farming Advice */}
       <View style={styles.farmingTip}>
   <Ionicons name={aiAdvice?.source === 'groq-weather-agent' ? 'hardware-chip' : 'bulb'} size={16} color={colors.warning} />
@@ -340,6 +376,44 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
     marginTop: 2,
   },
+  spraySection: {
+    marginBottom: 12,
+  },
+  sprayHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  sprayTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginLeft: 6,
+  },
+  sprayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  sprayDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  sprayLabel: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.textPrimary,
+  },
+  sprayMeta: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  sprayNone: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
   farmingTip: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -15,6 +15,14 @@ class EnvironmentConfig {
       || null;
   }
 
+  // Weather providers in failover order: openweather (needs key), openmeteo (keyless), stub (bundled fixture)
+  static getWeatherProviderOrder() {
+    const raw = (typeof process !== 'undefined' ? (process.env?.WEATHER_PROVIDERS || process.env?.EXPO_PUBLIC_WEATHER_PROVIDERS) : null)
+      || __extra.WEATHER_PROVIDERS
+      || 'openweather,openmeteo';
+    return String(raw).split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+  }
+
   // Sarvam AI API Configuration
   static getSarvamApiKey() {
   // Excluded from .env usage by request – always return null unless provided via extra
@@ -49,21 +57,41 @@ class EnvironmentConfig {
       || null;
   }
 
+  // Agmarknet scraper server (agmarknet-scraper-server.js) base URL
+  static getAgmarknetScraperUrl() {
+    return (typeof process !== 'undefined' ? (process.env?.AGMARKNET_SCRAPER_URL || process.env?.EXPO_PUBLIC_AGMARKNET_SCRAPER_URL) : null)
+      || __extra.AGMARKNET_SCRAPER_URL
+      || 'http://localhost:3001';
+  }
+
   // Groq Configuration
   static getGroqConfig() {
     return {
       baseUrl: 'https://api.groq.com/openai/v1',
-      defaultModel: 'openai/gpt-oss-120b' // Primary model for complex queries
+      defaultModel: 'openai/gpt-oss-120b', // Primary model for complex queries
+      lightweightModel: 'llama-3.1-8b-instant'
     };
   }
 
-  // Local on-prem model configuration (deprecated - using Groq cloud by default)
+  // LLM providers in failover order: groq (needs key), local (OpenAI-compatible server), mock (deterministic)
+  static getLLMProviderOrder() {
+    const raw = (typeof process !== 'undefined' ? (process.env?.LLM_PROVIDERS || process.env?.EXPO_PUBLIC_LLM_PROVIDERS) : null)
+      || __extra.LLM_PROVIDERS
+      || 'groq,local';
+    return String(raw).split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+  }
+
+  // Local OpenAI-compatible model server (llama.cpp server, Ollama, LM Studio); disabled without a URL
   static getLocalModelConfig() {
+    const env = typeof process !== 'undefined' ? process.env || {} : {};
+    const defaultModel = env.LOCAL_LLM_MODEL || env.EXPO_PUBLIC_LOCAL_LLM_MODEL || __extra.LOCAL_LLM_MODEL || null;
     return {
-      baseUrl: null,
-      defaultModel: null,
-      deprecated: true,
-      note: 'Local on-prem models disabled; using Groq cloud models (openai/gpt-oss-120b)'
+      baseUrl: env.LOCAL_LLM_URL || env.EXPO_PUBLIC_LOCAL_LLM_URL || __extra.LOCAL_LLM_URL || null,
+      apiKey: env.LOCAL_LLM_API_KEY || env.EXPO_PUBLIC_LOCAL_LLM_API_KEY || __extra.LOCAL_LLM_API_KEY || null,
+      defaultModel,
+      lightweightModel: env.LOCAL_LLM_LIGHT_MODEL || env.EXPO_PUBLIC_LOCAL_LLM_LIGHT_MODEL || __extra.LOCAL_LLM_LIGHT_MODEL || defaultModel,
+      contextWindow: Number(env.LOCAL_LLM_CONTEXT || env.EXPO_PUBLIC_LOCAL_LLM_CONTEXT || __extra.LOCAL_LLM_CONTEXT) || null, // tokens; prompt budget defaults to 8192
+      supportsTools: String(env.LOCAL_LLM_TOOLS || env.EXPO_PUBLIC_LOCAL_LLM_TOOLS || __extra.LOCAL_LLM_TOOLS || '').toLowerCase() === 'true'
     };
   }
 
@@ -74,9 +102,15 @@ class EnvironmentConfig {
     const check = (label, key) => {
       if (!key || key.length < 10) issues.push(`${label} missing`);
     };
-    check('OpenWeather API key', this.getOpenWeatherApiKey());
+    // OpenWeather is optional once a keyless provider is in the failover order
+    if (!this.getWeatherProviderOrder().some(p => p === 'openmeteo' || p === 'stub')) {
+      check('OpenWeather API key', this.getOpenWeatherApiKey());
+    }
     check('Sarvam AI API key', this.getSarvamApiKey());
-    check('Groq API key', this.getGroqApiKey());
+    // Groq is optional when a local or mock LLM provider is in the failover order
+    if (!this.getLLMProviderOrder().some(p => p === 'mock' || (p === 'local' && this.getLocalModelConfig().baseUrl))) {
+      check('Groq API key', this.getGroqApiKey());
+    }
     check('News API key', this.getNewsApiKey());
 
     return {
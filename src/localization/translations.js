@@ -28,6 +28,31 @@ export const translations = {
     lessLabel: 'Less',
     noTasksYet: 'No tasks yet',
     addFirstTask: 'Add your first task',
+    soilTypeLabel: 'Soil type',
+    soil_sandy: 'Sandy',
+    soil_loam: 'Loam',
+    soil_clay: 'Clay',
+    soil_black_cotton: 'Black cotton',
+    soilWaterLabel: 'Soil water',
+    irrigateNow: 'Irrigate now',
+    nextIrrigation: 'Next irrigation',
+    noIrrigationSoon: 'No irrigation needed soon',
+    lastIrrigation: 'Last',
+    noWaterBalance: 'Log an irrigation to start tracking',
+    predictedLabel: 'predicted',
+    gddLabel: 'GDD',
+    roughEstimate: 'rough estimate',
+    plantingDateFormat: 'Use YYYY-MM-DD for the planting date',
+    sprayWindowsLabel: 'Spray windows',
+    forecastForLabel: 'For',
+    logIrrigationHint: 'e.g. irrigated 2 hours by drip',
+    irrigationLogHelp: 'Say how long or how much, e.g. "2 hours drip" or "40 mm flood"',
+    priceWatchLabel: 'Price watch',
+    noPriceWatch: 'No price alerts set',
+    priceAbove: 'Above ₹',
+    priceBelow: 'Below ₹',
+    priceRisePct: 'Rise %',
+    priceDropPct: 'Drop %',
     updateGrowthStage: 'Update Growth Stage',
     overdueShort: 'Overdue',
     lastUpdated: 'Last update',
@@ -309,6 +334,31 @@ export const translations = {
     lessLabel: 'कम',
     noTasksYet: 'कोई कार्य नहीं',
     addFirstTask: 'पहला कार्य जोड़ें',
+    soilTypeLabel: 'मिट्टी का प्रकार',
+    soil_sandy: 'रेतीली',
+    soil_loam: 'दोमट',
+    soil_clay: 'चिकनी',
+    soil_black_cotton: 'काली मिट्टी',
+    soilWaterLabel: 'मिट्टी की नमी',
+    irrigateNow: 'अभी सिंचाई करें',
+    nextIrrigation: 'अगली सिंचाई',
+    noIrrigationSoon: 'जल्द सिंचाई की ज़रूरत नहीं',
+    lastIrrigation: 'पिछली',
+    noWaterBalance: 'ट्रैकिंग शुरू करने के लिए सिंचाई दर्ज करें',
+    predictedLabel: 'अनुमानित',
+    gddLabel: 'GDD',
+    roughEstimate: 'मोटा अनुमान',
+    plantingDateFormat: 'रोपण तिथि YYYY-MM-DD में लिखें',
+    sprayWindowsLabel: 'छिड़काव का समय',
+    forecastForLabel: 'तारीख',
+    logIrrigationHint: 'जैसे: 2 घंटे ड्रिप से सिंचाई',
+    irrigationLogHelp: 'कितनी देर या कितना पानी दिया बताएं, जैसे "2 hours drip" या "40 mm flood"',
+    priceWatchLabel: 'भाव निगरानी',
+    noPriceWatch: 'कोई भाव अलर्ट नहीं',
+    priceAbove: '₹ से ऊपर',
+    priceBelow: '₹ से नीचे',
+    priceRisePct: 'बढ़त %',
+    priceDropPct: 'गिरावट %',
     updateGrowthStage: 'विकास चरण अपडेट करें',
     overdueShort: 'विलंबित',
     lastUpdated: 'अंतिम अपडेट',
@@ -590,6 +640,31 @@ export const translations = {
     lessLabel: 'తక్కువ',
     noTasksYet: 'ఇంకా పనిలేవు',
     addFirstTask: 'మొదటి పనిని జోడించండి',
+    soilTypeLabel: 'నేల రకం',
+    soil_sandy: 'ఇసుక',
+    soil_loam: 'లోమ్',
+    soil_clay: 'బంక',
+    soil_black_cotton: 'నల్ల రేగడి',
+    soilWaterLabel: 'నేల తేమ',
+    irrigateNow: 'ఇప్పుడే నీరు పెట్టండి',
+    nextIrrigation: 'తదుపరి నీటి తడి',
+    noIrrigationSoon: 'త్వరలో నీరు అవసరం లేదు',
+    lastIrrigation: 'గత',
+    noWaterBalance: 'ట్రాకింగ్ ప్రారంభించడానికి నీటి తడిని నమోదు చేయండి',
+    predictedLabel: 'అంచనా',
+    gddLabel: 'GDD',
+    roughEstimate: 'సుమారు అంచనా',
+    plantingDateFormat: 'నాటిన తేదీని YYYY-MM-DD రూపంలో ఇవ్వండి',
+    sprayWindowsLabel: 'పిచికారీ సమయాలు',
+    forecastForLabel: 'తేదీ',
+    logIrrigationHint: 'ఉదా: డ్రిప్‌తో 2 గంటలు',
+    irrigationLogHelp: 'ఎంతసేపు లేదా ఎంత నీరు ఇచ్చారో చెప్పండి, ఉదా "2 hours drip" లేదా "40 mm flood"',
+    priceWatchLabel: 'ధర పర్యవేక్షణ',
+    noPriceWatch: 'ధర హెచ్చరికలు లేవు',
+    priceAbove: '₹ పైన',
+    priceBelow: '₹ కింద',
+    priceRisePct: 'పెరుగుదల %',
+    priceDropPct: 'తగ్గుదల %',
     updateGrowthStage: 'వృద్ధి దశను మార్చండి',
     overdueShort: 'వేళలాపోయింది',
   // Added project management new keys analogous to English/Hindi
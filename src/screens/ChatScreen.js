@@ -21,6 +21,8 @@ import { useChat } from '../context/ChatContext';
 import { useAuth } from '../context/AuthContext';
 import ChatBubble from '../components/ChatBubble';
 import AIResponseCard from '../components/AIResponseCard';
+import MarketComparisonCard from '../components/MarketComparisonCard';
+import KnowledgeSourcesCard from '../components/KnowledgeSourcesCard';
 import ChatInput from '../components/ChatInput';
 import TypingIndicator from '../components/TypingIndicator';
 // LiveReasoningDisplay no longer shown separately; inline reasoning row used
@@ -36,12 +38,22 @@ const { height: screenHeight } = Dimensions.get('window');
 // Create instance of HybridAIService
 const hybridAIService = new HybridAIService();
 
+// Every exchange of the chat (oldest first) as chat messages; the prompt builder keeps the newest that fit its token budget
+const buildConversationHistory = (conversations) => conversations
+    .filter(m => !m.isUser && m.question && m.answer)
+    .reverse()
+    .flatMap(m => [
+        { role: 'user', content: m.question },
+        { role: 'assistant', content: m.originalEnglish || m.answer }
+    ]);
+
 const ChatScreen = ({ route }) => {
     const insets = useSafeAreaInsets();
     const { user } = useAuth();
     const navigation = useNavigation();
     const { conversations, addMessage, clearConversations } = useChat();
     const [isTyping, setIsTyping] = useState(false);
+    const [streamingReply, setStreamingReply] = useState(null); // {question, answer} while the answer streams in
     const [agentStatus, setAgentStatus] = useState({ isActive: false, agent: '', message: '' });
     const [inlineReasoningVisible, setInlineReasoningVisible] = useState(false);
     const [inlineReasoningSteps, setInlineReasoningSteps] = useState([]);
@@ -85,6 +97,13 @@ const ChatScreen = ({ route }) => {
         }
     }, [conversations.length]);
 
+    useEffect(() => {
+        // Keep the streaming answer in view as it grows
+        if (streamingReply) {
+            scrollViewRef.current?.scrollToEnd({ animated: false });
+        }
+    }, [streamingReply?.answer]);
+
     // Load crops for switcher
     useEffect(() => {
         (async () => {
@@ -149,18 +168,6 @@ const ChatScreen = ({ route }) => {
         try {
             // Get AI response using Hybrid workflow: Groq Chat + Sarvam Translation
             const userLanguage = SarvamAIService.LANGUAGES[user?.language] || 'en-IN';
-                        // Conversation summary (lightweight memory) - last 2 exchanges to prevent context bleeding
-                        const recentPairs = conversations.slice(0, 2) // reduced from 4 to prevent bleeding
-                            .filter(m => m.type === 'text')
-                            .slice(0, 2) // reduced from 4 to prevent bleeding
-                            .reverse();
-                        let convoSummary = '';
-                        if (recentPairs.length) {
-                            convoSummary = recentPairs
-                                .map(m => (m.isUser ? 'Farmer: ' : 'AI: ') + (m.question || m.answer || '').slice(0,80)) // reduced from 200 to 80
-                                .join('\n');
-                        }
-
                         const userContext = {
                                 userId: user?.id,
                                 crops: user?.crops || [],
@@ -169,8 +176,13 @@ const ChatScreen = ({ route }) => {
                                 onReasoningStep: onReasoningStep, // Pass reasoning callback
                                 coordinates: userCoordinates ? { latitude: userCoordinates.latitude, longitude: userCoordinates.longitude } : undefined,
                                 location: user?.location, // string for geocoding
-                                conversationSummary: convoSummary,
-                                activeProjectId: activeProjectId // Pass project context
+                                conversationHistory: buildConversationHistory(conversations),
+                                activeProjectId: activeProjectId, // Pass project context
+                                // Safety-checked text so far; replaces the typing indicator until the final answer is stored
+                                onPartialAnswer: (text) => {
+                                    setIsTyping(false);
+                                    setStreamingReply({ question: message, answer: text });
+                                }
                         };
             
             const result = await hybridAIService.getFarmingAdvice(
@@ -181,6 +193,7 @@ const ChatScreen = ({ route }) => {
             );
 
             setIsTyping(false);
+            setStreamingReply(null);
             setAgentStatus({ isActive: false, agent: '', message: '' });
             setInlineReasoningVisible(false); // Hide inline indicator once answer is appended
                 setActiveReasoningMessageId(null);
@@ -202,6 +215,8 @@ const ChatScreen = ({ route }) => {
                     translationMeta: result.translationMeta,
                     reasoningSteps: reasoningSteps, // Include reasoning chain
                     toolsUsed: result.toolsUsed || [],
+                    marketComparison: result.marketComparison || null,
+                    knowledgeSources: result.knowledgeSources || [],
                     model: result.model
                 });
 
@@ -209,6 +224,7 @@ const ChatScreen = ({ route }) => {
             }
         } catch (error) {
             setIsTyping(false);
+            setStreamingReply(null);
             setInlineReasoningVisible(false);
                 setActiveReasoningMessageId(null);
             setAgentStatus({ isActive: false, agent: '', message: '' });
@@ -252,7 +268,7 @@ const ChatScreen = ({ route }) => {
                 onReasoningStep: onReasoningStep, // Pass reasoning callback
                 coordinates: userCoordinates ? { latitude: userCoordinates.latitude, longitude: userCoordinates.longitude } : undefined,
                 location: user?.location,
-                conversationSummary: conversations.slice(0,3).reverse().map(m => (m.isUser? 'Farmer: ':'AI: ')+(m.question || m.answer || '').slice(0,200)).join('\n')
+                conversationHistory: buildConversationHistory(conversations)
             };
 
             const response = await hybridAIService.processVoiceQuery(
@@ -366,6 +382,12 @@ const ChatScreen = ({ route }) => {
                         }}
                     />
                 )}
+                {!item.isUser && item.marketComparison && (
+                    <MarketComparisonCard comparison={item.marketComparison} />
+                )}
+                {!item.isUser && item.knowledgeSources?.length > 0 && (
+                    <KnowledgeSourcesCard sources={item.knowledgeSources} />
+                )}
             </View>
         );
     };
@@ -381,6 +403,9 @@ const ChatScreen = ({ route }) => {
     );
 
     const renderFooter = () => {
+        if (streamingReply) {
+            return <AIResponseCard response={streamingReply} isStreaming={true} />;
+        }
         if (isTyping) {
             return <TypingIndicator isVisible={true} />;
         }
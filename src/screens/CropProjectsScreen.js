@@ -6,6 +6,7 @@ import CropProjectCard from '../components/CropProjectCard';
 import { useTranslation } from '../localization/translations';
 import FarmerCropProjectsService from '../services/FarmerCropProjectsService';
 import NextActionService from '../services/NextActionService';
+import SoilWaterBalanceService from '../services/SoilWaterBalanceService';
 
 // FlatList based layout now; width handled inside card
 
@@ -27,6 +28,8 @@ const CropProjectsScreen = ({ user, navigation }) => {
     displayName: '',
     variety: '',
     area: '',
+    plantingDate: '',
+    soilType: 'loam',
     season: 'Kharif',
     notes: ''
   });
@@ -64,9 +67,18 @@ const CropProjectsScreen = ({ user, navigation }) => {
       return;
     }
 
+    const plantingDate = newProject.plantingDate.trim();
+    if (plantingDate && !/^\d{4}-\d{2}-\d{2}$/.test(plantingDate)) {
+      Alert.alert(t('error'), t('plantingDateFormat')||'Use YYYY-MM-DD for the planting date');
+      return;
+    }
+
     try {
       const projectData = {
         ...newProject,
+        plantingDate,
+        // A sown crop starts in the sowing stage; growing degree days take it from there
+        ...(plantingDate ? { growthStage: 'sowing' } : {}),
         area: parseFloat(newProject.area) || 0,
         displayName: newProject.displayName || newProject.cropName
       };
@@ -78,6 +90,8 @@ const CropProjectsScreen = ({ user, navigation }) => {
         displayName: '',
         variety: '',
         area: '',
+        plantingDate: '',
+        soilType: 'loam',
         season: 'Kharif',
         notes: ''
       });
@@ -145,10 +159,17 @@ const CropProjectsScreen = ({ user, navigation }) => {
     setShowStageModal(true);
   };
 
+  // Moving a crop to sowing without a planting date records today, which starts GDD tracking
+  const withStage = (cropDetails, growthStage) => ({
+    ...cropDetails,
+    growthStage,
+    ...(growthStage === 'sowing' && !cropDetails?.plantingDate ? { plantingDate: new Date().toISOString().split('T')[0] } : {})
+  });
+
   const saveStage = async () => {
     if (!stageTargetProject) return;
     try {
-      await FarmerCropProjectsService.updateProject(stageTargetProject.id, { cropDetails: { ...stageTargetProject.cropDetails, growthStage: selectedStage } });
+      await FarmerCropProjectsService.updateProject(stageTargetProject.id, { cropDetails: withStage(stageTargetProject.cropDetails, selectedStage) });
       setShowStageModal(false);
       setStageTargetProject(null);
       await loadProjects();
@@ -157,7 +178,7 @@ const CropProjectsScreen = ({ user, navigation }) => {
 
   const advanceStage = async (project, nextStage) => {
     try {
-      await FarmerCropProjectsService.updateProject(project.id, { cropDetails: { ...project.cropDetails, growthStage: nextStage } });
+      await FarmerCropProjectsService.updateProject(project.id, { cropDetails: withStage(project.cropDetails, nextStage) });
       await loadProjects();
     } catch (e) { Alert.alert('Error','Stage update failed'); }
   };
@@ -169,6 +190,41 @@ const CropProjectsScreen = ({ user, navigation }) => {
     } catch (e) { /* ignore */ }
   };
 
+  const logIrrigation = async (project, note) => {
+    const parsed = SoilWaterBalanceService.parseIrrigationLog(note);
+    if (!parsed) {
+      Alert.alert(t('error'), t('irrigationLogHelp')||'Say how long or how much, e.g. "2 hours drip" or "40 mm flood"');
+      return;
+    }
+    try {
+      await SoilWaterBalanceService.logIrrigation(project.id, { ...parsed, note });
+      // Pull today's forecast ET into the ledger when we know where the farm is
+      if (user?.coordinates) await SoilWaterBalanceService.refresh(project.id, user.coordinates);
+      await loadProjects();
+    } catch (e) { Alert.alert('Error','Failed to log irrigation'); }
+  };
+
+  const addPriceWatch = async (project, watch) => {
+    try {
+      await FarmerCropProjectsService.addPriceWatch(project.id, watch);
+      await loadProjects();
+    } catch (e) { Alert.alert('Error','Failed to save price alert'); }
+  };
+
+  const updatePriceWatch = async (project, watchId, updates) => {
+    try {
+      await FarmerCropProjectsService.updatePriceWatch(project.id, watchId, updates);
+      await loadProjects();
+    } catch (e) { Alert.alert('Error','Failed to update price alert'); }
+  };
+
+  const removePriceWatch = async (project, watch) => {
+    try {
+      await FarmerCropProjectsService.removePriceWatch(project.id, watch.id);
+      await loadProjects();
+    } catch (e) { /* ignore */ }
+  };
+
   const completeTask = async (project, task) => {
     if (task.status === 'completed') return; // idempotent
     try {
@@ -320,6 +376,10 @@ const CropProjectsScreen = ({ user, navigation }) => {
             onArchive={(p)=> archiveProject(p)}
             onUnarchive={(p)=> unarchiveProject(p)}
             onRequestDelete={confirmDeleteProject}
+            onAddPriceWatch={addPriceWatch}
+            onUpdatePriceWatch={updatePriceWatch}
+            onRemovePriceWatch={removePriceWatch}
+            onLogIrrigation={logIrrigation}
             t={t}
           />
         )}
@@ -386,7 +446,40 @@ const CropProjectsScreen = ({ user, navigation }) => {
                 keyboardType="numeric"
               />
             </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>{t('plantingDateLabel')||'Planting Date'}</Text>
+              <TextInput
+                style={styles.input}
+                value={newProject.plantingDate}
+                onChangeText={(text) => setNewProject({...newProject, plantingDate: text})}
+                placeholder="YYYY-MM-DD"
+              />
+            </View>
             
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>{t('soilTypeLabel')||'Soil type'}</Text>
+              <View style={styles.seasonButtons}>
+                {['sandy', 'loam', 'clay', 'black_cotton'].map((soil) => (
+                  <TouchableOpacity
+                    key={soil}
+                    style={[
+                      styles.seasonButton,
+                      newProject.soilType === soil && styles.seasonButtonActive
+                    ]}
+                    onPress={() => setNewProject({...newProject, soilType: soil})}
+                  >
+                    <Text style={[
+                      styles.seasonButtonText,
+                      newProject.soilType === soil && styles.seasonButtonTextActive
+                    ]}>
+                      {t(`soil_${soil}`)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             <View style={styles.inputGroup}>
               <Text style={styles.label}>{t('season')||'Season'}</Text>
               <View style={styles.seasonButtons}>
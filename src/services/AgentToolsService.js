@@ -1,61 +1,373 @@
 /**
  * Agent Tools Service for Khet AI
  * LangChain.js style tools integration with AI reasoning service
- * NO MOCK DATA - Only real API calls
+ * NO MOCK DATA - Only real API calls (the bundled weather stub is used only when
+ * WEATHER_PROVIDERS names it, e.g. offline eval runs)
  */
 
 import WeatherToolsService from './WeatherToolsService';
+import WeatherProviderService from './WeatherProviderService';
+import GazetteerService from './GazetteerService';
 import MarketDataService from './MarketDataService';
 import { AgmarknetPriceService } from './AgmarknetPriceService';
+import PriceForecastService from './PriceForecastService';
+import MarketRealizationService from './MarketRealizationService';
+import MSPService from './MSPService';
+import SoilWaterBalanceService from './SoilWaterBalanceService';
 import GovernmentSchemesService from './GovernmentSchemesService';
 import PlantDiseaseService from './PlantDiseaseService';
+import KnowledgeBaseService from './KnowledgeBaseService';
 import TelemetryService from './TelemetryService';
 
+// Typed tool failures: `type` tells callers (and the reasoning display) why a tool returned no data
+export class ToolError extends Error {
+  constructor(message, { type = 'upstream', tool = null, details = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.type = type; // validation | timeout | upstream | auth | unavailable | not_found | no_data
+    this.tool = tool;
+    this.details = details;
+    this.retryable = retryable;
+  }
+
+  // Fields merged into a failed tool result
+  toResult() {
+    return { error: this.message, errorType: this.type, errorDetails: this.details, retryable: this.retryable };
+  }
+}
+
+export class ToolValidationError extends ToolError {
+  constructor(tool, issues) {
+    super(`Invalid parameters for ${tool}: ${issues.join('; ')}`, { type: 'validation', tool, details: { issues } });
+    this.name = 'ToolValidationError';
+  }
+}
+
+export class ToolTimeoutError extends ToolError {
+  constructor(tool, timeoutMs = null) {
+    super(timeoutMs ? `${tool} timed out after ${Math.round(timeoutMs / 1000)}s` : `${tool} timed out`, { type: 'timeout', tool, details: { timeoutMs }, retryable: true });
+    this.name = 'ToolTimeoutError';
+  }
+}
+
+export class ToolUpstreamError extends ToolError {
+  constructor(tool, message, { retryable = false, status = null } = {}) {
+    super(message, { type: 'upstream', tool, details: status ? { status } : null, retryable });
+    this.name = 'ToolUpstreamError';
+  }
+}
+
+export class ToolUnavailableError extends ToolError {
+  constructor(tool, retryAt) {
+    const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0);
+    super(`${tool}: source temporarily unavailable after repeated failures (retry in ${seconds}s)`, { type: 'unavailable', tool, details: { retryAt: new Date(retryAt).toISOString() }, retryable: true });
+    this.name = 'ToolUnavailableError';
+  }
+}
+
+// The source answered but has nothing for this query (no arrivals that day, unlisted market)
+export class ToolNoDataError extends ToolError {
+  constructor(tool, message) {
+    super(message, { type: 'no_data', tool });
+    this.name = 'ToolNoDataError';
+  }
+}
+
+export class ToolAuthError extends ToolError {
+  constructor(tool, message) {
+    super(message, { type: 'auth', tool });
+    this.name = 'ToolAuthError';
+  }
+}
+
+// Map an error thrown inside a tool func (plain Error from a service) to a typed ToolError
+export function classifyToolError(error, tool) {
+  if (error instanceof ToolError) return error;
+  const message = error?.message || String(error);
+  const status = Number(message.match(/\b([45]\d\d)\b/)?.[1]) || null;
+  if (status === 401 || status === 403 || /unauthori[sz]ed|forbidden|api key|apikey|invalid key|authenticat/i.test(message)) {
+    return new ToolAuthError(tool, message);
+  }
+  if (/timed? ?out|timeout|ETIMEDOUT|AbortError/i.test(message)) return new ToolTimeoutError(tool);
+  const retryable = (status && status >= 500) || status === 429 || /network|fetch failed|ECONN|ENOTFOUND|unavailable|temporarily/i.test(message);
+  return new ToolUpstreamError(tool, message, { retryable, status });
+}
+
+// Coerce one value to its JSON-schema-like spec; pushes an issue and returns undefined when it can't
+function coerceParam(value, spec = {}, path, issues) {
+  const fail = (expected) => { issues.push(`${path} must be ${expected}`); return undefined; };
+  let v = value;
+  switch (spec.type) {
+    case 'string':
+      if (typeof v === 'number' || typeof v === 'boolean') v = String(v);
+      if (typeof v !== 'string') return fail('a string');
+      v = v.trim();
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v.replace(/,/g, '')))) v = Number(v.replace(/,/g, ''));
+      if (typeof v !== 'number' || !isFinite(v)) return fail('a number');
+      if (spec.type === 'integer') v = Math.round(v);
+      if (spec.minimum != null && v < spec.minimum) return fail(`>= ${spec.minimum}`);
+      if (spec.maximum != null && v > spec.maximum) return fail(`<= ${spec.maximum}`);
+      break;
+    case 'boolean':
+      if (v === 'true' || v === 1 || v === '1') v = true;
+      else if (v === 'false' || v === 0 || v === '0') v = false;
+      if (typeof v !== 'boolean') return fail('true or false');
+      break;
+    case 'array':
+      // LLMs often send "a, b" or a single item for list parameters
+      if (typeof v === 'string') v = v.split(',').map(s => s.trim()).filter(Boolean);
+      else if (!Array.isArray(v)) v = [v];
+      v = v.map((item, i) => coerceParam(item, spec.items, `${path}[${i}]`, issues));
+      break;
+    case 'object':
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return fail('an object');
+      v = validateParams(spec, v, issues, `${path}.`);
+      break;
+    default:
+      break;
+  }
+  if (spec.enum && !spec.enum.includes(v)) return fail(`one of ${spec.enum.join(', ')}`);
+  return v;
+}
+
+// Validate / coerce params against a tool's `parameters` schema. Undeclared keys pass through.
+function validateParams(schema = {}, params = {}, issues = [], prefix = '') {
+  const out = { ...params };
+  const properties = schema.properties || {};
+  Object.entries(properties).forEach(([key, spec]) => {
+    const value = out[key];
+    if (value === undefined || value === null || value === '') {
+      // Schema default when declared, else let the tool's own defaults apply
+      if (spec.default !== undefined) out[key] = spec.default;
+      else delete out[key];
+      return;
+    }
+    const coerced = coerceParam(value, spec, `${prefix}${key}`, issues);
+    if (coerced === undefined) delete out[key];
+    else out[key] = coerced;
+  });
+  (schema.required || []).forEach(key => {
+    if (out[key] === undefined && !issues.some(i => i.startsWith(`${prefix}${key} `))) issues.push(`${prefix}${key} is required`);
+  });
+  return out;
+}
+
+// Per-tool circuit breaker over a rolling window of recent calls. Open = skip instantly;
+// after the cooldown one half-open probe decides between closing and a longer cooldown.
+export class ToolCircuitBreaker {
+  static DEFAULTS = {
+    windowSize: 10, // most recent calls considered
+    minCalls: 3, // calls needed before the failure rate can trip the breaker
+    failureRateThreshold: 0.5,
+    cooldownMs: 60 * 1000,
+    maxCooldownMs: 10 * 60 * 1000
+  };
+
+  constructor(tool, options = {}) {
+    this.tool = tool;
+    this.options = { ...ToolCircuitBreaker.DEFAULTS, ...options };
+    this.state = 'closed';
+    this.outcomes = [];
+    this.cooldownMs = this.options.cooldownMs;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+  }
+
+  // False while open (or while the single half-open probe is running)
+  allowRequest(now = Date.now()) {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open' && now >= this.retryAt) {
+      this._transition('half_open');
+    }
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(latency) {
+    this._push({ ok: true, latency });
+    this.lastSuccessAt = new Date().toISOString();
+    if (this.state === 'half_open') {
+      this.probeInFlight = false;
+      this.outcomes = this.outcomes.slice(-1);
+      this.cooldownMs = this.options.cooldownMs;
+      this._transition('closed');
+    }
+  }
+
+  recordFailure(error, latency) {
+    // Bad input is the caller's fault and an empty answer is still an answer; neither counts against the source
+    if (['validation', 'not_found', 'no_data'].includes(error.type)) {
+      if (this.state === 'half_open') this.probeInFlight = false;
+      return;
+    }
+    this._push({ ok: false, latency, errorType: error.type });
+    this.lastError = { message: error.message, type: error.type, at: new Date().toISOString() };
+    if (this.state === 'half_open') {
+      this.probeInFlight = false;
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.options.maxCooldownMs);
+      this._open();
+    } else if (this.state === 'closed' && this.outcomes.length >= this.options.minCalls && this.failureRate() >= this.options.failureRateThreshold) {
+      this._open();
+    }
+  }
+
+  failureRate() {
+    if (!this.outcomes.length) return 0;
+    return this.outcomes.filter(o => !o.ok).length / this.outcomes.length;
+  }
+
+  snapshot() {
+    const latencies = this.outcomes.filter(o => o.ok).map(o => o.latency);
+    return {
+      tool: this.tool,
+      state: this.state,
+      failureRate: Math.round(this.failureRate() * 100) / 100,
+      calls: this.outcomes.length,
+      avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt,
+      openedAt: this.openedAt,
+      retryAt: this.state === 'open' && this.retryAt ? new Date(this.retryAt).toISOString() : null
+    };
+  }
+
+  _open() {
+    this.openedAt = new Date().toISOString();
+    this.retryAt = Date.now() + this.cooldownMs;
+    this._transition('open');
+  }
+
+  _push(outcome) {
+    this.outcomes.push(outcome);
+    if (this.outcomes.length > this.options.windowSize) this.outcomes.shift();
+  }
+
+  _transition(state) {
+    if (state === this.state) return;
+    const from = this.state;
+    this.state = state;
+    TelemetryService.toolCircuit({ tool: this.tool, from, to: state, failureRate: this.failureRate(), cooldownMs: this.cooldownMs });
+  }
+}
+
+// Weather tool funcs get coordinates, else the place name via the offline gazetteer / geocoder - no
+// default location. func(params, location, transport) runs with resolved latitude / longitude and the
+// matched place (null for raw coordinates); an unknown place returns the locationUnresolved block instead.
+function withResolvedLocation(func) {
+  return async (params, transport) => {
+    const coords = await GazetteerService.resolveCoordinates(params, transport);
+    if (coords.unresolved) return coords.unresolved;
+    const { locationName, ...rest } = params;
+    return func({ ...rest, latitude: coords.latitude, longitude: coords.longitude }, coords.location, transport);
+  };
+}
+
 // Lightweight tool registry & execution harness
 class ToolRegistry {
   constructor() {
     this.tools = new Map();
+    this.breakers = new Map();
     this.defaultTimeoutMs = 8000; // per tool timeout
   }
 
   register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) throw new TypeError('Tool definition needs a name');
+    if (typeof tool.func !== 'function') throw new TypeError(`Tool '${tool.name}' needs a func`);
+    if (tool.parameters && (tool.parameters.type !== 'object' || typeof (tool.parameters.properties || {}) !== 'object')) {
+      throw new TypeError(`Tool '${tool.name}' parameters must be an object schema`);
+    }
     this.tools.set(tool.name, { ...tool, registeredAt: Date.now() });
+    if (!this.breakers.has(tool.name)) this.breakers.set(tool.name, new ToolCircuitBreaker(tool.name, tool.circuitBreaker));
   }
 
   list() { return Array.from(this.tools.values()); }
 
   get(name) { return this.tools.get(name); }
 
+  /**
+   * Coerced params for a tool; throws ToolValidationError listing every problem
+   */
+  validate(name, params = {}) {
+    const tool = this.get(name);
+    if (!tool) throw new ToolError(`Tool '${name}' not registered`, { type: 'not_found', tool: name });
+    const issues = [];
+    const coerced = validateParams(tool.parameters, params, issues);
+    if (issues.length) throw new ToolValidationError(name, issues);
+    return coerced;
+  }
+
+  /**
+   * Circuit state, rolling failure rate and latency per tool (AIServiceStatus)
+   */
+  getHealth() {
+    const tools = Array.from(this.breakers.values()).map(b => b.snapshot());
+    const count = (state) => tools.filter(t => t.state === state).length;
+    return {
+      generatedAt: new Date().toISOString(),
+      tools,
+      summary: { total: tools.length, open: count('open'), halfOpen: count('half_open'), degraded: tools.filter(t => t.state === 'closed' && t.failureRate > 0).length }
+    };
+  }
+
   async executeMany(requests = []) {
-    const executions = requests.map(r => this.executeWithTimeout(r.name, r.params || {}, r.timeoutMs));
+    const executions = requests.map(r => this.executeWithTimeout(r.name, r.params || {}, r.timeoutMs, r.transport));
     const results = await Promise.allSettled(executions);
     return results.map((res, idx) => ({
       tool: requests[idx].name,
       status: res.status,
-      ...(res.status === 'fulfilled' ? res.value : { error: res.reason?.message || String(res.reason) })
+      ...(res.status === 'fulfilled' ? res.value : classifyToolError(res.reason, requests[idx].name).toResult())
     }));
   }
 
-  async executeWithTimeout(name, params, timeoutMs) {
-    const tool = this.get(name);
-    if (!tool) throw new Error(`Tool '${name}' not registered`);
+  // transport ({fetch, noCache}) reaches the tool func for the turn's own requests (cassettes)
+  async executeWithTimeout(name, rawParams, timeoutMs, transport = {}) {
     const start = Date.now();
+    let params;
+    try {
+      params = this.validate(name, rawParams);
+    } catch (e) {
+      TelemetryService.toolResult({ tool: name, latency: 0, success: false, error: e.message, errorType: e.type });
+      throw e;
+    }
+    const tool = this.get(name);
+    const breaker = this.breakers.get(name);
+    if (!breaker.allowRequest()) {
+      const error = new ToolUnavailableError(name, breaker.retryAt);
+      TelemetryService.toolResult({ tool: name, latency: 0, success: false, error: error.message, errorType: error.type });
+      throw error;
+    }
     TelemetryService.toolInvoke({ tool: name, params });
     const execPromise = (async () => {
-      const result = await tool.func(params);
-      return { success: true, result };
+      const result = await tool.func(params, transport);
+      // Price tools get an MSP gap block so every price answer can be read against MSP
+      return { success: true, result: MSPService.annotateToolResult(name, params, result) };
     })();
     const to = timeoutMs || tool.timeoutMs || this.defaultTimeoutMs;
-    const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('TIMEOUT')), to));
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => { timer = setTimeout(() => reject(new ToolTimeoutError(name, to)), to); });
     try {
       const value = await Promise.race([execPromise, timeoutPromise]);
       const latency = Date.now() - start;
+      breaker.recordSuccess(latency);
       TelemetryService.toolResult({ tool: name, latency, success: true });
       return { ...value, latency };
     } catch (e) {
+      const error = classifyToolError(e, name);
       const latency = Date.now() - start;
-      TelemetryService.toolResult({ tool: name, latency, success: false, error: e.message });
-      throw e;
+      breaker.recordFailure(error, latency);
+      TelemetryService.toolResult({ tool: name, latency, success: false, error: error.message, errorType: error.type });
+      throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
 }
@@ -80,35 +392,8 @@ class AgentToolsService {
           },
           required: []
         },
-        func: async ({ latitude, longitude, locationName }) => {
-          // Try to get coordinates from location name if needed
-          if ((latitude == null || longitude == null) && locationName) {
-            try {
-              const geo = await WeatherToolsService.geocodePlace(locationName);
-              if (geo.success) {
-                latitude = geo.lat;
-                longitude = geo.lon;
-              } else {
-                console.log(`⚠️ Geocoding failed for ${locationName}, using Delhi as fallback`);
-                // Fallback to Delhi coordinates
-                latitude = 28.6139;
-                longitude = 77.2090;
-              }
-            } catch (geoError) {
-              console.log(`⚠️ Geocoding error for ${locationName}, using Delhi as fallback:`, geoError.message);
-              latitude = 28.6139;
-              longitude = 77.2090;
-            }
-          }
-
-          // Final fallback if still no coordinates
-          if (latitude == null || longitude == null) {
-            console.log(`⚠️ No coordinates available, using Delhi as default location`);
-            latitude = 28.6139;
-            longitude = 77.2090;
-          }
-
-          const result = await WeatherToolsService.getAgricultureWeather(latitude, longitude);
+        func: withResolvedLocation(async ({ latitude, longitude }, location, transport) => {
+          const result = await WeatherToolsService.getAgricultureWeather(latitude, longitude, transport);
           if (!result.success) {
             throw new Error(`Current weather unavailable: ${result.error}`);
           }
@@ -117,9 +402,10 @@ class AgentToolsService {
             forecast: result.forecast,
             agriculture: result.agriculture,
             location: result.location,
-            source: "OpenWeather API"
+            resolvedLocation: location,
+            source: WeatherProviderService.labelFor(result.provider)
           };
-        }
+        })
       },
 
       {
@@ -132,46 +418,59 @@ class AgentToolsService {
             longitude: { type: "number", description: "Longitude coordinate" },
             cropType: { type: "string", description: "Type of crop (wheat, rice, cotton, etc.)" },
             soilType: { type: "string", description: "Soil type (sandy, loam, clay)" },
+            plantingDate: { type: "string", description: "Crop planting date (YYYY-MM-DD) for the stage-wise crop coefficient" },
+            growthStage: { type: "string", description: "Project growth stage when planting date is unknown" },
+            areaAcres: { type: "number", description: "Field area in acres for litre totals" },
+            projectId: { type: "string", description: "Crop project whose soil water balance should be updated and reported" },
             locationName: { type: "string", description: "Place name to geocode if coordinates absent" }
           },
           required: ["cropType"]
         },
-        func: async ({ latitude, longitude, cropType, soilType = "loam", locationName }) => {
-          // Try to get coordinates from location name if needed
-          if ((latitude == null || longitude == null) && locationName) {
-            try {
-              const geo = await WeatherToolsService.geocodePlace(locationName);
-              if (geo.success) {
-                latitude = geo.lat;
-                longitude = geo.lon;
-              } else {
-                console.log(`⚠️ Geocoding failed for ${locationName}, using Delhi as fallback`);
-                latitude = 28.6139;
-                longitude = 77.2090;
-              }
-            } catch (geoError) {
-              console.log(`⚠️ Geocoding error for ${locationName}, using Delhi as fallback:`, geoError.message);
-              latitude = 28.6139;
-              longitude = 77.2090;
-            }
-          }
-
-          // Final fallback if still no coordinates
-          if (latitude == null || longitude == null) {
-            console.log(`⚠️ No coordinates available, using Delhi as default location`);
-            latitude = 28.6139;
-            longitude = 77.2090;
-          }
-
-          const result = await WeatherToolsService.getIrrigationAdvice(latitude, longitude, cropType, soilType);
+        func: withResolvedLocation(async ({ latitude, longitude, cropType, soilType = "loam", plantingDate, growthStage, areaAcres, projectId }, location, transport) => {
+          const result = await WeatherToolsService.getIrrigationAdvice(latitude, longitude, cropType, soilType, { plantingDate, growthStage, areaAcres, ...transport });
           if (!result.success) {
             throw new Error(`Weather service unavailable: ${result.error}`);
           }
+          // Stateful view for a crop project: depletion so far and predicted next irrigation date
+          let waterBalance = null;
+          if (projectId) {
+            const balance = await SoilWaterBalanceService.refresh(projectId, { latitude, longitude }, transport);
+            if (balance.success) waterBalance = balance.status;
+          }
           return {
+            cropType,
             recommendation: result.recommendation,
             data: result.data,
-            source: "OpenWeather API + Agricultural calculations"
+            waterBalance,
+            resolvedLocation: location,
+            source: `${WeatherProviderService.labelFor(result.provider)} + FAO-56 Penman-Monteith`
           };
+        })
+      },
+
+      {
+        name: "log_irrigation",
+        description: "Record an irrigation event for the active crop project (e.g. 'irrigated 2 hours by drip') and update its soil water balance",
+        parameters: {
+          type: "object",
+          properties: {
+            projectId: { type: "string", description: "Crop project id" },
+            text: { type: "string", description: "Farmer's note to parse (duration / mm / litres, method, yesterday)" },
+            durationHours: { type: "number", description: "Hours the system ran" },
+            amountMm: { type: "number", description: "Depth applied in mm" },
+            litres: { type: "number", description: "Total litres applied" },
+            method: { type: "string", description: "drip, sprinkler, furrow or flood" },
+            daysAgo: { type: "number", description: "0 for today, 1 for yesterday" }
+          },
+          required: ["projectId"]
+        },
+        func: async ({ projectId, text = "", ...explicit }) => {
+          const parsed = text ? SoilWaterBalanceService.parseIrrigationLog(text) : null;
+          const event = { ...(parsed || {}), ...Object.fromEntries(Object.entries(explicit).filter(([, v]) => v != null)), note: text };
+          if (!event.durationHours && !event.amountMm && !event.litres) {
+            throw new Error('Could not read how much water was applied (give hours, mm or litres)');
+          }
+          return SoilWaterBalanceService.logIrrigation(projectId, event);
         }
       },
 
@@ -188,43 +487,48 @@ class AgentToolsService {
           },
           required: []
         },
-        func: async ({ latitude, longitude, crops = [], locationName }) => {
-          // Try to get coordinates from location name if needed
-          if ((latitude == null || longitude == null) && locationName) {
-            try {
-              const geo = await WeatherToolsService.geocodePlace(locationName);
-              if (geo.success) {
-                latitude = geo.lat;
-                longitude = geo.lon;
-              } else {
-                console.log(`⚠️ Geocoding failed for ${locationName}, using Delhi as fallback`);
-                latitude = 28.6139;
-                longitude = 77.2090;
-              }
-            } catch (geoError) {
-              console.log(`⚠️ Geocoding error for ${locationName}, using Delhi as fallback:`, geoError.message);
-              latitude = 28.6139;
-              longitude = 77.2090;
-            }
-          }
-
-          // Final fallback if still no coordinates
-          if (latitude == null || longitude == null) {
-            console.log(`⚠️ No coordinates available, using Delhi as default location`);
-            latitude = 28.6139;
-            longitude = 77.2090;
-          }
-
-          const result = await WeatherToolsService.getFarmingAlerts(latitude, longitude, crops);
+        func: withResolvedLocation(async ({ latitude, longitude, crops = [] }, location, transport) => {
+          const result = await WeatherToolsService.getFarmingAlerts(latitude, longitude, crops, transport);
           if (!result.success) {
             throw new Error(`Weather alerts unavailable: ${result.error}`);
           }
           return {
             alerts: result.alerts,
             summary: result.summary,
-            source: "OpenWeather API"
+            resolvedLocation: location,
+            source: WeatherProviderService.labelFor(result.provider)
           };
-        }
+        })
+      },
+
+      {
+        name: "get_spray_windows",
+        description: "Find the best time windows in the next 48 hours to spray pesticide / foliar nutrients (wind, rain-free hours, inversion, leaf wetness, Delta T)",
+        parameters: {
+          type: "object",
+          properties: {
+            latitude: { type: "number", description: "Latitude coordinate" },
+            longitude: { type: "number", description: "Longitude coordinate" },
+            rainFastHours: { type: "number", description: "Rain-free hours the product needs after application (default 4)" },
+            hours: { type: "number", description: "Look-ahead in hours (max 48)" },
+            locationName: { type: "string", description: "Place name to geocode if coordinates absent" }
+          },
+          required: []
+        },
+        func: withResolvedLocation(async ({ latitude, longitude, rainFastHours, hours = 48 }, location, transport) => {
+          const result = await WeatherToolsService.getSprayWindows(latitude, longitude, { hours: Math.min(hours, 48), rainFastHours, ...transport });
+          if (!result.success) {
+            throw new Error(`Weather service unavailable: ${result.error}`);
+          }
+          return {
+            windows: result.windows.slice(0, 5),
+            summary: result.summary,
+            rainFastHours: result.rainFastHours,
+            horizonHours: result.horizonHours,
+            resolvedLocation: location,
+            source: `${WeatherProviderService.labelFor(result.provider)} forecast`
+          };
+        })
       },
 
       {
@@ -239,8 +543,8 @@ class AgentToolsService {
           },
           required: ["commodity"]
         },
-        func: async ({ commodity, location = "" }) => {
-          const result = await MarketDataService.getMarketAnalysis(commodity, location);
+        func: async ({ commodity, location = "" }, transport) => {
+          const result = await MarketDataService.getMarketAnalysis(commodity, location, transport);
           if (!result.success) {
             throw new Error(`Market data unavailable: ${result.error}`);
           }
@@ -257,6 +561,7 @@ class AgentToolsService {
         name: "get_realtime_market_price",
         description: "Fetch latest-day modal/min/max prices across markets for a commodity (APMC realtime)",
         timeoutMs: 20000, // 20 second timeout for government APIs
+        circuitBreaker: { cooldownMs: 2 * 60 * 1000 }, // slow source: stay open longer once tripped
         parameters: {
           type: "object",
           properties: {
@@ -267,8 +572,11 @@ class AgentToolsService {
           },
           required: ["commodity"]
         },
-        func: async ({ commodity, state = "", market = "", variety = "" }) => {
-          const result = await MarketDataService.fetchRealtimeCommodityPrice(commodity, { state, market, variety });
+        func: async ({ commodity, state = "", market = "", variety = "" }, transport) => {
+          const result = await MarketDataService.fetchRealtimeCommodityPrice(commodity, { state, market, variety, ...transport });
+          if (result.noData) {
+            throw new ToolNoDataError('get_realtime_market_price', `No ${commodity} prices reported${state ? ` in ${state}` : ''} today`);
+          }
           if (!result.success) {
             throw new Error(`Realtime price unavailable: ${result.error}`);
           }
@@ -279,20 +587,30 @@ class AgentToolsService {
       {
         name: "get_agmarknet_prices",
         description: "Get detailed crop prices from Agmarknet (official government source) with specific market data",
-        timeoutMs: 12000, // 12 second timeout for scraper service
+        timeoutMs: 40000, // scraper may queue the job; AgmarknetPriceService polls for up to 30s
+        circuitBreaker: { cooldownMs: 2 * 60 * 1000 }, // slow source: stay open longer once tripped
         parameters: {
           type: "object",
           properties: {
             commodity: { type: "string", description: "Commodity name (e.g., Potato, Onion, Tomato, Rice, Wheat)" },
-            state: { type: "string", description: "State name (e.g., Andhra Pradesh, Telangana, Maharashtra)" },
+            state: { type: "string", description: "State name (e.g., Andhra Pradesh, Telangana, Maharashtra); leave out when the farmer's state is unknown" },
             district: { type: "string", description: "District name (optional, e.g., Chittoor, Medak)" },
             market: { type: "string", description: "Market name (optional, e.g., Punganur, Nizamabad)" },
             dateFrom: { type: "string", description: "Start date in dd-MMM-yyyy format (optional, defaults to today)" },
             dateTo: { type: "string", description: "End date in dd-MMM-yyyy format (optional, defaults to today)" }
           },
-          required: ["commodity", "state"]
+          required: ["commodity"] // no state: the func reports the location as unresolved
         },
-        func: async ({ commodity, state, district = "", market = "", dateFrom, dateTo }) => {
+        func: async ({ commodity, state, district = "", market = "", dateFrom, dateTo }, transport) => {
+          if (!state) {
+            return {
+              locationUnresolved: true,
+              locationName: null,
+              reason: 'no state in the question or farmer profile',
+              message: 'Agmarknet prices are listed per state. Ask the farmer which state (and district or mandi) they sell in.'
+            };
+          }
+
           // Set default dates to today if not provided
           if (!dateFrom || !dateTo) {
             const today = new Date();
@@ -308,23 +626,103 @@ class AgentToolsService {
             market,
             dateFrom,
             dateTo
-          });
+          }, transport);
 
+          if (result.noData) {
+            throw new ToolNoDataError('get_agmarknet_prices', `No Agmarknet ${commodity} prices for ${market || district || state} on ${dateFrom === dateTo ? dateFrom : `${dateFrom} - ${dateTo}`}`);
+          }
           if (!result.success) {
             throw new Error(`Agmarknet data unavailable: ${result.error}`);
           }
 
           return {
             priceData: result.data,
+            history: result.data?.summary?.history || null,
             source: result.source,
-            location: `${district || state}${market ? `, ${market}` : ''}`,
+            // Scraper echoes the canonical dropdown names it selected ("Punganoor" -> "Punganur")
+            location: `${result.query?.district || district || result.query?.state || state}${(result.query?.market || market) ? `, ${result.query?.market || market}` : ''}`,
             query: result.query,
+            requested: { commodity, state, district, market },
             cached: result.cached || false,
-            fallback: result.fallback || false
+            fallback: result.fallback || false,
+            replay: result.replay || null // set when the scraper runs in fixture replay mode
           };
         }
       },
 
+      {
+        name: "forecast_commodity_price",
+        description: "Project mandi modal price N days ahead from stored Agmarknet history (seasonal naive, moving average, exponential smoothing with backtest error). Use for hold-or-sell questions.",
+        timeoutMs: 15000,
+        parameters: {
+          type: "object",
+          properties: {
+            commodity: { type: "string", description: "Commodity name (e.g., Onion, Potato, Wheat)" },
+            state: { type: "string", description: "State name (optional, e.g., Maharashtra)" },
+            district: { type: "string", description: "District name (optional)" },
+            market: { type: "string", description: "Market name (optional, e.g., Lasalgaon)" },
+            horizonDays: { type: "number", description: "Days ahead to project (1-60, default 14)" }
+          },
+          required: ["commodity"]
+        },
+        func: async ({ commodity, state = "", district = "", market = "", horizonDays = 14 }, transport) => {
+          // Narrow scopes often have little stored history; widen until a forecast can be backtested
+          const scopes = [
+            { state, district, market },
+            { state, district, market: "" },
+            { state, district: "", market: "" },
+            { state: "", district: "", market: "" }
+          ].filter((scope, idx, all) => idx === all.findIndex(s => s.state === scope.state && s.district === scope.district && s.market === scope.market));
+
+          let lastError = null;
+          for (const scope of scopes) {
+            const result = await PriceForecastService.forecast({ commodity, ...scope, horizonDays }, transport);
+            if (result.success) {
+              return { ...result, scope, requestedScope: { state, district, market } };
+            }
+            lastError = result.error;
+          }
+          throw new Error(`Price forecast unavailable: ${lastError}`);
+        }
+      },
+
+      {
+        name: "compare_market_realization",
+        description: "Rank nearby mandis by net realization (modal price minus commission and transport from the farm) for a quantity of produce",
+        timeoutMs: 30000, // realtime prices + a few geocoding lookups
+        parameters: {
+          type: "object",
+          properties: {
+            commodity: { type: "string", description: "Commodity to sell (e.g., Onion, Tomato)" },
+            quantityQuintals: { type: "number", description: "Quantity to sell in quintals" },
+            transportRatePerKm: { type: "number", description: "Transport hire rate in ₹ per km (default 30)" },
+            commissionPct: { type: "number", description: "Commission + market fee as % of sale value (default 2)" },
+            state: { type: "string", description: "Optional state to restrict candidate markets" },
+            latitude: { type: "number", description: "Farm latitude (defaults to the farmer profile)" },
+            longitude: { type: "number", description: "Farm longitude (defaults to the farmer profile)" },
+            userId: { type: "string", description: "Farmer id used to read farm coordinates" },
+            locationName: { type: "string", description: "Village/town to geocode when coordinates are unknown" }
+          },
+          required: ["commodity", "quantityQuintals"]
+        },
+        func: async ({ commodity, quantityQuintals, transportRatePerKm, commissionPct, state = "", latitude, longitude, userId, locationName = "" }, transport) => {
+          const result = await MarketRealizationService.rankMarkets({
+            commodity,
+            quantityQuintals,
+            transportRatePerKm: transportRatePerKm ?? MarketRealizationService.DEFAULT_TRANSPORT_RATE_PER_KM,
+            commissionPct: commissionPct ?? MarketRealizationService.DEFAULT_COMMISSION_PCT,
+            state,
+            origin: latitude && longitude ? { latitude, longitude } : null,
+            userId,
+            locationName
+          }, transport);
+          if (!result.success) {
+            throw new Error(`Market comparison unavailable: ${result.error}`);
+          }
+          return result;
+        }
+      },
+
       {
         name: "get_government_schemes",
         description: "Get information about government agricultural schemes and benefits",
@@ -342,9 +740,9 @@ class AgentToolsService {
             }
           }
         },
-        func: async ({ farmerProfile = {} }) => {
+        func: async ({ farmerProfile = {} }, transport) => {
           const [schemesResult, recommendations] = await Promise.all([
-            GovernmentSchemesService.getAllSchemeInfo(),
+            GovernmentSchemesService.getAllSchemeInfo(transport),
             Promise.resolve(GovernmentSchemesService.getSchemeRecommendations(farmerProfile))
           ]);
 
@@ -389,6 +787,26 @@ class AgentToolsService {
         }
       },
 
+      {
+        name: "search_knowledge_base",
+        description: "Search the bundled crop package-of-practices knowledge base (sowing time, seed rate, spacing, fertilizer schedule, irrigation, pests, diseases, harvest) for the farmer's state and language. Returns passages labelled KB1, KB2... to quote and cite.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "The agronomy question in the farmer's words" },
+            crop: { type: "string", description: "Crop the question is about (e.g., wheat, paddy, chilli)" },
+            state: { type: "string", description: "Farmer's state for local recommendations (e.g., Punjab)" },
+            language: { type: "string", description: "Language code of the farmer (en, hi); English passages are always searched" },
+            topK: { type: "number", description: "Passages to return (1-5, default 3)" }
+          },
+          required: ["query"]
+        },
+        func: async ({ query, crop = "", state = "", language = "en", topK = 3 }) => {
+          const result = await KnowledgeBaseService.search(query, { crop, state, language, topK });
+          return { ...result, source: "Bundled package-of-practices knowledge base" };
+        }
+      },
+
       {
         name: "get_fertilizer_prices",
         description: "Get current fertilizer prices from IFFCO and other sources",
@@ -398,8 +816,8 @@ class AgentToolsService {
             fertilizerType: { type: "string", description: "Type of fertilizer (urea, dap, npk, etc.)" }
           }
         },
-        func: async ({ fertilizerType = "" }) => {
-          const result = await GovernmentSchemesService.getIFFCOPrices();
+        func: async ({ fertilizerType = "" }, transport) => {
+          const result = await GovernmentSchemesService.getIFFCOPrices(transport);
           if (!result.success) {
             throw new Error(`Fertilizer price data unavailable: ${result.error}`);
           }
@@ -423,16 +841,63 @@ class AgentToolsService {
     return registry.list();
   }
 
+  // Circuit breaker health for every registered tool
+  static getToolHealth() {
+    this.getAvailableTools();
+    return registry.getHealth();
+  }
+
   // Execute tool by name with parameters
-  static async executeTool(toolName, parameters) {
+  static async executeTool(toolName, parameters, transport) {
     this.getAvailableTools(); // ensure registry populated
-    return registry.executeWithTimeout(toolName, parameters);
+    return registry.executeWithTimeout(toolName, parameters, undefined, transport);
+  }
+
+  // Tool definitions for native LLM function calling (name, description, JSON schema)
+  static getToolSchemas() {
+    return this.getAvailableTools().map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  /**
+   * Run a tool call chosen by the model. Only the model's own arguments are used (validated,
+   * schema `default`s filled by the registry); the regex planner's guesses are never mixed in.
+   * The one addition is session context the model cannot see: farm coordinates when it named
+   * no place, the active crop project and the user id, and only for tools that declare them.
+   * Failures come back typed instead of throwing.
+   */
+  static async executeModelToolCall(toolName, args = {}, userContext = {}) {
+    this.getAvailableTools();
+    const properties = registry.get(toolName)?.parameters?.properties || {};
+    const parameters = { ...(args && typeof args === 'object' ? args : {}) };
+    const fill = (key, value) => {
+      if (properties[key] && value != null && value !== '' && (parameters[key] == null || parameters[key] === '')) parameters[key] = value;
+    };
+    const coords = userContext.coordinates;
+    if (coords?.latitude && coords?.longitude && !parameters.locationName && parameters.latitude == null) {
+      fill('latitude', coords.latitude);
+      fill('longitude', coords.longitude);
+    }
+    fill('projectId', userContext.activeProjectId || userContext.__activeProject?.projectId);
+    fill('userId', userContext.userId);
+    try {
+      console.log(`🔧 Model called ${toolName} with parameters:`, parameters);
+      const result = await this.executeTool(toolName, parameters, userContext.transport);
+      return { ...result, toolName, success: true, timestamp: new Date().toISOString() };
+    } catch (error) {
+      const typed = classifyToolError(error, toolName);
+      console.error(`❌ Tool ${toolName} failed (${typed.type}):`, typed.message);
+      return { success: false, toolName, ...typed.toResult(), timestamp: new Date().toISOString() };
+    }
   }
 
   // Execute multiple tools in parallel with provenance
   static async executeToolsParallel(toolCalls = []) {
     this.getAvailableTools();
-    const prepared = toolCalls.map(c => ({ name: c.name, params: c.params || {}, timeoutMs: c.timeoutMs }));
+    const prepared = toolCalls.map(c => ({ name: c.name, params: c.params || {}, timeoutMs: c.timeoutMs, transport: c.transport }));
     const results = await registry.executeMany(prepared);
     const successful = results.filter(r => r.status === 'fulfilled' && r.success).map(r => ({
       name: r.tool,
@@ -442,7 +907,7 @@ class AgentToolsService {
     }));
     const failures = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.success));
     if (failures.length) {
-      TelemetryService.error({ phase: 'tools.parallel', failures: failures.map(f => ({ tool: f.tool, error: f.error })) });
+      TelemetryService.error({ phase: 'tools.parallel', failures: failures.map(f => ({ tool: f.tool, error: f.error, errorType: f.errorType })) });
     }
     return { successful, failures };
   }
@@ -458,8 +923,16 @@ class AgentToolsService {
     const alertKeywords = ['alert', 'storm', 'cyclone', 'heavy rain', 'heatwave', 'heat wave', 'flood', 'wind speed'];
     const genericTemporalWords = ['today', 'tomorrow', 'now', 'current'];
 
-    const mentionsCoreWeather = weatherKeywordsCore.some(k => queryLower.includes(k));
-    const mentionsIrrigation = irrigationKeywords.some(k => queryLower.includes(k));
+    // "should I hold my onions for two weeks?", "onion price forecast", "will tomato prices rise next week"
+    const wantsPriceForecast = /\b(hold|store|keep|wait)\b.*\b(sell|selling|prices?|rates?|bhav)\b|\bwait\s+to\s+sell\b|\bwhen\s+(should\s+i|to)\s+sell\b|price\s+(forecast|prediction|outlook|projection)|(forecast|predict|project)\w*\s+(?:[a-z]+\s+){0,2}prices?|will\s+(?:the\s+)?(?:[a-z]+\s+){0,2}prices?\s+(go|rise|fall|increase|drop|come\s+down|go\s+up)/i.test(queryLower);
+    // "how much seed per acre?", "when to sow soybean", "pink larvae in bolls, what should I do?" - package-of-practices questions
+    const wantsPractices = /\b(how\s+much|how\s+many|dose|dosage|schedule|seed\s+rate|seeds?\s+per|spacing|distance\s+between|package\s+of\s+practices?|how\s+to\s+(grow|cultivate|raise)|nursery|top\s+dress(ing)?|basal|split\s+doses?)\b|\bwhen\s+(should\s+i\s+|to\s+|do\s+i\s+|can\s+i\s+)?(sow|plant|transplant|harvest|pick|apply)\b/i.test(queryLower) ||
+      (/\b(larvae?|caterpillars?|worms?|borers?|bollworms?|insects?|thrips|aphids?|whiteflies|whitefly|mites?)\b/i.test(queryLower) &&
+        /\b(what\s+(should|can)\s+i\s+do|what\s+to\s+do|how\s+(to|do\s+i|can\s+i)\s+(control|manage|stop|get\s+rid)|which\s+(spray|medicine|chemical|insecticide))\b/i.test(queryLower));
+    const mentionsCoreWeather = weatherKeywordsCore.some(k => queryLower.includes(k) && !(k === 'forecast' && wantsPriceForecast));
+    // "urea at the first irrigation" uses irrigation as a crop stage, not a water question
+    const irrigationAsStage = wantsPractices && /\b(first|second|third|last|at|with|before|after)\s+(the\s+)?irrigation\b/i.test(queryLower);
+    const mentionsIrrigation = irrigationKeywords.some(k => queryLower.includes(k)) && !irrigationAsStage;
     const mentionsAlert = alertKeywords.some(k => queryLower.includes(k));
     const onlyTemporal = genericTemporalWords.some(k => queryLower.includes(k)) && !mentionsCoreWeather && !mentionsIrrigation && !mentionsAlert;
     const hasTemperaturePattern = /(\d+)\s*(degree|celsius|fahrenheit|°)/i.test(queryLower);
@@ -469,6 +942,24 @@ class AgentToolsService {
     const hasNonWeatherTerms = nonWeatherDomains.some(k => queryLower.includes(k));
     const clearlyNonWeather = hasNonWeatherTerms && !mentionsCoreWeather && !mentionsIrrigation && !mentionsAlert;
 
+    // "irrigated 2 hours by drip" is a log entry for the active crop, not a question
+    if (SoilWaterBalanceService.looksLikeIrrigationLog(queryLower)) {
+      suggestedTools.push({
+        name: 'log_irrigation',
+        reason: 'User reported an irrigation event'
+      });
+    }
+
+    // "can I spray today?", "best time to spray pesticide" - spraying is a weather decision even when pests are mentioned
+    const wantsSprayWindow = /\b(spray|spraying|sprayer|chhidkav|chidkav)\b/i.test(queryLower) &&
+      /\b(can|should|when|time|today|tomorrow|window|now|safe|good|best)\b/i.test(queryLower);
+    if (wantsSprayWindow) {
+      suggestedTools.push({
+        name: 'get_spray_windows',
+        reason: 'User wants to know when it is safe to spray'
+      });
+    }
+
     if (!clearlyNonWeather) {
       // Decide minimal weather tools
       if (mentionsCoreWeather || hasTemperaturePattern) {
@@ -511,7 +1002,22 @@ class AgentToolsService {
     // Broaden realtime detection: allow up to 3 intermediary words (e.g., "current market modal price")
     const wantsRealtime = /(today|current|latest|right\s*now)\s+(?:[a-z]+\s+){0,3}?(price|rate|bhav)/i.test(queryLower) || queryLower.includes('mandi price') || queryLower.includes('mandi rate');
     const mentionsPrice = priceKeywords.some(k => queryLower.includes(k));
-    if (mentionsPrice) {
+    // "which mandi should I sell 20 quintals in?", "best market to sell onions", "where to sell"
+    const wantsMarketComparison = /\b(which|best|nearest|nearby|better)\s+(mandi|market|apmc)s?\b|\bwhere\s+(should\s+i\s+|to\s+|can\s+i\s+)?sell\b|\bcompare\s+(mandi|market)s?\b|\b(mandi|market)\s+comparison\b/i.test(queryLower);
+    if (wantsMarketComparison) {
+      suggestedTools.push({
+        name: 'compare_market_realization',
+        reason: 'User wants to know which market gives the best take-home price'
+      });
+    }
+    if (wantsPriceForecast) {
+      suggestedTools.push({
+        name: 'forecast_commodity_price',
+        reason: 'User wants to know where prices are heading (hold vs sell)'
+      });
+    }
+    // Market comparison already carries per-market prices
+    if (mentionsPrice && !wantsMarketComparison) {
       if (wantsAgmarknet) {
         suggestedTools.push({
           name: 'get_agmarknet_prices',
@@ -530,6 +1036,13 @@ class AgentToolsService {
       }
     }
 
+    if (wantsPractices) {
+      suggestedTools.push({
+        name: 'search_knowledge_base',
+        reason: 'Agronomy question answered from the package-of-practices knowledge base'
+      });
+    }
+
     // If both realtime and analytical tools somehow got added, keep realtime first and drop duplicate analytical for simplicity
     const hasRealtime = suggestedTools.some(t => t.name === 'get_realtime_market_price');
     if (hasRealtime) {
@@ -562,9 +1075,9 @@ class AgentToolsService {
       });
     }
 
-    // Fertilizer related
-    if (queryLower.includes('fertilizer') || queryLower.includes('urea') ||
-      queryLower.includes('dap') || queryLower.includes('npk')) {
+    // Fertilizer related (dose questions go to the knowledge base unless prices are asked too)
+    if ((queryLower.includes('fertilizer') || queryLower.includes('urea') ||
+      queryLower.includes('dap') || queryLower.includes('npk')) && (mentionsPrice || !wantsPractices)) {
       suggestedTools.push({
         name: 'get_fertilizer_prices',
         reason: 'Query mentions fertilizers'
@@ -602,7 +1115,7 @@ class AgentToolsService {
             continue;
           }
           console.log(`🔧 Executing ${toolSuggestion.name} with parameters:`, parameters);
-          const result = await this.executeTool(toolSuggestion.name, parameters);
+          const result = await this.executeTool(toolSuggestion.name, parameters, userContext.transport);
           // Ensure a uniform shape with toolName & success flags for downstream usage
           if (result && typeof result === 'object') {
             if (!result.toolName) result.toolName = toolSuggestion.name; // normalize
@@ -610,11 +1123,12 @@ class AgentToolsService {
           }
           toolResults.push(result);
         } catch (error) {
-          console.error(`❌ Tool ${toolSuggestion.name} failed:`, error.message);
+          const typed = classifyToolError(error, toolSuggestion.name);
+          console.error(`❌ Tool ${toolSuggestion.name} failed (${typed.type}):`, typed.message);
           toolResults.push({
             success: false,
             toolName: toolSuggestion.name,
-            error: error.message,
+            ...typed.toResult(),
             timestamp: new Date().toISOString()
           });
         }
@@ -645,7 +1159,8 @@ class AgentToolsService {
     switch (toolName) {
       case 'get_current_weather':
       case 'get_weather_irrigation_advice':
-      case 'get_weather_alerts': {
+      case 'get_weather_alerts':
+      case 'get_spray_windows': {
         // Try to get coordinates from context first
         if (userContext.coordinates?.latitude && userContext.coordinates?.longitude) {
           params.latitude = userContext.coordinates.latitude;
@@ -682,6 +1197,28 @@ class AgentToolsService {
             params.crops = ["rice"];
           }
         }
+
+        // Active crop project drives the Kc curve and litre totals
+        if (toolName === 'get_weather_irrigation_advice' && userContext.__activeProject) {
+          const project = userContext.__activeProject;
+          const details = project.cropDetails || {};
+          params.cropType = project.cropName || params.cropType;
+          if (details.plantingDate) params.plantingDate = details.plantingDate;
+          if (details.growthStage) params.growthStage = details.growthStage;
+          if (details.area > 0) params.areaAcres = details.area;
+          if (details.soilType) params.soilType = details.soilType;
+          params.projectId = userContext.activeProjectId || project.projectId;
+        }
+        break;
+      }
+
+      case 'log_irrigation': {
+        const projectId = userContext.activeProjectId || userContext.__activeProject?.projectId;
+        if (!projectId) {
+          return { skip: true, reason: 'No active crop project to log irrigation against' };
+        }
+        params.projectId = projectId;
+        params.text = query;
         break;
       }
 
@@ -705,8 +1242,8 @@ class AgentToolsService {
         const varietyMatches = query.match(/(basmati|sona\s*masuri|ir64|sharbati|hybrid|desi)/i);
         if (varietyMatches) params.variety = varietyMatches[1];
         // Extract a state if present
-        const loc = this.extractLocationFromQuery(query);
-        if (loc) params.state = loc;
+        const loc = GazetteerService.findInText(query);
+        if (loc) params.state = loc.state;
         break;
       }
 
@@ -719,20 +1256,26 @@ class AgentToolsService {
         const mappedUserCrop = userCrop === 'chilli' ? 'mirchi' : userCrop;
         params.commodity = foundCommodity || mappedUserCrop || 'rice';
 
-        // Extract state from query or user context
-        const extractedState = this.extractLocationFromQuery(query) || userContext.location;
-        params.state = extractedState || 'Andhra Pradesh'; // Default state
+        // Extract state (and district) from query or user context
+        const place = GazetteerService.findInText(query);
+        const homeState = GazetteerService.findInText(userContext.location || '')?.state;
+        // No default state: the tool reports the location as unresolved instead of quoting another state's mandis
+        params.state = place?.state || homeState || '';
+        if (place?.district) params.district = place.district;
 
         // Try to extract district if mentioned in query
         const districtMatch = query.match(/district[:\s]+([a-z\s]+)|([a-z\s]+)\s+district/i);
-        if (districtMatch) {
+        if (districtMatch && !params.district) {
           params.district = (districtMatch[1] || districtMatch[2]).trim();
         }
 
-        // Try to extract market if mentioned in query
-        const marketMatch = query.match(/market[:\s]+([a-z\s]+)|([a-z\s]+)\s+market/i);
-        if (marketMatch) {
-          params.market = (marketMatch[1] || marketMatch[2]).trim();
+        // Try to extract market if mentioned in query ("Punganur market", "nizamabad mandi").
+        // Spelling variants are fuzzy-resolved by the scraper against the live Agmarknet dropdowns.
+        const marketMatch = query.match(/(?:market|mandi)[:\s]+([a-z]+)|\b([a-z]+)\s+(?:market|mandi|apmc)\b/i);
+        const marketName = marketMatch ? (marketMatch[1] || marketMatch[2]).toLowerCase() : '';
+        const genericWords = ['the', 'local', 'nearest', 'nearby', 'which', 'best', 'today', 'current', 'latest', 'price', 'prices', 'rate', 'rates', 'wise', 'of', 'in', 'at'];
+        if (marketName && !genericWords.includes(marketName) && !commodities.includes(marketName)) {
+          params.market = marketName;
         } else {
           // Don't set market parameter if not specifically mentioned
           params.market = '';
@@ -749,6 +1292,38 @@ class AgentToolsService {
         break;
       }
 
+      case 'compare_market_realization': {
+        params.commodity = this.extractCropFromQuery(query) || userContext.crops?.[0] || userContext.primaryCrop || 'onion';
+        const qty = this.extractQuantityQuintalsFromQuery(query);
+        params.quantityQuintals = qty || 10;
+        const rateMatch = query.match(/(?:₹|rs\.?|inr)?\s*(\d+(?:\.\d+)?)\s*(?:₹|rs\.?|rupees)?\s*(?:\/|per)\s*km/i);
+        if (rateMatch) params.transportRatePerKm = parseFloat(rateMatch[1]);
+        const commissionMatch = query.match(/(\d+(?:\.\d+)?)\s*%\s*(?:commission|cut|fee)/i);
+        if (commissionMatch) params.commissionPct = parseFloat(commissionMatch[1]);
+        if (userContext.coordinates?.latitude && userContext.coordinates?.longitude) {
+          params.latitude = userContext.coordinates.latitude;
+          params.longitude = userContext.coordinates.longitude;
+        }
+        if (userContext.userId) params.userId = userContext.userId;
+        if (userContext.location && userContext.location !== 'India') params.locationName = userContext.location;
+        const locationText = `${query} ${userContext.location || ''}`.toLowerCase();
+        const state = AgmarknetPriceService.getAvailableStates().find(s => locationText.includes(s.toLowerCase()));
+        if (state) params.state = state;
+        break;
+      }
+
+      case 'forecast_commodity_price': {
+        params.commodity = this.extractCropFromQuery(query) || userContext.crops?.[0] || userContext.primaryCrop || 'onion';
+        // The price store is keyed by Agmarknet state names, so only pass a recognised state
+        const locationText = `${query} ${userContext.location || ''}`.toLowerCase();
+        const state = AgmarknetPriceService.getAvailableStates().find(s => locationText.includes(s.toLowerCase()));
+        if (state) params.state = state;
+        const place = GazetteerService.findInText(query);
+        if (place?.district) params.district = place.district;
+        params.horizonDays = this.extractHorizonDaysFromQuery(query);
+        break;
+      }
+
       case 'analyze_plant_disease':
         // Prioritize user's actual crop for disease analysis
         const userCropForDisease = userContext.crops?.[0] || this.extractCropFromQuery(query) || 'wheat';
@@ -766,6 +1341,16 @@ class AgentToolsService {
         };
         break;
 
+      case 'search_knowledge_base': {
+        params.query = query;
+        const crop = this.extractCropFromQuery(query) || userContext.__activeProject?.cropName || userContext.primaryCrop || userContext.crops?.[0];
+        if (crop) params.crop = crop;
+        const place = GazetteerService.findInText(query) || GazetteerService.findInText(userContext.location || '');
+        params.state = place?.state || userContext.state || '';
+        params.language = userContext.language || 'en';
+        break;
+      }
+
       case 'get_fertilizer_prices':
         const fertilizers = ['urea', 'dap', 'npk', 'mop'];
         params.fertilizerType = fertilizers.find(f => query.toLowerCase().includes(f)) || '';
@@ -777,51 +1362,34 @@ class AgentToolsService {
 
   // Helper methods
   static extractLocationFromQuery(query) {
-    const queryLower = query.toLowerCase();
+    // Districts, towns, mandis and states from the offline gazetteer (most specific wins)
+    const place = GazetteerService.findInText(query);
+    return place ? place.name : null;
+  }
 
-    // Common Indian cities and states
-    const locations = [
-      'delhi', 'mumbai', 'bangalore', 'chennai', 'kolkata', 'hyderabad', 'pune', 'ahmedabad',
-      'jaipur', 'lucknow', 'kanpur', 'nagpur', 'indore', 'thane', 'bhopal', 'visakhapatnam',
-      'pimpri', 'patna', 'vadodara', 'ghaziabad', 'ludhiana', 'agra', 'nashik', 'faridabad',
-      'meerut', 'rajkot', 'kalyan', 'vasai', 'varanasi', 'srinagar', 'aurangabad', 'dhanbad',
-      'amritsar', 'navi mumbai', 'allahabad', 'ranchi', 'howrah', 'coimbatore', 'jabalpur',
-      'gwalior', 'vijayawada', 'jodhpur', 'madurai', 'raipur', 'kota', 'guwahati', 'chandigarh',
-      'solapur', 'hubli', 'tiruchirappalli', 'bareilly', 'mysore', 'tiruppur', 'gurgaon',
-      'aligarh', 'jalandhar', 'bhubaneswar', 'salem', 'warangal', 'guntur', 'bhiwandi',
-      'saharanpur', 'gorakhpur', 'bikaner', 'amravati', 'noida', 'jamshedpur', 'bhilai',
-      'cuttack', 'firozabad', 'kochi', 'nellore', 'bhavnagar', 'dehradun', 'durgapur',
-      'asansol', 'rourkela', 'nanded', 'kolhapur', 'ajmer', 'akola', 'gulbarga', 'jamnagar',
-      'ujjain', 'loni', 'siliguri', 'jhansi', 'ulhasnagar', 'jammu', 'sangli', 'mangalore',
-      'erode', 'belgaum', 'ambattur', 'tirunelveli', 'malegaon', 'gaya', 'jalgaon', 'udaipur',
-      'maheshtala', 'davanagere', 'kozhikode', 'kurnool', 'rajpur sonarpur', 'rajahmundry',
-      'bokaro', 'south dumdum', 'bellary', 'patiala', 'gopalpur', 'agartala', 'bhagalpur',
-      'muzaffarnagar', 'bhatpara', 'panihati', 'latur', 'dhule', 'rohtak', 'korba',
-      'bhilwara', 'berhampur', 'muzaffarpur', 'ahmednagar', 'mathura', 'kollam', 'avadi',
-      'kadapa', 'kamarhati', 'sambalpur', 'bilaspur', 'shahjahanpur', 'satara', 'bijapur',
-      'rampur', 'shivamogga', 'chandrapur', 'junagadh', 'thrissur', 'alwar', 'bardhaman',
-      'kulti', 'kakinada', 'nizamabad', 'parbhani', 'tumkur', 'khammam', 'ozhukarai',
-      'bihar sharif', 'panipat', 'darbhanga', 'bally', 'aizawl', 'dewas', 'ichalkaranji',
-      'karnal', 'bathinda', 'jalna', 'eluru', 'kirari suleman nagar', 'barabanki', 'purnia',
-      'satna', 'mau', 'sonipat', 'farrukhabad', 'sagar', 'rourkela', 'durg', 'imphal',
-      'ratlam', 'hapur', 'arrah', 'anantapur', 'karimnagar', 'etawah', 'ambernath', 'north dumdum',
-      'bharatpur', 'begusarai', 'new delhi', 'gandhidham', 'baranagar', 'tiruvottiyur', 'puducherry',
-      'sikar', 'thoothukudi', 'rewa', 'mirzapur', 'raichur', 'pali', 'ramagundam', 'silchar',
-      'orai', 'nandyal', 'morena', 'bhiwani', 'porbandar', 'palakkad', 'anand', 'puruliya',
-      'maharashtra', 'uttar pradesh', 'bihar', 'west bengal', 'madhya pradesh', 'tamil nadu',
-      'rajasthan', 'karnataka', 'gujarat', 'andhra pradesh', 'odisha', 'telangana', 'kerala',
-      'jharkhand', 'assam', 'punjab', 'chhattisgarh', 'haryana', 'jammu and kashmir', 'ladakh',
-      'uttarakhand', 'himachal pradesh', 'tripura', 'meghalaya', 'manipur', 'nagaland',
-      'goa', 'arunachal pradesh', 'mizoram', 'sikkim'
-    ];
+  // "20 quintals" -> 20, "2 tonnes" -> 20, "500 kg" -> 5 (null when absent)
+  static extractQuantityQuintalsFromQuery(query) {
+    const m = query.toLowerCase().match(/(\d+(?:\.\d+)?)\s*(quintals?|qtls?|q\b|tonnes?|tons?|t\b|kgs?|kilograms?|bags?)/);
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    if (/^(tonne|ton|t\b)/.test(m[2])) return n * 10;
+    if (/^(kg|kilogram)/.test(m[2])) return n / 100;
+    if (/^bag/.test(m[2])) return n * 0.5; // 50 kg bags
+    return n;
+  }
 
-    for (const location of locations) {
-      if (queryLower.includes(location)) {
-        return location.charAt(0).toUpperCase() + location.slice(1);
-      }
+  // "two weeks" -> 14, "10 days" -> 10, "next month" -> 30 (default 14)
+  static extractHorizonDaysFromQuery(query) {
+    const queryLower = query.toLowerCase();
+    const words = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, few: 3, couple: 2 };
+    const m = queryLower.match(/(\d+|a|an|one|two|three|four|five|six|few|couple)\s*(?:of\s+)?(day|week|month)s?/);
+    if (m) {
+      const n = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : words[m[1]];
+      return Math.min(n * (m[2] === 'month' ? 30 : m[2] === 'week' ? 7 : 1), 60);
     }
-
-    return null;
+    if (/next\s+week|fortnight/.test(queryLower)) return queryLower.includes('fortnight') ? 14 : 7;
+    if (/next\s+month/.test(queryLower)) return 30;
+    return 14;
   }
 
   static extractCropFromQuery(query) {
@@ -891,12 +1459,52 @@ class AgentToolsService {
     return symptoms.length > 0 ? symptoms : ['general symptoms'];
   }
 
-  static buildEnhancedContext(toolResults) {
+  // Tools whose buildEnhancedContext section carries the whole result
+  static FORMATTED_TOOLS = new Set([
+    'get_current_weather', 'get_weather_irrigation_advice', 'get_spray_windows', 'log_irrigation',
+    'get_market_prices', 'get_realtime_market_price', 'get_agmarknet_prices', 'compare_market_realization',
+    'forecast_commodity_price', 'search_knowledge_base'
+  ]);
+
+  /**
+   * Tool message content for native function calling. Uses the same text the planner path
+   * puts in the prompt (MSP, water balance, unresolved location notes); failed calls keep
+   * their error details so the model can correct its arguments, and tools without a
+   * formatter send their result as JSON. `turnResults` are the turn's results so far, so
+   * knowledge base labels carry on from earlier searches instead of restarting at KB1.
+   */
+  static formatToolResultForModel(result, turnResults = []) {
+    if (result.success === false && result.errorType !== 'no_data') {
+      return JSON.stringify({ error: result.error, errorType: result.errorType, details: result.errorDetails });
+    }
+    if (result.success === false || result.result?.locationUnresolved || this.FORMATTED_TOOLS.has(result.toolName)) {
+      const index = turnResults.indexOf(result);
+      const earlier = index >= 0 ? turnResults.slice(0, index) : turnResults;
+      return this.buildEnhancedContext([result], KnowledgeBaseService.countPassages(earlier));
+    }
+    return JSON.stringify(result.result ?? result);
+  }
+
+  // citationOffset: knowledge base passages already labelled earlier in the turn
+  static buildEnhancedContext(toolResults, citationOffset = 0) {
     // Build concise, machine-parseable snippets; outer caller will prefix heading
     let context = "";
 
-    toolResults.forEach(result => {
+    KnowledgeBaseService.numberCitations(toolResults, citationOffset).forEach(result => {
       console.log(`🌡️ Building context for ${result.toolName}:`, result.success ? result.result : result.error);
+      // Weather tools report an unresolved place instead of substituting one
+      if (result.success !== false && result.result?.locationUnresolved) {
+        context += `Location: unresolved (${result.result.reason}). ${result.result.message}\n\n`;
+        return;
+      }
+      // The source answered with no rows: say so rather than guessing a price
+      if (result.success === false && result.errorType === 'no_data') {
+        context += `${result.toolName}: no data (${result.error}). Tell the farmer nothing was reported; do not estimate a figure.\n\n`;
+        return;
+      }
+      if (result.success !== false && result.result?.resolvedLocation?.precision === 'state') {
+        context += `Location: ${result.result.resolvedLocation.name} (state-level estimate - ask for the district for local weather)\n`;
+      }
       switch (result.toolName) {
         case 'get_current_weather':
           if (result.success === false) {
@@ -915,7 +1523,9 @@ class AgentToolsService {
           if (result.result.daily && result.result.daily.length > 0) {
             context += `\n**5-Day Forecast:**\n`;
             result.result.daily.slice(0, 5).forEach((day, index) => {
-              const date = new Date(day.dt * 1000).toLocaleDateString('en-IN', { month: 'short', day: 'numeric' });
+              const date = day.date
+                ? new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-IN', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+                : new Date(day.dt * 1000).toLocaleDateString('en-IN', { month: 'short', day: 'numeric' });
               const rainfall = day.rain?.['1h'] ? `${Math.round(day.rain['1h'])}mm` : '0mm';
               context += `${index + 1}. **${date}**: ${Math.round(day.temp.max)}°C/${Math.round(day.temp.min)}°C, ${day.weather[0].description}`;
               if (rainfall !== '0mm') context += ` (${rainfall} rain)`;
@@ -930,10 +1540,45 @@ class AgentToolsService {
             context += `Irrigation: Data unavailable (${result.error})\n`;
             break;
           }
-          context += `Irrigation: ${result.result.recommendation.message} `;
-          context += `(${result.result.recommendation.waterAmount}mm needed)\n`;
+          {
+            const rec = result.result.recommendation;
+            const d = result.result.data;
+            context += `Irrigation: ${rec.message} `;
+            context += `(${rec.waterAmount}mm needed = ${rec.litresPerAcre} L/acre`;
+            if (rec.areaAcres > 1) context += `, ${rec.totalLitres} L for ${rec.areaAcres} acres`;
+            context += `)\n`;
+            context += `- ET0 ${d.et0} mm/day (${d.method}), Kc ${d.kc} (${d.kcStage} stage${d.daysAfterPlanting != null ? `, day ${d.daysAfterPlanting} after planting` : ''}) → crop water use ${d.cropET} mm/day, ${d.cropET3Day} mm over 3 days; rain expected ${d.upcomingRain} mm\n`;
+            if (result.result.waterBalance) context += `- ${this.describeWaterBalance(result.result.waterBalance)}\n`;
+          }
           break;
 
+        case 'get_spray_windows': {
+          if (result.success === false) {
+            context += `Spray Windows: Data unavailable (${result.error})\n`;
+            break;
+          }
+          const sw = result.result;
+          context += `**Spray Windows (next ${sw.horizonHours}h, ${sw.rainFastHours}h rain-free after spraying):**\n`;
+          if (!sw.windows.length) context += `- ${sw.summary}\n`;
+          sw.windows.forEach((w, i) => {
+            context += `${i + 1}. ${w.label}: ${w.rating} (score ${w.score}), best around ${w.bestTime}, wind ${w.wind} m/s, Delta T ${w.deltaT}, ${w.temp}°C`;
+            if (w.cautions.length) context += `; cautions: ${w.cautions.join(', ')}`;
+            context += `\n`;
+          });
+          break;
+        }
+
+        case 'log_irrigation': {
+          if (result.success === false) {
+            context += `Irrigation Log: Not recorded (${result.error})\n`;
+            break;
+          }
+          const ev = result.result.event;
+          context += `Irrigation Log: recorded ${ev.grossMm}mm by ${ev.method} on ${ev.date}${ev.durationHours ? ` (${ev.durationHours} h)` : ''}, ${ev.netMm}mm reaching the root zone; depletion ${result.result.depletionBeforeMm} → ${result.result.status.depletionMm}mm\n`;
+          context += `- ${this.describeWaterBalance(result.result.status)}\n`;
+          break;
+        }
+
         case 'get_market_prices':
           if (result.success === false) {
             context += `Market Prices: Data unavailable (${result.error})\n`;
@@ -962,6 +1607,66 @@ class AgentToolsService {
           context += `Agmarknet: Latest prices retrieved for verification\n`;
           break;
 
+        case 'get_agmarknet_prices': {
+          if (result.success === false) {
+            context += `Agmarknet Prices: Data unavailable (${result.error})\n`;
+            break;
+          }
+          const summary = result.result.priceData?.summary;
+          if (!summary) {
+            context += `Agmarknet Prices: No price rows for ${result.result.location}\n`;
+            break;
+          }
+          context += `**Agmarknet Prices (${result.result.location}):**\n`;
+          context += `- Modal Price: ₹${summary.currentPrice}/quintal (range ₹${summary.minPrice ?? '?'} - ₹${summary.maxPrice ?? '?'})\n`;
+          // Multi-window history from the scraper's time-series store
+          const history = result.result.history || {};
+          ['7d', '30d', '90d'].forEach(w => {
+            const win = history[w];
+            if (win && win.points > 1) {
+              context += `- ${w} modal: avg ₹${win.avgModal}, ₹${win.firstModal} → ₹${win.lastModal} (${win.changePct > 0 ? '+' : ''}${win.changePct}%, ${win.points} days)\n`;
+            }
+          });
+          if (result.result.fallback) context += `- Note: scraper unavailable, figures are illustrative only\n`;
+          if (result.result.replay) context += `- Note: replayed from a recorded fixture (${result.result.replay.recordedAt}), not today's live data\n`;
+          context += `\n`;
+          break;
+        }
+
+        case 'compare_market_realization': {
+          if (result.success === false) {
+            context += `Market Comparison: Unavailable (${result.error})\n`;
+            break;
+          }
+          const cmp = result.result;
+          const a = cmp.assumptions;
+          context += `**Market Comparison for ${cmp.quantityQuintals} quintals of ${cmp.commodity} (prices ${cmp.priceDate}; transport ₹${a.transportRatePerKm}/km one way, commission ${a.commissionPct}%):**\n`;
+          cmp.ranking.slice(0, 5).forEach((r, i) => {
+            context += `${i + 1}. ${r.market} (${r.distanceKm} km): modal ₹${r.modal}/q, transport ₹${r.transportCost}, commission ₹${r.commission} → take-home ₹${r.netTotal} (₹${r.netPerQuintal}/q)\n`;
+          });
+          if (cmp.best.market !== cmp.nearest.market) {
+            context += `- Best (${cmp.best.market}) beats nearest (${cmp.nearest.market}) by ₹${cmp.gainOverNearest}\n`;
+          }
+          context += `- Distances are estimates; prices are the latest reported day, not a guaranteed sale price\n\n`;
+          break;
+        }
+
+        case 'forecast_commodity_price': {
+          if (result.success === false) {
+            context += `Price Forecast: Unavailable (${result.error})\n`;
+            break;
+          }
+          const fc = result.result;
+          const best = fc.models.find(m => m.name === fc.forecast.model);
+          context += `**Price Forecast (${fc.commodity}, ${fc.location}, ${fc.horizonDays} days):**\n`;
+          context += `- Today (${fc.current.date}): ₹${fc.current.modal}/quintal → projected ₹${fc.forecast.point} on ${fc.forecast.date} (80% range ₹${fc.forecast.low} - ₹${fc.forecast.high}, ${fc.forecast.changePct > 0 ? '+' : ''}${fc.forecast.changePct}%)\n`;
+          context += `- Model: ${fc.forecast.modelLabel}, backtest MAPE ${best?.mape}% over ${best?.origins} past windows; confidence ${fc.confidence}\n`;
+          context += `- Hold vs sell: ${fc.holdAdvice.signal.toUpperCase()} - ${fc.holdAdvice.reason} (net ${fc.holdAdvice.netChangePct}% after ~${fc.holdAdvice.storageLossPct}% storage loss)\n`;
+          context += `- Based on ${fc.history.observedDays} days of ${fc.history.source} prices, ${fc.history.from} to ${fc.history.to}\n`;
+          context += `- Forecasts are projections from past prices only; state the range and confidence, not a guarantee\n\n`;
+          break;
+        }
+
         case 'identify_plant_disease':
           if (result.success === false) {
             context += `Disease Analysis: Data unavailable (${result.error})\n`;
@@ -971,6 +1676,24 @@ class AgentToolsService {
           context += `confidence ${result.result.confidence}%\n`;
           break;
 
+        case 'search_knowledge_base': {
+          if (result.success === false) {
+            context += `Knowledge Base: Unavailable (${result.error})\n`;
+            break;
+          }
+          const kb = result.result;
+          if (!kb.passages.length) {
+            context += `Knowledge Base: ${kb.message}\n`;
+            break;
+          }
+          context += `**Package of Practices (knowledge base):**\n`;
+          kb.passages.forEach(p => {
+            context += `[${p.citation}] ${p.title} - ${p.heading} (${p.source}, v${p.version}): "${p.text}"\n`;
+          });
+          context += `- Quote the figures you use from these passages and put the label (e.g. [KB1]) after the sentence; do not cite them for anything they do not say\n\n`;
+          break;
+        }
+
         case 'get_government_schemes':
           if (result.success === false) {
             context += `Government Schemes: Data unavailable (${result.error})\n`;
@@ -986,11 +1709,32 @@ class AgentToolsService {
             context += `${result.toolName}: Data retrieved successfully\n`;
           }
       }
+
+      if (result.success !== false && result.result?.msp) {
+        const msp = result.result.msp;
+        context += `- ${MSPService.describe(msp)}\n`;
+        if (msp.belowMsp && msp.procurementAvailable !== false) {
+          context += `- Do not advise selling below MSP without mentioning government procurement at ₹${msp.msp}/quintal\n`;
+        }
+      }
     });
 
     return context.trim();
   }
 
+  static describeWaterBalance(wb) {
+    const next = wb.nextIrrigation;
+    let text = `Soil water (${wb.soilType}, ${wb.rootDepthM} m roots): ${Math.round(wb.availableFraction * 100)}% of ${wb.tawMm}mm available, depletion ${wb.depletionMm}mm vs ${wb.rawMm}mm readily available`;
+    if (next) {
+      text += next.inDays === 0
+        ? `; irrigate now (~${next.refillGrossMm}mm, ${next.litresPerAcre} L/acre by ${next.method})`
+        : `; next irrigation ~${next.date} (in ${next.inDays} days, ~${next.refillGrossMm}mm by ${next.method})`;
+    } else {
+      text += '; no irrigation needed in the next 3 weeks at current water use';
+    }
+    return text;
+  }
+
   // Enhanced context building with conflict detection
   static buildEnhancedContextWithConflicts(toolResults) {
     const baseContext = this.buildEnhancedContext(toolResults);
@@ -1099,6 +1843,26 @@ class AgentToolsService {
         reliability: 'high',
         data_type: 'pricing'
       },
+      'log_irrigation': {
+        source: 'Farmer log + FAO-56 soil water balance',
+        reliability: 'medium',
+        data_type: 'irrigation'
+      },
+      'compare_market_realization': {
+        source: 'APMC (data.gov.in) prices + estimated transport',
+        reliability: 'medium',
+        data_type: 'pricing'
+      },
+      'forecast_commodity_price': {
+        source: 'Agmarknet price history (statistical forecast)',
+        reliability: 'medium',
+        data_type: 'forecast'
+      },
+      'get_spray_windows': {
+        source: 'Weather forecast (spray window scoring)',
+        reliability: 'medium',
+        data_type: 'weather'
+      },
       'get_weather_alerts': {
         source: 'Weather Alert API',
         reliability: 'high',
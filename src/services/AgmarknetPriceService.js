@@ -4,12 +4,22 @@
  * Based on the provided Puppeteer scraping code
  */
 
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EnvironmentConfig from '../config/environment.js';
+
 class AgmarknetPriceService {
   static AGMARKNET_URL = 'https://agmarknet.gov.in/';
   
-  // Cache for price data (TTL: 30 minutes)
+  // Cache for price data (TTL: 30 minutes), persisted to AsyncStorage so it survives restarts
   static _cache = {};
+  static _cacheLoaded = false;
   static CACHE_TTL_MS = 30 * 60 * 1000;
+  static CACHE_PERSIST_KEY = 'agmarknet_price_cache_v1';
+
+  // Scraper job polling (server returns 202 + jobId when a scrape is still queued/running)
+  static REQUEST_TIMEOUT_MS = 10000;
+  static JOB_POLL_INTERVAL_MS = 1500;
+  static JOB_POLL_TIMEOUT_MS = 30000;
 
   /**
    * Get crop prices from Agmarknet
@@ -20,9 +30,10 @@ class AgmarknetPriceService {
    * @param {string} params.market - Market name (optional, e.g., 'Punganur')
    * @param {string} params.dateFrom - Start date (dd-MMM-yyyy format, e.g., '18-Aug-2025')
    * @param {string} params.dateTo - End date (dd-MMM-yyyy format, e.g., '18-Aug-2025')
+   * @param {Object} [options] - fetch for the scraper requests, noCache to bypass the price cache (cassette turns)
    * @returns {Promise<Object>} Price data with success status
    */
-  static async getCropPrices({ commodity, state, district = '', market = '', dateFrom, dateTo }) {
+  static async getCropPrices({ commodity, state, district = '', market = '', dateFrom, dateTo }, options = {}) {
     try {
       // Input validation
       if (!commodity || !state || !dateFrom || !dateTo) {
@@ -37,7 +48,8 @@ class AgmarknetPriceService {
       const cacheKey = `agmarknet:${commodity}:${state}:${district}:${market}:${dateFrom}:${dateTo}`;
       
       // Check cache first
-      if (this._cache[cacheKey]) {
+      if (!options.noCache) await this._loadCache();
+      if (!options.noCache && this._cache[cacheKey]) {
         const entry = this._cache[cacheKey];
         if (Date.now() - entry.timestamp < this.CACHE_TTL_MS) {
           console.log('📊 Returning cached Agmarknet data');
@@ -56,14 +68,15 @@ class AgmarknetPriceService {
         market,
         dateFrom,
         dateTo
-      });
+      }, options);
 
-      // Cache successful results
-      if (result.success) {
+      // Cache successful results (never persist mock fallbacks)
+      if (result.success && !result.fallback && !options.noCache) {
         this._cache[cacheKey] = {
           timestamp: Date.now(),
           data: result
         };
+        this._persistCache();
       }
 
       return result;
@@ -79,12 +92,61 @@ class AgmarknetPriceService {
   }
 
   /**
-   * Fetch data from Agmarknet using the backend scraper service
+   * Get stored modal price history from the scraper server's time-series store
+   * @param {Object} params
+   * @param {string} params.commodity - Commodity name
+   * @param {string} [params.state] - State filter
+   * @param {string} [params.district] - District filter
+   * @param {string} [params.market] - Market filter
+   * @param {number} [params.days=90] - Length of the daily series
+   * @param {Object} [options] - fetch for the scraper request
+   * @returns {Promise<Object>} { success, points: [{date, modal, min, max, markets}], windows: {'7d','30d','90d'} }
+   */
+  static async getPriceHistory({ commodity, state = '', district = '', market = '', days = 90 }, options = {}) {
+    try {
+      if (!commodity) {
+        return { success: false, error: 'Missing required parameter: commodity', points: [] };
+      }
+
+      const params = new URLSearchParams({ commodity, state, district, market, days: String(days) });
+      const result = await this._scraperRequest(`${EnvironmentConfig.getAgmarknetScraperUrl()}/api/price-series?${params.toString()}`, {}, options);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Price history unavailable');
+      }
+      return result;
+    } catch (error) {
+      console.warn('⚠️ Agmarknet price history unavailable:', error.message);
+      return { success: false, error: error.name === 'AbortError' ? 'Request timeout' : error.message, points: [] };
+    }
+  }
+
+  /**
+   * Start a day-by-day backfill of the server's price store for a date range
    */
-  static async _fetchAgmarknetData({ commodity, state, district, market, dateFrom, dateTo }) {
+  static async startBackfill({ commodity, state, district = '', market = '', dateFrom, dateTo }) {
     try {
-      // Backend scraper service URL (update this to your deployed service URL)
-      const SCRAPER_API_URL = 'http://localhost:3001/api/crop-prices';
+      const result = await this._scraperRequest(`${EnvironmentConfig.getAgmarknetScraperUrl()}/api/backfill`, {
+        method: 'POST',
+        body: JSON.stringify({ commodity, state, district, market, dateFrom, dateTo })
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Backfill request failed');
+      }
+      return result;
+    } catch (error) {
+      console.warn('⚠️ Agmarknet backfill failed to start:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch data from Agmarknet using the backend scraper service.
+   * Cached queries return immediately; otherwise the server queues a scrape and
+   * may answer 202 with a jobId, which we poll until done or JOB_POLL_TIMEOUT_MS.
+   */
+  static async _fetchAgmarknetData({ commodity, state, district, market, dateFrom, dateTo }, transport = {}) {
+    try {
+      const baseUrl = EnvironmentConfig.getAgmarknetScraperUrl();
       
       const requestBody = {
         commodity,
@@ -97,28 +159,20 @@ class AgmarknetPriceService {
 
       console.log('📊 Calling backend scraper service...', requestBody);
 
-      // Create AbortController for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-      const response = await fetch(SCRAPER_API_URL, {
+      let result = await this._scraperRequest(`${baseUrl}/api/crop-prices`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
+        body: JSON.stringify(requestBody)
+      }, transport);
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Scraper API error: ${response.status} ${response.statusText}`);
+      if (result.pending && result.jobId) {
+        console.log(`📊 Scrape queued (job ${result.jobId}), polling for result...`);
+        result = await this._pollScraperJob(baseUrl, result.jobId, transport);
       }
-
-      const result = await response.json();
       
+      // The scraper reached Agmarknet but the result table was empty: report that, don't invent prices
+      if (!result.success && /no data found/i.test(result.error || '')) {
+        return { success: false, noData: true, error: result.error, query: { commodity, state, district, market, dateFrom, dateTo } };
+      }
       if (!result.success) {
         throw new Error(result.error || 'Unknown scraper error');
       }
@@ -143,6 +197,60 @@ class AgmarknetPriceService {
     }
   }
 
+  /**
+   * Single JSON request to the scraper service with its own timeout (transport.fetch replaces fetch)
+   */
+  static async _scraperRequest(url, options = {}, transport = {}) {
+    // Create AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await (transport.fetch || fetch)(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        signal: controller.signal
+      });
+
+      // 500 responses from a failed scrape still carry a JSON error body
+      const body = await response.json().catch(() => null);
+      if (!response.ok && !body) {
+        throw new Error(`Scraper API error: ${response.status} ${response.statusText}`);
+      }
+      return body;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Poll GET /api/jobs/:id until the scrape finishes or the poll budget runs out
+   */
+  static async _pollScraperJob(baseUrl, jobId, transport = {}) {
+    const deadline = Date.now() + this.JOB_POLL_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.JOB_POLL_INTERVAL_MS));
+
+      const status = await this._scraperRequest(`${baseUrl}/api/jobs/${encodeURIComponent(jobId)}`, {}, transport);
+      if (!status?.success) {
+        throw new Error(status?.error || 'Scraper job lookup failed');
+      }
+
+      if (status.job.status === 'completed') {
+        return { ...status.result, jobId };
+      }
+      if (status.job.status === 'failed') {
+        throw new Error(status.job.error || 'Scraper job failed');
+      }
+    }
+
+    throw new Error(`Scraper job ${jobId} still running after ${Math.round(this.JOB_POLL_TIMEOUT_MS / 1000)}s`);
+  }
+
   /**
    * Generate mock price data for demonstration
    * In production, this would be replaced with actual scraping results
@@ -212,7 +320,10 @@ class AgmarknetPriceService {
         unit: result.data.summary.priceUnit,
         trend: result.data.summary.trend,
         change: result.data.summary.change,
-        location: `${district || state}`,
+        history: result.data.summary.history || null, // 7d/30d/90d modal windows from the server store
+        // Server reports the canonical dropdown names it actually selected
+        location: result.query?.market || result.query?.district || district || result.query?.state || state,
+        resolved: result.query || null,
         lastUpdated: result.timestamp
       };
     }
@@ -260,11 +371,46 @@ class AgmarknetPriceService {
     ];
   }
 
+  /**
+   * Load persisted cache once per app session (drops expired entries)
+   */
+  static async _loadCache() {
+    if (this._cacheLoaded) return;
+    this._cacheLoaded = true;
+    try {
+      const raw = await AsyncStorage.getItem(this.CACHE_PERSIST_KEY);
+      if (!raw) return;
+      const persisted = JSON.parse(raw);
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(persisted || {})) {
+        if (entry && now - entry.timestamp < this.CACHE_TTL_MS && !this._cache[key]) {
+          this._cache[key] = entry;
+        }
+      }
+    } catch (e) {
+      console.warn('Agmarknet cache load failed:', e.message);
+    }
+  }
+
+  static async _persistCache() {
+    try {
+      const now = Date.now();
+      const fresh = Object.fromEntries(
+        Object.entries(this._cache).filter(([, entry]) => now - entry.timestamp < this.CACHE_TTL_MS)
+      );
+      this._cache = fresh;
+      await AsyncStorage.setItem(this.CACHE_PERSIST_KEY, JSON.stringify(fresh));
+    } catch (e) {
+      console.warn('Agmarknet cache persist failed:', e.message);
+    }
+  }
+
   /**
    * Clear cache
    */
   static clearCache() {
     this._cache = {};
+    AsyncStorage.removeItem(this.CACHE_PERSIST_KEY).catch(() => {});
     console.log('📊 Agmarknet price cache cleared');
   }
 }
@@ -5,8 +5,14 @@
 import FarmerCropProjectsService from './FarmerCropProjectsService';
 import WeatherToolsService from './WeatherToolsService';
 import GroqAIService from './GroqAIService';
+import MarketDataService from './MarketDataService';
+import SoilWaterBalanceService from './SoilWaterBalanceService';
+import PhenologyService from './PhenologyService';
+import WeatherRiskService from './WeatherRiskService';
 
 class AlertGeneratorService {
+  static PRICE_CHECK_INTERVAL_MS = 3 * 60 * 60 * 1000; // watchlist prices move daily; don't re-fetch every refresh
+
   /** Generate / refresh alerts for all active projects */
   static async refreshAlerts(userId, coordinates) {
     if (!userId) return [];
@@ -15,13 +21,17 @@ class AlertGeneratorService {
 
   let weather = null;
   let daily = null;
+  let tzOffsetS;
     if (coordinates?.latitude && coordinates?.longitude) {
       try {
     const w = await WeatherToolsService.getAgricultureWeather(coordinates.latitude, coordinates.longitude);
-    if (w?.success) { weather = w.current; daily = w.daily; }
+    if (w?.success) { weather = w.current; daily = w.daily; tzOffsetS = w.timezoneOffset; }
       } catch (e) { /* non-blocking */ }
     }
 
+  // Price watchlists: one batched evaluation for every due watch across active projects
+  const priceEval = await this.evaluatePriceWatchlists(active);
+
   const updated = [];
   // Prepare Groq service once (LLM summaries). If it fails, we still keep alerts without summaries.
   let groq = null;
@@ -31,8 +41,27 @@ class AlertGeneratorService {
       const existingKeys = new Set(alerts.map(a => a.key));
       const newAlerts = [];
 
-  // Severe heat
-      if (weather?.temp > 40) {
+      // Multi-day temperature risks (heatwave, frost, cold wave, sudden drop) from the daily forecast
+      if (daily && daily.length) {
+        WeatherRiskService.evaluate(p, daily, { tzOffsetS }).forEach(risk => {
+          const key = `${risk.type}_${risk.forecastDate}_${risk.severity}`;
+          if (existingKeys.has(key) || WeatherRiskService.isCovered(alerts, risk)) return;
+          newAlerts.push({
+            id: Date.now().toString()+Math.random(),
+            key,
+            type: risk.type,
+            severity: risk.severity,
+            message: risk.message,
+            forecastDate: risk.forecastDate,
+            days: risk.days,
+            actions: risk.actions,
+            createdAt: new Date().toISOString()
+          });
+        });
+      }
+
+  // Severe heat right now (only when there is no daily forecast to evaluate)
+      if (!daily?.length && weather?.temp > 40) {
         const key = `heat_${new Date().toISOString().split('T')[0]}`;
         if (!existingKeys.has(key)) {
           newAlerts.push({
@@ -146,7 +175,89 @@ class AlertGeneratorService {
         }
       }
 
-      if (newAlerts.length) {
+      // Price watchlist thresholds (absolute + % change vs reference)
+      const watchlist = p.workflows?.priceWatchlist || [];
+      let watchlistChanged = false;
+      const nextWatchlist = watchlist.map(w => {
+        const evaluated = priceEval.prices.get(`${p.id}:${w.id}`);
+        if (!evaluated) return w;
+        watchlistChanged = true;
+        const next = { ...w, lastPrice: evaluated.currentPrice, lastCheckedAt: priceEval.checkedAt };
+        if (!w.reference?.price) next.reference = { price: evaluated.currentPrice, at: priceEval.checkedAt };
+        (priceEval.alerts.get(`${p.id}:${w.id}`) || []).forEach(a => {
+          const todayKey = new Date().toISOString().split('T')[0];
+          // Threshold alerts repeat at most daily; %-change alerts once per reference price
+          const key = a.trigger === 'change'
+            ? `${a.type}_change_${w.id}_${w.reference.at}`
+            : `${a.type}_${w.id}_${todayKey}`;
+          if (existingKeys.has(key)) return;
+          newAlerts.push({
+            id: Date.now().toString()+Math.random(),
+            key,
+            type: a.type,
+            severity: a.trigger === 'change' && Math.abs(a.changePct) >= 2 * a.threshold ? 'high' : 'medium',
+            message: `${a.message}. ${a.recommendation}.`,
+            price: { commodity: a.commodity, location: a.location, current: a.currentPrice, threshold: a.threshold, reference: a.referencePrice, changePct: a.changePct },
+            createdAt: new Date().toISOString()
+          });
+          // Re-base after a %-change alert so the next one measures from today's price
+          if (a.trigger === 'change') next.reference = { price: a.currentPrice, at: priceEval.checkedAt };
+        });
+        return next;
+      });
+
+      // Root-zone water balance: advance the ledger and warn when depletion reaches RAW
+      let waterBalance = null;
+      if (daily && daily.length) {
+        try {
+          waterBalance = SoilWaterBalanceService.advance(p, daily, coordinates.latitude, new Date(), tzOffsetS);
+          const next = waterBalance.nextIrrigation;
+          if (next && next.inDays <= 1) {
+            const key = `irrigation_due_${next.date}`;
+            if (!existingKeys.has(key)) {
+              newAlerts.push({
+                id: Date.now().toString()+Math.random(),
+                key,
+                type: 'irrigation_due',
+                severity: next.inDays === 0 ? 'high' : 'medium',
+                message: `${p.cropName} root zone ${next.inDays === 0 ? 'has reached' : 'reaches'} its irrigation point${next.inDays === 0 ? '' : ' tomorrow'}. Apply ~${next.refillGrossMm}mm (${next.litresPerAcre.toLocaleString('en-IN')} L/acre) by ${next.method}.`,
+                createdAt: new Date().toISOString()
+              });
+            }
+          }
+        } catch (e) { waterBalance = null; /* non-blocking */ }
+      }
+
+      // Thermal time: accumulate GDD since planting and predict stage / harvest dates
+      let thermalTime = null;
+      let cropDetails = null;
+      if (daily && daily.length && p.cropDetails?.plantingDate) {
+        try {
+          thermalTime = PhenologyService.update(p, daily);
+          const prediction = thermalTime?.prediction;
+          if (prediction) {
+            const stageInfo = PhenologyService.effectiveStage({ ...p, workflows: { ...p.workflows, thermalTime } });
+            const key = `stage_predicted_${prediction.stage}_${thermalTime.plantingDate}`;
+            if (stageInfo.differs && !existingKeys.has(key)) {
+              newAlerts.push({
+                id: Date.now().toString()+Math.random(),
+                key,
+                type: 'stage_change',
+                severity: 'low',
+                message: `${p.cropName} has likely reached ${prediction.phase} (${thermalTime.gdd} growing degree days since planting). Update the stage from ${stageInfo.manualStage} to ${prediction.stage}.`,
+                createdAt: new Date().toISOString()
+              });
+            }
+            // Predicted harvest fills expectedHarvest unless the farmer set it or the series is mostly back-filled
+            const manualHarvest = p.cropDetails.expectedHarvest && p.cropDetails.expectedHarvestSource !== 'gdd';
+            if (prediction.confidence !== 'low' && prediction.expectedHarvest && !manualHarvest && p.cropDetails.expectedHarvest !== prediction.expectedHarvest) {
+              cropDetails = { ...p.cropDetails, expectedHarvest: prediction.expectedHarvest, expectedHarvestSource: 'gdd' };
+            }
+          }
+        } catch (e) { thermalTime = null; /* non-blocking */ }
+      }
+
+      if (newAlerts.length || watchlistChanged || waterBalance || thermalTime) {
         // Generate concise AI summaries (5-10 words) for each new alert using real alert context
 	if (groq?.isAvailable) {
           for (const alert of newAlerts) {
@@ -173,13 +284,39 @@ class AlertGeneratorService {
             }
           }
         }
-        const merged = { ...p, workflows: { ...p.workflows, alerts: [...newAlerts, ...alerts].slice(0,50) } };
-        await FarmerCropProjectsService.updateProject(p.id, { workflows: merged.workflows });
-        updated.push({ projectId: p.id, added: newAlerts.length });
+        const merged = { ...p, workflows: { ...p.workflows, alerts: [...newAlerts, ...alerts].slice(0,50), ...(watchlistChanged ? { priceWatchlist: nextWatchlist } : {}), ...(waterBalance ? { waterBalance } : {}), ...(thermalTime ? { thermalTime } : {}) } };
+        await FarmerCropProjectsService.updateProject(p.id, { workflows: merged.workflows, ...(cropDetails ? { cropDetails } : {}) });
+        if (newAlerts.length) updated.push({ projectId: p.id, added: newAlerts.length });
       }
     }
     return updated;
   }
+
+  /**
+   * Evaluate due price watches (not checked within PRICE_CHECK_INTERVAL_MS) via MarketDataService.getPriceAlerts
+   * @returns {{prices: Map, alerts: Map, checkedAt: string}} keyed by `${projectId}:${watchId}`
+   */
+  static async evaluatePriceWatchlists(projects) {
+    const result = { prices: new Map(), alerts: new Map(), checkedAt: new Date().toISOString() };
+    const now = Date.now();
+    const due = [];
+    projects.forEach(p => (p.workflows?.priceWatchlist || []).forEach(w => {
+      if (w.lastCheckedAt && now - new Date(w.lastCheckedAt).getTime() < this.PRICE_CHECK_INTERVAL_MS) return;
+      due.push({ ...w, id: `${p.id}:${w.id}` });
+    }));
+    if (!due.length) return result;
+
+    try {
+      const res = await MarketDataService.getPriceAlerts(due);
+      if (!res.success) return result;
+      res.prices.forEach(pr => result.prices.set(pr.id, pr));
+      res.alerts.forEach(a => {
+        if (!result.alerts.has(a.id)) result.alerts.set(a.id, []);
+        result.alerts.get(a.id).push(a);
+      });
+    } catch (e) { /* non-blocking: prices retried on next refresh */ }
+    return result;
+  }
 }
 
 export default AlertGeneratorService;
@@ -0,0 +1,256 @@
+/**
+ * Cassette Service for Khet AI
+ * Record / replay of full chat turns. The turn gets its own transport
+ * ({fetch, noCache}) that services use for their requests (Groq, Sarvam,
+ * weather, data.gov.in, mandi scraper); while recording, each request and its
+ * response is captured into a cassette together with the turn's input and
+ * final answer. Replay serves the recorded responses back in order without
+ * touching the network, so a farmer-reported answer can be reproduced offline.
+ * Other requests in flight at the same time are never intercepted, and the
+ * weather / price / translation caches are bypassed so both runs make the
+ * same requests.
+ *
+ * Cassettes are JSON ({version, name, turn, interactions[]}); API keys and
+ * auth headers are redacted before anything is stored.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_PREFIX = 'cassette_v1:';
+const INDEX_KEY = 'cassette_v1_index';
+const MAX_STORED = 20; // oldest cassettes are dropped beyond this
+const SECRET_PARAMS = /^(api-key|api_key|apikey|appid|key|token|access_token)$/i;
+const SECRET_HEADERS = /^(authorization|api-subscription-key|x-api-key)$/i;
+
+export class CassetteMissError extends Error {
+  constructor(request) {
+    super(`No recorded response for ${request.method} ${request.url}`);
+    this.name = 'CassetteMissError';
+    this.request = request;
+  }
+}
+
+// AsyncStorage by default; Node scripts can swap in a file-backed store
+const asyncStorageStore = {
+  async read(name) {
+    const raw = await AsyncStorage.getItem(STORAGE_PREFIX + name);
+    return raw ? JSON.parse(raw) : null;
+  },
+  async write(name, cassette) {
+    await AsyncStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(cassette));
+    const index = JSON.parse((await AsyncStorage.getItem(INDEX_KEY)) || '[]').filter(n => n !== name);
+    index.push(name);
+    const dropped = index.splice(0, Math.max(index.length - MAX_STORED, 0));
+    await Promise.all(dropped.map(n => AsyncStorage.removeItem(STORAGE_PREFIX + n)));
+    await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  },
+  async list() {
+    return JSON.parse((await AsyncStorage.getItem(INDEX_KEY)) || '[]');
+  }
+};
+
+class CassetteService {
+  static VERSION = 1;
+  static _store = asyncStorageStore;
+
+  static setStore(store) {
+    this._store = store || asyncStorageStore;
+  }
+
+  /**
+   * Run one chat turn under a cassette
+   * @param {{mode:'record'|'replay', name?:string, cassette?:Object, strict?:boolean}} options
+   *   replay reads `cassette` or the stored cassette `name`; strict (default) throws
+   *   CassetteMissError for unrecorded requests instead of going to the network
+   * @param {Object} turn - {query, language, location} stored with the recording
+   * @param {Function} run - async (transport) => response; services called for the turn take
+   *   `transport.fetch` for their requests and skip their caches when `transport.noCache`
+   * @returns {Promise<Object>} the response with a `cassette` summary attached
+   */
+  static async around(options, turn, run) {
+    const name = options.name || `turn-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    let cassette;
+    if (options.mode === 'replay') {
+      cassette = options.cassette || await this._store.read(name);
+      if (!cassette) throw new Error(`Cassette '${name}' not found`);
+    } else {
+      cassette = {
+        version: this.VERSION,
+        name,
+        recordedAt: new Date().toISOString(),
+        turn: { query: turn.query, language: turn.language, location: turn.location || null },
+        interactions: []
+      };
+    }
+
+    const session = { mode: options.mode, strict: options.strict !== false, cassette, used: new Set(), misses: [], pending: [] };
+    console.log(`📼 Cassette ${options.mode === 'replay' ? 'replaying' : 'recording'}: ${cassette.name}`);
+    const response = await run({ fetch: this._createFetch(session), noCache: true });
+
+    if (session.mode === 'record') {
+      // Streamed bodies finish recording after the caller has read its copy
+      await Promise.all(session.pending);
+      cassette.response = this._snapshotResponse(response);
+      await this._store.write(cassette.name, cassette);
+      console.log(`📼 Recorded ${cassette.interactions.length} interactions to ${cassette.name}`);
+      return { ...response, cassette: { mode: 'record', name: cassette.name, interactions: cassette.interactions.length } };
+    }
+
+    const recordedAdvice = cassette.response?.advice ?? cassette.response?.message;
+    const replayedAdvice = response?.advice ?? response?.message;
+    return {
+      ...response,
+      cassette: {
+        mode: 'replay',
+        name: cassette.name,
+        served: session.used.size,
+        unused: cassette.interactions.length - session.used.size,
+        misses: session.misses,
+        matchesRecording: recordedAdvice === replayedAdvice
+      }
+    };
+  }
+
+  static async load(name) {
+    return this._store.read(name);
+  }
+
+  static async list() {
+    return this._store.list ? this._store.list() : [];
+  }
+
+  // Pretty JSON for sharing a recording (bug reports, regression fixtures)
+  static async exportCassette(name) {
+    const cassette = await this._store.read(name);
+    return cassette ? JSON.stringify(cassette, null, 2) : null;
+  }
+
+  static async importCassette(json) {
+    const cassette = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!cassette?.name || !Array.isArray(cassette.interactions)) throw new Error('Not a cassette');
+    await this._store.write(cassette.name, cassette);
+    return cassette.name;
+  }
+
+  // fetch for one turn: records or replays only the requests made through it
+  static _createFetch(session) {
+    return async (input, init = {}) => {
+      const request = this._describeRequest(input, init);
+      if (session.mode === 'replay') return this._serve(session, request, input, init);
+
+      const started = Date.now();
+      const interaction = { seq: session.cassette.interactions.length, kind: this._kind(request.url), request };
+      session.cassette.interactions.push(interaction);
+      let response;
+      try {
+        response = await fetch(input, init);
+      } catch (error) {
+        interaction.error = { name: error.name, message: error.message };
+        interaction.latencyMs = Date.now() - started;
+        throw error;
+      }
+
+      // Tee streamed bodies (SSE) so the caller reads chunks as they arrive while the copy is recorded
+      const tee = response.body?.tee && typeof Response !== 'undefined' ? response.body.tee() : null;
+      const recorded = tee ? new Response(tee[1]).text() : response.clone().text();
+      const done = recorded.then(body => {
+        interaction.response = { status: response.status, statusText: response.statusText || '', headers: this._headers(response.headers), body };
+      }, error => {
+        interaction.error = { name: error.name, message: error.message };
+      }).then(() => {
+        interaction.latencyMs = Date.now() - started;
+      });
+      session.pending.push(done);
+      if (!tee) {
+        await done;
+        return response;
+      }
+      return new Response(tee[0], { status: response.status, statusText: response.statusText, headers: response.headers });
+    };
+  }
+
+  // Exact request match first, then the next unused call to the same endpoint (prompts can carry dates)
+  static async _serve(session, request, input, init) {
+    const unused = session.cassette.interactions.filter(i => !session.used.has(i.seq));
+    const hit = unused.find(i => this._key(i.request) === this._key(request))
+      || unused.find(i => this._route(i.request) === this._route(request));
+    if (!hit) {
+      session.misses.push({ method: request.method, url: request.url });
+      if (session.strict) throw new CassetteMissError(request);
+      return fetch(input, init);
+    }
+    session.used.add(hit.seq);
+    if (hit.error) {
+      const error = new Error(hit.error.message);
+      error.name = hit.error.name;
+      throw error;
+    }
+    return this._response(hit.response);
+  }
+
+  static _response({ status, statusText, headers = {}, body = '' }) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    const make = () => ({
+      ok: status >= 200 && status < 300,
+      status,
+      statusText,
+      headers: { get: (k) => lower[String(k).toLowerCase()] ?? null, has: (k) => String(k).toLowerCase() in lower },
+      json: async () => JSON.parse(body),
+      text: async () => body,
+      clone: make
+    });
+    return make();
+  }
+
+  static _describeRequest(input, init) {
+    const url = typeof input === 'string' ? input : input?.url || String(input);
+    const headers = typeof init.headers?.forEach === 'function' && !Array.isArray(init.headers)
+      ? this._headers(init.headers)
+      : { ...(init.headers || {}) };
+    Object.keys(headers).forEach(k => { if (SECRET_HEADERS.test(k)) headers[k] = 'REDACTED'; });
+    return {
+      method: (init.method || input?.method || 'GET').toUpperCase(),
+      url: this._redactUrl(url),
+      headers,
+      body: typeof init.body === 'string' ? init.body : init.body == null ? null : '[binary]'
+    };
+  }
+
+  static _redactUrl(url) {
+    const [base, query] = String(url).split('?');
+    if (!query) return base;
+    const params = query.split('&').map(pair => {
+      const [k] = pair.split('=');
+      return SECRET_PARAMS.test(decodeURIComponent(k)) ? `${k}=REDACTED` : pair;
+    });
+    return `${base}?${params.join('&')}`;
+  }
+
+  static _headers(headers) {
+    const out = {};
+    if (headers && typeof headers.forEach === 'function') headers.forEach((v, k) => { out[k] = v; });
+    return out;
+  }
+
+  static _key(request) {
+    return `${request.method} ${request.url} ${request.body || ''}`;
+  }
+
+  static _route(request) {
+    return `${request.method} ${request.url.split('?')[0]}`;
+  }
+
+  static _kind(url) {
+    if (/groq\.com|openai|anthropic/i.test(url)) return 'llm';
+    if (/sarvam\.ai/i.test(url)) return 'translation';
+    return 'tool';
+  }
+
+  static _snapshotResponse(response) {
+    if (!response || typeof response !== 'object') return response ?? null;
+    const { advice, message, success, processingType, toolsUsed, model, source, language } = response;
+    return { advice, message, success, processingType, toolsUsed, model, source, language };
+  }
+}
+
+export default CassetteService;
@@ -0,0 +1,201 @@
+/**
+ * Evapotranspiration Service for Khet AI
+ * FAO-56 Penman-Monteith reference evapotranspiration (ET0) from daily
+ * forecast values, and stage-dependent crop coefficients (Kc curves) so
+ * crop water use follows the crop from sowing to harvest.
+ *
+ * Reference: Allen et al. (1998), FAO Irrigation and Drainage Paper 56.
+ * Equation numbers below refer to that paper.
+ */
+
+const SQM_PER_ACRE = 4046.86; // 1 mm over 1 m² = 1 litre
+
+class EvapotranspirationService {
+  static SOLAR_CONSTANT = 0.0820; // MJ m-2 min-1
+  static STEFAN_BOLTZMANN = 4.903e-9; // MJ K-4 m-2 day-1
+  static KRS_INTERIOR = 0.16; // Hargreaves radiation adjustment (0.19 for coastal sites)
+  static ALBEDO = 0.23; // hypothetical grass reference crop
+
+  // FAO-56 Table 11 (stage lengths, days: initial, development, mid-season, late) and
+  // Table 12 (Kc ini / mid / end), using typical Indian sowing-season values
+  static KC_CURVES = {
+    wheat: { ini: 0.4, mid: 1.15, end: 0.3, lengths: [20, 25, 60, 30] },
+    rice: { ini: 1.05, mid: 1.2, end: 0.75, lengths: [30, 30, 60, 30] },
+    paddy: { ini: 1.05, mid: 1.2, end: 0.75, lengths: [30, 30, 60, 30] },
+    maize: { ini: 0.3, mid: 1.2, end: 0.5, lengths: [20, 35, 40, 30] },
+    cotton: { ini: 0.35, mid: 1.15, end: 0.6, lengths: [30, 50, 55, 45] },
+    sugarcane: { ini: 0.4, mid: 1.25, end: 0.75, lengths: [50, 70, 220, 140] },
+    tomato: { ini: 0.6, mid: 1.15, end: 0.8, lengths: [30, 40, 45, 30] },
+    potato: { ini: 0.5, mid: 1.15, end: 0.75, lengths: [25, 30, 45, 30] },
+    onion: { ini: 0.7, mid: 1.05, end: 0.75, lengths: [15, 25, 70, 40] },
+    soybean: { ini: 0.4, mid: 1.15, end: 0.5, lengths: [15, 15, 40, 15] },
+    groundnut: { ini: 0.4, mid: 1.15, end: 0.6, lengths: [25, 35, 45, 25] },
+    chickpea: { ini: 0.4, mid: 1.0, end: 0.35, lengths: [20, 25, 35, 25] },
+    gram: { ini: 0.4, mid: 1.0, end: 0.35, lengths: [20, 25, 35, 25] },
+    mustard: { ini: 0.35, mid: 1.1, end: 0.35, lengths: [20, 30, 40, 25] },
+    chilli: { ini: 0.6, mid: 1.05, end: 0.9, lengths: [30, 35, 40, 20] },
+    default: { ini: 0.5, mid: 1.1, end: 0.6, lengths: [25, 35, 50, 30] }
+  };
+
+  // Project growth stages -> position in the Kc curve when no planting date is known
+  static STAGE_POSITION = {
+    planning: 'initial',
+    sowing: 'initial',
+    vegetative: 'development',
+    flowering: 'mid',
+    fruiting: 'mid',
+    maturity: 'late',
+    harvest: 'end',
+    postharvest: 'end'
+  };
+
+  /**
+   * Daily ET0 (mm/day), FAO-56 eq. 6
+   * @param {Object} day
+   * @param {number} day.tMin - °C
+   * @param {number} day.tMax - °C
+   * @param {number} [day.rhMean] - % (used when rhMin/rhMax absent)
+   * @param {number} [day.rhMin]
+   * @param {number} [day.rhMax]
+   * @param {number} [day.windSpeed] - m/s measured at `windHeight`
+   * @param {number} [day.windHeight=10] - m (OpenWeather reports 10 m wind)
+   * @param {number} day.latitude - decimal degrees
+   * @param {number} day.dayOfYear - 1..366
+   * @param {number} [day.elevation=0] - m above sea level
+   * @param {number} [day.solarRadiation] - measured Rs (MJ m-2 day-1); estimated from Ra and temperature range when absent
+   * @returns {{et0:number, rs:number, ra:number, rn:number, u2:number, vpd:number}}
+   */
+  static et0PenmanMonteith({
+    tMin,
+    tMax,
+    rhMean,
+    rhMin,
+    rhMax,
+    windSpeed = 2,
+    windHeight = 10,
+    latitude,
+    dayOfYear,
+    elevation = 0,
+    solarRadiation
+  }) {
+    if (tMax < tMin) [tMin, tMax] = [tMax, tMin];
+    const tMean = (tMin + tMax) / 2;
+
+    // Atmospheric parameters (eq. 7, 8)
+    const pressure = 101.3 * ((293 - 0.0065 * elevation) / 293) ** 5.26;
+    const gamma = 0.000665 * pressure;
+
+    // Vapour pressure (eq. 11-13, 17 / 19)
+    const es = (this.svp(tMax) + this.svp(tMin)) / 2;
+    const delta = (4098 * this.svp(tMean)) / (tMean + 237.3) ** 2;
+    let ea;
+    if (rhMin != null && rhMax != null) {
+      ea = (this.svp(tMin) * rhMax / 100 + this.svp(tMax) * rhMin / 100) / 2;
+    } else {
+      ea = (Math.min(Math.max(rhMean ?? 60, 0), 100) / 100) * es;
+    }
+
+    // Radiation (eq. 21, 50, 37, 38, 39)
+    const ra = this.extraterrestrialRadiation(latitude, dayOfYear);
+    const rs = solarRadiation ?? this.KRS_INTERIOR * Math.sqrt(Math.max(tMax - tMin, 0)) * ra;
+    const rso = (0.75 + 2e-5 * elevation) * ra;
+    const rns = (1 - this.ALBEDO) * rs;
+    const tK4 = ((tMax + 273.16) ** 4 + (tMin + 273.16) ** 4) / 2;
+    const relShortwave = rso > 0 ? Math.min(rs / rso, 1) : 0.5;
+    const rnl = this.STEFAN_BOLTZMANN * tK4 * (0.34 - 0.14 * Math.sqrt(Math.max(ea, 0))) * (1.35 * relShortwave - 0.35);
+    const rn = rns - rnl;
+
+    // Wind at 2 m (eq. 47)
+    const u2 = windHeight === 2 ? windSpeed : windSpeed * 4.87 / Math.log(67.8 * windHeight - 5.42);
+
+    // Soil heat flux G ≈ 0 for daily steps
+    const numerator = 0.408 * delta * rn + gamma * (900 / (tMean + 273)) * u2 * (es - ea);
+    const denominator = delta + gamma * (1 + 0.34 * u2);
+    const et0 = Math.max(numerator / denominator, 0);
+
+    const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+    return { et0: round(et0), rs: round(rs), ra: round(ra), rn: round(rn), u2: round(u2), vpd: round(es - ea) };
+  }
+
+  // Saturation vapour pressure, kPa (eq. 11)
+  static svp(t) {
+    return 0.6108 * Math.exp((17.27 * t) / (t + 237.3));
+  }
+
+  // Extraterrestrial radiation Ra, MJ m-2 day-1 (eq. 21-25)
+  static extraterrestrialRadiation(latitude, dayOfYear) {
+    const phi = (latitude * Math.PI) / 180;
+    const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+    const decl = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+    const ws = Math.acos(Math.min(Math.max(-Math.tan(phi) * Math.tan(decl), -1), 1));
+    return ((24 * 60) / Math.PI) * this.SOLAR_CONSTANT * dr *
+      (ws * Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.sin(ws));
+  }
+
+  static dayOfYear(date = new Date()) {
+    const start = Date.UTC(date.getUTCFullYear(), 0, 0);
+    return Math.floor((date.getTime() - start) / 86400000);
+  }
+
+  static curveFor(cropType) {
+    const key = String(cropType || '').toLowerCase().trim();
+    return { key: this.KC_CURVES[key] ? key : 'default', ...(this.KC_CURVES[key] || this.KC_CURVES.default) };
+  }
+
+  /**
+   * Crop coefficient for a crop on a given day (FAO-56 fig. 25 linear curve).
+   * Planting date wins; otherwise the project's growth stage picks the curve position.
+   * @returns {{kc:number, stage:string, daysAfterPlanting:number|null, basis:string, seasonLength:number}}
+   */
+  static cropCoefficient(cropType, { plantingDate, growthStage, date = new Date() } = {}) {
+    const curve = this.curveFor(cropType);
+    const [lIni, lDev, lMid, lLate] = curve.lengths;
+    const seasonLength = lIni + lDev + lMid + lLate;
+
+    const planted = plantingDate ? new Date(plantingDate) : null;
+    if (planted && !isNaN(planted.getTime())) {
+      const dap = Math.floor((date.getTime() - planted.getTime()) / 86400000);
+      if (dap >= 0) {
+        const round = (v) => Math.round(v * 100) / 100;
+        let kc;
+        let stage;
+        if (dap <= lIni) {
+          kc = curve.ini; stage = 'initial';
+        } else if (dap <= lIni + lDev) {
+          kc = curve.ini + ((dap - lIni) / lDev) * (curve.mid - curve.ini); stage = 'development';
+        } else if (dap <= lIni + lDev + lMid) {
+          kc = curve.mid; stage = 'mid';
+        } else if (dap <= seasonLength) {
+          kc = curve.mid + ((dap - lIni - lDev - lMid) / lLate) * (curve.end - curve.mid); stage = 'late';
+        } else {
+          kc = curve.end; stage = 'end';
+        }
+        return { kc: round(kc), stage, daysAfterPlanting: dap, basis: 'planting_date', seasonLength, crop: curve.key };
+      }
+    }
+
+    const position = this.STAGE_POSITION[growthStage] || 'mid';
+    const kcByPosition = {
+      initial: curve.ini,
+      development: Math.round(((curve.ini + curve.mid) / 2) * 100) / 100,
+      mid: curve.mid,
+      late: Math.round(((curve.mid + curve.end) / 2) * 100) / 100,
+      end: curve.end
+    };
+    return {
+      kc: kcByPosition[position],
+      stage: position,
+      daysAfterPlanting: null,
+      basis: growthStage ? 'growth_stage' : 'assumed_mid_season',
+      seasonLength,
+      crop: curve.key
+    };
+  }
+
+  /** mm of water over an area in acres -> litres */
+  static mmToLitres(mm, areaAcres = 1) {
+    return Math.round(mm * SQM_PER_ACRE * areaAcres);
+  }
+}
+
+export default EvapotranspirationService;
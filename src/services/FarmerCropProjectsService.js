@@ -13,6 +13,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import TelemetryService from './TelemetryService';
+import ProjectMemoryService from './ProjectMemoryService';
 
 class FarmerCropProjectsService {
   static PROJECT_VERSION = '1.0';
@@ -47,6 +48,7 @@ class FarmerCropProjectsService {
           expectedHarvest: projectData.expectedHarvest || '',
           season: projectData.season || this.getCurrentSeason(),
           growthStage: projectData.growthStage || 'planning',
+          soilType: projectData.soilType || '', // sandy, sandy_loam, loam, clay_loam, clay, black_cotton
           notes: projectData.notes || ''
         },
         
@@ -74,7 +76,8 @@ class FarmerCropProjectsService {
           alerts: [],
           reminders: [],
           recommendations: [],
-          taskProgress: {}
+          taskProgress: {},
+          priceWatchlist: []
         },
         
         // Sharing and collaboration
@@ -152,6 +155,19 @@ class FarmerCropProjectsService {
     }
   }
 
+  /**
+   * Get a project by id (does not touch lastAccessed)
+   */
+  static async getProject(projectId) {
+    try {
+      const projectData = await AsyncStorage.getItem(`${this.STORAGE_PREFIX}${projectId}`);
+      return projectData ? JSON.parse(projectData) : null;
+    } catch (error) {
+      console.error('Failed to get project:', error);
+      return null;
+    }
+  }
+
   /**
    * Update project data
    */
@@ -240,6 +256,9 @@ class FarmerCropProjectsService {
           responseType: response.processingType,
           toolsUsed: response.toolsUsed?.length || 0
         });
+
+        // Condense older turns into the project memory in the background
+        ProjectMemoryService.condenseIfDue(projectId).catch(() => {});
         
         return conversation;
       }
@@ -253,8 +272,10 @@ class FarmerCropProjectsService {
 
   /**
    * Get isolated AI context for crop project
+   * @param {string} query - current question, used to pick relevant earlier turns for the prompt
+   * @param {Object} [options] - today (YYYY-MM-DD) for the project memory's date line
    */
-  static async getProjectAIContext(projectId) {
+  static async getProjectAIContext(projectId, query = '', { today = null } = {}) {
     try {
       const key = `${this.STORAGE_PREFIX}${projectId}`;
       const projectData = await AsyncStorage.getItem(key);
@@ -275,9 +296,12 @@ class FarmerCropProjectsService {
           preferences: project.aiContext.preferences,
           analytics: project.analytics,
           workflows: project.workflows,
+          memory: ProjectMemoryService.getSummary(project),
           
           // System context for AI
-          __systemProjectContext: this.buildProjectSystemContext(project)
+          __systemProjectContext: this.buildProjectSystemContext(project),
+          // Conversation memory + relevant recent turns as PromptBudgetService segments
+          __projectPromptSegments: ProjectMemoryService.buildPromptSegments(project, query, { today })
         };
       }
       
@@ -393,6 +417,79 @@ class FarmerCropProjectsService {
     return this.updateTask(projectId, taskId, { status: 'completed', completedAt: new Date().toISOString() });
   }
 
+  /**
+   * Price watchlist (stored inside workflows.priceWatchlist, evaluated by AlertGeneratorService)
+   * thresholds: { high, low } in ₹/quintal and/or { risePct, dropPct } vs the reference price
+   */
+  static async addPriceWatch(projectId, watch) {
+    const key = `${this.STORAGE_PREFIX}${projectId}`;
+    const data = await AsyncStorage.getItem(key);
+    if (!data) throw new Error('Project not found');
+    const project = JSON.parse(data);
+    const watchlist = project.workflows?.priceWatchlist || [];
+    const newWatch = {
+      id: watch.id || Date.now().toString(),
+      commodity: watch.commodity || project.cropName,
+      location: watch.location || '',
+      thresholds: this.normalizeWatchThresholds(watch.thresholds),
+      reference: null, // { price, at } set on first evaluation, reset after a %-change alert
+      lastPrice: null,
+      lastCheckedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    watchlist.unshift(newWatch);
+    project.workflows = { ...project.workflows, priceWatchlist: watchlist.slice(0, 20) };
+    await this.saveProject(project);
+    await TelemetryService.emit('crop.project.watch.added', { projectId, watchId: newWatch.id, commodity: newWatch.commodity });
+    return newWatch;
+  }
+
+  static async updatePriceWatch(projectId, watchId, updates) {
+    const key = `${this.STORAGE_PREFIX}${projectId}`;
+    const data = await AsyncStorage.getItem(key);
+    if (!data) throw new Error('Project not found');
+    const project = JSON.parse(data);
+    const watchlist = project.workflows?.priceWatchlist || [];
+    const idx = watchlist.findIndex(w => w.id === watchId);
+    if (idx === -1) throw new Error('Watch not found');
+    const next = { ...watchlist[idx], ...updates, updatedAt: new Date().toISOString() };
+    if (updates.thresholds) next.thresholds = this.normalizeWatchThresholds(updates.thresholds);
+    watchlist[idx] = next;
+    project.workflows.priceWatchlist = watchlist;
+    await this.saveProject(project);
+    await TelemetryService.emit('crop.project.watch.updated', { projectId, watchId });
+    return next;
+  }
+
+  static async removePriceWatch(projectId, watchId) {
+    const key = `${this.STORAGE_PREFIX}${projectId}`;
+    const data = await AsyncStorage.getItem(key);
+    if (!data) throw new Error('Project not found');
+    const project = JSON.parse(data);
+    project.workflows.priceWatchlist = (project.workflows?.priceWatchlist || []).filter(w => w.id !== watchId);
+    await this.saveProject(project);
+    await TelemetryService.emit('crop.project.watch.removed', { projectId, watchId });
+    return true;
+  }
+
+  static async listPriceWatchlist(projectId) {
+    const key = `${this.STORAGE_PREFIX}${projectId}`;
+    const data = await AsyncStorage.getItem(key);
+    if (!data) return [];
+    const project = JSON.parse(data);
+    return project.workflows?.priceWatchlist || [];
+  }
+
+  // Keep only positive numeric thresholds
+  static normalizeWatchThresholds(thresholds = {}) {
+    const out = {};
+    ['high', 'low', 'risePct', 'dropPct'].forEach(k => {
+      const v = parseFloat(thresholds[k]);
+      if (v > 0) out[k] = v;
+    });
+    return out;
+  }
+
   /**
    * Get cross-project insights
    */
@@ -479,15 +576,20 @@ class FarmerCropProjectsService {
     if (project.cropDetails.growthStage) {
       parts.push(`Growth stage: ${project.cropDetails.growthStage}`);
     }
+
+    const thermal = project.workflows?.thermalTime;
+    if (thermal?.prediction) {
+      const next = thermal.prediction.nextPhase;
+      parts.push(`Thermal time: ${thermal.gdd} GDD since ${thermal.plantingDate}, predicted stage ${thermal.prediction.stage}${next?.date ? `, ${next.label} expected ~${next.date}` : ''}${thermal.prediction.expectedHarvest ? `, harvest ~${thermal.prediction.expectedHarvest}` : ''}${thermal.prediction.confidence === 'low' ? ' (rough estimate from back-filled temperatures; trust the growth stage above)' : ''}`);
+    }
     
     parts.push(`Season: ${project.cropDetails.season}`);
     
-    if (project.aiContext.conversationHistory.length > 0) {
-      const recentTopics = project.aiContext.conversationHistory
-        .slice(0, 3)
-        .map(conv => conv.query.substring(0, 50))
-        .join('; ');
-      parts.push(`Recent queries: ${recentTopics}`);
+    // Earlier conversations reach the prompt through the project memory segments
+    const conversations = project.aiContext.conversationHistory.length;
+    if (conversations > 0) {
+      const memory = ProjectMemoryService.getSummary(project);
+      parts.push(`Conversations so far: ${conversations}${memory ? ` (${memory.turnsCondensed} summarised in project memory)` : ''}`);
     }
     
     return parts.join('. ') + '.';
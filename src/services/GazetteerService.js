@@ -0,0 +1,274 @@
+/**
+ * Gazetteer Service for Khet AI
+ * Offline lookup of Indian states, districts, farming towns and mandis
+ * (indiaGazetteer.json plus the bundled mandi coordinates). Place names are
+ * resolved against the gazetteer before and after online geocoding; when
+ * nothing matches the caller gets an explicit unresolved result instead of a
+ * substituted default location.
+ */
+
+import gazetteer from '../data/indiaGazetteer.json';
+import mandiCoordinates from '../data/mandiCoordinates.json';
+import WeatherToolsService from './WeatherToolsService';
+
+// Rough bounding box of India - geocoder hits outside it are a different place with the same name
+const INDIA_BOUNDS = { minLat: 6, maxLat: 37.5, minLon: 68, maxLon: 97.5 };
+
+// Lower rank wins when several entries share a name
+const TYPE_RANK = { district: 0, town: 1, mandi: 2, village: 3, state: 4 };
+
+// Qualifiers farmers add to place names ("Chittoor district", "Punganur mandal")
+const QUALIFIERS = /\b(district|dist|mandal|taluka?|tehsil|tahsil|block|village|gram|town|city|mandi|market|apmc|yard|area|region)\b/g;
+
+// Names that are also everyday words (Hindi / English) or common rivers and personal names.
+// In free text they only count with a location cue: 'any' = before or after, 'after' = "Mandi district".
+const AMBIGUOUS = {
+  mandi: 'after', gaya: 'any', una: 'any', bid: 'any', pali: 'any', anand: 'any', sagar: 'any',
+  guna: 'any', dhar: 'any', banda: 'any', nuh: 'any', kota: 'any', jalna: 'any', basti: 'any',
+  rampur: 'any', fatehpur: 'any', puri: 'any', patan: 'any', krishna: 'any', nagari: 'any',
+  hassan: 'any', gomati: 'any', narmada: 'any', mansa: 'any', nadia: 'any', bhandara: 'any'
+};
+const CUE_BEFORE = new Set(['in', 'at', 'near', 'from', 'around', 'for', 'to']);
+const CUE_AFTER = new Set(['district', 'dist', 'town', 'city', 'village', 'mandal', 'taluk', 'taluka', 'tehsil', 'area', 'region']);
+
+class GazetteerService {
+  static _index = null;
+
+  static normalize(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Lazily built name -> entries map (names and aliases) over states, places and mandis
+   */
+  static getIndex() {
+    if (this._index) return this._index;
+    const index = new Map();
+    const add = (key, entry) => {
+      const k = this.normalize(key);
+      if (!k) return;
+      if (!index.has(k)) index.set(k, []);
+      const list = index.get(k);
+      if (!list.includes(entry)) list.push(entry);
+    };
+
+    gazetteer.states.forEach(s => {
+      const entry = { name: s.name, type: 'state', district: null, state: s.name, lat: s.lat, lon: s.lon };
+      [s.name, s.code, ...(s.aliases || [])].forEach(k => add(k, entry));
+    });
+    gazetteer.places.forEach(p => {
+      const entry = { name: p.name.replace(/\s*\(.*?\)/, ''), type: p.type, district: p.district, state: p.state, lat: p.lat, lon: p.lon };
+      [p.name, ...(p.aliases || [])].forEach(k => add(k, entry));
+    });
+    mandiCoordinates.markets.forEach(m => {
+      add(m.market, { name: m.market, type: 'mandi', district: m.district, state: m.state, lat: m.lat, lon: m.lon });
+    });
+    // State codes ("AP", "UP") are too short to trust on their own in free text
+    this._textKeys = Array.from(index.keys())
+      .filter(k => k.length > 2)
+      .sort((a, b) => b.length - a.length);
+    this._index = index;
+    return index;
+  }
+
+  /**
+   * Offline lookup by name. Accepts "Chittoor", "Chittoor district" or "Punganur, Chittoor, Andhra Pradesh".
+   * @returns {Object|null} {name, type, district, state, lat, lon, precision, source}
+   */
+  static lookup(placeName) {
+    const parts = String(placeName || '').split(',').map(p => this.normalize(p)).filter(p => p && p !== 'india' && p !== 'in');
+    if (!parts.length) return null;
+    const index = this.getIndex();
+    const [head, ...rest] = parts;
+    const hints = rest.map(p => this._stateName(p) || p);
+
+    for (const key of [head, head.replace(QUALIFIERS, ' ').replace(/\s+/g, ' ').trim()]) {
+      const hit = this._best(index.get(key), hints);
+      if (hit) return this._result(hit);
+    }
+    return null;
+  }
+
+  /**
+   * Most specific place mentioned in free text (query or address); a state mentioned
+   * alongside narrows same-named districts. Returns a state-level hit when only a state appears.
+   */
+  static findInText(text) {
+    const norm = this.normalize(text);
+    if (!norm) return null;
+    const index = this.getIndex();
+    const padded = ` ${norm} `;
+    const words = norm.split(' ');
+
+    const matches = [];
+    for (const key of this._textKeys) {
+      const at = padded.indexOf(` ${key} `);
+      if (at === -1) continue;
+      // Skip keys inside a longer match ("delhi" within "new delhi")
+      if (matches.some(m => at >= m.at && at + key.length <= m.at + m.key.length)) continue;
+      if (AMBIGUOUS[key] && !this._hasCue(words, key, AMBIGUOUS[key])) continue;
+      matches.push({ key, at });
+    }
+    if (!matches.length) return null;
+
+    const states = matches.map(m => this._best(index.get(m.key))).filter(e => e?.type === 'state').map(e => e.state);
+    const places = matches
+      .map(m => ({ ...m, entry: this._best(index.get(m.key).filter(e => e.type !== 'state'), states) }))
+      .filter(m => m.entry)
+      .sort((a, b) => b.key.length - a.key.length);
+    if (places.length) return this._result(places[0].entry);
+    return this._result(this._best(index.get(matches[0].key)));
+  }
+
+  /**
+   * Resolve a place to coordinates: exact gazetteer match, then the online geocoder
+   * (rejecting hits outside India), then partial / misspelt gazetteer matches.
+   * @param {Object} [options] - fetch / noCache for the geocoder (WeatherToolsService.geocodePlace)
+   * @returns {Promise<Object>} {resolved:true, name, district, state, lat, lon, precision, source}
+   *   or {resolved:false, query, reason}
+   */
+  static async resolve(placeName, options = {}) {
+    const query = String(placeName || '').trim();
+    if (!query || this.normalize(query) === 'india') {
+      return { resolved: false, query, reason: 'No village, district or state given' };
+    }
+
+    const exact = this.lookup(query);
+    if (exact) return { resolved: true, query, ...exact };
+
+    let reason = 'Place not found';
+    try {
+      const geo = await WeatherToolsService.geocodePlace(query, options);
+      if (geo.success && this._inIndia(geo)) {
+        return {
+          resolved: true,
+          query,
+          name: geo.name,
+          type: 'geocoded',
+          district: null,
+          state: geo.state || null,
+          lat: geo.lat,
+          lon: geo.lon,
+          precision: 'place',
+          source: geo.provider || 'geocoder'
+        };
+      }
+      if (geo.success) reason = `${geo.name} is outside India`;
+      else if (geo.error) reason = geo.error;
+    } catch (error) {
+      reason = error.message;
+    }
+
+    const partial = this.findInText(query) || this.lookupFuzzy(query);
+    if (partial) return { resolved: true, query, ...partial };
+    console.log(`📍 Location unresolved: "${query}" (${reason})`);
+    return { resolved: false, query, reason };
+  }
+
+  /**
+   * Coordinates for a weather tool: explicit lat/lon, else the resolved place name.
+   * Never falls back to a default location.
+   * @returns {Promise<{latitude:number, longitude:number, location:Object|null}|{unresolved:Object}>}
+   */
+  static async resolveCoordinates({ latitude, longitude, locationName }, options = {}) {
+    if (latitude != null && longitude != null) return { latitude, longitude, location: null };
+    const place = await this.resolve(locationName, options);
+    if (!place.resolved) {
+      return {
+        unresolved: {
+          locationUnresolved: true,
+          locationName: locationName || null,
+          reason: place.reason,
+          message: locationName
+            ? `Could not find "${locationName}". Ask the farmer for their village / mandal with district and state.`
+            : 'No farm location available. Ask the farmer for their village or district and state.'
+        }
+      };
+    }
+    const { name, district, state, precision, source } = place;
+    return { latitude: place.lat, longitude: place.lon, location: { name, district, state, precision, source } };
+  }
+
+  /**
+   * Single-typo tolerant lookup ("Chitoor", "Warangle") over names of 5+ letters
+   */
+  static lookupFuzzy(placeName) {
+    const target = this.normalize(String(placeName || '').split(',')[0]).replace(QUALIFIERS, ' ').replace(/\s+/g, ' ').trim();
+    if (target.length < 5) return null;
+    const index = this.getIndex();
+    const maxDistance = target.length >= 8 ? 2 : 1;
+    let best = null;
+    for (const key of this._textKeys) {
+      if (key.length < 5 || Math.abs(key.length - target.length) > maxDistance) continue;
+      const distance = this._editDistance(target, key, maxDistance);
+      if (distance <= maxDistance && (!best || distance < best.distance)) best = { key, distance };
+    }
+    return best ? this._result(this._best(index.get(best.key))) : null;
+  }
+
+  static _best(entries = [], hints = []) {
+    if (!entries?.length) return null;
+    const hinted = hints.length
+      ? entries.filter(e => hints.some(h => this.normalize(e.state) === this.normalize(h) || this.normalize(e.district) === this.normalize(h)))
+      : [];
+    const pool = hinted.length ? hinted : entries;
+    return [...pool].sort((a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type])[0];
+  }
+
+  static _result(entry) {
+    if (!entry) return null;
+    return {
+      name: entry.name,
+      type: entry.type,
+      district: entry.district,
+      state: entry.state,
+      lat: entry.lat,
+      lon: entry.lon,
+      precision: entry.type === 'state' ? 'state' : entry.type === 'district' ? 'district' : 'place',
+      source: 'gazetteer'
+    };
+  }
+
+  static _stateName(key) {
+    const entry = (this.getIndex().get(key) || []).find(e => e.type === 'state');
+    return entry ? entry.state : null;
+  }
+
+  static _hasCue(words, key, mode) {
+    const keyWords = key.split(' ');
+    for (let i = 0; i <= words.length - keyWords.length; i++) {
+      if (keyWords.some((w, j) => words[i + j] !== w)) continue;
+      const next = words.slice(i + keyWords.length, i + keyWords.length + 2);
+      if (CUE_AFTER.has(next[0]) || this._stateName(next[0] || '') || this._stateName(next.join(' '))) return true;
+      if (mode === 'any' && CUE_BEFORE.has(words[i - 1])) return true;
+    }
+    return false;
+  }
+
+  static _inIndia({ lat, lon, country }) {
+    if (country && !['in', 'india'].includes(String(country).toLowerCase())) return false;
+    return lat >= INDIA_BOUNDS.minLat && lat <= INDIA_BOUNDS.maxLat && lon >= INDIA_BOUNDS.minLon && lon <= INDIA_BOUNDS.maxLon;
+  }
+
+  // Levenshtein distance, stopping early once every path exceeds `max`
+  static _editDistance(a, b, max) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      if (Math.min(...row) > max) return max + 1;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+}
+
+export default GazetteerService;
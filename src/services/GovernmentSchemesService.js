@@ -14,7 +14,7 @@ class GovernmentSchemesService {
   static SCRAPER_API = 'https://your-scraper.example.com';
 
   // Get PM-KISAN scheme information - Using Data.gov.in API
-  static async getPMKisanInfo() {
+  static async getPMKisanInfo(options = {}) {
     try {
       console.log('🏛️ Fetching PM-KISAN data from Data.gov.in...');
       
@@ -31,7 +31,7 @@ class GovernmentSchemesService {
 
       for (const endpoint of apiEndpoints) {
         try {
-          const response = await fetch(endpoint, {
+          const response = await (options.fetch || fetch)(endpoint, {
             method: 'GET',
             headers: {
               'Accept': 'application/json',
@@ -94,7 +94,7 @@ class GovernmentSchemesService {
   }
 
   // Get mKisan information - Using Data.gov.in and official sources
-  static async getMKisanInfo() {
+  static async getMKisanInfo(options = {}) {
     try {
       console.log('📱 Fetching mKisan data from available sources...');
       
@@ -106,7 +106,7 @@ class GovernmentSchemesService {
       // Try Data.gov.in for agriculture service data
       if (dataGovApiKey) {
         try {
-          const response = await fetch(
+          const response = await (options.fetch || fetch)(
             `https://api.data.gov.in/resource/agricultural-services?api-key=${dataGovApiKey}&format=json&limit=10`,
             {
               method: 'GET',
@@ -180,14 +180,15 @@ class GovernmentSchemesService {
   }
 
   // Get IFFCO fertilizer prices - Using Data.gov.in and official sources
-  static async getIFFCOPrices() {
+  // options: fetch for the requests, noCache to leave the stored prices alone (cassette turns)
+  static async getIFFCOPrices(options = {}) {
     const cacheKey = 'iffco_cache_v1';
 
     try {
       console.log('🌾 Fetching IFFCO fertilizer prices...');
       
       // Try cache first if fresh (2 hours for price data)
-      const rawCached = await AsyncStorage.getItem(cacheKey);
+      const rawCached = options.noCache ? null : await AsyncStorage.getItem(cacheKey);
       if (rawCached) {
         const cached = JSON.parse(rawCached);
         if (Date.now() - (cached.cachedAt || 0) < 2 * 60 * 60 * 1000) {
@@ -206,7 +207,7 @@ class GovernmentSchemesService {
       // Try Data.gov.in for fertilizer price data
       if (dataGovApiKey) {
         try {
-          const response = await fetch(
+          const response = await (options.fetch || fetch)(
             `https://api.data.gov.in/resource/fertilizer-prices?api-key=${dataGovApiKey}&format=json&limit=20`,
             {
               method: 'GET',
@@ -230,11 +231,13 @@ class GovernmentSchemesService {
 
               // Cache the data
               try {
-                await AsyncStorage.setItem(cacheKey, JSON.stringify({ 
-                  data: result, 
-                  cachedAt: Date.now(), 
-                  timestamp: result.timestamp 
-                }));
+                if (!options.noCache) {
+                  await AsyncStorage.setItem(cacheKey, JSON.stringify({ 
+                    data: result, 
+                    cachedAt: Date.now(), 
+                    timestamp: result.timestamp 
+                  }));
+                }
               } catch (cacheError) {
                 console.warn('Cache write failed:', cacheError.message);
               }
@@ -303,11 +306,13 @@ class GovernmentSchemesService {
 
       // Cache the fallback data
       try {
-        await AsyncStorage.setItem(cacheKey, JSON.stringify({ 
-          data: currentPrices, 
-          cachedAt: Date.now(), 
-          timestamp: currentPrices.timestamp 
-        }));
+        if (!options.noCache) {
+          await AsyncStorage.setItem(cacheKey, JSON.stringify({ 
+            data: currentPrices, 
+            cachedAt: Date.now(), 
+            timestamp: currentPrices.timestamp 
+          }));
+        }
       } catch (cacheError) {
         console.warn('Cache write failed:', cacheError.message);
       }
@@ -324,7 +329,7 @@ class GovernmentSchemesService {
       
       // Try to return cached data if available
       try {
-        const cachedRaw = await AsyncStorage.getItem(cacheKey);
+        const cachedRaw = options.noCache ? null : await AsyncStorage.getItem(cacheKey);
         if (cachedRaw) {
           const cached = JSON.parse(cachedRaw);
           console.log('Using stale cached IFFCO data as fallback');
@@ -351,12 +356,13 @@ class GovernmentSchemesService {
   }
 
   // Get comprehensive scheme information
-  static async getAllSchemeInfo() {
+  // options: fetch / noCache (cassette turns)
+  static async getAllSchemeInfo(options = {}) {
     try {
       const [pmKisan, mKisan, iffco] = await Promise.all([
-        this.getPMKisanInfo(),
-        this.getMKisanInfo(),
-        this.getIFFCOPrices()
+        this.getPMKisanInfo(options),
+        this.getMKisanInfo(options),
+        this.getIFFCOPrices(options)
       ]);
 
       return {
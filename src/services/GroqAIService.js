@@ -5,19 +5,21 @@
  */
 
 import EnvironmentConfig from '../config/environment.js';
+import LLMProviderService, { GroqLLMProvider } from './LLMProviderService.js';
+import PromptBudgetService from './PromptBudgetService.js';
+import TelemetryService from './TelemetryService';
+
+const TOOL_RESULT_MAX_TOKENS = 1000; // per tool message, keeps the context window in check
 
 class GroqAIService {
     constructor() {
-        this.baseUrl = 'https://api.groq.com/openai/v1';
-        this.apiKey = this.getApiKey();
-        this.models = {
-            chat: 'openai/gpt-oss-120b',           // Primary chat model
-            reasoning: 'openai/gpt-oss-120b',     // Tool-capable model for complex queries
-            analysis: 'openai/gpt-oss-120b',     // Tool-capable model for analysis
-            lightweight: 'llama-3.1-8b-instant',     // Fast responses for simple queries
-            toolCapable: 'openai/gpt-oss-120b'   // Specifically for tool use
-        };
+        this.baseUrl = EnvironmentConfig.getGroqConfig().baseUrl;
+        // chat/reasoning/analysis/toolCapable: full model, lightweight: fast model - from the primary provider's map
+        // (openai/gpt-oss-120b and llama-3.1-8b-instant on Groq); other providers get the same tier on failover
+        this.models = LLMProviderService.getModelMap();
         this.isAvailable = true; // Groq is cloud-based, always available
+        this.toolCallsUnsupported = new Set();
+        this.lastProvider = null;
         this.lastChecked = Date.now();
 
         console.log('🚀 GroqAI Service initialized');
@@ -31,6 +33,15 @@ class GroqAIService {
         return global.__groqServiceInstance;
     }
 
+    // The key lives on the Groq provider so failover requests use the same one
+    get apiKey() {
+        return GroqLLMProvider.getApiKey();
+    }
+
+    set apiKey(apiKey) {
+        GroqLLMProvider.setApiKey(apiKey);
+    }
+
     // Get Groq API key
     getApiKey() {
         // Try environment variable first
@@ -46,38 +57,19 @@ class GroqAIService {
         return null;
     }
 
-    // Check availability (always true for cloud service)
-    async checkAvailability() {
-        if (!this.apiKey || this.apiKey === 'YOUR_API_KEY_HERE') {
-            console.error('❌ Groq API key not configured');
+    // Check availability of the primary LLM provider (a configured fallback counts as available)
+    // options.fetch sends the probe through the caller's fetch (cassette turns)
+    async checkAvailability(options = {}) {
+        if (!LLMProviderService.getPrimary()) {
+            console.error('❌ No LLM provider configured (Groq API key or local model server)');
             this.isAvailable = false;
             return false;
         }
 
-        // Quick test call to verify API key
-        try {
-            const testResponse = await fetch(`${this.baseUrl}/models`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (testResponse.ok) {
-                console.log('✅ Groq AI service is available');
-                this.isAvailable = true;
-                return true;
-            } else {
-                console.error('❌ Groq API key validation failed');
-                this.isAvailable = false;
-                return false;
-            }
-        } catch (error) {
-            console.error('❌ Groq availability check failed:', error.message);
-            this.isAvailable = false;
-            return false;
-        }
+        this.isAvailable = await LLMProviderService.checkAvailability(options);
+        this.lastChecked = Date.now();
+        if (this.isAvailable) console.log('✅ AI service is available');
+        return this.isAvailable;
     }
 
     // Manual configuration method (for compatibility)
@@ -95,6 +87,7 @@ class GroqAIService {
             baseUrl: this.baseUrl,
             models: this.models,
             hasApiKey: !!this.apiKey,
+            providers: LLMProviderService.getStatus(),
             lastChecked: new Date(this.lastChecked).toLocaleTimeString()
         };
     }
@@ -126,33 +119,10 @@ class GroqAIService {
         return this.models.lightweight; // llama-3.1-8b-instant
     }
 
-    // Truncate response intelligently while preserving meaning
-    truncateResponse(text, maxLength = 1500) {
-        if (text.length <= maxLength) return text;
-
-        // Try to cut at sentence boundary
-        const sentences = text.split(/[.!?]+/);
-        let result = '';
-
-        for (const sentence of sentences) {
-            const nextResult = result + sentence.trim() + '. ';
-            if (nextResult.length > maxLength - 50) break; // Leave buffer for clean ending
-            result = nextResult;
-        }
-
-        // If no complete sentence fits, just truncate at word boundary
-        if (result.length === 0) {
-            const words = text.split(' ');
-            result = words.slice(0, Math.floor(words.length * 0.7)).join(' ');
-        }
-
-        return result.trim() + (result.endsWith('.') ? '' : '.');
-    }
-
     // Core chat functionality using Groq with real tools - ENGLISH ONLY
     async generateFarmingAdvice(query, context = {}) {
         if (!this.isAvailable) {
-            await this.checkAvailability();
+            await this.checkAvailability({ fetch: context.transport?.fetch });
             if (!this.isAvailable) {
                 throw new Error('Groq AI service is not available. Please check your API key.');
             }
@@ -174,27 +144,39 @@ class GroqAIService {
             // Import AgentToolsService dynamically to avoid circular imports
             const AgentToolsService = (await import('./AgentToolsService')).default;
 
-            console.log(`🔍 Checking tools for query: "${query}" with context:`, context);
-            const toolsResult = await AgentToolsService.processQueryWithTools(query, context);
-            console.log(`Tools result:`, toolsResult ? `${toolsResult.toolResults?.length || 0} tools executed` : 'null');
-
-            let enhancedPrompt = query;
+            // Context blocks for the prompt builder (caller's farmer / project context, then tool data)
+            const promptSegments = [...(context.promptSegments || [])];
             let toolsUsed = [];
-
-            if (toolsResult && toolsResult.toolResults && toolsResult.toolResults.length > 0) {
-                // Enhance the query with real-time data
-                let ctx = toolsResult.enhancedContext || '';
-                // Strip any pre-existing heading duplicates
-                ctx = ctx.replace(/^(Real-time data context:)+/gi, '').trim();
-                if (ctx.length > 0) {
-                    enhancedPrompt = `${query}\n\nReal-time data context:\n${ctx}`;
+            let toolResults = context.toolResults || [];
+            // Native function calling unless the caller already ran tools or the model cannot call them
+            const nativeTools = !toolResults.length && !context.disableNativeTools && this.supportsToolCalls(this.models.toolCapable);
+
+            if (!nativeTools) {
+                let toolsResult = null;
+                if (toolResults.length) {
+                    toolsResult = { toolResults, toolsUsed: toolResults.map(r => r.toolName), enhancedContext: AgentToolsService.buildEnhancedContext(toolResults) };
+                } else {
+                    console.log(`🔍 Checking tools for query: "${query}" with context:`, context);
+                    toolsResult = await AgentToolsService.processQueryWithTools(context.toolQuery || query, context.toolContext || context);
                 }
-                toolsUsed = toolsResult.toolsUsed || [];
-                console.log(`Enhanced query with ${toolsUsed.length} tools: ${toolsUsed.join(', ')}`);
+                console.log(`Tools result:`, toolsResult ? `${toolsResult.toolResults?.length || 0} tools executed` : 'null');
+
+                if (toolsResult && toolsResult.toolResults && toolsResult.toolResults.length > 0) {
+                    // Enhance the query with real-time data
+                    let ctx = toolsResult.enhancedContext || '';
+                    // Strip any pre-existing heading duplicates
+                    ctx = ctx.replace(/^(Real-time data context:)+/gi, '').trim();
+                    if (ctx.length > 0) {
+                        promptSegments.push({ id: 'tool_results', text: ctx });
+                    }
+                    toolResults = toolsResult.toolResults;
+                    toolsUsed = toolsResult.toolsUsed || [];
+                    console.log(`Enhanced query with ${toolsUsed.length} tools: ${toolsUsed.join(', ')}`);
 
-                await ReasoningAnimationService.animateToolsPhase(reasoningCallback, toolsUsed);
-            } else {
-                await ReasoningAnimationService.animateToolsPhase(reasoningCallback, []);
+                    await ReasoningAnimationService.animateToolsPhase(reasoningCallback, toolsUsed);
+                } else {
+                    await ReasoningAnimationService.animateToolsPhase(reasoningCallback, []);
+                }
             }
 
             // Step 3: Analysis Phase
@@ -206,15 +188,50 @@ class GroqAIService {
                 icon: ReasoningAnimationService.ICONS.ANALYSIS
             });
 
-            const selectedModel = this.selectModelForQuery(enhancedPrompt, { ...context, toolsUsed });
+            const enhancedPrompt = [query, ...promptSegments.map(s => s.text)].join('\n\n');
+            const selectedModel = nativeTools ? this.models.toolCapable : this.selectModelForQuery(enhancedPrompt, { ...context, toolsUsed });
             const systemPrompt = this.buildFarmingSystemPrompt(context, toolsUsed);
 
             console.log(`📋 Using Groq model: ${selectedModel} for query length: ${enhancedPrompt.length}`);
 
-            // Call Groq API with conversation history
-            const response = await this.callGroq(selectedModel, systemPrompt, enhancedPrompt, {
-                conversationHistory: context.conversationHistory
-            });
+            let response;
+            if (nativeTools) {
+                const nativeResults = [];
+                try {
+                    response = await this.callGroq(selectedModel, `${systemPrompt}\n\nUse the available tools for live weather, prices, schemes and farm data instead of guessing. Call independent tools together.`, query, {
+                        conversationHistory: context.conversationHistory,
+                        promptSegments,
+                        reqId: context.reqId,
+                        tools: AgentToolsService.getToolSchemas(),
+                        executeTool: (name, args) => AgentToolsService.executeModelToolCall(name, args, context.toolContext || context),
+                        formatToolResult: (result) => AgentToolsService.formatToolResultForModel(result, nativeResults),
+                        onToolResult: (result) => {
+                            nativeResults.push(result);
+                            if (result.success === false) ReasoningAnimationService.animateToolFailure(reasoningCallback, result);
+                        },
+                        maxToolIterations: context.maxToolIterations,
+                        onDelta: context.onDelta,
+                        fetch: context.transport?.fetch
+                    });
+                    toolResults = nativeResults;
+                    toolsUsed = Array.from(new Set(nativeResults.map(r => r.toolName)));
+                    await ReasoningAnimationService.animateToolsPhase(reasoningCallback, toolsUsed);
+                } catch (error) {
+                    if (error.code !== 'TOOLS_UNSUPPORTED') throw error;
+                    // Model rejected `tools`: fall back to the regex planner for this and later turns
+                    console.warn(`⚠️ ${selectedModel} does not support tool calls - using the query planner`);
+                    return this.generateFarmingAdvice(query, { ...context, disableNativeTools: true });
+                }
+            } else {
+                // Call Groq API with conversation history
+                response = await this.callGroq(selectedModel, systemPrompt, query, {
+                    conversationHistory: context.conversationHistory,
+                    promptSegments,
+                    reqId: context.reqId,
+                    onDelta: context.onDelta,
+                    fetch: context.transport?.fetch
+                });
+            }
 
             reasoningCallback({
                 id: ReasoningAnimationService.STEP_IDS.ANALYSIS,
@@ -232,9 +249,11 @@ class GroqAIService {
             return {
                 success: true,
                 advice: response,
-                source: 'groq-with-tools',
-                model: selectedModel,
+                source: nativeTools ? 'groq-function-calling' : 'groq-with-tools',
+                model: this.lastProvider?.model || selectedModel,
+                provider: this.lastProvider?.provider || null,
                 toolsUsed: toolsUsed,
+                toolResults: toolResults,
                 language: 'english',
                 endpoint: this.baseUrl
             };
@@ -260,7 +279,7 @@ class GroqAIService {
     // Simple response method for direct data queries (no reasoning steps)
     async getSimpleResponse(query, context = {}) {
         if (!this.isAvailable) {
-            await this.checkAvailability();
+            await this.checkAvailability({ fetch: context.transport?.fetch });
             if (!this.isAvailable) {
                 return {
                     success: false,
@@ -295,7 +314,8 @@ FORMATTING:
             const response = await this.callGroq(selectedModel, systemPrompt, query, {
                 maxTokens: 1200, // Increased token limit to prevent response truncation
                 reasoningEffort: 'low', // Use low reasoning for simple queries
-                conversationHistory: context.conversationHistory || []
+                conversationHistory: context.conversationHistory || [],
+                fetch: context.transport?.fetch
             });
 
             return {
@@ -337,25 +357,32 @@ FORMATTING:
         });
     }
 
-    // Core Groq API call with reasoning capabilities
+    /**
+     * Core Groq API call with reasoning capabilities
+     * @param {Object} options - conversationHistory, promptSegments [{id, text, priority?}] (farmer / project
+     *   context, tool results) appended to the user message within the model's token budget, reqId for telemetry,
+     *   fetch for the provider requests (LLMProviderService)
+     */
     async callGroq(model, systemPrompt, userPrompt, options = {}) {
-        const messages = [
-            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : [])
-        ];
-
-        // Add conversation history if provided
-        if (options.conversationHistory && Array.isArray(options.conversationHistory)) {
-            // Add recent conversation history (last 6 messages to stay within context limits)
-            const recentHistory = options.conversationHistory.slice(-6);
-            console.log(`💬 Adding ${recentHistory.length} conversation history messages`);
-            messages.push(...recentHistory);
+        // Whole history: the budget's history segment keeps the newest turns that fit
+        const { messages, breakdown } = PromptBudgetService.build({
+            model,
+            system: systemPrompt,
+            query: userPrompt,
+            history: Array.isArray(options.conversationHistory) ? options.conversationHistory : [],
+            segments: options.promptSegments || [],
+            maxCompletionTokens: options.maxTokens || 1500,
+            reservedTokens: options.tools?.length ? PromptBudgetService.estimateTokens(JSON.stringify(options.tools), model) : 0
+        });
+        this.lastPromptBudget = breakdown;
+        TelemetryService.promptBudget({ reqId: options.reqId || null, ...breakdown });
+        const trimmed = breakdown.segments.filter(s => s.action !== 'kept');
+        if (trimmed.length) {
+            console.log(`✂️ Prompt budget ${breakdown.used}/${breakdown.budget} tokens: ${trimmed.map(s => `${s.id} ${s.action}`).join(', ')}`);
         }
 
-        // Add current user message
-        messages.push({ role: 'user', content: userPrompt });
-
-        // Determine reasoning effort based on query complexity
-        const reasoningEffort = this.determineReasoningEffort(userPrompt, options);
+        // Determine reasoning effort based on query complexity (question plus the context that survived the budget)
+        const reasoningEffort = this.determineReasoningEffort(messages[messages.length - 1].content, options);
 
         const payload = {
             model: model,
@@ -364,7 +391,7 @@ FORMATTING:
             max_tokens: options.maxTokens || 1500,           // Balanced token limit
             max_completion_tokens: options.maxTokens || 1500, // Balanced for good responses
             top_p: options.topP ?? 0.8,
-            stream: false
+            stream: typeof options.onDelta === 'function' // SSE: answer text reaches options.onDelta as it is generated
         };
         // Conditionally attach reasoning effort (skip for terse summary calls)
         if (!options.disableReasoning) {
@@ -377,128 +404,197 @@ FORMATTING:
             }
         }
 
-        const maxRetries = options.retries ?? 2; // number of re-attempts after first try
-        const retryDelayMs = options.retryDelayMs ?? 600;
-        const timeoutMs = options.timeoutMs ?? 12000;
-        let attempt = 0;
-        let lastError = null;
+        // Native function calling: the model picks tools, we run them and feed the results back
+        const data = options.tools?.length && typeof options.executeTool === 'function'
+            ? await this.runToolLoop(model, payload, options)
+            : await this.requestCompletion(model, payload, options);
+        return this.extractResponseContent(data);
+    }
 
-        while (attempt <= maxRetries) {
-            attempt += 1;
-            const attemptLabel = `attempt ${attempt}/${maxRetries + 1}`;
-            console.log(`📤 Groq request to ${this.baseUrl}/chat/completions with model: ${model} (${attemptLabel})`);
-            console.log(`📝 Request payload:`, JSON.stringify(payload, null, 2));
+    // True when the model can be sent `tools` (primary provider's allow-list, minus models that rejected them at runtime)
+    supportsToolCalls(model) {
+        if (this.toolCallsUnsupported?.has(model)) return false;
+        return LLMProviderService.supportsTools(model);
+    }
 
-            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
-            const timeoutHandle = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
-            try {
-                const response = await fetch(`${this.baseUrl}/chat/completions`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller?.signal
-                });
-                if (timeoutHandle) clearTimeout(timeoutHandle);
-
-                if (!response.ok) {
-                    const status = response.status;
-                    const bodyText = await response.text();
-                    const transient = status >= 500 || status === 429; // retry only server / rate / transient
-                    const err = new Error(`Groq API error: ${status} - ${bodyText}`);
-                    if (transient && attempt <= maxRetries) {
-                        console.warn(`⚠️ Transient Groq error (${status}) – will retry after ${retryDelayMs}ms`);
-                        lastError = err;
-                        await new Promise(r => setTimeout(r, retryDelayMs * attempt));
-                        continue;
-                    }
-                    throw err;
-                }
+    /**
+     * Multi-turn tool-call loop. Each round sends the conversation with the tool
+     * definitions; tool calls in the reply are validated and executed in parallel and
+     * their results appended as `tool` messages. Stops when the model answers without
+     * calling tools or the iteration budget is spent (then tools are switched off).
+     * Every round streams: LLMProviderService holds a round's text back until it is longer than
+     * a preamble with no tool call, so the answer reaches options.onDelta and tool-call rounds
+     * do not. Every round after the first is refitted to the prompt budget with the tool
+     * results it carries (PromptBudgetService.fitToolRound).
+     * @param {Object} options - tools [{name, description, parameters}], executeTool(name, args),
+     *   formatToolResult(result) (tool message text, JSON by default), onToolResult(result),
+     *   maxToolIterations, maxToolCalls, onDelta
+     * @returns {Promise<Object>} final chat completion
+     */
+    async runToolLoop(model, payload, options = {}) {
+        const maxIterations = options.maxToolIterations ?? 4;
+        const maxToolCalls = options.maxToolCalls ?? 8;
+        const toolPayload = {
+            ...payload,
+            messages: [...payload.messages],
+            tools: options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters || { type: 'object', properties: {} } }
+            })),
+            tool_choice: 'auto',
+            parallel_tool_calls: true,
+            stream: typeof options.onDelta === 'function'
+        };
+        const reservedTokens = PromptBudgetService.estimateTokens(JSON.stringify(options.tools), model);
+        // The tool messages stay whole in toolPayload; each request gets them cut to fit
+        let round = 0;
+        const fitRound = () => {
+            round += 1;
+            if (!toolPayload.messages.some(m => m.role === 'tool')) return toolPayload.messages;
+            const { messages, breakdown } = PromptBudgetService.fitToolRound({
+                model,
+                messages: toolPayload.messages,
+                maxCompletionTokens: payload.max_tokens,
+                reservedTokens
+            });
+            this.lastPromptBudget = breakdown;
+            TelemetryService.promptBudget({ reqId: options.reqId || null, round, ...breakdown });
+            if (breakdown.segments.some(s => s.action !== 'kept')) {
+                console.log(`✂️ Tool round ${round} prompt ${breakdown.used}/${breakdown.budget} tokens: tool results summarized`);
+            }
+            return messages;
+        };
+        let callsMade = 0;
 
-                const data = await response.json();
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            let data;
+            try {
+                data = await this.requestCompletion(model, { ...toolPayload, messages: fitRound() }, options);
+            } catch (error) {
+                // Model produced a malformed call: answer from what we have instead of failing the turn
+                if (error.code === 'TOOL_USE_FAILED' && callsMade > 0) break;
+                throw error;
+            }
+            const message = data.choices?.[0]?.message;
+            const toolCalls = message?.tool_calls || [];
+            if (!toolCalls.length) return data;
+
+            const batch = toolCalls.slice(0, Math.max(maxToolCalls - callsMade, 0));
+            callsMade += batch.length;
+            console.log(`🛠️ Tool round ${iteration}/${maxIterations}: ${batch.map(c => c.function?.name).join(', ')}`);
+            toolPayload.messages.push({ role: 'assistant', content: message.content || null, tool_calls: batch });
+
+            const results = await Promise.all(batch.map(call => this.executeToolCall(call, iteration, options, model)));
+            results.forEach(({ call, content }) => {
+                toolPayload.messages.push({ role: 'tool', tool_call_id: call.id, content });
+            });
+            if (callsMade >= maxToolCalls) break;
+        }
 
-                if (!data.choices || !data.choices[0]) {
-                    console.error('❌ Invalid Groq response format (no choices):', data);
-                    throw new Error('Invalid response format from Groq');
-                }
+        console.log(`⏹️ Tool budget spent after ${callsMade} calls - asking for the final answer`);
+        return this.requestCompletion(model, { ...toolPayload, messages: fitRound(), tool_choice: 'none' }, options);
+    }
 
-                const primaryChoice = data.choices[0];
-                let responseContent = primaryChoice?.message?.content;
+    // Run one model tool call; errors go back to the model as the tool message so it can correct itself
+    async executeToolCall(call, iteration, options, model) {
+        const name = call.function?.name;
+        let args = {};
+        let result;
+        try {
+            args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+        } catch (_) {
+            result = { toolName: name, success: false, error: 'Arguments were not valid JSON', errorType: 'validation', arguments: call.function?.arguments };
+        }
+        if (!result) {
+            try {
+                result = await options.executeTool(name, args);
+            } catch (error) {
+                result = { toolName: name, success: false, error: error.message, errorType: error.type || 'upstream' };
+            }
+        }
+        const record = { toolName: name, arguments: args, iteration, ...result };
+        options.onToolResult?.(record);
+        const content = options.formatToolResult
+            ? options.formatToolResult(record)
+            : JSON.stringify(result.success === false
+                ? { error: result.error, errorType: result.errorType, details: result.errorDetails }
+                : result.result ?? result);
+        return { call, content: PromptBudgetService.truncateToTokens(content, TOOL_RESULT_MAX_TOKENS, model) };
+    }
 
-                // If content is an array of parts, concatenate textual parts
-                if (Array.isArray(responseContent)) {
-                    responseContent = responseContent.map(part => (typeof part === 'string' ? part : part?.text || '')).join('\n').trim();
-                }
+    // Chat completion through the configured providers (retries and failover live in LLMProviderService)
+    async requestCompletion(model, payload, options = {}) {
+        console.log(`📝 Request payload:`, JSON.stringify(payload, null, 2));
+        try {
+            const data = await LLMProviderService.complete({ ...payload, model }, options);
+            this.lastProvider = { provider: data.provider, model: data.model || model };
+            return data;
+        } catch (error) {
+            // Remember so later turns go straight to the regex planner
+            if (error.code === 'TOOLS_UNSUPPORTED' && error.provider) this.toolCallsUnsupported.add(model);
+            throw error;
+        }
+    }
 
-                // Alternative extraction heuristics when content is empty
-                if (!responseContent || typeof responseContent !== 'string' || responseContent.trim().length === 0) {
-                    // Try reasoning object (some providers separate reasoning from final answer)
-                    if (primaryChoice.message && primaryChoice.message.reasoning_content) {
-                        responseContent = primaryChoice.message.reasoning_content;
-                    }
-                    else if (primaryChoice.reasoning && typeof primaryChoice.reasoning === 'object') {
-                        // Flatten any textual fields in reasoning
-                        const reasoningText = Object.values(primaryChoice.reasoning)
-                            .filter(v => typeof v === 'string')
-                            .join('\n');
-                        if (reasoningText.trim().length > 20) {
-                            responseContent = reasoningText.trim();
-                        }
-                    }
-                    // Some implementations may put final answer inside usage or metadata (rare)
-                    if ((!responseContent || responseContent.trim().length === 0) && primaryChoice.message && primaryChoice.message.content === '') {
-                        console.warn('⚠️ Empty content field received. Full choice for diagnostics:', JSON.stringify(primaryChoice, null, 2).substring(0, 2000));
-                    }
-                }
+    // Answer text from a chat completion, sanitized (its length is bounded by max_tokens, so the streamed text is the whole answer)
+    extractResponseContent(data) {
+        if (!data.choices || !data.choices[0]) {
+            console.error('❌ Invalid Groq response format (no choices):', data);
+            throw new Error('Invalid response format from Groq');
+        }
 
-                if (!responseContent || responseContent.trim().length === 0) {
-                    const finishReason = primaryChoice.finish_reason;
-                    console.error('❌ Empty or invalid response content after heuristics:', { finishReason, fullResponse: data });
-                    throw new Error('Groq returned empty or invalid response content');
-                }
+        const primaryChoice = data.choices[0];
+        let responseContent = primaryChoice?.message?.content;
 
-                console.log(`📥 Raw Groq response: "${responseContent.substring(0, 200)}..." (${responseContent.length} chars)`);
+        // If content is an array of parts, concatenate textual parts
+        if (Array.isArray(responseContent)) {
+            responseContent = responseContent.map(part => (typeof part === 'string' ? part : part?.text || '')).join('\n').trim();
+        }
 
-                // Log reasoning information if available
-                if (data.choices[0].reasoning) {
-                    console.log(`🧠 Reasoning steps: ${data.choices[0].reasoning.length} steps`);
+        // Alternative extraction heuristics when content is empty
+        if (!responseContent || typeof responseContent !== 'string' || responseContent.trim().length === 0) {
+            // Try reasoning object (some providers separate reasoning from final answer)
+            if (primaryChoice.message && primaryChoice.message.reasoning_content) {
+                responseContent = primaryChoice.message.reasoning_content;
+            }
+            else if (primaryChoice.reasoning && typeof primaryChoice.reasoning === 'object') {
+                // Flatten any textual fields in reasoning
+                const reasoningText = Object.values(primaryChoice.reasoning)
+                    .filter(v => typeof v === 'string')
+                    .join('\n');
+                if (reasoningText.trim().length > 20) {
+                    responseContent = reasoningText.trim();
                 }
+            }
+            // Some implementations may put final answer inside usage or metadata (rare)
+            if ((!responseContent || responseContent.trim().length === 0) && primaryChoice.message && primaryChoice.message.content === '') {
+                console.warn('⚠️ Empty content field received. Full choice for diagnostics:', JSON.stringify(primaryChoice, null, 2).substring(0, 2000));
+            }
+        }
 
-                // Ensure response is under 1500 characters for translation API
-                if (responseContent.length > 1500) {
-                    console.log(`⚠️ Response too long (${responseContent.length} chars), truncating...`);
-                    responseContent = this.truncateResponse(responseContent, 1500);
-                }
+        if (!responseContent || responseContent.trim().length === 0) {
+            const finishReason = primaryChoice.finish_reason;
+            console.error('❌ Empty or invalid response content after heuristics:', { finishReason, fullResponse: data });
+            throw new Error('Groq returned empty or invalid response content');
+        }
 
-                responseContent = this.sanitizeResponse(responseContent);
+        console.log(`📥 Raw Groq response: "${responseContent.substring(0, 200)}..." (${responseContent.length} chars)`);
 
-                // Double-check after sanitization
-                if (!responseContent || responseContent.trim().length === 0) {
-                    console.error('❌ Response became empty after sanitization');
-                    throw new Error('Response was sanitized to empty content');
-                }
+        // Log reasoning information if available
+        if (data.choices[0].reasoning) {
+            console.log(`🧠 Reasoning steps: ${data.choices[0].reasoning.length} steps`);
+        }
 
-                console.log(`📥 Groq response received (${responseContent.length} chars) after sanitization`);
-                return responseContent;
+        responseContent = this.sanitizeResponse(responseContent);
 
-            } catch (error) {
-                if (timeoutHandle) clearTimeout(timeoutHandle);
-                const isAbort = error?.name === 'AbortError';
-                const isNetwork = /Network request failed/i.test(error?.message || '');
-                if ((isAbort || isNetwork) && attempt <= maxRetries) {
-                    console.warn(`⚠️ Network/timeout issue (${isAbort ? 'timeout' : 'network'}) – retrying after ${retryDelayMs}ms (attempt ${attempt}/${maxRetries + 1})`);
-                    lastError = error;
-                    await new Promise(r => setTimeout(r, retryDelayMs * attempt));
-                    continue;
-                }
-                console.error('❌ Groq API call failed:', error);
-                throw error;
-            }
+        // Double-check after sanitization
+        if (!responseContent || responseContent.trim().length === 0) {
+            console.error('❌ Response became empty after sanitization');
+            throw new Error('Response was sanitized to empty content');
         }
-        // Exhausted retries
-        throw lastError || new Error('Groq request failed after retries');
+
+        console.log(`📥 Groq response received (${responseContent.length} chars) after sanitization`);
+        return responseContent;
     }
 
     // Determine appropriate reasoning effort based on query complexity
@@ -566,6 +662,7 @@ FORMATTING:
 • Explain briefly what the information means for their farming
 • Keep responses natural and conversational
 • Aim for 3-5 sentences for most topics
+• When the data has package-of-practices passages labelled [KB1], [KB2]..., quote the doses and dates you use from them and put the label after that sentence
 
 COMMUNICATION STYLE:
 • Write naturally like talking to a farmer friend
@@ -626,9 +723,12 @@ Example response style:
         try {
             // Get real weather tools data first
             const WeatherToolsService = (await import('./WeatherToolsService')).default;
+            if (weatherData.coordinates?.latitude == null || weatherData.coordinates?.longitude == null) {
+                throw new Error('Location unresolved: farm coordinates are required for weather analysis');
+            }
             const toolsData = await WeatherToolsService.getAgricultureWeather(
-                weatherData.coordinates?.latitude || 28.6139,
-                weatherData.coordinates?.longitude || 77.2090
+                weatherData.coordinates.latitude,
+                weatherData.coordinates.longitude
             );
 
             if (!toolsData.success) {
@@ -1,5 +1,6 @@
 // Adapter to mimic legacy local model interface using GroqAIService underneath
 import GroqAIService from './GroqAIService.js';
+import LLMProviderService from './LLMProviderService.js';
 
 class GroqAdapterService {
   constructor() {
@@ -12,7 +13,7 @@ class GroqAdapterService {
 
   getStatus() {
     const status = this.groq.getStatus();
-    return { ...status, isAvailable: status.isAvailable, source: 'groq' };
+    return { ...status, isAvailable: status.isAvailable, source: LLMProviderService.getPrimary()?.id || 'groq' };
   }
 
   async generateFarmingAdvice(query, context = {}) {
@@ -27,9 +28,16 @@ class GroqAdapterService {
     return this.groq.analyzeWeatherForFarming(weatherData, cropData);
   }
 
-  // Legacy methods not applicable for Groq - preserve names for compatibility
-  async setLocalModelUrl() { throw new Error('setLocalModelUrl not supported with Groq cloud service'); }
-  async discoverLocalModelServers() { return []; }
+  // Local OpenAI-compatible server (Ollama, llama.cpp, LM Studio) used as a provider in LLM_PROVIDERS order
+  async setLocalModelUrl(url, options = {}) {
+    const result = await LLMProviderService.setLocalModelUrl(url, options);
+    if (result.success) this.groq.models = LLMProviderService.getModelMap();
+    return result;
+  }
+
+  async discoverLocalModelServers() {
+    return LLMProviderService.discoverLocalModelServers();
+  }
 }
 
 export default GroqAdapterService;
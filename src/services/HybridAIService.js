@@ -13,7 +13,10 @@ import IntelligentQueryClassifier from './IntelligentQueryClassifier';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import TelemetryService from './TelemetryService';
 import SafetyFilterService from './SafetyFilterService';
+import MSPService from './MSPService';
+import KnowledgeBaseService from './KnowledgeBaseService';
 import FarmerCropProjectsService from './FarmerCropProjectsService';
+import CassetteService from './CassetteService';
 
 class HybridAIService {
   constructor() {
@@ -24,10 +27,23 @@ class HybridAIService {
     this.mode = 'intelligent'; // or 'autonomous'
     // Initialize autonomous agent (lazy heavy operations inside agent itself)
     this.agent = new AutonomousAgentService();
+    this.cassette = null; // {mode:'record'|'replay', name} applies to every turn (debug builds)
   }
 
-  // Main farming advice method - Intelligent query routing with autonomous reasoning
+  // Main farming advice method - Intelligent query routing with autonomous reasoning.
+  // userContext.cassette ({mode:'record'|'replay', name}) or this.cassette records the turn's
+  // LLM / translation / tool traffic to a cassette, or replays one offline (CassetteService).
+  // The cassette's transport ({fetch, noCache}) rides along as userContext.transport.
   async getFarmingAdvice(query, language = 'en-IN', location = null, userContext = {}) {
+    const { cassette = this.cassette, ...context } = userContext;
+    if (cassette?.mode === 'record' || cassette?.mode === 'replay') {
+      return CassetteService.around(cassette, { query, language, location },
+        (transport) => this.processFarmingAdvice(query, language, location, { ...context, transport }));
+    }
+    return this.processFarmingAdvice(query, language, location, context);
+  }
+
+  async processFarmingAdvice(query, language = 'en-IN', location = null, userContext = {}) {
     try {
       // Step 0: Validate language workflow
       const validation = this.validateLanguageWorkflow(query, language, userContext);
@@ -45,7 +61,9 @@ class HybridAIService {
       
       // Step 1.5: Load project-specific context if activeProjectId provided
       if (userContext.activeProjectId) {
-        const projectContext = await FarmerCropProjectsService.getProjectAIContext(userContext.activeProjectId);
+        const projectContext = await FarmerCropProjectsService.getProjectAIContext(userContext.activeProjectId, query, {
+          today: new Date().toISOString().slice(0, 10)
+        });
         if (projectContext) {
           enhancedContext.__activeProject = projectContext;
           enhancedContext.__systemFarmContext = projectContext.__systemProjectContext;
@@ -420,6 +438,7 @@ class HybridAIService {
       const ReasoningAnimationService = (await import('./ReasoningAnimationService')).default;
       
       const targetLang = this.sarvam.normalizeLanguageCode(language);
+      const { transport } = userContext;
   let response = { success: false, message: 'No data found' };
   let originalEnglish = null;
   let translationMeta = null;
@@ -442,14 +461,14 @@ class HybridAIService {
               try {
                 if (userContext.coordinates?.latitude && userContext.coordinates?.longitude) {
                   const { latitude, longitude } = userContext.coordinates;
-                  toolResults.weather = await weatherService.default.getAgricultureWeather(latitude, longitude);
+                  toolResults.weather = await weatherService.default.getAgricultureWeather(latitude, longitude, transport);
                 } else if (typeof location === 'object' && location?.coordinates) {
                   const { latitude, longitude } = location.coordinates;
-                  toolResults.weather = await weatherService.default.getAgricultureWeather(latitude, longitude);
+                  toolResults.weather = await weatherService.default.getAgricultureWeather(latitude, longitude, transport);
                 } else if (typeof location === 'string' && location.trim().length) {
-                  const geo = await weatherService.default.geocodePlace(location);
+                  const geo = await weatherService.default.geocodePlace(location, transport);
                   if (geo.success) {
-                    toolResults.weather = await weatherService.default.getAgricultureWeather(geo.lat, geo.lon);
+                    toolResults.weather = await weatherService.default.getAgricultureWeather(geo.lat, geo.lon, transport);
                   } else {
                     throw new Error(`Geocode failed: ${geo.error}`);
                   }
@@ -466,12 +485,12 @@ class HybridAIService {
               // Get farmer's primary crop for market data
               const primaryCrop = userContext.crops?.[0] || userContext.farmProfile?.crops?.[0] || 'rice';
               const farmerLocation = userContext.location || userContext.farmProfile?.location || '';
-              toolResults.market = await marketService.default.getMarketAnalysis(primaryCrop, farmerLocation);
+              toolResults.market = await marketService.default.getMarketAnalysis(primaryCrop, farmerLocation, transport);
               break;
               
             case 'government_schemes':
               const schemesService = await import('./GovernmentSchemesService');
-              toolResults.schemes = await schemesService.default.getAllSchemeInfo();
+              toolResults.schemes = await schemesService.default.getAllSchemeInfo(transport);
               break;
               
             case 'plant_disease':
@@ -492,7 +511,7 @@ class HybridAIService {
         
         // Enrich via Groq for consistency & better UX
         try {
-          if (await this.groq.checkAvailability()) {
+          if (await this.groq.checkAvailability({ fetch: transport?.fetch })) {
             // Animate synthesis phase
             reasoningCallback({
               id: ReasoningAnimationService.STEP_IDS.SYNTHESIS,
@@ -504,7 +523,7 @@ class HybridAIService {
             
             const enrichment = await this.groq.generateFarmingAdvice(
               `${query}\n\nReal-time data context:\n${response.message}`,
-              { toolsUsed: Object.keys(toolResults), mode: 'data_synthesis', onReasoningStep: () => {} }
+              { toolsUsed: Object.keys(toolResults), mode: 'data_synthesis', onReasoningStep: () => {}, transport }
             );
             
             if (enrichment?.advice) {
@@ -536,7 +555,7 @@ class HybridAIService {
         }
       } else {
         // Fallback to basic Groq response without reasoning
-        response = await this.groq.getSimpleResponse(query);
+        response = await this.groq.getSimpleResponse(query, { transport });
       }
 
       // Translate response if needed
@@ -548,7 +567,8 @@ class HybridAIService {
         const dataTranslationResult = await this.sarvam.translateTextWithFormatting(
           response.message,
           'en-IN',
-          targetLang
+          targetLang,
+          transport
         );
         
         if (dataTranslationResult.success) {
@@ -558,7 +578,7 @@ class HybridAIService {
           console.log(`✅ Data response translated with formatting preserved: ${dataTranslationResult.preservedFormatting}`);
         } else {
           // Fallback to regular translation
-          const fallbackResult = await this.sarvam.translateText(response.message, 'en-IN', targetLang);
+          const fallbackResult = await this.sarvam.translateText(response.message, 'en-IN', targetLang, transport);
           if (fallbackResult.success) {
             originalEnglish = response.message;
             response.message = fallbackResult.translatedText || response.message;
@@ -638,7 +658,7 @@ class HybridAIService {
         
         try {
           // For queries, regular translation is usually sufficient since they're typically short
-          const translationResult = await this.sarvam.translateText(query, targetLang, 'en-IN');
+          const translationResult = await this.sarvam.translateText(query, targetLang, 'en-IN', userContext.transport);
           if (translationResult.success) {
             englishQuery = translationResult.translatedText;
             console.log(`Query translated: "${query}" → "${englishQuery}"`);
@@ -671,38 +691,56 @@ class HybridAIService {
         TelemetryService.classify({ reqId, intent: queryIntent.type, confidence: queryIntent.confidence, toolsNeeded: queryIntent.toolsNeeded });
       }
       
-      // Execute tools to get real data
-      const toolResults = await AgentToolsService.processQueryWithTools(englishQuery, userContext);
+      // Execute tools to get real data. Tool-capable models pick and call tools themselves
+      // inside generateFarmingAdvice; the regex planner runs here only for the others.
+      const nativeTools = this.groq.supportsToolCalls(this.groq.models.toolCapable);
+      let toolResults = nativeTools ? null : await AgentToolsService.processQueryWithTools(englishQuery, userContext);
+      (toolResults?.toolResults || [])
+        .filter(r => r.success === false)
+        .forEach(failure => ReasoningAnimationService.animateToolFailure(reasoningCallback, failure));
       
-      // Execute dynamic reasoning with real tool results
-      const analysisResult = await DynamicReasoningService.executeDynamicReasoning(
+      // Reasoning steps for the UI, built from the planner's tool results
+      await DynamicReasoningService.executeDynamicReasoning(
         englishQuery, 
         userContext, 
         toolResults?.toolResults || [], // Extract the actual array from the result object
         reasoningCallback
       );
 
-      let enhancedPrompt = englishQuery;
-      
-      // Add farmer context to prompt
+      // Farmer / project context goes to the prompt builder as its own segment so it can be trimmed
+      // within the model's token budget; tool data is added by generateFarmingAdvice from toolResults
+      const promptSegments = [];
       if (userContext.__systemFarmContext) {
-        // Ensure englishQuery is a string
-        const queryString = typeof englishQuery === 'string' ? englishQuery : String(englishQuery);
-        enhancedPrompt = `Farmer Context: ${userContext.__systemFarmContext}\n\nQuestion: ${queryString}`;
-      }
-      
-      // Add tool results context if available
-      if (toolResults && toolResults.enhancedContext) {
-        enhancedPrompt += `\n\n${toolResults.enhancedContext}`;
+        promptSegments.push({ id: userContext.__activeProject ? 'project_context' : 'farmer_context', text: userContext.__systemFarmContext });
       }
+      // What the farmer did / saw / decided in earlier project conversations
+      promptSegments.push(...(userContext.__activeProject?.__projectPromptSegments || []));
+      const enhancedPrompt = typeof englishQuery === 'string' ? englishQuery : String(englishQuery);
+
+      // Stream the answer to userContext.onPartialAnswer(text) when it is shown as generated (no
+      // translation pass); sentences are released only after the safety check
+      const answerStream = typeof userContext.onPartialAnswer === 'function' && !(targetLang !== 'en-IN' && this.sarvam.isConfigured())
+        ? SafetyFilterService.createStreamFilter(userContext.onPartialAnswer)
+        : null;
 
       const groqResult = await this.groq.generateFarmingAdvice(enhancedPrompt, {
         location,
         onReasoningStep: () => {}, // Disable nested reasoning callbacks
         farmerContext: userContext,
         toolResults: toolResults?.toolResults || [],
-        mode: 'comprehensive_advice'
+        toolContext: userContext,
+        toolQuery: englishQuery,
+        promptSegments,
+        conversationHistory: userContext.conversationHistory || [],
+        reqId,
+        transport: userContext.transport,
+        mode: 'comprehensive_advice',
+        ...(answerStream ? { onDelta: answerStream.push } : {})
       });
+      answerStream?.end();
+      if (nativeTools && groqResult?.toolResults?.length) {
+        toolResults = { toolResults: groqResult.toolResults, toolsUsed: groqResult.toolsUsed || [] };
+      }
 
       // Step 5: Response Translation (if needed)
   let finalMessage = groqResult?.advice || groqResult?.message || 'Unable to generate advice at this time.';
@@ -716,17 +754,11 @@ class HybridAIService {
         console.log(`🔄 Translating reasoning result from English to ${targetLang}...`);
         
         try {
-          // Improve text structure before translation
-          let textToTranslate = this.improveTextStructure(finalMessage);
-          
-          // Ensure text is under 2000 characters for Sarvam translation API
-          if (textToTranslate.length > 1800) {
-            console.log(`⚠️ Text too long for translation (${textToTranslate.length} chars), truncating...`);
-            textToTranslate = this.truncateForTranslation(textToTranslate, 1800);
-          }
+          // Improve text structure before translation (long answers are chunked to Sarvam's limit, not cut)
+          const textToTranslate = this.improveTextStructure(finalMessage);
           
           // Use formatting-aware translation for better structure preservation
-          const translationResult = await this.sarvam.translateTextWithFormatting(textToTranslate, 'en-IN', targetLang);
+          const translationResult = await this.sarvam.translateTextWithFormatting(textToTranslate, 'en-IN', targetLang, userContext.transport);
           if (translationResult.success) {
             finalMessage = translationResult.translatedText;
     translationMeta = { cached: translationResult.cached || false, mode: translationResult.mode, preservedFormatting: translationResult.preservedFormatting };
@@ -734,7 +766,7 @@ class HybridAIService {
           } else {
             console.warn('Formatting-aware translation failed, trying regular translation:', translationResult.error);
             // Fallback to regular translation
-            const fallbackResult = await this.sarvam.translateText(textToTranslate, 'en-IN', targetLang);
+            const fallbackResult = await this.sarvam.translateText(textToTranslate, 'en-IN', targetLang, userContext.transport);
             if (fallbackResult.success) {
               finalMessage = fallbackResult.translatedText;
       translationMeta = { cached: fallbackResult.cached || false, mode: fallbackResult.mode };
@@ -748,8 +780,12 @@ class HybridAIService {
         }
       }
 
-      // Safety filtering
-      const safety = SafetyFilterService.apply(finalMessage);
+      // Safety filtering (MSP context flags sell advice below MSP where procurement exists); streamed
+      // text is replaced by this final pass before the message is stored
+      const safety = SafetyFilterService.apply(finalMessage, {
+        msp: MSPService.belowMspFromToolResults(toolResults?.toolResults || []),
+        englishText: originalEnglish
+      });
       if (!safety.safe || safety.safety.action === 'flag') {
         finalMessage = safety.filteredText;
       }
@@ -779,6 +815,10 @@ class HybridAIService {
           model: groqResult?.model || 'groq'
         },
         toolsUsed: toolResults?.toolsUsed || [],
+        // Structured tool output for rich cards (e.g. MarketComparisonCard)
+        marketComparison: toolResults?.toolResults?.find(r => r.toolName === 'compare_market_realization' && r.success)?.result || null,
+        // Passages behind [KB#] citations in the answer
+        knowledgeSources: KnowledgeBaseService.citationsFromToolResults(toolResults?.toolResults || []),
         model: groqResult?.model || 'groq',
         source: groqResult?.source || 'Khet AI',
         farmContext: userContext.__systemFarmContext,
@@ -786,6 +826,7 @@ class HybridAIService {
         originalEnglish,
         translationMeta,
         safety: safety?.safety,
+        streamed: !!answerStream,
         responseTime: new Date().toISOString()
       };
       if (reqId) TelemetryService.response({ reqId, processingType: 'REASONING_BASED', model: finalObj.model, safety: finalObj.safety });
@@ -1011,7 +1052,8 @@ Begin:`;
         const queryTranslation = await this.sarvam.translateText(
           query,
           targetLang,
-          'en-IN'
+          'en-IN',
+          userContext.transport
         );
         
         if (queryTranslation.success) {
@@ -1033,7 +1075,7 @@ Begin:`;
       };
 
       // Use Groq for chat and reasoning - NO FALLBACKS
-      if (!(await this.groq.checkAvailability())) {
+      if (!(await this.groq.checkAvailability({ fetch: userContext.transport?.fetch }))) {
         throw new Error('AI service is currently unavailable. Please check your API key and try again.');
       }
 
@@ -1054,14 +1096,8 @@ Begin:`;
           status: 'active'
         });
         
-        // Improve text structure before translation
-        let textToTranslate = this.improveTextStructure(adviceResult.advice);
-        
-        // Ensure text is under 2000 characters for Sarvam translation API
-        if (textToTranslate.length > 1800) {
-          console.log(`⚠️ Text too long for translation (${textToTranslate.length} chars), truncating...`);
-          textToTranslate = this.truncateForTranslation(textToTranslate, 1800);
-        }
+        // Improve text structure before translation (long answers are chunked to Sarvam's limit, not cut)
+        const textToTranslate = this.improveTextStructure(adviceResult.advice);
         
         console.log(`🔄 Translating response from English to ${targetLang}...`);
         
@@ -1069,7 +1105,8 @@ Begin:`;
         const translationResult = await this.sarvam.translateTextWithFormatting(
           textToTranslate,
           'en-IN',
-          targetLang
+          targetLang,
+          userContext.transport
         );
         
         if (translationResult.success) {
@@ -1086,7 +1123,7 @@ Begin:`;
         } else {
           console.warn('Formatting-aware translation failed, trying regular translation:', translationResult.error);
           // Fallback to regular translation
-          const fallbackResult = await this.sarvam.translateText(textToTranslate, 'en-IN', targetLang);
+          const fallbackResult = await this.sarvam.translateText(textToTranslate, 'en-IN', targetLang, userContext.transport);
           if (fallbackResult.success) {
             finalAdvice = fallbackResult.translatedText;
             console.log(`Response translated with regular method to ${targetLang}`);
@@ -1653,30 +1690,6 @@ Begin:`;
     }
   }
 
-  // Utility function to truncate text for translation
-  truncateForTranslation(text, maxLength = 1800) {
-    if (text.length <= maxLength) return text;
-    
-    // Try to cut at sentence boundary
-    const sentences = text.split(/[.!?]+/);
-    let result = '';
-    
-    for (const sentence of sentences) {
-      const nextResult = result + sentence.trim() + '. ';
-      if (nextResult.length > maxLength - 50) break;
-      result = nextResult;
-    }
-    
-    // If no complete sentence fits, truncate at word boundary
-    if (result.length === 0) {
-      const words = text.split(' ');
-      result = words.slice(0, Math.floor(words.length * 0.7)).join(' ');
-      result += '...';
-    }
-    
-    return result.trim();
-  }
-
   // Check service availability
   async checkAvailability() {
     const groqStatus = await this.groq.checkAvailability();
@@ -2004,29 +2017,6 @@ Begin:`;
     return null;
   }
 
-  // Helper method to truncate text for translation
-  truncateForTranslation(text, maxLength = 1800) {
-    if (text.length <= maxLength) return text;
-
-    // Try to cut at sentence boundary
-    const sentences = text.split(/[.!?]+/);
-    let result = '';
-
-    for (const sentence of sentences) {
-      const nextResult = result + sentence.trim() + '. ';
-      if (nextResult.length > maxLength - 50) break; // Leave buffer for clean ending
-      result = nextResult;
-    }
-
-    // If no complete sentence fits, just truncate at word boundary
-    if (result.length === 0) {
-      const words = text.split(' ');
-      result = words.slice(0, Math.floor(words.length * 0.7)).join(' ');
-    }
-
-    return result.trim() + (result.endsWith('.') ? '' : '.');
-  }
-
   // Helper method to improve English text structure before translation
   improveTextStructure(text) {
     if (!text || typeof text !== 'string') return text;
@@ -0,0 +1,286 @@
+/**
+ * KnowledgeBaseService
+ * On-device agronomy knowledge base: bundled, versioned package-of-practices packs
+ * (src/data/knowledge/<scope>.<language>.json) searched with a BM25 index.
+ * - Packs are scoped by state (empty list = national) and language; a state pack wins
+ *   over the national passage on the same crop and topic
+ * - Extra or updated packs can be installed at runtime (stored in AsyncStorage)
+ * - Passages come back labelled [KB1], [KB2]... so answers can quote and cite them
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import nationalEn from '../data/knowledge/national.en.json';
+import nationalHi from '../data/knowledge/national.hi.json';
+import punjabEn from '../data/knowledge/punjab.en.json';
+import madhyaPradeshEn from '../data/knowledge/madhya-pradesh.en.json';
+import andhraPradeshEn from '../data/knowledge/andhra-pradesh.en.json';
+
+class KnowledgeBaseService {
+  static BUNDLED_PACKS = [nationalEn, nationalHi, punjabEn, madhyaPradeshEn, andhraPradeshEn];
+  static STORAGE_PREFIX = 'knowledge_pack_';
+  static INSTALLED_KEY = 'knowledge_packs_installed';
+
+  static BM25 = { k1: 1.2, b: 0.75 };
+  static STATE_BOOST = 1.3; // local recommendations over national ones
+  static LANGUAGE_BOOST = 1.2; // passages in the farmer's language over the English fallback
+  static MIN_RELATIVE_SCORE = 0.35; // drop passages far weaker than the best hit
+  static MAX_RESULTS = 5;
+
+  static STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'is', 'are', 'was', 'be',
+    'it', 'its', 'this', 'that', 'these', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'should', 'can', 'could', 'would',
+    'will', 'do', 'does', 'did', 'what', 'which', 'how', 'much', 'many', 'when', 'where', 'there', 'have', 'has', 'about',
+    'give', 'tell', 'please', 'need', 'some', 'any', 'if', 'so', 'per', 'than', 'then', 'them', 'they', 'into', 'after',
+    'के', 'की', 'का', 'में', 'से', 'को', 'और', 'है', 'हैं', 'पर', 'कब', 'कैसे', 'क्या', 'कितना', 'कितनी', 'करें', 'मेरी', 'मेरे'
+  ]);
+
+  // Farmer vocabulary for each section topic, indexed with the passage so "how much urea" reaches
+  // a fertilizer schedule that never says "urea"
+  static TOPIC_TERMS = {
+    sowing: 'sow sowing plant planting transplant transplanting time date month spacing nursery बुवाई रोपाई',
+    seed_rate: 'seed seeds rate quantity kg acre बीज',
+    fertilizer: 'fertilizer fertiliser urea dap npk potash mop nitrogen phosphorus manure dose nutrient khad top dressing खाद उर्वरक यूरिया',
+    irrigation: 'irrigation irrigate water watering sinchai सिंचाई पानी',
+    pests: 'pest pests insect insects larvae caterpillar worm spray insecticide control keeda कीट',
+    diseases: 'disease fungus fungicide spots spray control rog रोग',
+    harvest: 'harvest harvesting pick picking maturity dry drying storage store कटाई'
+  };
+
+  static _installed = null; // packs from AsyncStorage, loaded once
+  static _indexCache = new Map();
+
+  static tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9]+|[ऀ-ൿ]+/g) || [])
+      .filter(token => !this.STOPWORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Light suffix stripping so "sowing" / "sow" and "seeds" / "seed" meet
+  static stem(token) {
+    if (!/^[a-z]+$/.test(token) || token.length <= 4) return token;
+    if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.endsWith('ied')) return `${token.slice(0, -3)}y`;
+    if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+    if (token.endsWith('ed')) return token.slice(0, -2);
+    if (token.endsWith('s') && !/(ss|us)$/.test(token)) return token.slice(0, -1);
+    return token;
+  }
+
+  static normalizeLanguage(language) {
+    return String(language || 'en').toLowerCase().split(/[-_]/)[0] || 'en';
+  }
+
+  /**
+   * Validate a pack before it is indexed or installed
+   * @throws {Error} describing the first problem found
+   */
+  static validatePack(pack) {
+    if (!pack || typeof pack !== 'object') throw new Error('Knowledge pack must be an object');
+    ['id', 'version', 'language'].forEach(field => {
+      if (!pack[field]) throw new Error(`Knowledge pack is missing ${field}`);
+    });
+    if (!Array.isArray(pack.documents) || !pack.documents.length) throw new Error(`Knowledge pack ${pack.id} has no documents`);
+    pack.documents.forEach(doc => {
+      if (!doc.id || !doc.crop || !Array.isArray(doc.sections)) throw new Error(`Knowledge pack ${pack.id}: document ${doc.id || '?'} needs id, crop and sections`);
+      doc.sections.forEach(section => {
+        if (!section.topic || !section.text) throw new Error(`Knowledge pack ${pack.id}: ${doc.id} has a section without topic or text`);
+      });
+    });
+    return true;
+  }
+
+  // Installed packs replace bundled ones with the same id (downloaded updates)
+  static async getAllPacks() {
+    if (!this._installed) {
+      this._installed = [];
+      try {
+        const ids = JSON.parse(await AsyncStorage.getItem(this.INSTALLED_KEY) || '[]');
+        for (const id of ids) {
+          const raw = await AsyncStorage.getItem(`${this.STORAGE_PREFIX}${id}`);
+          if (raw) this._installed.push(JSON.parse(raw));
+        }
+      } catch (error) {
+        console.warn('Failed to load installed knowledge packs:', error.message);
+      }
+    }
+    const installedIds = new Set(this._installed.map(pack => pack.id));
+    return [...this.BUNDLED_PACKS.filter(pack => !installedIds.has(pack.id)), ...this._installed];
+  }
+
+  /**
+   * Install (or update) a pack for a state / language, e.g. one downloaded from an extension office feed
+   */
+  static async installPack(pack) {
+    this.validatePack(pack);
+    await this.getAllPacks();
+    await AsyncStorage.setItem(`${this.STORAGE_PREFIX}${pack.id}`, JSON.stringify(pack));
+    this._installed = [...this._installed.filter(p => p.id !== pack.id), pack];
+    await AsyncStorage.setItem(this.INSTALLED_KEY, JSON.stringify(this._installed.map(p => p.id)));
+    this._indexCache.clear();
+    console.log(`📚 Installed knowledge pack ${pack.id} v${pack.version}`);
+    return { success: true, id: pack.id, version: pack.version };
+  }
+
+  static async removePack(packId) {
+    await this.getAllPacks();
+    this._installed = this._installed.filter(p => p.id !== packId);
+    await AsyncStorage.removeItem(`${this.STORAGE_PREFIX}${packId}`);
+    await AsyncStorage.setItem(this.INSTALLED_KEY, JSON.stringify(this._installed.map(p => p.id)));
+    this._indexCache.clear();
+  }
+
+  /**
+   * Packs for a state and language: national + matching state packs, in the language plus English
+   */
+  static async getPacks({ state = '', language = 'en' } = {}) {
+    const lang = this.normalizeLanguage(language);
+    const stateText = String(state || '').toLowerCase();
+    return (await this.getAllPacks()).filter(pack =>
+      [lang, 'en'].includes(this.normalizeLanguage(pack.language)) &&
+      (!pack.states?.length || pack.states.some(s => stateText && stateText.includes(s.toLowerCase())))
+    );
+  }
+
+  static buildIndex(packs) {
+    const key = packs.map(p => `${p.id}@${p.version}`).sort().join('|');
+    if (this._indexCache.has(key)) return this._indexCache.get(key);
+
+    const passages = [];
+    packs.forEach(pack => {
+      pack.documents.forEach(doc => {
+        doc.sections.forEach(section => {
+          const tokens = this.tokenize([
+            doc.crop, ...(doc.aliases || []), doc.title, section.heading, section.text, this.TOPIC_TERMS[section.topic] || ''
+          ].join(' '));
+          const tf = new Map();
+          tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+          passages.push({
+            id: `${doc.id}#${section.topic}`,
+            crop: doc.crop,
+            cropKeys: [doc.crop, ...(doc.aliases || [])].map(c => c.toLowerCase()),
+            title: doc.title,
+            topic: section.topic,
+            heading: section.heading || section.topic,
+            text: section.text,
+            source: doc.source || pack.title,
+            pack: pack.id,
+            version: pack.version,
+            language: this.normalizeLanguage(pack.language),
+            local: !!pack.states?.length,
+            tf,
+            length: tokens.length
+          });
+        });
+      });
+    });
+    const df = new Map();
+    passages.forEach(p => p.tf.forEach((_, token) => df.set(token, (df.get(token) || 0) + 1)));
+    const avgLength = passages.reduce((sum, p) => sum + p.length, 0) / (passages.length || 1);
+    const index = { passages, df, avgLength };
+    this._indexCache.set(key, index);
+    return index;
+  }
+
+  // Crop named in free text or a context value ("paddy", "Mirchi") -> the knowledge base crop
+  static resolveCrop(text, passages) {
+    const lower = String(text || '').toLowerCase();
+    if (!lower) return null;
+    const keys = Array.from(new Set(passages.flatMap(p => p.cropKeys))).sort((a, b) => b.length - a.length);
+    const hit = keys.find(key => new RegExp(`(^|[^a-z\\u0900-\\u0D7F])${key}([^a-z\\u0900-\\u0D7F]|$)`).test(lower));
+    return hit ? passages.find(p => p.cropKeys.includes(hit)).crop : null;
+  }
+
+  /**
+   * BM25 search over the packs for a state / language
+   * @param {string} query
+   * @param {{crop?: string, state?: string, language?: string, topK?: number}} [options]
+   * @returns {Promise<{query, crop, state, language, passages: Array, packs: Array, message?: string}>}
+   */
+  static async search(query, { crop = '', state = '', language = 'en', topK = 3 } = {}) {
+    const lang = this.normalizeLanguage(language);
+    const packs = await this.getPacks({ state, language: lang });
+    const index = this.buildIndex(packs);
+    const base = { query, state: state || null, language: lang, packs: packs.map(p => ({ id: p.id, version: p.version })) };
+
+    // The crop in the question wins over the profile crop
+    const queryCrop = this.resolveCrop(query, index.passages);
+    const cropKey = queryCrop || this.resolveCrop(crop, index.passages);
+    if (!cropKey && crop && !queryCrop) {
+      return { ...base, crop, passages: [], message: `The knowledge base has no package of practices for ${crop} yet` };
+    }
+    const candidates = cropKey ? index.passages.filter(p => p.crop === cropKey) : index.passages;
+
+    const { k1, b } = this.BM25;
+    const n = index.passages.length;
+    // Within one crop its name matches every passage, so it only adds noise to the ranking
+    const cropTerms = new Set(cropKey ? this.tokenize(candidates[0].cropKeys.join(' ')) : []);
+    const terms = Array.from(new Set(this.tokenize(query))).filter(term => !cropTerms.has(term));
+    const scored = candidates.map(p => {
+      let score = 0;
+      terms.forEach(term => {
+        const freq = p.tf.get(term);
+        if (!freq) return;
+        const df = index.df.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        score += idf * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * (p.length / index.avgLength)));
+      });
+      if (p.local) score *= this.STATE_BOOST;
+      if (lang !== 'en' && p.language === lang) score *= this.LANGUAGE_BOOST;
+      return { passage: p, score };
+    }).filter(s => s.score > 0).sort((a, b) => b.score - a.score);
+
+    // One passage per crop and topic: the local / farmer-language version already ranks first
+    const seen = new Set();
+    const top = scored.filter(s => {
+      const key = `${s.passage.crop}|${s.passage.topic}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return s.score >= scored[0].score * this.MIN_RELATIVE_SCORE;
+    }).slice(0, Math.min(Math.max(topK, 1), this.MAX_RESULTS));
+
+    const passages = top.map((s, i) => ({
+      citation: `KB${i + 1}`,
+      id: s.passage.id,
+      crop: s.passage.crop,
+      title: s.passage.title,
+      topic: s.passage.topic,
+      heading: s.passage.heading,
+      text: s.passage.text,
+      source: s.passage.source,
+      pack: s.passage.pack,
+      version: s.passage.version,
+      score: Math.round(s.score * 100) / 100
+    }));
+    return {
+      ...base,
+      crop: cropKey,
+      passages,
+      ...(passages.length ? {} : { message: `No package-of-practices passage matches this question${cropKey ? ` for ${cropKey}` : ''}` })
+    };
+  }
+
+  // Label passages KB1, KB2... across every knowledge base result of a turn (after `offset` earlier ones)
+  static numberCitations(toolResults = [], offset = 0) {
+    let n = offset;
+    return toolResults.map(r => {
+      if (r?.toolName !== 'search_knowledge_base' || r.success === false || !r.result?.passages?.length) return r;
+      return { ...r, result: { ...r.result, passages: r.result.passages.map(p => ({ ...p, citation: `KB${++n}` })) } };
+    });
+  }
+
+  // Passages the knowledge base results carry, i.e. how many KB labels they use
+  static countPassages(toolResults = []) {
+    return toolResults
+      .filter(r => r?.toolName === 'search_knowledge_base' && r.success !== false)
+      .reduce((sum, r) => sum + (r.result?.passages?.length || 0), 0);
+  }
+
+  // Sources behind [KB#] labels in an answer, for the sources card under the message
+  static citationsFromToolResults(toolResults = []) {
+    return this.numberCitations(toolResults)
+      .filter(r => r?.toolName === 'search_knowledge_base' && r.success !== false)
+      .flatMap(r => r.result?.passages || [])
+      .map(({ citation, title, heading, text, source, pack, version }) => ({ citation, title, heading, text, source, pack, version }));
+  }
+}
+
+export default KnowledgeBaseService;
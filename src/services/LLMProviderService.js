@@ -0,0 +1,607 @@
+/**
+ * LLM Provider Service for Khet AI
+ * Chat-completion backends behind one OpenAI-style interface. Providers are
+ * tried in the failover order from EnvironmentConfig.getLLMProviderOrder();
+ * a provider that errors, times out or is rate limited hands the request to
+ * the next one, with the model translated through the provider's model map.
+ *
+ * Provider interface:
+ *   id, label, models {full, lightweight}, isConfigured(), supportsTools(model),
+ *   complete(payload, options) -> chat completion, listModels(options)
+ *
+ * With `stream: true` in the payload the server-sent events are read as they
+ * arrive: options.onDelta(text) gets each content chunk and complete() still
+ * resolves to one assembled chat completion (tool call deltas included). In a
+ * round that may still call tools the text is held back until it is clearly the
+ * answer, so a preamble before tool calls never reaches onDelta.
+ * options.fetch replaces the global fetch for the request (cassette recording
+ * and replay of a single turn).
+ */
+
+import EnvironmentConfig from '../config/environment.js';
+
+// Groq models that accept OpenAI-style `tools`
+const GROQ_TOOL_MODELS = /(gpt-oss|llama-3\.[13]-|llama-4|qwen|kimi|mixtral|tool-use)/i;
+
+// Text held back in a streamed round that offers tools: past this much with no tool call it is the answer
+const TOOL_ROUND_HOLD_CHARS = 120;
+
+// Usual local server ports (Ollama, llama.cpp server, LM Studio); 10.0.2.2 is the host seen from the Android emulator
+const LOCAL_CANDIDATES = [
+  'http://localhost:11434/v1',
+  'http://localhost:8080/v1',
+  'http://localhost:1234/v1',
+  'http://10.0.2.2:11434/v1',
+  'http://10.0.2.2:8080/v1',
+  'http://10.0.2.2:1234/v1'
+];
+
+export class LLMProviderError extends Error {
+  constructor(message, { provider, status = null, code = null, retryable = false, rateLimited = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Worth trying the next provider (request problems like a bad payload are not)
+  get failover() {
+    return this.retryable || this.rateLimited;
+  }
+}
+
+/**
+ * Assembles streamed chat.completion.chunk events into a chat completion
+ * @param {Function} [onDelta] - called with each content chunk
+ * @param {{holdChars?: number}} [options] - hold content until this many characters arrive without a
+ *   tool call (tool rounds); once a tool call starts nothing more is forwarded
+ */
+function createStreamAccumulator(onDelta, { holdChars = 0 } = {}) {
+  const toolCalls = [];
+  let content = '';
+  let held = '';
+  let releasing = holdChars <= 0;
+  let buffer = '';
+  let raw = ''; // kept until the first event, for servers that ignore `stream` and send plain JSON
+  let sawEvent = false;
+  let finishReason = null;
+  let id = null;
+  let model = null;
+  let usage = null;
+  let streamError = null;
+
+  const handleEvent = (data) => {
+    if (!data || data === '[DONE]') return;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (_) {
+      return; // keep-alive comments and partial garbage
+    }
+    if (chunk.error) {
+      streamError = chunk.error.message || String(chunk.error);
+      return;
+    }
+    id = id || chunk.id;
+    model = model || chunk.model;
+    usage = chunk.usage || chunk.x_groq?.usage || usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      if (!toolCalls.length) {
+        held += delta.content;
+        if (!releasing && held.length >= holdChars) releasing = true;
+        if (releasing) release();
+      }
+    }
+    if (delta.tool_calls?.length) held = ''; // preamble of a tool round, not the answer
+    (delta.tool_calls || []).forEach((part) => {
+      const index = part.index ?? toolCalls.length;
+      const call = toolCalls[index] || (toolCalls[index] = { id: part.id, type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  const release = () => {
+    if (!held) return;
+    accumulator.started = true;
+    onDelta?.(held);
+    held = '';
+  };
+
+  const accumulator = {
+    started: false,
+    push(text) {
+      if (!sawEvent) raw += text;
+      buffer += text;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(line => {
+        if (!line.startsWith('data:')) return;
+        sawEvent = true;
+        handleEvent(line.slice(5).trim());
+      });
+    },
+    finish() {
+      if (buffer) accumulator.push('\n');
+      if (streamError) throw new Error(`Stream error: ${streamError}`);
+      if (!sawEvent && raw.trim().startsWith('{')) {
+        const data = JSON.parse(raw);
+        const message = data.choices?.[0]?.message;
+        const text = message?.content;
+        if (typeof text === 'string' && text && !message.tool_calls?.length) {
+          accumulator.started = true;
+          onDelta?.(text);
+        }
+        return data;
+      }
+      const calls = toolCalls.filter(Boolean);
+      if (!calls.length) release(); // short answer that never reached holdChars
+      return {
+        id,
+        object: 'chat.completion',
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content, ...(calls.length ? { tool_calls: calls } : {}) },
+          finish_reason: finishReason || (calls.length ? 'tool_calls' : 'stop')
+        }],
+        usage
+      };
+    }
+  };
+  return accumulator;
+}
+
+// Streamed body through fetch where the runtime exposes it (web, Node), else read in one go (cassette replay)
+async function readStreamBody(response, accumulator) {
+  const reader = response.body?.getReader?.();
+  if (!reader || typeof TextDecoder === 'undefined') {
+    accumulator.push(await response.text());
+    return;
+  }
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    accumulator.push(decoder.decode(value, { stream: true }));
+  }
+}
+
+// React Native's fetch has no readable body; XMLHttpRequest progress events deliver the stream there
+function xhrFetch(url, { method, headers, body, signal }, onChunk) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let seen = 0;
+    const ok = () => xhr.status >= 200 && xhr.status < 300;
+    const emit = () => {
+      if (!ok() || xhr.responseText.length <= seen) return;
+      onChunk(xhr.responseText.slice(seen));
+      seen = xhr.responseText.length;
+    };
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+    xhr.onprogress = emit;
+    xhr.onload = () => {
+      emit();
+      resolve({
+        ok: ok(),
+        status: xhr.status,
+        streamed: true,
+        headers: { get: (key) => xhr.getResponseHeader(key) },
+        text: async () => xhr.responseText
+      });
+    };
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => {
+      const error = new Error('Aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    signal?.addEventListener?.('abort', () => xhr.abort());
+    xhr.send(body);
+  });
+}
+
+/**
+ * POST {baseUrl}/chat/completions with timeout and retries on transient failures
+ * @param {Object} options - retries, retryDelayMs, timeoutMs, retryRateLimit (false hands 429s straight back for failover),
+ *   onDelta and streamTimeoutMs (whole stream) for `stream: true` payloads
+ */
+async function postChatCompletion(provider, baseUrl, apiKey, payload, options = {}) {
+  const maxRetries = options.retries ?? 2; // number of re-attempts after first try
+  const retryDelayMs = options.retryDelayMs ?? 600;
+  const timeoutMs = payload.stream ? (options.streamTimeoutMs ?? 60000) : (options.timeoutMs ?? 12000);
+  let attempt = 0;
+  let lastError = null;
+
+  while (attempt <= maxRetries) {
+    attempt += 1;
+    const attemptLabel = `attempt ${attempt}/${maxRetries + 1}`;
+    console.log(`📤 ${provider.label} request to ${baseUrl}/chat/completions with model: ${payload.model} (${attemptLabel})`);
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutHandle = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    const stream = payload.stream
+      ? createStreamAccumulator(options.onDelta, { holdChars: payload.tools?.length && payload.tool_choice !== 'none' ? TOOL_ROUND_HOLD_CHARS : 0 })
+      : null;
+    // XHR only when fetch cannot stream and the caller did not supply its own fetch (cassettes)
+    const useXhr = stream && typeof XMLHttpRequest !== 'undefined' && typeof ReadableStream === 'undefined' && !options.fetch;
+    try {
+      const init = {
+        method: 'POST',
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: controller?.signal
+      };
+      const url = `${baseUrl}/chat/completions`;
+      const response = useXhr ? await xhrFetch(url, init, chunk => stream.push(chunk)) : await (options.fetch || fetch)(url, init);
+      if (timeoutHandle && !(stream && response.ok)) clearTimeout(timeoutHandle);
+
+      if (!response.ok) {
+        const status = response.status;
+        const bodyText = await response.text();
+        const rateLimited = status === 429;
+        const retryAfterS = Number(response.headers?.get?.('retry-after'));
+        const err = new LLMProviderError(`${provider.label} API error: ${status} - ${bodyText}`, {
+          provider: provider.id,
+          status,
+          retryable: status >= 500,
+          rateLimited,
+          retryAfterMs: Number.isFinite(retryAfterS) && retryAfterS > 0 ? retryAfterS * 1000 : null
+        });
+        if (payload.tools && status === 400) {
+          if (/tool_use_failed/i.test(bodyText)) err.code = 'TOOL_USE_FAILED';
+          else if (/tool|function/i.test(bodyText) && /not support|unsupported|does not support/i.test(bodyText)) err.code = 'TOOLS_UNSUPPORTED';
+        }
+        const transient = status >= 500 || (rateLimited && options.retryRateLimit !== false);
+        if (transient && attempt <= maxRetries) {
+          console.warn(`⚠️ Transient ${provider.label} error (${status}) – will retry after ${retryDelayMs}ms`);
+          lastError = err;
+          await new Promise(r => setTimeout(r, retryDelayMs * attempt));
+          continue;
+        }
+        throw err;
+      }
+
+      if (stream) {
+        if (!response.streamed) await readStreamBody(response, stream);
+        if (timeoutHandle) clearTimeout(timeoutHandle);
+        return stream.finish();
+      }
+      return await response.json();
+    } catch (error) {
+      if (timeoutHandle) clearTimeout(timeoutHandle);
+      if (error instanceof LLMProviderError) throw error;
+      // Text already reached the screen: retrying or failing over would repeat it
+      if (stream?.started) {
+        throw new LLMProviderError(`${provider.label} stream interrupted: ${error.message}`, { provider: provider.id, code: 'STREAM_INTERRUPTED' });
+      }
+      const isAbort = error?.name === 'AbortError';
+      const isNetwork = /Network request failed|fetch failed|ECONNREFUSED/i.test(error?.message || '');
+      if ((isAbort || isNetwork) && attempt <= maxRetries) {
+        console.warn(`⚠️ Network/timeout issue (${isAbort ? 'timeout' : 'network'}) – retrying after ${retryDelayMs}ms (attempt ${attempt}/${maxRetries + 1})`);
+        lastError = error;
+        await new Promise(r => setTimeout(r, retryDelayMs * attempt));
+        continue;
+      }
+      console.error(`❌ ${provider.label} API call failed:`, error);
+      throw new LLMProviderError(isAbort ? `${provider.label} request timed out after ${timeoutMs}ms` : error.message, {
+        provider: provider.id,
+        retryable: isAbort || isNetwork
+      });
+    }
+  }
+  // Exhausted retries
+  if (lastError instanceof LLMProviderError) throw lastError;
+  throw new LLMProviderError(lastError?.message || `${provider.label} request failed after retries`, { provider: provider.id, retryable: true });
+}
+
+async function getModelIds(baseUrl, apiKey, timeoutMs = 3000, fetchImpl = fetch) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    const response = await fetchImpl(`${baseUrl}/models`, {
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      signal: controller?.signal
+    });
+    if (!response.ok) throw new Error(`Model list failed: ${response.status}`);
+    const data = await response.json();
+    // OpenAI style {data:[{id}]}; Ollama's native /api/tags style {models:[{name}]} as well
+    return (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean);
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+export class GroqLLMProvider {
+  static id = 'groq';
+  static label = 'Groq';
+  static models = {
+    full: EnvironmentConfig.getGroqConfig().defaultModel,
+    lightweight: EnvironmentConfig.getGroqConfig().lightweightModel
+  };
+  static _apiKey = null; // set at runtime (settings screen); otherwise read from the environment
+
+  static getApiKey() {
+    return this._apiKey || EnvironmentConfig.getGroqApiKey?.() || null;
+  }
+
+  static setApiKey(apiKey) {
+    this._apiKey = apiKey || null;
+  }
+
+  static isConfigured() {
+    const key = this.getApiKey();
+    return !!key && key !== 'YOUR_API_KEY_HERE';
+  }
+
+  static supportsTools(model) {
+    return GROQ_TOOL_MODELS.test(model || '');
+  }
+
+  static complete(payload, options) {
+    return postChatCompletion(this, EnvironmentConfig.getGroqConfig().baseUrl, this.getApiKey(), payload, options);
+  }
+
+  static listModels(options = {}) {
+    return getModelIds(EnvironmentConfig.getGroqConfig().baseUrl, this.getApiKey(), 5000, options.fetch);
+  }
+}
+
+export class LocalLLMProvider {
+  static id = 'local';
+  static label = 'Local model';
+  static _override = null; // {baseUrl, defaultModel, lightweightModel, supportsTools} from setLocalModelUrl / discovery
+
+  static getConfig() {
+    return { ...EnvironmentConfig.getLocalModelConfig(), ...(this._override || {}) };
+  }
+
+  static configure(config) {
+    this._override = config ? { ...(this._override || {}), ...config } : null;
+  }
+
+  static get models() {
+    const config = this.getConfig();
+    return { full: config.defaultModel, lightweight: config.lightweightModel || config.defaultModel };
+  }
+
+  static isConfigured() {
+    const config = this.getConfig();
+    return !!config.baseUrl && !!config.defaultModel;
+  }
+
+  static supportsTools() {
+    return !!this.getConfig().supportsTools;
+  }
+
+  static complete(payload, options) {
+    const config = this.getConfig();
+    // Local servers are slower on first token; give them longer before failing over
+    return postChatCompletion(this, config.baseUrl, config.apiKey, payload, { timeoutMs: 30000, ...options });
+  }
+
+  static listModels({ baseUrl = this.getConfig().baseUrl, fetch: fetchImpl } = {}) {
+    return getModelIds(baseUrl, this.getConfig().apiKey, undefined, fetchImpl);
+  }
+}
+
+export class MockLLMProvider {
+  static id = 'mock';
+  static label = 'Mock';
+  static models = { full: 'mock-full', lightweight: 'mock-lightweight' };
+  static _script = null; // optional (payload) => content for demos and tests
+
+  static isConfigured() {
+    return true;
+  }
+
+  static supportsTools() {
+    return false;
+  }
+
+  static setScript(script) {
+    this._script = typeof script === 'function' ? script : null;
+  }
+
+  // Same request, same answer: built from the question itself, no randomness or clock
+  static async complete(payload, options = {}) {
+    const messages = payload.messages || [];
+    const question = String([...messages].reverse().find(m => m.role === 'user')?.content || '').split('\n')[0].trim();
+    const content = this._script
+      ? this._script(payload)
+      : `This is an offline answer for: "${question.slice(0, 160)}". Live advice is unavailable right now, so please check with your local agriculture officer or KVK before acting.`;
+    if (payload.stream) (content.match(/\S+\s*/g) || []).forEach(word => options.onDelta?.(word));
+    return {
+      id: `mock-${question.length}-${messages.length}`,
+      object: 'chat.completion',
+      model: payload.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  static async listModels() {
+    return Object.values(this.models);
+  }
+}
+
+class LLMProviderService {
+  static PROVIDERS = {
+    [GroqLLMProvider.id]: GroqLLMProvider,
+    [LocalLLMProvider.id]: LocalLLMProvider,
+    [MockLLMProvider.id]: MockLLMProvider
+  };
+  static DEFAULT_COOLDOWN_MS = 60 * 1000; // rate-limited providers sit out this long without a Retry-After
+  static _cooldowns = new Map(); // provider id -> until (ms epoch)
+  static lastServed = null; // {provider, model, failover} of the most recent completion
+
+  static register(provider) {
+    this.PROVIDERS[provider.id] = provider;
+  }
+
+  /** Configured providers in failover order (rate-limited ones last until their cooldown ends) */
+  static getProviders() {
+    const configured = EnvironmentConfig.getLLMProviderOrder()
+      .map(id => this.PROVIDERS[id])
+      .filter(p => p && p.isConfigured());
+    const now = Date.now();
+    const cooling = (p) => (this._cooldowns.get(p.id) || 0) > now;
+    return [...configured.filter(p => !cooling(p)), ...configured.filter(cooling)];
+  }
+
+  static getPrimary() {
+    return this.getProviders()[0] || null;
+  }
+
+  /**
+   * Model names for GroqAIService.models from the primary provider's map
+   */
+  static getModelMap() {
+    const primary = this.getPrimary() || GroqLLMProvider;
+    const { full, lightweight } = primary.models;
+    return { chat: full, reasoning: full, analysis: full, lightweight: lightweight || full, toolCapable: full };
+  }
+
+  // 'full' | 'lightweight' for a model name from any provider's map
+  static tierOf(model) {
+    for (const provider of Object.values(this.PROVIDERS)) {
+      const models = provider.models || {};
+      if (model && models.lightweight === model && models.full !== model) return 'lightweight';
+      if (model && models.full === model) return 'full';
+    }
+    return null;
+  }
+
+  static supportsTools(model) {
+    const primary = this.getPrimary();
+    return !!primary && primary.supportsTools(model);
+  }
+
+  /**
+   * Chat completion from the first provider that answers
+   * @param {Object} payload - OpenAI chat payload; `model` is translated per provider by tier
+   * @returns {Promise<Object>} completion plus `provider`, and `failover` errors of skipped providers
+   */
+  static async complete(payload, options = {}) {
+    const providers = this.getProviders();
+    if (!providers.length) {
+      throw new LLMProviderError('No LLM provider configured (set GROQ_API_KEY or LOCAL_LLM_URL)', { provider: null });
+    }
+    const tier = this.tierOf(payload.model);
+    const errors = [];
+    let lastError = null;
+    for (let i = 0; i < providers.length; i++) {
+      const provider = providers[i];
+      const ownsModel = Object.values(provider.models || {}).includes(payload.model);
+      // Unknown model names (custom overrides) go to the first provider as they are
+      const model = ownsModel || (!tier && i === 0) ? payload.model : provider.models[tier || 'full'];
+      if (!model) continue;
+      // A tool conversation cannot move to a backend without function calling
+      if (payload.tools && !provider.supportsTools(model)) {
+        errors.push({ provider: provider.id, error: 'no tool support', tools: true });
+        continue;
+      }
+      try {
+        const data = await provider.complete({ ...payload, model }, { ...options, retryRateLimit: i === providers.length - 1 });
+        if (errors.length) console.log(`🔀 LLM served by ${provider.label} (${model}) after: ${errors.map(e => `${e.provider} (${e.error})`).join(', ')}`);
+        this.lastServed = { provider: provider.id, model, ...(errors.length ? { failover: errors } : {}) };
+        return { ...data, provider: provider.id, ...(errors.length ? { failover: errors } : {}) };
+      } catch (error) {
+        lastError = error;
+        if (!(error instanceof LLMProviderError) || !error.failover) throw error;
+        if (error.rateLimited) {
+          this._cooldowns.set(provider.id, Date.now() + (error.retryAfterMs || this.DEFAULT_COOLDOWN_MS));
+        }
+        errors.push({ provider: provider.id, error: error.rateLimited ? 'rate limited' : error.message.slice(0, 120) });
+      }
+    }
+    if (lastError && errors.length === 1) throw lastError;
+    throw new LLMProviderError(`All LLM providers failed: ${errors.map(e => `${e.provider}: ${e.error}`).join('; ')}`, {
+      provider: null,
+      // Only tool-less backends left: the caller can retry the turn without native tools
+      code: errors.some(e => e.tools) ? 'TOOLS_UNSUPPORTED' : null,
+      retryable: true,
+      rateLimited: !!lastError?.rateLimited
+    });
+  }
+
+  /** True when the primary provider answers its model list (mock always does); options.fetch as for complete() */
+  static async checkAvailability(options = {}) {
+    const primary = this.getPrimary();
+    if (!primary) return false;
+    try {
+      await primary.listModels(options);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${primary.label} availability check failed:`, error.message);
+      return this.getProviders().length > 1;
+    }
+  }
+
+  /**
+   * Point the local provider at an OpenAI-compatible server and pick its models
+   * @returns {Promise<{success:boolean, baseUrl:string, models:string[], error?:string}>}
+   */
+  static async setLocalModelUrl(url, { model, lightweightModel, supportsTools } = {}) {
+    const baseUrl = String(url || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    if (!/^https?:\/\//i.test(baseUrl)) return { success: false, baseUrl, models: [], error: 'URL must start with http:// or https://' };
+    const withVersion = /\/v\d+$/.test(baseUrl) ? baseUrl : `${baseUrl}/v1`;
+    try {
+      const models = await LocalLLMProvider.listModels({ baseUrl: withVersion });
+      const chosen = model || LocalLLMProvider.getConfig().defaultModel || models[0];
+      if (!chosen) return { success: false, baseUrl: withVersion, models, error: 'Server has no models loaded' };
+      LocalLLMProvider.configure({
+        baseUrl: withVersion,
+        defaultModel: chosen,
+        lightweightModel: lightweightModel || chosen,
+        ...(supportsTools != null ? { supportsTools } : {})
+      });
+      console.log(`🖥️ Local model server set: ${withVersion} (${chosen})`);
+      return { success: true, baseUrl: withVersion, models, model: chosen };
+    } catch (error) {
+      return { success: false, baseUrl: withVersion, models: [], error: error.message };
+    }
+  }
+
+  /**
+   * Probe the usual local server addresses
+   * @returns {Promise<Array<{baseUrl:string, models:string[]}>>} servers that answered
+   */
+  static async discoverLocalModelServers(candidates = LOCAL_CANDIDATES) {
+    const results = await Promise.allSettled(candidates.map(async (baseUrl) => ({
+      baseUrl,
+      models: await getModelIds(baseUrl, null, 1500)
+    })));
+    return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  }
+
+  static getStatus() {
+    const now = Date.now();
+    return {
+      order: EnvironmentConfig.getLLMProviderOrder(),
+      providers: this.getProviders().map(p => ({
+        id: p.id,
+        label: p.label,
+        models: p.models,
+        coolingDownUntil: (this._cooldowns.get(p.id) || 0) > now ? new Date(this._cooldowns.get(p.id)).toISOString() : null
+      })),
+      lastServed: this.lastServed
+    };
+  }
+}
+
+export default LLMProviderService;
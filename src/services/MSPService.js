@@ -0,0 +1,239 @@
+/**
+ * MSP Service for Khet AI
+ * Minimum Support Price lookups from the bundled, versioned table
+ * (src/data/mspTable.json) and MSP-gap annotation of price tool results,
+ * so the assistant can tell a farmer when an offer is below MSP and where
+ * government procurement is an alternative.
+ */
+
+import mspTable from '../data/mspTable.json';
+
+class MSPService {
+  static TABLE_VERSION = mspTable.version;
+
+  // Market / farmer names -> MSP table crop names
+  static CROP_ALIASES = {
+    paddy: 'Paddy', dhan: 'Paddy',
+    jowar: 'Jowar', sorghum: 'Jowar',
+    bajra: 'Bajra', 'pearl millet': 'Bajra',
+    ragi: 'Ragi', 'finger millet': 'Ragi',
+    maize: 'Maize', corn: 'Maize',
+    tur: 'Tur (Arhar)', arhar: 'Tur (Arhar)', 'red gram': 'Tur (Arhar)', pigeonpea: 'Tur (Arhar)',
+    moong: 'Moong', 'green gram': 'Moong',
+    urad: 'Urad', 'black gram': 'Urad',
+    groundnut: 'Groundnut', peanut: 'Groundnut',
+    sunflower: 'Sunflower Seed',
+    soybean: 'Soybean (Yellow)', soyabean: 'Soybean (Yellow)',
+    sesamum: 'Sesamum', sesame: 'Sesamum', til: 'Sesamum',
+    nigerseed: 'Nigerseed', niger: 'Nigerseed',
+    cotton: 'Cotton', kapas: 'Cotton',
+    wheat: 'Wheat', gehun: 'Wheat',
+    barley: 'Barley',
+    gram: 'Gram', chana: 'Gram', 'bengal gram': 'Gram',
+    masur: 'Masur (Lentil)', masoor: 'Masur (Lentil)', lentil: 'Masur (Lentil)',
+    mustard: 'Rapeseed & Mustard', rapeseed: 'Rapeseed & Mustard', sarson: 'Rapeseed & Mustard',
+    safflower: 'Safflower'
+  };
+
+  // Agmarknet commodities that carry an MSP crop's name but have no MSP: other crops
+  // (horse gram, kabuli chana), seed of another crop and processed products
+  static NON_MSP_COMMODITIES = /\b(horse ?gram|kulthi|kabuli|cotton ?seed|atta|maida|suji|flour|dal|oil|cake|meal|husk|bran|flakes|sprouts?)\b/;
+
+  // Tools whose results carry a market price worth comparing with MSP
+  static PRICE_TOOLS = [
+    'get_market_prices',
+    'get_realtime_market_price',
+    'get_agmarknet_prices',
+    'compare_market_realization',
+    'forecast_commodity_price'
+  ];
+
+  /**
+   * Normalize a commodity label ("Paddy(Dhan)(Common)", "Bengal Gram(Gram)(Whole)", "chana") to a table crop
+   * @returns {string|null} null for crops without MSP, including look-alikes ("Horse Gram(Kulthi)", "Wheat Atta")
+   */
+  static resolveCrop(commodity) {
+    const text = String(commodity || '').toLowerCase().trim();
+    if (!text || this.NON_MSP_COMMODITIES.test(text)) return null;
+    // Agmarknet label: the name before the first bracket ("Bengal Gram" in "Bengal Gram(Gram)(Whole)")
+    const leading = text.split('(')[0].trim();
+    if (this.CROP_ALIASES[leading]) return this.CROP_ALIASES[leading];
+    // Free text ("sharbati wheat", "desi chana"): longest alias first so "black gram" wins over "gram"
+    const aliases = Object.keys(this.CROP_ALIASES).sort((a, b) => b.length - a.length);
+    const hit = aliases.find(a => new RegExp(`\\b${a}\\b`).test(text));
+    return hit ? this.CROP_ALIASES[hit] : null;
+  }
+
+  /**
+   * Marketing season label a sale date falls in ("KMS 2025-26" runs Oct 2025 - Sep 2026,
+   * "RMS 2026-27" runs Apr 2026 - Mar 2027)
+   */
+  static marketingSeason(type, date = new Date()) {
+    const y = date.getFullYear();
+    const m = date.getMonth() + 1;
+    const startMonth = type === 'kharif' ? 10 : 4;
+    const start = m >= startMonth ? y : y - 1;
+    return `${type === 'kharif' ? 'KMS' : 'RMS'} ${start}-${String(start + 1).slice(-2)}`;
+  }
+
+  /**
+   * MSP for a crop in the marketing season of `date`
+   * @param {string} commodity
+   * @param {{date?: Date, variety?: string}} [options]
+   * @returns {{success:boolean, crop?:string, variety?:string|null, msp?:number, season?:string, stale?:boolean, unit?:string, version?:string, error?:string}}
+   */
+  static lookup(commodity, { date = new Date(), variety = '' } = {}) {
+    const crop = this.resolveCrop(commodity);
+    // Milled rice trades well above paddy, so comparing it with the paddy MSP would mislead
+    if (!crop && /\brice\b/i.test(String(commodity))) {
+      return { success: false, error: 'No MSP for rice (MSP is for paddy)' };
+    }
+    if (!crop) return { success: false, error: `No MSP for ${commodity}` };
+
+    const seasons = Object.entries(mspTable.seasons)
+      .filter(([, s]) => s.prices.some(p => p.crop === crop));
+    if (!seasons.length) return { success: false, error: `No MSP for ${commodity}` };
+
+    const type = seasons[0][1].type;
+    const wanted = this.marketingSeason(type, date);
+    // Latest season in the table is the fallback when the wanted one isn't announced / bundled yet
+    const [seasonName, season] = seasons.find(([name]) => name === wanted) || seasons[seasons.length - 1];
+    const rows = season.prices.filter(p => p.crop === crop);
+    const varietyText = `${variety} ${commodity}`.toLowerCase();
+    // Variety-specific row when named ("Grade A", "Long Staple"), else the base / first row
+    const row = rows.find(p => p.variety && varietyText.includes(p.variety.toLowerCase())) || rows[0];
+
+    return {
+      success: true,
+      crop,
+      variety: row.variety || null,
+      msp: row.msp,
+      season: seasonName,
+      requestedSeason: wanted,
+      stale: seasonName !== wanted,
+      unit: mspTable.unit,
+      version: mspTable.version
+    };
+  }
+
+  /**
+   * Procurement availability for a crop (optionally in one state)
+   */
+  static procurement(crop, state = '') {
+    const entry = mspTable.procurement[crop];
+    if (!entry) return { available: false, agency: null, states: [] };
+    const inState = state ? entry.states.some(s => s.toLowerCase() === String(state).toLowerCase()) : null;
+    return {
+      // null when the state is unknown: procurement exists somewhere but we can't say it's local
+      available: state ? inState : null,
+      agency: entry.agency,
+      states: entry.states,
+      note: mspTable.procurementNote
+    };
+  }
+
+  /**
+   * Compare a market price (₹/quintal) with MSP
+   * @returns {Object|null} null when the crop has no MSP or price is missing
+   */
+  static annotatePrice(commodity, price, { state = '', date = new Date(), variety = '' } = {}) {
+    const value = Number(price);
+    if (!value || value <= 0) return null;
+    const msp = this.lookup(commodity, { date, variety });
+    if (!msp.success) return null;
+
+    const gap = Math.round(value - msp.msp);
+    const procurement = this.procurement(msp.crop, state);
+    return {
+      crop: msp.crop,
+      variety: msp.variety,
+      msp: msp.msp,
+      season: msp.season,
+      stale: msp.stale,
+      price: Math.round(value),
+      gap,
+      gapPct: Math.round((gap / msp.msp) * 1000) / 10,
+      belowMsp: gap < 0,
+      procurementAvailable: procurement.available,
+      procurementAgency: procurement.agency,
+      state: state || null,
+      version: msp.version
+    };
+  }
+
+  /**
+   * Attach an `msp` block to a price tool's result. Non-price tools and crops
+   * without MSP are returned untouched.
+   */
+  static annotateToolResult(toolName, params = {}, result) {
+    if (!this.PRICE_TOOLS.includes(toolName) || !result || typeof result !== 'object') return result;
+    const commodity = result.commodity || result.priceData?.summary?.commodity || params.commodity;
+    const state = params.state || result.query?.state || result.priceData?.summary?.state || '';
+    if (!this.resolveCrop(commodity)) return result;
+
+    let price = null;
+    let markets = null;
+    switch (toolName) {
+      case 'get_market_prices':
+        price = result.currentPrices?.average ?? result.currentPrices?.modal;
+        break;
+      case 'get_realtime_market_price':
+        price = result.current?.average;
+        markets = (result.markets || []).map(m => ({
+          market: m.market,
+          modal: m.modal,
+          belowMsp: this.annotatePrice(commodity, m.modal, { state: m.state || state, variety: m.variety })?.belowMsp ?? null
+        }));
+        break;
+      case 'get_agmarknet_prices':
+        price = result.priceData?.summary?.currentPrice;
+        break;
+      case 'compare_market_realization':
+        price = result.best?.modal;
+        markets = (result.ranking || []).map(r => ({
+          market: r.market,
+          modal: r.modal,
+          belowMsp: this.annotatePrice(commodity, r.modal, { state: r.state || state })?.belowMsp ?? null
+        }));
+        break;
+      case 'forecast_commodity_price':
+        price = result.current?.modal;
+        break;
+      default:
+        break;
+    }
+
+    const msp = this.annotatePrice(commodity, price, { state, variety: params.variety || '' });
+    if (!msp) return result;
+    if (toolName === 'forecast_commodity_price' && result.forecast) {
+      msp.forecastGap = Math.round(result.forecast.point - msp.msp);
+    }
+    if (markets) msp.marketsBelowMsp = markets.filter(m => m.belowMsp).map(m => m.market);
+    return { ...result, msp };
+  }
+
+  /**
+   * MSP annotations from tool results where the price is below MSP (used for safety flags)
+   */
+  static belowMspFromToolResults(toolResults = []) {
+    return toolResults
+      .filter(r => r?.success !== false && r?.result?.msp?.belowMsp)
+      .map(r => ({ tool: r.toolName, ...r.result.msp }));
+  }
+
+  /** One-line MSP context for prompts */
+  static describe(msp) {
+    if (!msp) return '';
+    const where = msp.procurementAvailable === true
+      ? `procurement at MSP is available in ${msp.state} (${msp.procurementAgency})`
+      : msp.procurementAvailable === false
+        ? `no regular procurement listed for ${msp.state}`
+        : `procurement runs via ${msp.procurementAgency} in some states`;
+    const relation = msp.belowMsp
+      ? `₹${Math.abs(msp.gap)} (${Math.abs(msp.gapPct)}%) BELOW MSP`
+      : `₹${msp.gap} (${msp.gapPct}%) above MSP`;
+    return `MSP ${msp.crop}${msp.variety ? ` (${msp.variety})` : ''} ${msp.season}: ₹${msp.msp}/quintal${msp.stale ? ' (latest bundled season)' : ''}; market ₹${msp.price} is ${relation}; ${where}`;
+  }
+}
+
+export default MSPService;
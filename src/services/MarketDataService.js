@@ -10,8 +10,8 @@ class MarketDataService {
   static APMC_API_URL = 'https://api.data.gov.in/resource/9ef84268-d588-465a-a308-a864a43d0070';
   static AGMARKNET_URL = 'https://agmarknet.gov.in';
 
-  // Get current market prices from APMC API
-  static async getAPMCPrices(commodity = '', state = '', market = '', { noCache = false, limit = 100 } = {}) {
+  // Get current market prices from APMC API (fetch: the caller's fetch for cassette turns)
+  static async getAPMCPrices(commodity = '', state = '', market = '', { noCache = false, limit = 100, fetch: request = fetch } = {}) {
     try {
       // Resolve API key dynamically (avoids hardcoding) with lightweight dynamic import
       let apiKey = 'SET_DATA_GOV_API_KEY';
@@ -40,7 +40,7 @@ class MarketDataService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout for government APIs
 
-      const response = await fetch(url, {
+      const response = await request(url, {
         method: 'GET',
         headers: {
           'Accept': 'application/json',
@@ -64,7 +64,7 @@ class MarketDataService {
         timestamp: new Date().toISOString()
       };
 
-  this._cache[cacheKey] = { timestamp: Date.now(), data: payload };
+  if (!noCache) this._cache[cacheKey] = { timestamp: Date.now(), data: payload };
       
   return payload;
 
@@ -79,7 +79,7 @@ class MarketDataService {
   }
 
   // Get market data from alternative real APIs
-  static async getAlternativeMarketData(commodity = 'wheat') {
+  static async getAlternativeMarketData(commodity = 'wheat', options = {}) {
     try {
       // Try multiple real market data sources
       const sources = [
@@ -101,7 +101,7 @@ class MarketDataService {
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 12000); // 12 second timeout per source
 
-          const response = await fetch(source.url, {
+          const response = await (options.fetch || fetch)(source.url, {
             headers: {
               'Accept': 'application/json',
               'User-Agent': 'Khet-AI/1.0'
@@ -143,7 +143,8 @@ class MarketDataService {
   }
 
   // Realtime (latest-day) consolidated price snapshot using data.gov.in APMC resource
-  static async fetchRealtimeCommodityPrice(commodity, { state = '', market = '', variety = '', limit = 100 } = {}) {
+  // transport: fetch / noCache from a cassette turn
+  static async fetchRealtimeCommodityPrice(commodity, { state = '', market = '', variety = '', limit = 100, ...transport } = {}) {
     // Retry logic for network timeouts
     const maxRetries = 2;
     let lastError = null;
@@ -172,7 +173,7 @@ class MarketDataService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout for government APIs
       
-      const res = await fetch(url, { 
+      const res = await (transport.fetch || fetch)(url, { 
         headers: { 'Accept': 'application/json', 'User-Agent': 'Khet-AI/1.0' },
         signal: controller.signal
       });
@@ -198,7 +199,7 @@ class MarketDataService {
       if (!rows.length) {
         console.warn('Realtime endpoint returned no price rows; attempting APMC API fallback');
         try {
-          const apmc = await this.getAPMCPrices(commodity, state, market, { noCache: true, limit });
+          const apmc = await this.getAPMCPrices(commodity, state, market, { ...transport, noCache: true, limit });
           if (apmc && apmc.success && Array.isArray(apmc.data) && apmc.data.length) {
             // Use the APMC records as a fallback data source
             const fallbackRaw = apmc.data;
@@ -217,7 +218,7 @@ class MarketDataService {
       let filtered = rows;
       if (!filtered || filtered.length === 0) {
         const sampleCount = rawRecords.length;
-        return { success: false, error: 'No price rows returned', commodity: normalized, diagnostics: { sampleCount, rawSample: rawRecords.slice(0,3) } };
+        return { success: false, noData: true, error: 'No price rows returned', commodity: normalized, diagnostics: { sampleCount, rawSample: rawRecords.slice(0,3) } };
       }
 
       // Filter by variety if requested (case-insensitive substring)
@@ -297,17 +298,18 @@ class MarketDataService {
   }
 
   // Get comprehensive market analysis - REAL DATA ONLY
-  static async getMarketAnalysis(commodity, location) {
+  // options: fetch / noCache (cassette turns)
+  static async getMarketAnalysis(commodity, location, options = {}) {
     try {
       console.log(`🏪 Fetching real market data for ${commodity} in ${location}`);
       
       // Try APMC API first (most reliable)
-      let marketData = await this.getAPMCPrices(commodity, location);
+      let marketData = await this.getAPMCPrices(commodity, location, '', options);
       
       // If APMC fails, try alternative real APIs
       if (!marketData.success) {
         console.log('APMC failed, trying alternative market APIs...');
-        marketData = await this.getAlternativeMarketData(commodity);
+        marketData = await this.getAlternativeMarketData(commodity, options);
       }
 
       // If all real APIs fail, return error - NO FALLBACK DATA
@@ -344,20 +346,31 @@ class MarketDataService {
   }
 
   // Generate price alerts
+  // watchlist items: { id?, commodity, location, thresholds: { high, low, risePct, dropPct }, reference?: { price, at } }
+  // risePct / dropPct compare the current price with item.reference (price when the watch was last re-based)
   static async getPriceAlerts(watchlist = []) {
     try {
       const alerts = [];
-      
+      const prices = [];
+      const analysisCache = new Map(); // one lookup per commodity/location per run
+
       for (const item of watchlist) {
-        const { commodity, location, thresholds } = item;
-        const marketData = await this.getMarketAnalysis(commodity, location);
+        const { id, commodity, location, thresholds = {}, reference } = item;
+        const cacheKey = `${commodity}|${location || ''}`.toLowerCase();
+        if (!analysisCache.has(cacheKey)) {
+          analysisCache.set(cacheKey, await this.getMarketAnalysis(commodity, location));
+        }
+        const marketData = analysisCache.get(cacheKey);
         
         if (marketData.success) {
           const currentPrice = marketData.currentPrices.average;
+          prices.push({ id, commodity, location, currentPrice, source: marketData.source });
           
           if (thresholds.high && currentPrice > thresholds.high) {
             alerts.push({
               type: 'price_high',
+              trigger: 'threshold',
+              id,
               commodity,
               location,
               currentPrice,
@@ -370,6 +383,8 @@ class MarketDataService {
           if (thresholds.low && currentPrice < thresholds.low) {
             alerts.push({
               type: 'price_low',
+              trigger: 'threshold',
+              id,
               commodity,
               location,
               currentPrice,
@@ -378,12 +393,47 @@ class MarketDataService {
               recommendation: 'Good time to buy if you need stock'
             });
           }
+
+          if (reference?.price > 0) {
+            const changePct = Math.round(((currentPrice - reference.price) / reference.price) * 1000) / 10;
+            if (thresholds.risePct && changePct >= thresholds.risePct) {
+              alerts.push({
+                type: 'price_high',
+                trigger: 'change',
+                id,
+                commodity,
+                location,
+                currentPrice,
+                referencePrice: reference.price,
+                changePct,
+                threshold: thresholds.risePct,
+                message: `${commodity} price rose ${changePct}% to ₹${currentPrice} (from ₹${reference.price})`,
+                recommendation: 'Consider selling part of your stock at the higher price'
+              });
+            }
+            if (thresholds.dropPct && changePct <= -thresholds.dropPct) {
+              alerts.push({
+                type: 'price_low',
+                trigger: 'change',
+                id,
+                commodity,
+                location,
+                currentPrice,
+                referencePrice: reference.price,
+                changePct,
+                threshold: thresholds.dropPct,
+                message: `${commodity} price fell ${Math.abs(changePct)}% to ₹${currentPrice} (from ₹${reference.price})`,
+                recommendation: 'Hold stock if storage allows; check nearby mandis before selling'
+              });
+            }
+          }
         }
       }
 
       return {
         success: true,
         alerts,
+        prices,
         timestamp: new Date().toISOString()
       };
 
@@ -0,0 +1,203 @@
+/**
+ * Market Realization Service for Khet AI
+ * Answers "which mandi should I sell in?" by ranking markets on what the farmer
+ * actually takes home: modal price minus commission and transport from the farm.
+ * Farm location comes from FarmerContextService; mandi locations from the bundled
+ * coordinate table first, then WeatherToolsService.geocodePlace.
+ */
+
+import MarketDataService from './MarketDataService';
+import WeatherToolsService from './WeatherToolsService';
+import FarmerContextService from './FarmerContextService';
+import GazetteerService from './GazetteerService';
+import mandiCoordinates from '../data/mandiCoordinates.json';
+
+class MarketRealizationService {
+  static DEFAULT_TRANSPORT_RATE_PER_KM = 30; // ₹ per km for a hired tractor-trolley / mini truck
+  static DEFAULT_COMMISSION_PCT = 2; // commission agent + market fee, % of sale value
+  static ROAD_FACTOR = 1.3; // straight-line to road distance
+  static MAX_DISTANCE_KM = 200;
+  static MAX_GEOCODE_LOOKUPS = 12; // keep tool latency bounded
+
+  /**
+   * Rank markets for a commodity by net realization
+   * @param {Object} params
+   * @param {string} params.commodity
+   * @param {number} params.quantityQuintals - quantity to sell
+   * @param {number} [params.transportRatePerKm] - ₹ per km for the whole load
+   * @param {number} [params.commissionPct]
+   * @param {string} [params.state] - restrict candidate markets to a state
+   * @param {{latitude:number, longitude:number}} [params.origin] - farm coordinates
+   * @param {string} [params.userId] - used to read farm coordinates when origin is missing
+   * @param {string} [params.locationName] - geocoded when no coordinates are known
+   * @param {Object} [options] - fetch / noCache for the price and geocoder requests
+   * @returns {Promise<Object>} { success, ranking, best, origin, assumptions, skipped } or { success:false, error }
+   */
+  static async rankMarkets({
+    commodity,
+    quantityQuintals = 10,
+    transportRatePerKm = this.DEFAULT_TRANSPORT_RATE_PER_KM,
+    commissionPct = this.DEFAULT_COMMISSION_PCT,
+    state = '',
+    origin = null,
+    userId = null,
+    locationName = ''
+  }, options = {}) {
+    try {
+      if (!commodity) throw new Error('commodity required');
+      const quantity = Math.max(Number(quantityQuintals) || 0, 0.1);
+
+      const farm = await this.resolveOrigin({ origin, userId, locationName }, options);
+      if (!farm) {
+        return { success: false, error: 'Farm location unknown. Set farm coordinates in your profile or share your village/town.' };
+      }
+
+      const prices = await MarketDataService.fetchRealtimeCommodityPrice(commodity, { state, ...options });
+      if (!prices.success) {
+        return { success: false, error: `Market prices unavailable: ${prices.error}` };
+      }
+
+      const candidates = this._dedupeMarkets(prices.markets || []);
+      const ranking = [];
+      const skipped = [];
+      let geocodeLookups = 0;
+
+      for (const m of candidates) {
+        let coords = this.lookupBundledMandi(m.market, m.state);
+        if (!coords && geocodeLookups < this.MAX_GEOCODE_LOOKUPS) {
+          geocodeLookups++;
+          const geo = await WeatherToolsService.geocodePlace([m.market, m.district, m.state, 'IN'].filter(Boolean).join(', '), options);
+          if (geo.success) coords = { lat: geo.lat, lon: geo.lon, source: 'geocoded' };
+        }
+        if (!coords) {
+          skipped.push({ market: m.market, reason: 'location unknown' });
+          continue;
+        }
+
+        const distanceKm = Math.round(this.haversineKm(farm.latitude, farm.longitude, coords.lat, coords.lon) * this.ROAD_FACTOR);
+        if (distanceKm > this.MAX_DISTANCE_KM) {
+          skipped.push({ market: m.market, reason: `${distanceKm} km away` });
+          continue;
+        }
+
+        ranking.push({
+          market: m.market,
+          district: m.district,
+          state: m.state,
+          distanceKm,
+          coordsSource: coords.source,
+          ...this.netRealization({ modal: m.modal, quantity, distanceKm, transportRatePerKm, commissionPct })
+        });
+      }
+
+      ranking.sort((a, b) => b.netTotal - a.netTotal);
+      if (!ranking.length) {
+        return { success: false, error: `No ${commodity} markets with known location within ${this.MAX_DISTANCE_KM} km`, skipped };
+      }
+
+      const best = ranking[0];
+      const nearest = ranking.reduce((n, r) => (r.distanceKm < n.distanceKm ? r : n), ranking[0]);
+
+      return {
+        success: true,
+        commodity: prices.commodity || commodity,
+        priceDate: prices.date,
+        quantityQuintals: quantity,
+        origin: farm,
+        assumptions: {
+          transportRatePerKm: Number(transportRatePerKm),
+          commissionPct: Number(commissionPct),
+          roadFactor: this.ROAD_FACTOR,
+          oneWayTrip: true
+        },
+        ranking,
+        best,
+        nearest,
+        // Extra take-home from travelling to the best market instead of the nearest
+        gainOverNearest: Math.round(best.netTotal - nearest.netTotal),
+        skipped,
+        source: `${prices.source} prices; distances estimated`,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Market realization error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Per-quintal and total take-home for one market
+   */
+  static netRealization({ modal, quantity, distanceKm, transportRatePerKm, commissionPct }) {
+    const grossTotal = modal * quantity;
+    const commission = grossTotal * (commissionPct / 100);
+    const transportCost = distanceKm * transportRatePerKm;
+    const netTotal = grossTotal - commission - transportCost;
+    return {
+      modal,
+      grossTotal: Math.round(grossTotal),
+      commission: Math.round(commission),
+      transportCost: Math.round(transportCost),
+      netTotal: Math.round(netTotal),
+      netPerQuintal: Math.round(netTotal / quantity)
+    };
+  }
+
+  /**
+   * Farm coordinates: explicit origin > FarmerContextService profile > location name (gazetteer / geocoder)
+   */
+  static async resolveOrigin({ origin, userId, locationName }, options = {}) {
+    if (origin?.latitude && origin?.longitude) {
+      return { latitude: origin.latitude, longitude: origin.longitude, source: 'provided' };
+    }
+
+    let place = locationName;
+    if (userId) {
+      const ctx = await FarmerContextService.getFarmerContext(userId);
+      if (ctx?.coordinates?.latitude && ctx?.coordinates?.longitude) {
+        return { latitude: ctx.coordinates.latitude, longitude: ctx.coordinates.longitude, source: 'farm_profile' };
+      }
+      if (!place && ctx?.location && ctx.location !== 'India') place = ctx.location;
+    }
+
+    if (place) {
+      const resolved = await GazetteerService.resolve(place, options);
+      if (resolved.resolved) {
+        return { latitude: resolved.lat, longitude: resolved.lon, source: resolved.source === 'gazetteer' ? 'gazetteer' : 'geocoded', name: resolved.name };
+      }
+    }
+    return null;
+  }
+
+  static lookupBundledMandi(market, state = '') {
+    const norm = (s) => String(s || '').toLowerCase().replace(/\(.*?\)/g, '').replace(/\b(apmc|mandi|market|yard)\b/g, '').replace(/[^a-z]/g, '');
+    const target = norm(market);
+    if (!target) return null;
+    const hit = mandiCoordinates.markets.find(m =>
+      norm(m.market) === target && (!state || norm(m.state) === norm(state))
+    );
+    return hit ? { lat: hit.lat, lon: hit.lon, source: 'bundled' } : null;
+  }
+
+  static haversineKm(lat1, lon1, lat2, lon2) {
+    const toRad = (d) => (d * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // One row per market (several varieties are reported separately): keep the best modal
+  static _dedupeMarkets(markets) {
+    const byMarket = new Map();
+    for (const m of markets) {
+      if (!m.market || !(m.modal > 0)) continue;
+      const key = `${m.market}|${m.state}`.toLowerCase();
+      const prev = byMarket.get(key);
+      if (!prev || m.modal > prev.modal) byMarket.set(key, m);
+    }
+    return Array.from(byMarket.values());
+  }
+}
+
+export default MarketRealizationService;
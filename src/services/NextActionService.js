@@ -6,6 +6,7 @@
  */
 import FarmerCropProjectsService from './FarmerCropProjectsService';
 import WeatherToolsService from './WeatherToolsService';
+import PhenologyService from './PhenologyService';
 
 class NextActionService {
 	/**
@@ -69,8 +70,10 @@ class NextActionService {
 		const dueToday = tasks.find(t => t.status !== 'completed' && t.dueDate && t.dueDate.startsWith(todayIso));
 		if (dueToday) return `📅 ${dueToday.label}`;
 
-		// Stage suggestion
-		const stage = project.cropDetails?.growthStage || 'planning';
+		// Stage suggestion (thermal-time prediction wins over a stale manual stage)
+		const stageInfo = PhenologyService.effectiveStage(project);
+		if (stageInfo.differs) return `🌱 Likely ${stageInfo.stage} now — update stage`;
+		const stage = stageInfo.stage;
 		const map = {
 			planning: 'Set planting date',
 			sowing: 'Monitor germination',
@@ -89,7 +92,7 @@ class NextActionService {
 		// Stored alerts first
 		for (const p of projects) {
 			const alerts = p.workflows?.alerts || [];
-			const crit = alerts.find(a => a.severity === 'critical' || a.type === 'disease_risk' || a.type === 'severe_weather');
+			const crit = alerts.find(a => a.severity === 'critical' || a.type === 'disease_risk' || a.type === 'severe_weather' || (['frost','heatwave'].includes(a.type) && a.severity === 'high'));
 			if (crit) return { text: `URGENT: ${crit.message || `Issue in ${p.cropName}`}`, loading: false, cropId: p.id, priority: 'critical' };
 		}
 		if (weather) {
@@ -120,10 +123,12 @@ class NextActionService {
 
 	static _stageProactive(projects, weather) {
 		const stageOrder = ['sowing','vegetative','flowering','fruiting','maturity','harvest'];
-		const sorted = [...projects].sort((a,b)=> stageOrder.indexOf(a.cropDetails?.growthStage) - stageOrder.indexOf(b.cropDetails?.growthStage));
+		const stageOf = (p) => PhenologyService.effectiveStage(p).stage;
+		const sorted = [...projects].sort((a,b)=> stageOrder.indexOf(stageOf(a)) - stageOrder.indexOf(stageOf(b)));
 		const primary = sorted[0];
 		if (!primary) return null;
-		const stage = primary.cropDetails?.growthStage;
+		const stageInfo = PhenologyService.effectiveStage(primary);
+		const stage = stageInfo.stage;
 		if (weather) {
 			if (weather.humidity < 45 && ['vegetative','flowering','fruiting'].includes(stage)) {
 				return { text: `Irrigate ${primary.cropName} soon (humidity ${weather.humidity}%)`, loading: false, cropId: primary.id, priority: 'proactive' };
@@ -135,6 +140,16 @@ class NextActionService {
 				return { text: `Prepare heat mitigation for ${primary.cropName} (${Math.round(weather.temp)}°C)`, loading: false, cropId: primary.id, priority: 'proactive' };
 			}
 		}
+		if (stageInfo.differs) {
+			return { text: `${primary.cropName} is likely at ${stageInfo.prediction.phase} by growing degree days — update stage from ${stageInfo.manualStage}`, loading:false, cropId: primary.id, priority: 'proactive' };
+		}
+		const next = stageInfo.prediction?.nextPhase;
+		if (next?.date) {
+			const inDays = Math.round((new Date(`${next.date}T00:00:00Z`).getTime() - Date.now()) / 86400000);
+			if (inDays >= 0 && inDays <= 7) {
+				return { text: `${primary.cropName} expected to reach ${next.label} in ~${inDays}d (${next.date})`, loading:false, cropId: primary.id, priority: 'proactive' };
+			}
+		}
 		const map = {
 			sowing: `Check germination for ${primary.cropName}`,
 			vegetative: `Plan weeding/nutrient top-dress for ${primary.cropName}`,
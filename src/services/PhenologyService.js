@@ -0,0 +1,199 @@
+/**
+ * Phenology Service for Khet AI
+ * Thermal-time (growing degree day) tracking per crop project. Daily GDD is
+ * accumulated from planting using crop-specific base / upper temperatures, and
+ * stage thresholds predict when the crop reaches flowering, grain fill,
+ * maturity and harvest. State lives in project.workflows.thermalTime.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PhenologyService {
+  static MAX_DAYS = 400;
+  static RECENT_RATE_DAYS = 14; // GDD/day used beyond the forecast horizon
+
+  // Base / upper cut-off temperatures (°C) and cumulative GDD (°C·day from planting) at the
+  // start of each phase. Approximate values for common Indian varieties; tune per variety.
+  static CROP_THERMAL = {
+    wheat: { base: 0, upper: 30, emergence: 120, flowering: 1100, grainFill: 1250, maturity: 1750, harvest: 1850 },
+    rice: { base: 10, upper: 35, emergence: 80, flowering: 1400, grainFill: 1500, maturity: 1950, harvest: 2050 },
+    paddy: { base: 10, upper: 35, emergence: 80, flowering: 1400, grainFill: 1500, maturity: 1950, harvest: 2050 },
+    maize: { base: 10, upper: 30, emergence: 70, flowering: 780, grainFill: 850, maturity: 1500, harvest: 1600 },
+    cotton: { base: 15.6, upper: 35, emergence: 50, flowering: 600, grainFill: 700, maturity: 1300, harvest: 1450 },
+    soybean: { base: 10, upper: 30, emergence: 90, flowering: 650, grainFill: 1000, maturity: 1400, harvest: 1450 },
+    groundnut: { base: 10, upper: 33, emergence: 100, flowering: 450, grainFill: 800, maturity: 1700, harvest: 1750 },
+    potato: { base: 7, upper: 30, emergence: 250, flowering: 550, grainFill: 700, maturity: 1400, harvest: 1500 },
+    tomato: { base: 10, upper: 30, emergence: 100, flowering: 450, grainFill: 650, maturity: 1100, harvest: 1200 },
+    chickpea: { base: 0, upper: 30, emergence: 100, flowering: 900, grainFill: 1100, maturity: 1600, harvest: 1700 },
+    gram: { base: 0, upper: 30, emergence: 100, flowering: 900, grainFill: 1100, maturity: 1600, harvest: 1700 },
+    mustard: { base: 5, upper: 30, emergence: 100, flowering: 650, grainFill: 900, maturity: 1400, harvest: 1500 },
+    default: { base: 10, upper: 32, emergence: 100, flowering: 900, grainFill: 1100, maturity: 1600, harvest: 1700 }
+  };
+
+  // Thermal phases -> project growth stages (CropProjectCard STAGES)
+  static PHASES = [
+    { key: 'emergence', stage: 'vegetative', label: 'emergence' },
+    { key: 'flowering', stage: 'flowering', label: 'flowering' },
+    { key: 'grainFill', stage: 'fruiting', label: 'grain / fruit fill' },
+    { key: 'maturity', stage: 'maturity', label: 'maturity' },
+    { key: 'harvest', stage: 'harvest', label: 'harvest' }
+  ];
+
+  static paramsFor(cropName) {
+    const key = String(cropName || '').toLowerCase().trim();
+    return { crop: this.CROP_THERMAL[key] ? key : 'default', ...(this.CROP_THERMAL[key] || this.CROP_THERMAL.default) };
+  }
+
+  /**
+   * Daily GDD, modified average method: temperatures are clipped to [base, upper] before averaging
+   */
+  static dailyGDD(tMin, tMax, base, upper) {
+    const hi = Math.min(Math.max(tMax, base), upper);
+    const lo = Math.min(Math.max(tMin, base), upper);
+    return Math.max((hi + lo) / 2 - base, 0);
+  }
+
+  /**
+   * Pure state update from the daily forecast (WeatherToolsService.getAgricultureWeather().daily).
+   * Days between planting and the first tracked day have no observations; they are
+   * back-filled from the earliest known day and marked estimated.
+   * @returns {Object|null} new thermalTime state, null without a valid planting date
+   */
+  static update(project, daily = [], now = new Date()) {
+    const planted = this._parseDate(project.cropDetails?.plantingDate);
+    if (!planted) return null;
+    const params = this.paramsFor(project.cropName);
+    const today = this._dateKey(now);
+    const plantedKey = this._dateKey(planted);
+
+    const prev = project.workflows?.thermalTime;
+    // Re-planting or crop change invalidates the accumulated series
+    const keep = prev && prev.plantingDate === plantedKey && prev.crop === params.crop;
+    // A past day's provisional (forecast) entry is the best record we have for it
+    const byDate = new Map((keep ? prev.days : [])
+      .filter(d => !d.estimated && !(d.provisional && d.date >= today))
+      .map(({ provisional, ...d }) => [d.date, d]));
+
+    const forecastDays = daily.map(d => ({
+      date: d.date || this._dateKey(new Date(d.dt * 1000)),
+      tMin: d.temp?.min,
+      tMax: d.temp?.max
+    })).filter(d => d.tMin != null && d.tMax != null);
+    forecastDays.filter(d => d.date === today).forEach(d => byDate.set(d.date, { ...d, provisional: true }));
+
+    const observed = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    const fill = observed[0] || forecastDays[0];
+    if (!fill) return keep ? prev : null;
+
+    const days = [];
+    let gdd = 0;
+    for (let t = planted.getTime(); this._dateKey(new Date(t)) <= today; t += DAY_MS) {
+      const date = this._dateKey(new Date(t));
+      const obs = byDate.get(date);
+      const source = obs || this._nearest(observed, date) || fill;
+      const dayGdd = this.dailyGDD(source.tMin, source.tMax, params.base, params.upper);
+      gdd += dayGdd;
+      days.push({
+        date,
+        tMin: source.tMin,
+        tMax: source.tMax,
+        gdd: Math.round(dayGdd * 10) / 10,
+        cumulative: Math.round(gdd),
+        ...(obs?.provisional ? { provisional: true } : {}),
+        ...(obs ? {} : { estimated: true })
+      });
+    }
+
+    const state = {
+      version: 1,
+      crop: params.crop,
+      base: params.base,
+      upper: params.upper,
+      plantingDate: plantedKey,
+      gdd: Math.round(gdd),
+      estimatedDays: days.filter(d => d.estimated).length,
+      days: days.slice(-this.MAX_DAYS),
+      updatedAt: new Date().toISOString()
+    };
+    state.prediction = this.predict(state, params, forecastDays.filter(d => d.date > today), now);
+    return state;
+  }
+
+  /**
+   * Current phase and (reached or projected) date for each phase
+   */
+  static predict(state, params = this.paramsFor(state.crop), forecast = [], now = new Date()) {
+    const recent = state.days.filter(d => !d.provisional).slice(-this.RECENT_RATE_DAYS);
+    const rate = recent.length ? recent.reduce((s, d) => s + d.gdd, 0) / recent.length : 0;
+
+    const milestones = {};
+    this.PHASES.forEach(phase => {
+      const threshold = params[phase.key];
+      const reached = state.days.find(d => d.cumulative >= threshold);
+      if (reached) {
+        milestones[phase.key] = { date: reached.date, gdd: threshold, reached: true };
+        return;
+      }
+      // Walk the forecast, then extrapolate the recent GDD rate
+      let cumulative = state.gdd;
+      let date = null;
+      for (const f of forecast) {
+        cumulative += this.dailyGDD(f.tMin, f.tMax, params.base, params.upper);
+        if (cumulative >= threshold) { date = f.date; break; }
+      }
+      if (!date && rate > 0) {
+        const lastDate = forecast.length ? new Date(`${forecast[forecast.length - 1].date}T00:00:00Z`) : now;
+        const daysMore = Math.ceil((threshold - cumulative) / rate);
+        date = this._dateKey(new Date(lastDate.getTime() + daysMore * DAY_MS));
+      }
+      milestones[phase.key] = { date, gdd: threshold, reached: false, remainingGdd: Math.round(threshold - state.gdd) };
+    });
+
+    const current = [...this.PHASES].reverse().find(p => state.gdd >= params[p.key]);
+    const next = this.PHASES.find(p => state.gdd < params[p.key]);
+    return {
+      stage: current ? current.stage : 'sowing',
+      phase: current ? current.label : 'germination',
+      nextPhase: next ? { key: next.key, stage: next.stage, label: next.label, date: milestones[next.key].date, gdd: params[next.key] } : null,
+      milestones,
+      gddPerDay: Math.round(rate * 10) / 10,
+      expectedHarvest: milestones.harvest?.date || null,
+      // Confidence drops when most of the series was back-filled
+      confidence: state.estimatedDays > state.days.length / 2 ? 'low' : state.estimatedDays > 0 ? 'medium' : 'high'
+    };
+  }
+
+  /**
+   * Stage the crop is probably in: GDD prediction when tracked, else what the farmer set.
+   * A low-confidence prediction (mostly back-filled temperatures) never overrides the farmer.
+   * @returns {{stage:string, source:'gdd'|'manual', differs:boolean, prediction?:Object}}
+   */
+  static effectiveStage(project) {
+    const manual = project.cropDetails?.growthStage || 'planning';
+    const prediction = project.workflows?.thermalTime?.prediction;
+    if (!prediction || ['planning', 'postharvest'].includes(manual)) {
+      return { stage: manual, source: 'manual', differs: false };
+    }
+    if (prediction.confidence === 'low') {
+      return { stage: manual, source: 'manual', differs: false, prediction, manualStage: manual };
+    }
+    return { stage: prediction.stage, source: 'gdd', differs: prediction.stage !== manual, prediction, manualStage: manual };
+  }
+
+  static _nearest(observed, date) {
+    if (!observed.length) return null;
+    return observed.find(d => d.date >= date) || observed[observed.length - 1];
+  }
+
+  static _parseDate(value) {
+    if (!value) return null;
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    return isNaN(d.getTime()) || d.getTime() > Date.now() ? null : d;
+  }
+
+  static _dateKey(date) {
+    return date.toISOString().split('T')[0];
+  }
+}
+
+export default PhenologyService;
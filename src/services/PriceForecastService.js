@@ -0,0 +1,286 @@
+/**
+ * Price Forecast Service for Khet AI
+ * Projects mandi modal prices from the stored Agmarknet history
+ * (scraper price store) using simple, explainable models:
+ *   - seasonal naive (weekly cycle of arrivals / prices)
+ *   - moving average
+ *   - simple exponential smoothing (alpha fitted on one-step error)
+ * Every model is backtested on the same history; the best one drives the
+ * projection and its backtest error sets the range and confidence.
+ */
+
+import { AgmarknetPriceService } from './AgmarknetPriceService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PriceForecastService {
+  static MIN_OBSERVED_DAYS = 14;
+  static SEASON_DAYS = 7;
+  static MA_WINDOW = 7;
+  static MAX_BACKTEST_ORIGINS = 6;
+  static Z_80 = 1.28; // 80% projection range
+
+  // Approximate storage loss (shrinkage, rot, handling) per week of holding, in %
+  static STORAGE_LOSS_PCT_PER_WEEK = {
+    onion: 2,
+    potato: 1.5,
+    garlic: 1,
+    wheat: 0.3,
+    rice: 0.3,
+    paddy: 0.3,
+    maize: 0.5,
+    cotton: 0.3,
+    turmeric: 0.3,
+    chilli: 0.5,
+    mirchi: 0.5,
+    groundnut: 0.5,
+    soybean: 0.4,
+    tomato: 15,
+    banana: 20
+  };
+  static DEFAULT_STORAGE_LOSS_PCT = 1.5;
+  static PERISHABLE = ['tomato', 'banana', 'brinjal', 'okra', 'bhindi', 'cauliflower', 'cabbage', 'spinach'];
+
+  /**
+   * Forecast modal price `horizonDays` ahead for a commodity/location
+   * @param {Object} params
+   * @param {string} params.commodity
+   * @param {string} [params.state]
+   * @param {string} [params.district]
+   * @param {string} [params.market]
+   * @param {number} [params.horizonDays=14]
+   * @param {number} [params.historyDays=180] - how much stored history to fit on
+   * @param {Object} [options] - fetch for the history request
+   * @returns {Promise<Object>} { success, forecast, models, confidence, holdAdvice, history } or { success:false, error }
+   */
+  static async forecast({ commodity, state = '', district = '', market = '', horizonDays = 14, historyDays = 180 }, options = {}) {
+    const horizon = Math.min(Math.max(Math.round(horizonDays) || 14, 1), 60);
+    const history = await AgmarknetPriceService.getPriceHistory({
+      commodity,
+      state,
+      district,
+      market,
+      days: Math.min(Math.max(historyDays, horizon * 3), 365)
+    }, options);
+
+    if (!history.success) {
+      return { success: false, error: `Price history unavailable: ${history.error}` };
+    }
+
+    const points = (history.points || []).filter(p => p.modal > 0);
+    if (points.length < this.MIN_OBSERVED_DAYS) {
+      return {
+        success: false,
+        error: `Not enough stored price history for ${commodity} (${points.length} days, need ${this.MIN_OBSERVED_DAYS}). Run a backfill first.`,
+        observedDays: points.length
+      };
+    }
+
+    const result = this.forecastSeries(points, horizon);
+    if (!result) {
+      return { success: false, error: `History too short to backtest a ${horizon}-day forecast for ${commodity}` };
+    }
+
+    return {
+      success: true,
+      commodity,
+      location: market || district || state || 'All India',
+      ...result,
+      holdAdvice: this.holdAdvice(commodity, result, horizon),
+      history: {
+        from: points[0].date,
+        to: points[points.length - 1].date,
+        observedDays: points.length,
+        maxMarkets: Math.max(...points.map(p => p.markets || 1)),
+        windows: history.windows || {},
+        source: 'Agmarknet (scraper price store)'
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Pure forecasting over daily points [{date, modal}] (sorted ascending).
+   * Returns null when the series is too short to backtest `horizon` days.
+   */
+  static forecastSeries(points, horizon) {
+    const { values, observed, dates } = this._fillDaily(points);
+    const n = values.length;
+    const minTrain = Math.max(this.SEASON_DAYS * 2, this.MA_WINDOW);
+    if (n < minTrain + horizon) return null;
+
+    const models = this._models().map(model => {
+      const backtest = this._backtest(values, observed, horizon, minTrain, model.predict);
+      const path = model.predict(values, horizon);
+      return {
+        name: model.name,
+        label: model.label,
+        point: Math.max(0, Math.round(path[horizon - 1])),
+        mape: backtest.mape,
+        rmse: backtest.rmse,
+        horizonErrorPct: backtest.horizonErrorPct,
+        origins: backtest.origins,
+        _path: path
+      };
+    }).filter(m => m.origins > 0);
+
+    if (!models.length) return null;
+    models.sort((a, b) => a.mape - b.mape);
+    const best = models[0];
+
+    const current = { date: dates[n - 1], modal: Math.round(values[n - 1]) };
+    const spreadPct = best.horizonErrorPct || best.mape;
+    // Wide error bands on volatile series would otherwise push the low end below zero
+    const low = Math.max(0, Math.round(best.point * (1 - (this.Z_80 * spreadPct) / 100)));
+    const high = Math.round(best.point * (1 + (this.Z_80 * spreadPct) / 100));
+    const changePct = Math.round(((best.point - current.modal) / current.modal) * 10000) / 100;
+    const lastDate = new Date(`${dates[n - 1]}T00:00:00Z`).getTime();
+
+    return {
+      horizonDays: horizon,
+      current,
+      forecast: {
+        model: best.name,
+        modelLabel: best.label,
+        date: new Date(lastDate + horizon * DAY_MS).toISOString().split('T')[0],
+        point: best.point,
+        low,
+        high,
+        changePct,
+        path: best._path.map((v, i) => ({
+          date: new Date(lastDate + (i + 1) * DAY_MS).toISOString().split('T')[0],
+          modal: Math.max(0, Math.round(v))
+        }))
+      },
+      outlook: changePct > 2 ? 'rising' : changePct < -2 ? 'falling' : 'flat',
+      confidence: this._confidence(best, observed.filter(Boolean).length),
+      models: models.map(({ _path, ...m }) => m)
+    };
+  }
+
+  /**
+   * Hold-or-sell signal: projected change net of storage loss over the horizon
+   */
+  static holdAdvice(commodity, result, horizon) {
+    const key = String(commodity || '').toLowerCase();
+    const lossPct = Math.round(((this.STORAGE_LOSS_PCT_PER_WEEK[key] ?? this.DEFAULT_STORAGE_LOSS_PCT) * horizon / 7) * 100) / 100;
+    const { current, forecast } = result;
+    const netChangePct = Math.round((forecast.changePct - lossPct) * 100) / 100;
+    const lowChangePct = ((forecast.low - current.modal) / current.modal) * 100 - lossPct;
+
+    if (this.PERISHABLE.includes(key)) {
+      return { signal: 'sell', storageLossPct: lossPct, netChangePct, reason: `${commodity} is perishable; holding ${horizon} days is rarely worth the losses` };
+    }
+    if (lowChangePct > 0) {
+      return { signal: 'hold', storageLossPct: lossPct, netChangePct, reason: `Even the low end of the projected range beats today's price after ~${lossPct}% storage loss` };
+    }
+    if (netChangePct < 0) {
+      return { signal: 'sell', storageLossPct: lossPct, netChangePct, reason: `Projected price does not cover ~${lossPct}% storage loss over ${horizon} days` };
+    }
+    return { signal: 'uncertain', storageLossPct: lossPct, netChangePct, reason: 'Projected gain is within the forecast error; holding is a gamble' };
+  }
+
+  static _models() {
+    return [
+      { name: 'seasonal_naive', label: `Seasonal naive (${this.SEASON_DAYS}-day cycle)`, predict: (y, h) => this._seasonalNaive(y, h) },
+      { name: 'moving_average', label: `${this.MA_WINDOW}-day moving average`, predict: (y, h) => this._movingAverage(y, h) },
+      { name: 'ses', label: 'Simple exponential smoothing', predict: (y, h) => this._ses(y, h) }
+    ];
+  }
+
+  static _seasonalNaive(y, h) {
+    const m = this.SEASON_DAYS;
+    const n = y.length;
+    return Array.from({ length: h }, (_, k) => y[n - m + (k % m)]);
+  }
+
+  static _movingAverage(y, h) {
+    const window = y.slice(-this.MA_WINDOW);
+    const mean = window.reduce((s, v) => s + v, 0) / window.length;
+    return Array(h).fill(mean);
+  }
+
+  // Flat SES forecast; alpha picked by grid search on one-step-ahead squared error
+  static _ses(y, h) {
+    let best = { sse: Infinity, level: y[y.length - 1] };
+    for (let alpha = 0.05; alpha < 1; alpha += 0.05) {
+      let level = y[0];
+      let sse = 0;
+      for (let i = 1; i < y.length; i++) {
+        sse += (y[i] - level) ** 2;
+        level = alpha * y[i] + (1 - alpha) * level;
+      }
+      if (sse < best.sse) best = { sse, level };
+    }
+    return Array(h).fill(best.level);
+  }
+
+  /**
+   * Rolling-origin backtest: forecast h days from several past origins and
+   * score against days that were actually observed (not gap-filled)
+   */
+  static _backtest(values, observed, horizon, minTrain, predict) {
+    const step = Math.max(1, Math.ceil(horizon / 2));
+    const pctErrors = [];
+    const sqErrors = [];
+    const horizonPctErrors = [];
+    let origins = 0;
+
+    for (let i = 0; i < this.MAX_BACKTEST_ORIGINS; i++) {
+      const origin = values.length - horizon - i * step;
+      if (origin < minTrain) break;
+      const path = predict(values.slice(0, origin), horizon);
+      let scored = false;
+      for (let k = 0; k < horizon; k++) {
+        const t = origin + k;
+        if (!observed[t]) continue;
+        const err = path[k] - values[t];
+        pctErrors.push(Math.abs(err) / values[t] * 100);
+        sqErrors.push(err * err);
+        if (k === horizon - 1) horizonPctErrors.push((err / values[t]) * 100);
+        scored = true;
+      }
+      if (scored) origins++;
+    }
+
+    const mean = list => list.reduce((s, v) => s + v, 0) / list.length;
+    return {
+      origins,
+      mape: pctErrors.length ? Math.round(mean(pctErrors) * 100) / 100 : Infinity,
+      rmse: sqErrors.length ? Math.round(Math.sqrt(mean(sqErrors))) : Infinity,
+      // RMS of %-error at the horizon day itself (null when too few origins to be meaningful)
+      horizonErrorPct: horizonPctErrors.length >= 3
+        ? Math.round(Math.sqrt(mean(horizonPctErrors.map(e => e * e))) * 100) / 100
+        : null
+    };
+  }
+
+  static _confidence(best, observedDays) {
+    if (best.mape <= 5 && best.origins >= 4 && observedDays >= 60) return 'high';
+    if (best.mape <= 12 && best.origins >= 2) return 'medium';
+    return 'low';
+  }
+
+  // Daily series from first to last observation; gaps (holidays, no arrivals) are forward-filled
+  static _fillDaily(points) {
+    const values = [];
+    const observed = [];
+    const dates = [];
+    const byDate = new Map(points.map(p => [p.date, p.modal]));
+    const start = new Date(`${points[0].date}T00:00:00Z`).getTime();
+    const end = new Date(`${points[points.length - 1].date}T00:00:00Z`).getTime();
+
+    let last = points[0].modal;
+    for (let t = start; t <= end; t += DAY_MS) {
+      const date = new Date(t).toISOString().split('T')[0];
+      const value = byDate.get(date);
+      if (value != null) last = value;
+      values.push(last);
+      observed.push(value != null);
+      dates.push(date);
+    }
+    return { values, observed, dates };
+  }
+}
+
+export default PriceForecastService;
@@ -0,0 +1,236 @@
+/**
+ * ProjectMemoryService
+ * Rolling conversation memory per crop project.
+ * - Older turns are condensed into one structured summary (decisions taken, inputs applied,
+ *   problems seen, open questions) kept in project.aiContext.knowledgeBase
+ * - Condensing runs once enough uncondensed turns pile up; the newest turns stay verbatim
+ * - Summaries come from the lightweight LLM model, with a rule-based extractor when it is unreachable
+ * - Prompt side: the summary plus the recent turns most relevant to the current question
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TelemetryService from './TelemetryService';
+
+const STORAGE_PREFIX = 'crop_project_'; // same keys as FarmerCropProjectsService
+
+class ProjectMemoryService {
+  static VERSION = 1;
+  static ENTRY_TYPE = 'conversation_summary';
+  static KEEP_RECENT_TURNS = 4; // never condensed, always available verbatim
+  static CONDENSE_BATCH = 6; // condense once this many older turns are waiting
+  static MAX_ITEMS = 8; // per summary list
+  static RELEVANT_TURNS = 3;
+  static _inFlight = new Set();
+
+  static LISTS = {
+    decisions: 'Decisions taken',
+    inputsApplied: 'Inputs applied',
+    problemsSeen: 'Problems seen',
+    openQuestions: 'Open questions'
+  };
+
+  // Rule-based extraction from the farmer's own words (advice given to them is not a fact about the farm)
+  static RULES = {
+    inputsApplied: /\b(i|we)\s+(have\s+|had\s+|already\s+)?(sprayed|applied|gave|given|used|added|put|irrigated|watered|sowed|sown|planted|transplanted|drenched|mixed)\b/i,
+    decisions: /\b(i|we)\s*('ll|\s+will|\s+am going to|\s+are going to|\s+plan to|\s+decided to|\s+have decided to|\s+want to)\b/i,
+    problemsSeen: /\b(spots?|yellow(ing)?|wilt(ing|ed)?|rot(ting)?|larvae?|worms?|pests?|insects?|disease|blight|mildew|rust|aphids?|whitefl(y|ies)|thrips|mites?|bollworms?|borers?|curl(ing|ed)?|drying|holes|lodging|stunted)\b/i
+  };
+  // "how do I control aphids?" asks about a problem, it does not report one
+  static QUESTION = /\?\s*$|^(how|what|when|why|which|where|who|whom|whose|should|shall|can|could|will|would|is|are|am|do|does|did|may|might|must|क्या|कैसे|कब|कौन|क्यों)(\s|$)/i;
+
+  static getSummary(project) {
+    return (project?.aiContext?.knowledgeBase || []).find(entry => entry?.type === this.ENTRY_TYPE) || null;
+  }
+
+  static emptySummary() {
+    return { id: 'memory', type: this.ENTRY_TYPE, version: this.VERSION, decisions: [], inputsApplied: [], problemsSeen: [], openQuestions: [], turnsCondensed: 0, coveredThrough: null, updatedAt: null };
+  }
+
+  /**
+   * Condense older turns when enough have accumulated. Safe to call after every turn;
+   * concurrent calls for one project collapse into one.
+   * @returns {Promise<Object|null>} the new summary, or null when nothing was due
+   */
+  static async condenseIfDue(projectId, { force = false } = {}) {
+    if (this._inFlight.has(projectId)) return null;
+    this._inFlight.add(projectId);
+    try {
+      const project = await this.load(projectId);
+      if (!project) return null;
+      const history = project.aiContext.conversationHistory || []; // newest first
+      const older = history.slice(this.KEEP_RECENT_TURNS).filter(turn => !turn.condensed);
+      if (!older.length || (!force && older.length < this.CONDENSE_BATCH)) return null;
+
+      const turns = [...older].reverse(); // oldest first
+      const previous = this.getSummary(project) || this.emptySummary();
+      let lists = null;
+      let method = 'llm';
+      try {
+        lists = await this.summarizeWithLLM(project, previous, turns);
+      } catch (error) {
+        console.warn('Memory summary via LLM failed, using rules:', error.message);
+      }
+      // An empty rewrite of a non-empty memory means the model lost it, not that the farm has no history
+      const isEmpty = (l) => !l || Object.keys(this.LISTS).every(key => !l[key]?.length);
+      if (isEmpty(lists) && !isEmpty(previous)) lists = null;
+      if (!lists) {
+        lists = this.extractWithRules(turns);
+        method = 'rules';
+      }
+      const merged = this.mergeSummary(method === 'llm' ? this.emptySummary() : previous, lists);
+      const summary = {
+        ...merged,
+        turnsCondensed: previous.turnsCondensed + turns.length,
+        coveredThrough: turns[turns.length - 1].timestamp,
+        updatedAt: new Date().toISOString(),
+        method
+      };
+
+      // Re-read before writing: a turn may have been added while the model was summarising
+      const fresh = await this.load(projectId);
+      if (!fresh) return null;
+      const condensedIds = new Set(turns.map(turn => turn.id));
+      fresh.aiContext.conversationHistory = (fresh.aiContext.conversationHistory || []).map(turn =>
+        condensedIds.has(turn.id) ? { ...turn, condensed: true } : turn
+      );
+      fresh.aiContext.knowledgeBase = [
+        summary,
+        ...(fresh.aiContext.knowledgeBase || []).filter(entry => entry?.type !== this.ENTRY_TYPE)
+      ];
+      await AsyncStorage.setItem(`${STORAGE_PREFIX}${projectId}`, JSON.stringify(fresh));
+      await TelemetryService.emit('crop.project.memory', {
+        projectId,
+        method,
+        turns: turns.length,
+        items: Object.keys(this.LISTS).reduce((sum, key) => sum + summary[key].length, 0)
+      });
+      return summary;
+    } catch (error) {
+      console.warn('Memory condense failed:', error.message);
+      return null;
+    } finally {
+      this._inFlight.delete(projectId);
+    }
+  }
+
+  // LLM rewrite of the whole summary (previous memory + new turns), so answered questions can be dropped
+  static async summarizeWithLLM(project, previous, turns) {
+    const GroqAIService = (await import('./GroqAIService')).default;
+    const groq = GroqAIService.getInstance();
+    const existing = Object.fromEntries(Object.keys(this.LISTS).map(key => [key, previous[key]]));
+    const transcript = turns.map(turn =>
+      `[${String(turn.timestamp).slice(0, 10)}] Farmer: ${turn.query}\nAdvisor: ${String(turn.response || '').slice(0, 400)}`
+    ).join('\n');
+    const prompt = `You keep the memory of one farmer's ${project.cropName} crop. Merge the existing memory with the new conversation turns.
+Return ONLY JSON: {"decisions":[{"text":"","date":"YYYY-MM-DD"}],"inputsApplied":[...],"problemsSeen":[...],"openQuestions":[...]}
+Rules: at most ${this.MAX_ITEMS} items per list, newest first; short phrases with product, dose and field part where known; record only what the farmer said they did, decided, saw or still needs answered (not advice they were given); drop open questions that were answered.
+Existing memory: ${JSON.stringify(existing)}
+New turns:
+${transcript}`;
+    const raw = await groq.callGroq(groq.models.lightweight, '', prompt, { maxTokens: 500, disableReasoning: true, temperature: 0.1 });
+    const jsonMatch = typeof raw === 'string' ? raw.match(/\{[\s\S]*\}/) : null;
+    if (!jsonMatch) return null;
+    const parsed = JSON.parse(jsonMatch[0]);
+    const clean = (items) => (Array.isArray(items) ? items : [])
+      .map(item => (typeof item === 'string' ? { text: item } : item))
+      .filter(item => item?.text && String(item.text).trim())
+      .map(item => ({ text: String(item.text).trim().slice(0, 160), ...(item.date ? { date: String(item.date).slice(0, 10) } : {}) }));
+    return Object.fromEntries(Object.keys(this.LISTS).map(key => [key, clean(parsed[key])]));
+  }
+
+  static extractWithRules(turns) {
+    const lists = { decisions: [], inputsApplied: [], problemsSeen: [], openQuestions: [] };
+    [...turns].reverse().forEach(turn => { // newest first, like the summary lists
+      const date = String(turn.timestamp || '').slice(0, 10) || undefined;
+      const sentences = String(turn.query || '').match(/[^.!?।\n]+[.!?।]?/g) || [];
+      sentences.map(s => s.trim()).filter(s => s && !this.QUESTION.test(s)).forEach(sentence => {
+        Object.entries(this.RULES).forEach(([key, pattern]) => {
+          if (pattern.test(sentence)) lists[key].push({ text: sentence.slice(0, 160), date });
+        });
+      });
+      // No usable answer came back: the question is still open
+      if (/ERROR/.test(turn.metadata?.processingType || '') || !turn.response) {
+        lists.openQuestions.push({ text: String(turn.query || '').slice(0, 160), date });
+      }
+    });
+    return lists;
+  }
+
+  // New items first, de-duplicated on text, capped per list
+  static mergeSummary(previous, lists) {
+    const summary = { ...previous };
+    Object.keys(this.LISTS).forEach(key => {
+      const seen = new Set();
+      summary[key] = [...(lists[key] || []), ...(previous[key] || [])]
+        .filter(item => {
+          const norm = item.text.toLowerCase().replace(/\s+/g, ' ').trim();
+          if (seen.has(norm)) return false;
+          seen.add(norm);
+          return true;
+        })
+        .slice(0, this.MAX_ITEMS);
+    });
+    return summary;
+  }
+
+  /**
+   * Summary as prompt lines, e.g. "Inputs applied: mancozeb spray on lower leaves (2026-10-12)"
+   * @param {string} [today] - YYYY-MM-DD from the caller so item dates read relative to it; no line without it
+   */
+  static formatSummary(summary, today = null) {
+    if (!summary) return '';
+    const lines = Object.entries(this.LISTS)
+      .filter(([key]) => summary[key]?.length)
+      .map(([key, label]) => `${label}: ${summary[key].map(item => `${item.text}${item.date ? ` (${item.date})` : ''}`).join('; ')}`);
+    if (!lines.length) return '';
+    return [...(today ? [`Today is ${today}.`] : []), ...lines].join('\n');
+  }
+
+  /**
+   * Recent turns that share the most words with the question (ties go to the newer turn)
+   * @returns {Array} turns, oldest first
+   */
+  static selectRelevantTurns(history = [], query = '', limit = this.RELEVANT_TURNS) {
+    const words = (text) => new Set(String(text || '').toLowerCase().match(/[a-zऀ-ൿ]{4,}/g) || []);
+    const queryWords = words(query);
+    const recent = history.slice(0, 12); // newest first
+    return recent
+      .map((turn, index) => {
+        const turnWords = words(`${turn.query} ${turn.response}`);
+        const overlap = [...queryWords].filter(w => turnWords.has(w)).length;
+        // The last exchange always counts a little: follow-ups ("and tomorrow?") rarely repeat words
+        return { turn, index, score: overlap + (index === 0 ? 1 : 0) };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .sort((a, b) => b.index - a.index)
+      .map(entry => entry.turn);
+  }
+
+  static formatTurns(turns) {
+    return turns.map(turn =>
+      `[${String(turn.timestamp).slice(0, 10)}] Farmer: ${turn.query}\nAdvice given: ${String(turn.response || '').slice(0, 300)}`
+    ).join('\n');
+  }
+
+  /**
+   * Prompt segments for PromptBudgetService: project memory and relevant recent turns
+   * @param {Object} [options] - today (YYYY-MM-DD) for the memory's date line
+   */
+  static buildPromptSegments(project, query = '', { today = null } = {}) {
+    if (!project?.aiContext) return [];
+    const segments = [];
+    const memory = this.formatSummary(this.getSummary(project), today);
+    if (memory) segments.push({ id: 'project_memory', text: memory });
+    const turns = this.selectRelevantTurns(project.aiContext.conversationHistory || [], query);
+    if (turns.length) segments.push({ id: 'recent_turns', text: this.formatTurns(turns) });
+    return segments;
+  }
+
+  static async load(projectId) {
+    const raw = await AsyncStorage.getItem(`${STORAGE_PREFIX}${projectId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+}
+
+export default ProjectMemoryService;
@@ -0,0 +1,262 @@
+/**
+ * PromptBudgetService
+ * Token-budgeted prompt assembly shared by every LLM call.
+ * - Estimates tokens per model (chars-per-token profile, heavier for non-Latin scripts)
+ * - Budget = min(context window - completion reserve, per-request cap)
+ * - Segments (system prompt, farmer / project context, project memory, tool results, history, query) carry a priority;
+ *   when the prompt is over budget the lowest-priority segments are summarised, then dropped
+ * - Native tool-calling rounds are refitted as results come back (fitToolRound)
+ * - Same inputs always give the same prompt (no clocks or randomness), so cassettes and evals stay stable
+ */
+import { LocalLLMProvider } from './LLMProviderService.js';
+
+class PromptBudgetService {
+  // Context windows and tokenizer density for the models the app runs on; first match wins
+  static MODEL_PROFILES = [
+    { match: /gpt-oss/i, contextWindow: 131072, charsPerToken: 4.2 },
+    { match: /llama-3\.[13]|llama-4/i, contextWindow: 131072, charsPerToken: 3.8 },
+    { match: /qwen|kimi|mixtral/i, contextWindow: 32768, charsPerToken: 3.6 },
+    { match: /^mock-/i, contextWindow: 32768, charsPerToken: 4 }
+  ];
+  static DEFAULT_PROFILE = { contextWindow: 8192, charsPerToken: 3.5 }; // unknown and local models
+  static NON_LATIN_CHARS_PER_TOKEN = 1.6; // Devanagari / Telugu etc. split into many more tokens
+  static MESSAGE_OVERHEAD_TOKENS = 4; // role + separators per chat message
+  static MAX_PROMPT_TOKENS = 6000; // per-request cap well under the window: latency and Groq tokens-per-minute limits
+  static TOOL_RESULT_MIN_TOKENS = 40; // below this a tool result is replaced by TOOL_RESULT_OMITTED
+  static TOOL_RESULT_OMITTED = 'Result omitted to stay within the prompt budget; answer from the other results.';
+
+  // Default priorities (higher survives longer) and how each segment shrinks
+  static SEGMENTS = {
+    system: { priority: 100, required: true, label: null },
+    query: { priority: 100, required: true, label: null },
+    tool_results: { priority: 80, strategy: 'lines', minTokens: 80, maxTokens: 3000, label: 'Real-time data context' },
+    project_memory: { priority: 75, strategy: 'lines', minTokens: 30, maxTokens: 600, label: 'Project memory (from earlier conversations)' },
+    project_context: { priority: 70, strategy: 'sentences', minTokens: 40, label: 'Crop Project Context' },
+    farmer_context: { priority: 60, strategy: 'sentences', minTokens: 40, label: 'Farmer Context' },
+    recent_turns: { priority: 30, strategy: 'lines', minTokens: 40, maxTokens: 800, label: 'Relevant earlier exchanges' },
+    history: { priority: 20, strategy: 'history', minTokens: 60, maxTokens: 1500, label: null }
+  };
+
+  static getProfile(model = '') {
+    if (model && Object.values(LocalLLMProvider.models).includes(model)) {
+      return { ...this.DEFAULT_PROFILE, contextWindow: LocalLLMProvider.getConfig().contextWindow || this.DEFAULT_PROFILE.contextWindow };
+    }
+    return this.MODEL_PROFILES.find(p => p.match.test(model)) || this.DEFAULT_PROFILE;
+  }
+
+  static estimateTokens(text, model) {
+    if (!text) return 0;
+    const str = String(text);
+    const nonLatin = (str.match(/[^\u0000-\u024F\u2000-\u206F\u20B9]/g) || []).length;
+    const { charsPerToken } = this.getProfile(model);
+    return Math.ceil((str.length - nonLatin) / charsPerToken + nonLatin / this.NON_LATIN_CHARS_PER_TOKEN);
+  }
+
+  static getBudget(model, { maxCompletionTokens = 1500, maxPromptTokens = this.MAX_PROMPT_TOKENS } = {}) {
+    const { contextWindow } = this.getProfile(model);
+    return {
+      contextWindow,
+      completionReserve: maxCompletionTokens,
+      budget: Math.max(Math.min(contextWindow - maxCompletionTokens, maxPromptTokens), 256)
+    };
+  }
+
+  // Cut at a word boundary so the estimate fits maxTokens
+  static truncateToTokens(text, maxTokens, model) {
+    const str = String(text || '');
+    if (this.estimateTokens(str, model) <= maxTokens) return str;
+    let end = Math.floor(str.length * (maxTokens / this.estimateTokens(str, model)));
+    while (end > 0 && this.estimateTokens(str.slice(0, end) + '…', model) > maxTokens) end = Math.floor(end * 0.95);
+    const cut = str.slice(0, end);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > end * 0.8 ? cut.slice(0, space) : cut).trimEnd()}…`;
+  }
+
+  /**
+   * Shrink one segment to at most maxTokens with its strategy
+   * @returns {string|Array|null} summarised content, or null when nothing useful fits
+   */
+  static summarize(segment, maxTokens, model) {
+    if (maxTokens < (segment.minTokens || 0)) return null;
+    if (segment.strategy === 'history') {
+      // Newest turns matter most: keep from the end, whole messages only
+      const kept = [];
+      let used = 0;
+      for (const message of [...segment.messages].reverse()) {
+        const cost = this.messageTokens(message, model);
+        if (used + cost > maxTokens) break;
+        kept.unshift(message);
+        used += cost;
+      }
+      return kept.length ? kept : null;
+    }
+    const text = String(segment.text || '');
+    const units = segment.strategy === 'lines'
+      ? text.split('\n').filter(l => l.trim())
+      : segment.strategy === 'sentences'
+        ? (text.match(/[^.!?।\n]+[.!?।]*\s*/g) || [text])
+        : null;
+    if (!units) return this.truncateToTokens(text, maxTokens, model);
+    // Keep units in their original order (data blocks lead with the most relevant lines)
+    const joiner = segment.strategy === 'lines' ? '\n' : '';
+    const kept = [];
+    for (let i = 0; i < units.length; i++) {
+      const omitted = units.length - i - 1;
+      const note = omitted ? `${joiner || ' '}(${omitted} more omitted)` : '';
+      const candidate = [...kept, units[i]].join(joiner);
+      if (this.estimateTokens(candidate + note, model) > maxTokens) break;
+      kept.push(units[i]);
+    }
+    if (!kept.length) return this.truncateToTokens(units[0], maxTokens, model);
+    const omitted = units.length - kept.length;
+    return `${kept.join(joiner).trimEnd()}${omitted ? `${joiner || ' '}(${omitted} more omitted)` : ''}`;
+  }
+
+  static messageTokens(message, model) {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '');
+    const toolCalls = message.tool_calls?.length ? this.estimateTokens(JSON.stringify(message.tool_calls), model) : 0;
+    return this.estimateTokens(content, model) + toolCalls + this.MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  static segmentTokens(segment, model) {
+    if (segment.strategy === 'history') return (segment.messages || []).reduce((sum, m) => sum + this.messageTokens(m, model), 0);
+    const label = segment.label ? this.estimateTokens(`${segment.label}:\n`, model) : 0;
+    return this.estimateTokens(segment.text, model) + label;
+  }
+
+  /**
+   * Assemble chat messages within the model's budget
+   * @param {Object} input - model, system, query, history [{role, content}], segments [{id, text, priority?, label?, strategy?, minTokens?, maxTokens?}],
+   *   maxCompletionTokens, maxPromptTokens, reservedTokens (tool schemas and other payload outside the messages)
+   * @returns {{messages: Array, breakdown: Object}} breakdown: model, contextWindow, budget, reserved, used, overBudget,
+   *   segments [{id, priority, originalTokens, tokens, action: kept | summarized | dropped}]
+   */
+  static build({ model, system, query, history = [], segments = [], maxCompletionTokens, maxPromptTokens, reservedTokens = 0 } = {}) {
+    const { contextWindow, completionReserve, budget: promptBudget } = this.getBudget(model, { maxCompletionTokens, maxPromptTokens });
+    const budget = Math.max(promptBudget - reservedTokens, 256);
+    const all = [
+      { id: 'system', text: system || '' },
+      { id: 'history', messages: Array.isArray(history) ? history.filter(m => m && m.role && m.content) : [] },
+      ...segments.filter(s => s && s.text && String(s.text).trim()),
+      { id: 'query', text: query || '' }
+    ].map((segment, order) => {
+      const item = { ...this.SEGMENTS[segment.id], ...segment, order };
+      item.originalTokens = this.segmentTokens(item, model);
+      item.tokens = item.originalTokens;
+      item.action = 'kept';
+      // Per-segment ceiling first (keeps one huge tool dump from starving the rest)
+      if (item.maxTokens && item.tokens > item.maxTokens) this.shrink(item, item.maxTokens, model);
+      return item;
+    }).filter(item => item.id !== 'history' || item.messages.length);
+
+    const overhead = () => 2 * this.MESSAGE_OVERHEAD_TOKENS;
+    const total = () => all.reduce((sum, s) => sum + (s.action === 'dropped' ? 0 : s.tokens), 0) + overhead();
+
+    // Lowest priority first; ties: later segments give way first
+    const shrinkOrder = all.filter(s => !s.required).sort((a, b) => (a.priority ?? 50) - (b.priority ?? 50) || b.order - a.order);
+    for (const segment of shrinkOrder) {
+      const over = total() - budget;
+      if (over <= 0) break;
+      this.shrink(segment, segment.tokens - over, model);
+    }
+
+    const used = total();
+    const kept = all.filter(s => s.action !== 'dropped');
+    const contextBlocks = kept
+      .filter(s => !['system', 'query', 'history'].includes(s.id))
+      .map(s => (s.label ? `${s.label}:\n${s.text}` : s.text));
+    const queryText = kept.find(s => s.id === 'query')?.text || '';
+    const systemText = kept.find(s => s.id === 'system')?.text;
+    const messages = [
+      ...(systemText ? [{ role: 'system', content: systemText }] : []),
+      ...(kept.find(s => s.id === 'history')?.messages || []),
+      { role: 'user', content: [queryText, ...contextBlocks].filter(Boolean).join('\n\n') }
+    ];
+
+    return {
+      messages,
+      breakdown: {
+        model,
+        contextWindow,
+        completionReserve,
+        budget,
+        reserved: reservedTokens,
+        used,
+        overBudget: used > budget,
+        segments: all.map(s => ({ id: s.id, priority: s.priority ?? 50, originalTokens: s.originalTokens, tokens: s.action === 'dropped' ? 0 : s.tokens, action: s.action }))
+      }
+    };
+  }
+
+  /**
+   * Fit one round of a tool-calling loop: the messages from build() plus the assistant tool calls
+   * and `tool` results appended since. Tool results share what the other messages leave of the
+   * budget (small results keep their text, the largest are cut first); every result keeps a
+   * message so each tool_call_id is still answered.
+   * @param {Object} input - model, messages, maxCompletionTokens, maxPromptTokens, reservedTokens as for build()
+   * @returns {{messages: Array, breakdown: Object}} breakdown as from build(), segments `messages` and `tool_results_round`
+   */
+  static fitToolRound({ model, messages = [], maxCompletionTokens, maxPromptTokens, reservedTokens = 0 } = {}) {
+    const { contextWindow, completionReserve, budget: promptBudget } = this.getBudget(model, { maxCompletionTokens, maxPromptTokens });
+    const budget = Math.max(promptBudget - reservedTokens, 256);
+    const sum = (list) => list.reduce((total, m) => total + this.messageTokens(m, model), 0);
+    const toolMessages = messages.filter(m => m.role === 'tool');
+    const fixedTokens = sum(messages.filter(m => m.role !== 'tool'));
+    const originalTokens = sum(toolMessages);
+
+    let fitted = messages;
+    if (toolMessages.length && fixedTokens + originalTokens > budget) {
+      // Smallest first: each takes at most an equal share of what is left
+      let available = Math.max(budget - fixedTokens, 0);
+      const caps = new Map();
+      [...toolMessages]
+        .sort((a, b) => this.messageTokens(a, model) - this.messageTokens(b, model))
+        .forEach((m, i, sorted) => {
+          const cap = Math.min(this.messageTokens(m, model), Math.floor(available / (sorted.length - i)));
+          caps.set(m, cap);
+          available -= cap;
+        });
+      fitted = messages.map(m => {
+        if (m.role !== 'tool' || caps.get(m) >= this.messageTokens(m, model)) return m;
+        const room = caps.get(m) - this.MESSAGE_OVERHEAD_TOKENS;
+        return { ...m, content: room >= this.TOOL_RESULT_MIN_TOKENS ? this.truncateToTokens(m.content, room, model) : this.TOOL_RESULT_OMITTED };
+      });
+    }
+
+    const toolTokens = sum(fitted.filter(m => m.role === 'tool'));
+    const used = fixedTokens + toolTokens;
+    return {
+      messages: fitted,
+      breakdown: {
+        model,
+        contextWindow,
+        completionReserve,
+        budget,
+        reserved: reservedTokens,
+        used,
+        overBudget: used > budget,
+        segments: [
+          { id: 'messages', priority: 100, originalTokens: fixedTokens, tokens: fixedTokens, action: 'kept' },
+          { id: 'tool_results_round', priority: this.SEGMENTS.tool_results.priority, originalTokens, tokens: toolTokens, action: toolTokens < originalTokens ? 'summarized' : 'kept' }
+        ]
+      }
+    };
+  }
+
+  // Summarise a segment in place to fit maxTokens, or mark it dropped
+  static shrink(segment, maxTokens, model) {
+    const labelTokens = segment.label ? this.estimateTokens(`${segment.label}:\n`, model) : 0;
+    const result = maxTokens > labelTokens ? this.summarize(segment, maxTokens - labelTokens, model) : null;
+    if (result == null) {
+      segment.action = 'dropped';
+      segment.tokens = 0;
+      return;
+    }
+    if (segment.strategy === 'history') segment.messages = result;
+    else segment.text = result;
+    segment.tokens = this.segmentTokens(segment, model);
+    segment.action = 'summarized';
+  }
+}
+
+export default PromptBudgetService;
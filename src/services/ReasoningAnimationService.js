@@ -394,6 +394,36 @@ class ReasoningAnimationService {
         });
     }
 
+    /**
+     * Tool failure step: says which tool failed and why (typed errors from the ToolRegistry)
+     */
+    static animateToolFailure(callback, failure) {
+        const titles = {
+            validation: 'Tool input rejected',
+            timeout: 'Data source timed out',
+            auth: 'Data source access denied',
+            upstream: 'Data source error',
+            unavailable: 'Source temporarily unavailable',
+            not_found: 'Tool not available',
+            no_data: 'No data for this query'
+        };
+        const hint = {
+            validation: (failure.errorDetails?.issues || []).join('; '),
+            timeout: 'Answering without this data',
+            auth: 'API key missing or rejected',
+            unavailable: 'Skipped without waiting',
+            no_data: 'Source answered with no rows',
+            upstream: failure.retryable ? 'Temporary problem, may work on retry' : ''
+        }[failure.errorType];
+        callback({
+            id: `tool_error_${failure.toolName}`,
+            title: `${titles[failure.errorType] || 'Tool failed'}: ${failure.toolName}`,
+            description: hint && failure.errorType !== 'validation' ? `${failure.error} - ${hint}` : (hint || failure.error || 'Unknown error'),
+            status: this.PHASES.ERROR,
+            icon: this.ICONS.ERROR
+        });
+    }
+
     /**
      * Complete Animation Sequence for Standard AI Processing
      */
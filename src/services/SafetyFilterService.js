@@ -3,12 +3,19 @@
  * Lightweight agricultural + generic content safety checks before final response display.
  * - Blocks or flags risky chemical recommendations, extreme dosages, unsafe storage/handling
  * - Generic harmful or self-harm content detection (basic regex)
+ * - Flags advice to sell below MSP when price tools show procurement at MSP is an option
  * - Returns action: allow | flag | block + applied rules
+ * - Streamed answers are released sentence by sentence through createStreamFilter
  */
 import TelemetryService from './TelemetryService';
 
 class SafetyFilterService {
-  static RULE_VERSION = 1;
+  static RULE_VERSION = 2;
+
+  static WITHHELD_MESSAGE = 'Content withheld due to safety concerns. Please rephrase your request for safe agricultural guidance.';
+
+  // End of a sentence (incl. Devanagari danda) or line, followed by whitespace so "2.5" and "Rs." mid-token are not cut
+  static sentenceBoundary = /([.!?।]+["')\]]*\s+|\n+)/g;
 
   static chemicalPatterns = [
     /(cyanide|strychnine|mercury|lead\s+acetate)/i,
@@ -30,7 +37,21 @@ class SafetyFilterService {
     'ingest chemicals'
   ];
 
-  static evaluate(text) {
+  static sellAdvicePatterns = [
+    /\b(sell|selling)\s+(now|immediately|today|right away|at\s+(the\s+)?(current|this|today'?s)|your)\b/i,
+    /\b(good|best|right)\s+time\s+to\s+sell\b/i,
+    /\b(recommend|advise|suggest)\w*\s+(you\s+)?(to\s+)?sell/i
+  ];
+
+  // Mentioning MSP / procurement counts as giving the farmer the alternative
+  static mspMentionPattern = /\b(msp|minimum support price|procurement|procure|fci|nafed|cci|e-?samridhi)\b/i;
+
+  /**
+   * @param {string} text - final (possibly translated) response
+   * @param {{msp?: Array, englishText?: string, silent?: boolean}} [context] - below-MSP annotations from price tools
+   *   (MSPService.belowMspFromToolResults), the English text before translation, silent skips telemetry
+   */
+  static evaluate(text, context = {}) {
     if (!text || typeof text !== 'string') return { action: 'allow', rules: [] };
     const rules = [];
 
@@ -47,36 +68,99 @@ class SafetyFilterService {
     for (const frag of this.bannedAdviceFragments) {
       if (text.toLowerCase().includes(frag)) rules.push('banned_phrase');
     }
+    const belowMsp = this.belowMspWithProcurement(context.msp);
+    if (belowMsp.length) {
+      // Sell-advice wording is matched on the English text; translations vary too much
+      const english = context.englishText || text;
+      if (this.sellAdvicePatterns.some(p => p.test(english)) && !this.mspMentionPattern.test(english)) {
+        rules.push('below_msp_sale');
+      }
+    }
 
     let action = 'allow';
     if (rules.includes('self_harm')) action = 'block';
-    else if (rules.includes('chemicals') || rules.includes('overdose') || rules.includes('banned_phrase')) action = 'flag';
+    else if (rules.includes('chemicals') || rules.includes('overdose') || rules.includes('banned_phrase') || rules.includes('below_msp_sale')) action = 'flag';
 
-    if (action !== 'allow') {
+    if (action !== 'allow' && !context.silent) {
       TelemetryService.error({ phase: 'safety', action, rules });
     }
 
-    return { action, rules, version: this.RULE_VERSION };
+    return { action, rules, version: this.RULE_VERSION, ...(rules.includes('below_msp_sale') ? { msp: belowMsp } : {}) };
+  }
+
+  // Below-MSP annotations where procurement is available (or not ruled out for the state)
+  static belowMspWithProcurement(msp = []) {
+    return (Array.isArray(msp) ? msp : []).filter(m => m?.belowMsp && m.procurementAvailable !== false);
   }
 
-  static apply(text) {
-    const result = this.evaluate(text);
+  static mspNote(msp = []) {
+    const seen = new Set();
+    const lines = msp.filter(m => !seen.has(m.crop) && seen.add(m.crop)).map(m =>
+      `${m.crop}: market ₹${m.price}/quintal is below MSP ₹${m.msp} (${m.season}). Check procurement${m.procurementAgency ? ` via ${m.procurementAgency}` : ''} before selling to traders.`
+    );
+    return `\n\n⚠️ MSP note: ${lines.join(' ')}`;
+  }
+
+  static apply(text, context = {}) {
+    const result = this.evaluate(text, context);
     if (result.action === 'block') {
       return {
         safe: false,
-        filteredText: 'Content withheld due to safety concerns. Please rephrase your request for safe agricultural guidance.',
+        filteredText: this.WITHHELD_MESSAGE,
         safety: result
       };
     }
     if (result.action === 'flag') {
       return {
         safe: true,
-        filteredText: text + '',
+        filteredText: result.rules.includes('below_msp_sale') ? text + this.mspNote(result.msp) : text + '',
         safety: result
       };
     }
     return { safe: true, filteredText: text, safety: result };
   }
+
+  /**
+   * Incremental filter for streamed answers. Deltas are buffered and released to
+   * onText(safeTextSoFar) a sentence at a time once the text passes evaluate();
+   * a blocking sentence replaces everything with WITHHELD_MESSAGE and ends the stream.
+   * Flags and the MSP note are left to the apply() pass on the final answer.
+   * @param {(text:string, meta:{blocked:boolean}) => void} onText
+   * @returns {{push:(delta:string) => void, end:() => string, blocked:boolean}}
+   */
+  static createStreamFilter(onText) {
+    let pending = '';
+    let released = '';
+    const filter = {
+      blocked: false,
+      push: (delta) => {
+        if (filter.blocked || !delta) return;
+        pending += delta;
+        let cut = 0;
+        for (const match of pending.matchAll(this.sentenceBoundary)) cut = match.index + match[0].length;
+        if (cut) {
+          release(pending.slice(0, cut));
+          pending = pending.slice(cut);
+        }
+      },
+      end: () => {
+        if (pending) release(pending);
+        pending = '';
+        return filter.blocked ? this.WITHHELD_MESSAGE : released;
+      }
+    };
+    const release = (chunk) => {
+      if (filter.blocked) return;
+      if (this.evaluate(released + chunk, { silent: true }).action === 'block') {
+        filter.blocked = true;
+        onText(this.WITHHELD_MESSAGE, { blocked: true });
+        return;
+      }
+      released += chunk;
+      onText(released, { blocked: false });
+    };
+    return filter;
+  }
 }
 
 export default SafetyFilterService;
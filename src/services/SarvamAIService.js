@@ -389,7 +389,8 @@ export class SarvamAIService {
     }
 
     // Format-aware text translation that preserves structure
-    static async translateTextWithFormatting(text, fromLang = 'auto', toLang = 'hi-IN') {
+    // options as for translateText
+    static async translateTextWithFormatting(text, fromLang = 'auto', toLang = 'hi-IN', options = {}) {
         try {
             // Input validation
             if (!text || typeof text !== 'string') {
@@ -421,7 +422,8 @@ export class SarvamAIService {
             const translatedText = await this.translateWithStructurePreservation(
                 formattingInfo.segments, 
                 source, 
-                target
+                target,
+                options
             );
             
             // Step 3: Reconstruct formatted text
@@ -437,7 +439,7 @@ export class SarvamAIService {
         } catch (error) {
             console.error('Format-aware translation error:', error);
             // Fallback to regular translation
-            return await this.translateText(text, fromLang, toLang);
+            return await this.translateText(text, fromLang, toLang, options);
         }
     }
 
@@ -507,7 +509,7 @@ export class SarvamAIService {
     }
 
     // Translate segments while preserving structure
-    static async translateWithStructurePreservation(segments, source, target) {
+    static async translateWithStructurePreservation(segments, source, target, options = {}) {
         const translatedSegments = [];
         
         // Translate in batches to avoid API limits
@@ -515,7 +517,7 @@ export class SarvamAIService {
         for (let i = 0; i < segments.length; i += batchSize) {
             const batch = segments.slice(i, i + batchSize);
             const batchResults = await Promise.all(
-                batch.map(segment => this.translateText(segment, source, target, true)) // Skip chunking for segments
+                batch.map(segment => this.translateSegment(segment, source, target, options))
             );
             
             for (const result of batchResults) {
@@ -530,6 +532,24 @@ export class SarvamAIService {
         return translatedSegments;
     }
 
+    // One segment; over Sarvam's 1000-character limit it goes in sentence-sized pieces instead of being cut
+    static async translateSegment(segment, source, target, options = {}) {
+        if (segment.length <= 1000) {
+            return this.translateText(segment, source, target, { ...options, skipChunking: true });
+        }
+        const pieces = [];
+        (segment.match(/[^.!?।]+[.!?।]*\s*/g) || [segment]).forEach(sentence => {
+            const last = pieces.length - 1;
+            if (last >= 0 && (pieces[last] + sentence).length <= 950) pieces[last] += sentence;
+            else pieces.push(sentence);
+        });
+        const results = await Promise.all(
+            pieces.map(piece => this.translateText(piece.trim(), source, target, { ...options, skipChunking: true }))
+        );
+        if (results.some(r => !r.success)) return { success: false };
+        return { success: true, translatedText: results.map(r => r.translatedText).join(' ') };
+    }
+
     // Reconstruct formatted text from translated segments
     static reconstructFormatting(translatedSegments, structure) {
         const lines = [];
@@ -565,7 +585,8 @@ export class SarvamAIService {
     }
 
     // Text Translation with normalization, retry and better logging
-    static async translateText(text, fromLang = 'auto', toLang = 'hi-IN', _skipChunking = false) {
+    // options: skipChunking (segments of a chunked text), fetch (cassette turns), noCache (skip the translation cache)
+    static async translateText(text, fromLang = 'auto', toLang = 'hi-IN', options = {}) {
         try {
             // Input validation
             if (!text || typeof text !== 'string') {
@@ -589,7 +610,7 @@ export class SarvamAIService {
             }
 
             // Attempt cache retrieval (key based on original request params)
-            const { key: cacheKey, cached } = await this._getCachedTranslation(text, source, target);
+            const { key: cacheKey, cached } = options.noCache ? { key: null, cached: null } : await this._getCachedTranslation(text, source, target);
             if (cached) {
                 if (this.DEBUG) console.log('🗃️ Translation cache hit:', cacheKey);
                 return {
@@ -622,9 +643,9 @@ export class SarvamAIService {
             }
 
             // Check character limit for Sarvam API (1000 chars max) - only if chunking not disabled
-            if (!_skipChunking && cleanText.length > 1000) {
+            if (!options.skipChunking && cleanText.length > 1000) {
                 console.warn(`Translation text too long (${cleanText.length} chars), chunking...`);
-                return await this.translateTextWithFormatting(cleanText, source, target);
+                return await this.translateTextWithFormatting(cleanText, source, target, options);
             }
 
             // If text is still too long and chunking is disabled, truncate it
@@ -662,7 +683,7 @@ export class SarvamAIService {
                         });
                     }
 
-                    const response = await fetch(`${this.API_BASE_URL}/translate`, {
+                    const response = await (options.fetch || fetch)(`${this.API_BASE_URL}/translate`, {
                         method: 'POST',
                         headers: {
                             'api-subscription-key': this.getApiKey(),
@@ -678,7 +699,7 @@ export class SarvamAIService {
                         // Handle character limit error specifically
                         if (errorText.includes('exceed 1000 characters') || errorText.includes('Input text must not exceed')) {
                             console.warn('Character limit exceeded, trying chunked translation...');
-                            return await this.translateTextWithFormatting(cleanText, source, target);
+                            return await this.translateTextWithFormatting(cleanText, source, target, options);
                         }
                         
                         // If it's a mode error and we have more modes to try, continue
@@ -735,7 +756,7 @@ export class SarvamAIService {
                     model: 'mayura:v1'
                 };
 
-                const response = await fetch(`${this.API_BASE_URL}/translate`, {
+                const response = await (options.fetch || fetch)(`${this.API_BASE_URL}/translate`, {
                     method: 'POST',
                     headers: {
                         'api-subscription-key': this.getApiKey(),
@@ -0,0 +1,399 @@
+/**
+ * Soil Water Balance Service for Khet AI
+ * Daily root-zone water balance per crop project (FAO-56 ch. 8 "bucket"):
+ *   depletion(today) = depletion(yesterday) - effective rain - net irrigation + ETc × Ks
+ * The ledger lives in project.workflows.waterBalance; irrigation events logged by
+ * the farmer ("irrigated 2 hours by drip") refill the bucket, and the forecast
+ * ETc projects when depletion will cross readily available water (RAW) again.
+ */
+
+import FarmerCropProjectsService from './FarmerCropProjectsService';
+import WeatherToolsService from './WeatherToolsService';
+import EvapotranspirationService from './EvapotranspirationService';
+import WeatherProviderService from './WeatherProviderService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SQM_PER_ACRE = 4046.86;
+
+class SoilWaterBalanceService {
+  static LEDGER_DAYS = 60;
+  static MAX_EVENTS = 50;
+  static PROJECTION_DAYS = 21;
+
+  // Total available water per metre of root zone, mm/m (FAO-56 Table 19, mid-range)
+  static SOIL_TAW_MM_PER_M = {
+    sandy: 70,
+    sandy_loam: 110,
+    loam: 140,
+    clay_loam: 160,
+    clay: 180,
+    black_cotton: 190 // vertisols
+  };
+
+  // Max rooting depth (m) and depletion fraction p (FAO-56 Table 22)
+  static CROP_WATER_PARAMS = {
+    wheat: { rootDepth: 1.2, p: 0.55 },
+    rice: { rootDepth: 0.6, p: 0.2 },
+    paddy: { rootDepth: 0.6, p: 0.2 },
+    maize: { rootDepth: 1.2, p: 0.55 },
+    cotton: { rootDepth: 1.3, p: 0.65 },
+    sugarcane: { rootDepth: 1.5, p: 0.65 },
+    tomato: { rootDepth: 1.0, p: 0.4 },
+    potato: { rootDepth: 0.5, p: 0.35 },
+    onion: { rootDepth: 0.4, p: 0.3 },
+    soybean: { rootDepth: 0.9, p: 0.5 },
+    groundnut: { rootDepth: 0.7, p: 0.5 },
+    chickpea: { rootDepth: 0.8, p: 0.5 },
+    gram: { rootDepth: 0.8, p: 0.5 },
+    mustard: { rootDepth: 1.0, p: 0.6 },
+    chilli: { rootDepth: 0.7, p: 0.3 },
+    default: { rootDepth: 1.0, p: 0.5 }
+  };
+  static MIN_ROOT_DEPTH = 0.15; // m at sowing
+
+  // Application efficiency and default rate (mm/hour over the field) per method;
+  // flood/furrow rate comes from the pump flow and field area instead
+  static IRRIGATION_METHODS = {
+    drip: { efficiency: 0.9, mmPerHour: 2 },
+    sprinkler: { efficiency: 0.75, mmPerHour: 6 },
+    furrow: { efficiency: 0.6, mmPerHour: null },
+    flood: { efficiency: 0.5, mmPerHour: null }
+  };
+  static DEFAULT_PUMP_FLOW_LPS = 8; // ~5 HP borewell pump
+
+  /**
+   * Parse a farmer's irrigation note.
+   * "irrigated 2 hours by drip", "gave 40 mm flood yesterday", "watered 5000 litres sprinkler", "drip 90 min"
+   * @returns {{durationHours?:number, amountMm?:number, litres?:number, method:string, daysAgo:number}|null}
+   */
+  static parseIrrigationLog(text) {
+    const q = String(text || '').toLowerCase();
+    if (!q) return null;
+
+    const hours = q.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h\b|ghante|ghanta)/);
+    const minutes = q.match(/(\d+)\s*(?:minutes?|mins?)\b/);
+    const mm = q.match(/(\d+(?:\.\d+)?)\s*mm\b/);
+    const litres = q.match(/(\d[\d,]*)\s*(?:l|ltrs?|litres?|liters?)\b/);
+    if (!hours && !minutes && !mm && !litres) return null;
+
+    const method = (q.match(/\b(drip|sprinkler|furrow|flood|basin)\b/) || [])[1];
+    const daysAgoMatch = q.match(/(\d+)\s*days?\s*ago/);
+    const daysAgo = daysAgoMatch ? parseInt(daysAgoMatch[1], 10) : /\b(yesterday|kal)\b/.test(q) ? 1 : 0;
+
+    return {
+      ...(hours || minutes ? { durationHours: (hours ? parseFloat(hours[1]) : 0) + (minutes ? parseInt(minutes[1], 10) / 60 : 0) } : {}),
+      ...(mm ? { amountMm: parseFloat(mm[1]) } : {}),
+      ...(litres ? { litres: parseInt(litres[1].replace(/,/g, ''), 10) } : {}),
+      method: method === 'basin' ? 'flood' : (method || null),
+      daysAgo
+    };
+  }
+
+  /** True when a chat message reads like an irrigation log rather than a question */
+  static looksLikeIrrigationLog(text) {
+    const q = String(text || '').toLowerCase();
+    return /\b(irrigated|watered|gave\s+water|ran\s+(the\s+)?(drip|sprinkler|pump)|pani\s+diya)\b/.test(q) &&
+      !/\?\s*$/.test(q) && !!this.parseIrrigationLog(q);
+  }
+
+  /**
+   * Log an irrigation event and replay the ledger from that day
+   * @param {string} projectId
+   * @param {Object} event - { durationHours | amountMm | litres, method, date | daysAgo, note }
+   */
+  static async logIrrigation(projectId, event = {}) {
+    const project = await FarmerCropProjectsService.getProject(projectId);
+    if (!project) throw new Error('Project not found');
+    const wb = this._ensureState(project);
+    const area = project.cropDetails?.area > 0 ? project.cropDetails.area : 1;
+    const method = event.method || wb.method || 'flood';
+    const params = this.IRRIGATION_METHODS[method] || this.IRRIGATION_METHODS.flood;
+
+    let grossMm;
+    if (event.amountMm > 0) grossMm = event.amountMm;
+    else if (event.litres > 0) grossMm = event.litres / (SQM_PER_ACRE * area);
+    else if (event.durationHours > 0) grossMm = event.durationHours * this.applicationRateMmPerHour(method, area, wb.pumpFlowLps);
+    else throw new Error('Irrigation amount or duration required');
+
+    const date = event.date || this._localDateKey(new Date(Date.now() - (event.daysAgo || 0) * DAY_MS), wb.tzOffsetS);
+    const entry = {
+      id: Date.now().toString(),
+      date,
+      method,
+      durationHours: event.durationHours || null,
+      grossMm: Math.round(grossMm * 10) / 10,
+      netMm: Math.round(grossMm * params.efficiency * 10) / 10,
+      litres: Math.round(grossMm * SQM_PER_ACRE * area),
+      note: event.note || '',
+      loggedAt: new Date().toISOString()
+    };
+
+    const before = wb.depletionMm;
+    wb.events = [entry, ...(wb.events || [])].slice(0, this.MAX_EVENTS);
+    wb.method = method;
+    // Event day missing from the ledger (weather never fetched): open it with no ET
+    if (!wb.days.some(d => d.date === date)) {
+      wb.days.push(this._dayEntry(project, date, { et0: 0, rainMm: 0, estimated: true, provisional: date === this._localDateKey(new Date(), wb.tzOffsetS) }));
+      wb.days.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    this._replay(project, wb);
+    wb.nextIrrigation = this.projectNextIrrigation(project, wb, wb.forecast || []);
+
+    await FarmerCropProjectsService.updateProject(projectId, { workflows: { ...project.workflows, waterBalance: wb } });
+    return { success: true, event: entry, depletionBeforeMm: before, status: this.summarize(project, wb) };
+  }
+
+  /**
+   * Advance the ledger to today using the weather forecast and persist it
+   * @param {Object} [options] - fetch / noCache for the weather request
+   */
+  static async refresh(projectId, coordinates, options = {}) {
+    const project = await FarmerCropProjectsService.getProject(projectId);
+    if (!project) return { success: false, error: 'Project not found' };
+    if (!coordinates?.latitude || !coordinates?.longitude) {
+      const wb = this._ensureState(project);
+      return { success: true, status: this.summarize(project, wb), stale: true };
+    }
+    const weather = await WeatherToolsService.getAgricultureWeather(coordinates.latitude, coordinates.longitude, options);
+    if (!weather.success) return { success: false, error: weather.error };
+    const wb = this.advance(project, weather.daily || [], coordinates.latitude, new Date(), weather.timezoneOffset);
+    await FarmerCropProjectsService.updateProject(projectId, { workflows: { ...project.workflows, waterBalance: wb } });
+    return { success: true, status: this.summarize(project, wb) };
+  }
+
+  /**
+   * Pure ledger update: close past days, (re)write today's provisional entry,
+   * replay depletion and project the next irrigation date.
+   * Days are the farm's calendar days (tzOffsetS from the forecast), not UTC ones.
+   * @returns {Object} new waterBalance state
+   */
+  static advance(project, daily, latitude, now = new Date(), tzOffsetS = undefined) {
+    const wb = this._ensureState(project);
+    if (tzOffsetS != null) wb.tzOffsetS = tzOffsetS;
+    const today = this._localDateKey(now, wb.tzOffsetS);
+    const forecast = WeatherToolsService.calculateDailyET(daily.slice(0, 5), latitude, { tzOffsetS: wb.tzOffsetS }).map((d, i) => ({
+      ...d,
+      rainMm: this._rainOf(daily[i])
+    }));
+    const byDate = new Map(forecast.map(d => [d.date, d]));
+    const fallback = forecast[0] || { et0: wb.days[wb.days.length - 1]?.et0 || 0, rainMm: 0 };
+
+    // Today's entry is provisional: drop and rebuild it with the latest forecast
+    wb.days = wb.days.filter(d => !(d.provisional && d.date >= today));
+    const last = wb.days[wb.days.length - 1];
+    let cursor = last ? new Date(new Date(`${last.date}T00:00:00Z`).getTime() + DAY_MS) : new Date(`${today}T00:00:00Z`);
+    while (this._dateKey(cursor) <= today) {
+      const date = this._dateKey(cursor);
+      const w = byDate.get(date);
+      wb.days.push(this._dayEntry(project, date, {
+        et0: w ? w.et0 : fallback.et0,
+        rainMm: w ? w.rainMm : 0,
+        // Past days without their own forecast reuse today's ET0 and assume no rain
+        estimated: !w,
+        provisional: date === today
+      }));
+      cursor = new Date(cursor.getTime() + DAY_MS);
+    }
+    this._trimLedger(project, wb);
+    wb.forecast = forecast.filter(d => d.date > today);
+    wb.updatedAt = new Date().toISOString();
+    this._replay(project, wb);
+    wb.nextIrrigation = this.projectNextIrrigation(project, wb, wb.forecast, now);
+    return wb;
+  }
+
+  // Drop days beyond LEDGER_DAYS, carrying the last dropped day's depletion into the replay start
+  static _trimLedger(project, wb) {
+    const overflow = wb.days.length - this.LEDGER_DAYS;
+    if (overflow <= 0) return wb;
+    this._replay(project, wb);
+    wb.initialDepletionMm = wb.days[overflow - 1].depletionMm;
+    wb.days = wb.days.slice(overflow);
+    return wb;
+  }
+
+  /**
+   * Walk forward from the current depletion with forecast ETc (then the recent average)
+   * until depletion reaches RAW
+   */
+  static projectNextIrrigation(project, wb, forecast = [], now = new Date()) {
+    const today = this._localDateKey(now, wb.tzOffsetS);
+    const { taw, raw } = this.rootZone(project, now);
+    const area = project.cropDetails?.area > 0 ? project.cropDetails.area : 1;
+    const recent = wb.days.slice(-3);
+    const avgEtc = recent.length ? recent.reduce((s, d) => s + d.etcMm, 0) / recent.length : 4;
+    const method = wb.method || 'flood';
+    const efficiency = (this.IRRIGATION_METHODS[method] || this.IRRIGATION_METHODS.flood).efficiency;
+
+    const result = (inDays, depletion, basis) => {
+      const netMm = Math.round(depletion);
+      const grossMm = Math.round(depletion / efficiency);
+      return {
+        date: this._dateKey(new Date(new Date(`${today}T00:00:00Z`).getTime() + inDays * DAY_MS)),
+        inDays,
+        refillNetMm: netMm,
+        refillGrossMm: grossMm,
+        litresPerAcre: Math.round(grossMm * SQM_PER_ACRE),
+        totalLitres: Math.round(grossMm * SQM_PER_ACRE * area),
+        method,
+        basis
+      };
+    };
+
+    let depletion = wb.depletionMm;
+    if (depletion >= raw) return result(0, depletion, 'depleted');
+    for (let i = 1; i <= this.PROJECTION_DAYS; i++) {
+      const f = forecast[i - 1];
+      const etc = f ? f.et0 * EvapotranspirationService.cropCoefficient(project.cropName, {
+        plantingDate: project.cropDetails?.plantingDate,
+        growthStage: project.cropDetails?.growthStage,
+        date: new Date(`${f.date}T00:00:00Z`)
+      }).kc : avgEtc;
+      depletion = Math.min(Math.max(depletion - this.effectiveRain(f?.rainMm || 0) + etc, 0), taw);
+      if (depletion >= raw) return result(i, depletion, f ? 'forecast' : 'recent_average');
+    }
+    return null; // not within the projection window (cool weather / early stage)
+  }
+
+  /** Root depth, TAW and RAW for the project on a date */
+  static rootZone(project, date = new Date()) {
+    const crop = String(project.cropName || '').toLowerCase();
+    const params = this.CROP_WATER_PARAMS[crop] || this.CROP_WATER_PARAMS.default;
+    const soil = this.soilTypeOf(project);
+    const kc = EvapotranspirationService.cropCoefficient(project.cropName, {
+      plantingDate: project.cropDetails?.plantingDate,
+      growthStage: project.cropDetails?.growthStage,
+      date
+    });
+    // Roots reach full depth at the end of the development stage
+    const curve = EvapotranspirationService.curveFor(project.cropName);
+    const fullAt = curve.lengths[0] + curve.lengths[1];
+    let fraction;
+    if (kc.daysAfterPlanting != null) fraction = Math.min(kc.daysAfterPlanting / fullAt, 1);
+    else fraction = { initial: 0, development: 0.5 }[kc.stage] ?? 1;
+    const rootDepth = this.MIN_ROOT_DEPTH + (params.rootDepth - this.MIN_ROOT_DEPTH) * fraction;
+    const taw = this.SOIL_TAW_MM_PER_M[soil] * rootDepth;
+    return {
+      soilType: soil,
+      rootDepthM: Math.round(rootDepth * 100) / 100,
+      taw: Math.round(taw),
+      raw: Math.round(taw * params.p),
+      p: params.p,
+      kc
+    };
+  }
+
+  static soilTypeOf(project) {
+    const soil = String(project.cropDetails?.soilType || project.workflows?.waterBalance?.soilType || 'loam').toLowerCase().replace(/\s+/g, '_');
+    return this.SOIL_TAW_MM_PER_M[soil] ? soil : 'loam';
+  }
+
+  static applicationRateMmPerHour(method, areaAcres = 1, pumpFlowLps = this.DEFAULT_PUMP_FLOW_LPS) {
+    const params = this.IRRIGATION_METHODS[method] || this.IRRIGATION_METHODS.flood;
+    if (params.mmPerHour) return params.mmPerHour;
+    return (pumpFlowLps * 3600) / (SQM_PER_ACRE * areaAcres);
+  }
+
+  // Light showers are lost to interception/evaporation; ~20% of larger events runs off
+  static effectiveRain(rainMm) {
+    return rainMm < 2 ? 0 : rainMm * 0.8;
+  }
+
+  /** Compact status for cards, tools and prompts */
+  static summarize(project, wb = project.workflows?.waterBalance) {
+    if (!wb) return null;
+    const zone = this.rootZone(project);
+    const depletion = Math.min(wb.depletionMm, zone.taw);
+    return {
+      soilType: zone.soilType,
+      rootDepthM: zone.rootDepthM,
+      tawMm: zone.taw,
+      rawMm: zone.raw,
+      depletionMm: Math.round(depletion * 10) / 10,
+      // Share of the bucket still full (1 = field capacity)
+      availableFraction: zone.taw > 0 ? Math.round((1 - depletion / zone.taw) * 100) / 100 : 1,
+      stressed: depletion > zone.raw,
+      kc: zone.kc.kc,
+      lastIrrigation: wb.events?.[0] || null,
+      nextIrrigation: wb.nextIrrigation || null,
+      recentDays: wb.days.slice(-7),
+      updatedAt: wb.updatedAt
+    };
+  }
+
+  static _ensureState(project) {
+    const existing = project.workflows?.waterBalance;
+    if (existing?.days) return { ...existing, days: existing.days.map(d => ({ ...d })) };
+    return {
+      version: 1,
+      soilType: this.soilTypeOf(project),
+      method: null,
+      pumpFlowLps: this.DEFAULT_PUMP_FLOW_LPS,
+      // Tracking starts at field capacity (after sowing irrigation / rain)
+      initialDepletionMm: 0,
+      depletionMm: 0,
+      days: [],
+      events: [],
+      forecast: [],
+      nextIrrigation: null,
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  static _dayEntry(project, date, { et0, rainMm, estimated = false, provisional = false }) {
+    const kc = EvapotranspirationService.cropCoefficient(project.cropName, {
+      plantingDate: project.cropDetails?.plantingDate,
+      growthStage: project.cropDetails?.growthStage,
+      date: new Date(`${date}T00:00:00Z`)
+    });
+    return {
+      date,
+      et0: Math.round(et0 * 100) / 100,
+      kc: kc.kc,
+      etcMm: Math.round(et0 * kc.kc * 100) / 100,
+      rainMm: Math.round(rainMm * 10) / 10,
+      effectiveRainMm: Math.round(this.effectiveRain(rainMm) * 10) / 10,
+      irrigationMm: 0,
+      estimated,
+      provisional
+    };
+  }
+
+  // Recompute depletion for every ledger day from the logged events (FAO-56 eq. 85 with Ks, eq. 84)
+  static _replay(project, wb) {
+    const netByDate = {};
+    (wb.events || []).forEach(e => { netByDate[e.date] = (netByDate[e.date] || 0) + e.netMm; });
+
+    let depletion = wb.initialDepletionMm || 0;
+    wb.days.forEach(d => {
+      const { taw, raw } = this.rootZone(project, new Date(`${d.date}T00:00:00Z`));
+      const ks = depletion > raw && taw > raw ? Math.max((taw - depletion) / (taw - raw), 0) : 1;
+      d.startMm = Math.round(depletion * 10) / 10;
+      d.irrigationMm = Math.round((netByDate[d.date] || 0) * 10) / 10;
+      d.ks = Math.round(ks * 100) / 100;
+      // Water beyond field capacity drains below the root zone
+      depletion = Math.min(Math.max(depletion - d.effectiveRainMm - d.irrigationMm + d.etcMm * ks, 0), taw);
+      d.depletionMm = Math.round(depletion * 10) / 10;
+      d.tawMm = taw;
+      d.rawMm = raw;
+    });
+    wb.depletionMm = Math.round(depletion * 10) / 10;
+    return wb;
+  }
+
+  static _rainOf(day) {
+    if (!day?.rain) return 0;
+    return typeof day.rain === 'number' ? day.rain : (day.rain['1h'] || day.rain['3h'] || 0);
+  }
+
+  // For UTC-midnight ledger dates; wall-clock instants go through _localDateKey
+  static _dateKey(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  static _localDateKey(date, tzOffsetS) {
+    return WeatherProviderService.localDateKey(Math.floor(date.getTime() / 1000), tzOffsetS);
+  }
+}
+
+export default SoilWaterBalanceService;
@@ -0,0 +1,195 @@
+/**
+ * Spray Window Service for Khet AI
+ * Scores forecast slots for pesticide / foliar spraying and merges the good
+ * ones into ranked time windows. Each slot is checked for drift (wind),
+ * wash-off (rain in the rain-fast period after application), temperature
+ * inversion risk (calm, clear night / early morning), leaf wetness and
+ * evaporation (Delta T = dry bulb - wet bulb).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SprayWindowService {
+  static HORIZON_HOURS = 48;
+  static DEFAULT_RAIN_FAST_HOURS = 4; // most contact products; systemic ones often need only 1-2 h
+  static DEFAULT_TZ_OFFSET_S = 19800; // IST when the forecast carries no timezone
+
+  static LIMITS = {
+    windMax: 4.5, // m/s (~16 km/h) - drift above this
+    windIdealMax: 3.0,
+    windCalm: 0.8, // below this, droplets hang in an inversion layer
+    rainMm: 0.2, // per slot, counts as wash-off
+    rainPop: 0.4, // probability of precipitation counted as rain
+    deltaTMin: 2, // below: droplets stay wet / run off
+    deltaTIdealMax: 8,
+    deltaTMax: 10, // above: droplets evaporate before reaching the leaf
+    tempMax: 32,
+    tempMin: 8,
+    wetHumidity: 90,
+    inversionClouds: 30 // % cloud cover below which night-time radiative cooling is strong
+  };
+
+  /**
+   * Wet-bulb temperature from air temperature (°C) and RH (%), Stull (2011)
+   */
+  static wetBulb(temp, rh) {
+    return temp * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+      + Math.atan(temp + rh)
+      - Math.atan(rh - 1.676331)
+      + 0.00391838 * rh ** 1.5 * Math.atan(0.023101 * rh)
+      - 4.686035;
+  }
+
+  static deltaT(temp, rh) {
+    return Math.round((temp - this.wetBulb(temp, rh)) * 10) / 10;
+  }
+
+  /**
+   * Score one forecast slot (0-100) with the reasons that cost it points
+   * @param {Object} slot - hourly entry ({dt, temp, humidity, wind_speed, wind_gust, clouds, pop, rain})
+   * @param {Object[]} after - slots covering the rain-fast period after application
+   * @param {Object|null} before - previous slot (rain there leaves leaves wet)
+   */
+  static scoreSlot(slot, after = [], before = null, { tzOffsetS = this.DEFAULT_TZ_OFFSET_S } = {}) {
+    const L = this.LIMITS;
+    const reasons = [];
+    let score = 100;
+    let blocked = false;
+    const block = (reason) => { blocked = true; reasons.push(reason); };
+
+    const wind = slot.wind_speed ?? 0;
+    const gust = slot.wind_gust ?? wind;
+    const hour = new Date((slot.dt + tzOffsetS) * 1000).getUTCHours();
+    const night = hour >= 19 || hour < 6;
+    const dT = this.deltaT(slot.temp, slot.humidity);
+    const rainIn = (s) => (s?.rain?.['3h'] ?? s?.rain?.['1h'] ?? 0);
+
+    // Drift
+    if (wind > L.windMax || gust > L.windMax * 1.5) block(`wind ${wind} m/s${gust > wind ? ` (gusts ${gust})` : ''} - drift`);
+    else if (wind > L.windIdealMax) { score -= 20; reasons.push(`breezy ${wind} m/s`); }
+
+    // Wash-off: rain in this slot or the rain-fast period after it
+    const wet = [slot, ...after].find(s => rainIn(s) > L.rainMm || (s.pop ?? 0) >= L.rainPop);
+    if (wet) {
+      const inHours = Math.round((wet.dt - slot.dt) / 3600);
+      block(inHours === 0 ? 'rain expected' : `rain within ${inHours} h`);
+    } else {
+      const maxPop = Math.max(0, ...[slot, ...after].map(s => s.pop ?? 0));
+      if (maxPop >= 0.2) { score -= 15; reasons.push(`${Math.round(maxPop * 100)}% rain chance`); }
+    }
+
+    // Inversion: calm, clear, night / early morning
+    const clear = (slot.clouds ?? 50) < L.inversionClouds;
+    let inversionRisk = 'low';
+    if (night && wind < L.windCalm * 2 && clear) inversionRisk = 'high';
+    else if ((night || hour < 8) && wind < L.windCalm) inversionRisk = 'medium';
+    if (inversionRisk === 'high') block('temperature inversion likely (calm clear night)');
+    else if (inversionRisk === 'medium') { score -= 25; reasons.push('calm air - inversion risk'); }
+    if (night && inversionRisk !== 'high') { score -= 20; reasons.push('night application'); }
+
+    // Leaf wetness: dew / fresh rain dilutes and runs off
+    const leafWet = slot.humidity >= L.wetHumidity || dT < 1 || rainIn(before) > L.rainMm;
+    if (leafWet) { score -= 30; reasons.push('leaves likely wet (dew / recent rain)'); }
+
+    // Evaporation and efficacy
+    if (dT > L.deltaTMax) block(`Delta T ${dT} - droplets evaporate`);
+    else if (dT > L.deltaTIdealMax) { score -= 15; reasons.push(`Delta T ${dT} (marginal)`); }
+    else if (dT < L.deltaTMin && !leafWet) { score -= 15; reasons.push(`Delta T ${dT} (slow drying)`); }
+    if (slot.temp > L.tempMax) { score -= 20; reasons.push(`hot ${slot.temp}°C`); }
+    if (slot.temp < L.tempMin) { score -= 20; reasons.push(`cold ${slot.temp}°C`); }
+
+    return {
+      dt: slot.dt,
+      hour,
+      score: blocked ? 0 : Math.max(score, 0),
+      sprayable: !blocked && score >= 50,
+      deltaT: dT,
+      wind,
+      temp: slot.temp,
+      humidity: slot.humidity,
+      inversionRisk,
+      leafWet,
+      reasons
+    };
+  }
+
+  /**
+   * Ranked spray windows for the next `hours` from the forecast
+   * @param {Object[]} hourly - WeatherToolsService hourly entries (3-hourly on the free API)
+   * @returns {{windows:Object[], slots:Object[], stepHours:number, rainFastHours:number, summary:string}}
+   */
+  static planWindows(hourly = [], { hours = this.HORIZON_HOURS, rainFastHours = this.DEFAULT_RAIN_FAST_HOURS, tzOffsetS = this.DEFAULT_TZ_OFFSET_S, now = Date.now() } = {}) {
+    const horizonEnd = now / 1000 + hours * 3600;
+    const stepHours = hourly.length > 1 ? Math.max(1, Math.round((hourly[1].dt - hourly[0].dt) / 3600)) : 1;
+    // Keep the slot already in progress
+    const upcoming = hourly.filter(h => h.dt * 1000 + stepHours * HOUR_MS > now && h.dt <= horizonEnd);
+    const afterSlots = Math.max(1, Math.ceil(rainFastHours / stepHours));
+
+    const slots = upcoming.map(slot => {
+      const idx = hourly.indexOf(slot);
+      return this.scoreSlot(slot, hourly.slice(idx + 1, idx + 1 + afterSlots), hourly[idx - 1] || null, { tzOffsetS });
+    });
+
+    // Merge consecutive sprayable slots into windows
+    const windows = [];
+    let current = null;
+    slots.forEach(s => {
+      if (!s.sprayable) { current = null; return; }
+      if (!current) {
+        current = { start: s.dt, end: s.dt + stepHours * 3600, slots: [s] };
+        windows.push(current);
+      } else {
+        current.end = s.dt + stepHours * 3600;
+        current.slots.push(s);
+      }
+    });
+
+    const ranked = windows.map(w => {
+      const score = Math.round(w.slots.reduce((sum, s) => sum + s.score, 0) / w.slots.length);
+      const best = w.slots.reduce((a, b) => (b.score > a.score ? b : a));
+      return {
+        start: new Date(w.start * 1000).toISOString(),
+        end: new Date(w.end * 1000).toISOString(),
+        label: this.formatWindow(w.start, w.end, tzOffsetS),
+        durationHours: Math.round((w.end - w.start) / 3600),
+        score,
+        rating: score >= 80 ? 'good' : 'fair',
+        bestTime: this.formatHour(best.dt, tzOffsetS),
+        wind: best.wind,
+        deltaT: best.deltaT,
+        temp: best.temp,
+        cautions: Array.from(new Set(w.slots.flatMap(s => s.reasons)))
+      };
+    }).sort((a, b) => b.score - a.score || a.start.localeCompare(b.start));
+
+    const blockers = Array.from(new Set(slots.filter(s => !s.sprayable).flatMap(s => s.reasons)));
+    return {
+      windows: ranked,
+      slots,
+      stepHours,
+      rainFastHours,
+      horizonHours: hours,
+      summary: ranked.length
+        ? `Best spray window: ${ranked[0].label} (${ranked[0].rating}, wind ${ranked[0].wind} m/s, Delta T ${ranked[0].deltaT})`
+        : `No suitable spray window in the next ${hours} h${blockers.length ? `: ${blockers.slice(0, 3).join('; ')}` : ''}`
+    };
+  }
+
+  static formatHour(dtS, tzOffsetS) {
+    const d = new Date((dtS + tzOffsetS) * 1000);
+    const h = d.getUTCHours();
+    return `${h % 12 || 12}${h < 12 ? 'am' : 'pm'}`;
+  }
+
+  static formatWindow(startS, endS, tzOffsetS) {
+    const day = (s) => {
+      const d = new Date((s + tzOffsetS) * 1000);
+      const today = new Date(Date.now() + tzOffsetS * 1000);
+      const diff = Math.round((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate())) / 86400000);
+      return diff === 0 ? 'Today' : diff === 1 ? 'Tomorrow' : d.toLocaleDateString('en-IN', { weekday: 'short', timeZone: 'UTC' });
+    };
+    return `${day(startS)} ${this.formatHour(startS, tzOffsetS)}-${this.formatHour(endS, tzOffsetS)}`;
+  }
+}
+
+export default SprayWindowService;
@@ -92,8 +92,10 @@ class TelemetryService {
   static classify(summary) { return this.emit('ai.intent', summary); }
   static toolInvoke(data) { return this.emit('ai.tool.invoke', data); }
   static toolResult(data) { return this.emit('ai.tool.result', data); }
+  static toolCircuit(data) { return this.emit('ai.tool.circuit', data); }
   static translation(data) { return this.emit('ai.translation', data); }
   static response(data) { return this.emit('ai.response.final', data); }
+  static promptBudget(data) { return this.emit('ai.prompt.budget', data, { console: false }); }
   static error(data) { return this.emit('ai.error', data, { console: true }); }
   static cache(data) { return this.emit('ai.cache', data, { console: false }); }
 }
@@ -0,0 +1,333 @@
+/**
+ * Weather Provider Service for Khet AI
+ * Pluggable weather sources behind one interface. Every provider returns the
+ * normalized shape the app consumes:
+ *   { current, hourly, daily, alerts, timezoneOffset, location }
+ * (OpenWeather-style field names: temp, humidity, wind_speed m/s, weather[],
+ * rain['1h'|'3h'], daily temp.min/max, daily `date` as the location-local
+ * YYYY-MM-DD and `complete: false` for a partly elapsed day). Providers are tried in the failover
+ * order from EnvironmentConfig.getWeatherProviderOrder().
+ *
+ * Provider interface:
+ *   id, label, isConfigured(), fetchWeather(lat, lon, options), geocode(placeName, options)
+ * options.fetch replaces the global fetch (cassette recording / replay of one turn).
+ */
+
+import EnvironmentConfig from '../config/environment.js';
+import weatherStub from '../data/weatherStub.json';
+
+const DAY_S = 86400;
+const DEFAULT_TZ_OFFSET_S = 19800; // IST when a provider reports no offset
+
+// Calendar date (YYYY-MM-DD) at the forecast location, not on the device or in UTC
+function localDateKey(dtS, tzOffsetS = DEFAULT_TZ_OFFSET_S) {
+  return new Date((dtS + (tzOffsetS ?? DEFAULT_TZ_OFFSET_S)) * 1000).toISOString().split('T')[0];
+}
+
+// WMO weather interpretation codes (Open-Meteo) -> OpenWeather-style condition
+const WMO_CONDITIONS = [
+  { codes: [0], main: 'Clear', description: 'clear sky', icon: '01' },
+  { codes: [1, 2], main: 'Clouds', description: 'partly cloudy', icon: '02' },
+  { codes: [3], main: 'Clouds', description: 'overcast clouds', icon: '04' },
+  { codes: [45, 48], main: 'Fog', description: 'fog', icon: '50' },
+  { codes: [51, 53, 55, 56, 57], main: 'Drizzle', description: 'drizzle', icon: '09' },
+  { codes: [61, 63, 66, 80, 81], main: 'Rain', description: 'rain', icon: '10' },
+  { codes: [65, 67, 82], main: 'Rain', description: 'heavy rain', icon: '10' },
+  { codes: [71, 73, 75, 77, 85, 86], main: 'Snow', description: 'snow', icon: '13' },
+  { codes: [95, 96, 99], main: 'Thunderstorm', description: 'thunderstorm', icon: '11' }
+];
+
+export class OpenWeatherProvider {
+  static id = 'openweather';
+  static label = 'OpenWeather';
+  static BASE_URL = 'https://api.openweathermap.org/data';
+  static GEO_URL = 'https://api.openweathermap.org/geo/1.0/direct';
+
+  static getApiKey() {
+    return EnvironmentConfig.getOpenWeatherApiKey() || EnvironmentConfig.getApiKeysFromMemory().openweather || null;
+  }
+
+  static isConfigured() {
+    return !!this.getApiKey();
+  }
+
+  // Free 2.5 endpoints (current + 5 day / 3 hour forecast)
+  static async fetchWeather(lat, lon, options = {}) {
+    const apiKey = this.getApiKey();
+    const request = options.fetch || fetch;
+    const [currentResponse, forecastResponse] = await Promise.all([
+      request(`${this.BASE_URL}/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`),
+      request(`${this.BASE_URL}/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`)
+    ]);
+    if (!currentResponse.ok) throw new Error(`Weather API error: ${currentResponse.status}`);
+    if (!forecastResponse.ok) throw new Error(`Forecast API error: ${forecastResponse.status}`);
+
+    const currentData = await currentResponse.json();
+    const forecastData = await forecastResponse.json();
+    return {
+      current: {
+        temp: Math.round(currentData.main.temp), // Round to match WeatherCard
+        humidity: currentData.main.humidity,
+        wind_speed: currentData.wind.speed,
+        weather: currentData.weather,
+        dt: currentData.dt
+      },
+      hourly: forecastData.list.slice(0, 24).map(item => ({
+        dt: item.dt,
+        temp: Math.round(item.main.temp),
+        humidity: item.main.humidity,
+        wind_speed: item.wind.speed,
+        wind_gust: item.wind.gust,
+        clouds: item.clouds?.all,
+        pop: item.pop,
+        weather: item.weather,
+        rain: item.rain
+      })),
+      daily: this.groupForecastByDay(forecastData.list, forecastData.city?.timezone ?? currentData.timezone).slice(0, 7),
+      alerts: [], // Free API doesn't include alerts
+      timezoneOffset: forecastData.city?.timezone ?? currentData.timezone
+    };
+  }
+
+  // Group the 3-hourly forecast into the location's calendar days (rain['1h'] carries the day total).
+  // The first and last days only hold the slots inside the 5-day window and are marked incomplete.
+  static groupForecastByDay(forecastList, tzOffsetS = DEFAULT_TZ_OFFSET_S) {
+    const dailyData = {};
+
+    forecastList.forEach(item => {
+      const date = localDateKey(item.dt, tzOffsetS);
+
+      if (!dailyData[date]) {
+        dailyData[date] = {
+          dt: item.dt,
+          date,
+          slots: 1,
+          temp: { min: item.main.temp, max: item.main.temp },
+          humidity: item.main.humidity,
+          weather: item.weather,
+          rain: item.rain || null,
+          wind_speed: item.wind.speed
+        };
+      } else {
+        dailyData[date].slots++;
+        // Update min/max temperatures
+        dailyData[date].temp.min = Math.min(dailyData[date].temp.min, item.main.temp);
+        dailyData[date].temp.max = Math.max(dailyData[date].temp.max, item.main.temp);
+
+        // Accumulate rain if present
+        if (item.rain && dailyData[date].rain) {
+          dailyData[date].rain['1h'] = (dailyData[date].rain['1h'] || 0) + (item.rain['3h'] || 0);
+        } else if (item.rain) {
+          dailyData[date].rain = item.rain;
+        }
+      }
+    });
+
+    return Object.values(dailyData).map(({ slots, ...day }) => ({ ...day, complete: slots >= 8 }));
+  }
+
+  static async geocode(placeName, options = {}) {
+    const apiKey = this.getApiKey();
+    const response = await (options.fetch || fetch)(`${this.GEO_URL}?q=${encodeURIComponent(placeName)}&limit=1&appid=${apiKey}`);
+    if (!response.ok) throw new Error(`Geocoding failed: ${response.status}`);
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) return null;
+    const { lat, lon, name, state, country } = data[0];
+    return { lat, lon, name: name || placeName, state, country };
+  }
+}
+
+export class OpenMeteoProvider {
+  static id = 'openmeteo';
+  static label = 'Open-Meteo';
+  static BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+  static GEO_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+  static HOURLY_LIMIT = 72; // hourly steps; OpenWeather's 24 x 3 h covers the same span
+
+  // Keyless
+  static isConfigured() {
+    return true;
+  }
+
+  static async fetchWeather(lat, lon, options = {}) {
+    const params = [
+      `latitude=${lat}`,
+      `longitude=${lon}`,
+      'current=temperature_2m,relative_humidity_2m,wind_speed_10m,weather_code',
+      'hourly=temperature_2m,relative_humidity_2m,wind_speed_10m,wind_gusts_10m,cloud_cover,precipitation_probability,precipitation,weather_code',
+      'daily=temperature_2m_max,temperature_2m_min,precipitation_sum,relative_humidity_2m_mean,wind_speed_10m_max,weather_code',
+      'wind_speed_unit=ms',
+      'timeformat=unixtime',
+      'timezone=auto',
+      'forecast_days=7'
+    ].join('&');
+    const response = await (options.fetch || fetch)(`${this.BASE_URL}?${params}`);
+    if (!response.ok) throw new Error(`Open-Meteo API error: ${response.status}`);
+    return this.normalize(await response.json());
+  }
+
+  static normalize(data) {
+    const { current = {}, hourly = {}, daily = {} } = data;
+    const nowS = Math.floor(Date.now() / 1000);
+    const hourlyRows = (hourly.time || [])
+      .map((dt, i) => ({ dt, i }))
+      .filter(({ dt }) => dt + 3600 > nowS)
+      .slice(0, this.HOURLY_LIMIT)
+      .map(({ dt, i }) => {
+        const rainMm = hourly.precipitation?.[i] || 0;
+        return {
+          dt,
+          temp: Math.round(hourly.temperature_2m[i]),
+          humidity: hourly.relative_humidity_2m?.[i],
+          wind_speed: hourly.wind_speed_10m?.[i],
+          wind_gust: hourly.wind_gusts_10m?.[i],
+          clouds: hourly.cloud_cover?.[i],
+          pop: hourly.precipitation_probability?.[i] != null ? hourly.precipitation_probability[i] / 100 : undefined,
+          weather: this.condition(hourly.weather_code?.[i]),
+          ...(rainMm > 0 ? { rain: { '1h': rainMm } } : {})
+        };
+      });
+
+    return {
+      current: {
+        temp: Math.round(current.temperature_2m),
+        humidity: current.relative_humidity_2m,
+        wind_speed: current.wind_speed_10m,
+        weather: this.condition(current.weather_code),
+        dt: current.time
+      },
+      hourly: hourlyRows,
+      daily: (daily.time || []).map((dt, i) => ({
+        // Daily times are local midnight; noon keeps the UTC date on the same calendar day
+        dt: dt + DAY_S / 2,
+        date: localDateKey(dt, data.utc_offset_seconds),
+        temp: { min: daily.temperature_2m_min[i], max: daily.temperature_2m_max[i] },
+        humidity: daily.relative_humidity_2m_mean?.[i],
+        weather: this.condition(daily.weather_code?.[i]),
+        rain: daily.precipitation_sum?.[i] > 0 ? { '1h': daily.precipitation_sum[i] } : null,
+        wind_speed: daily.wind_speed_10m_max?.[i]
+      })),
+      alerts: [],
+      timezoneOffset: data.utc_offset_seconds
+    };
+  }
+
+  static condition(code) {
+    const match = WMO_CONDITIONS.find(c => c.codes.includes(code)) || WMO_CONDITIONS[1];
+    return [{ id: code, main: match.main, description: match.description, icon: `${match.icon}d` }];
+  }
+
+  static async geocode(placeName, options = {}) {
+    const response = await (options.fetch || fetch)(`${this.GEO_URL}?name=${encodeURIComponent(placeName)}&count=1&language=en&format=json`);
+    if (!response.ok) throw new Error(`Geocoding failed: ${response.status}`);
+    const data = await response.json();
+    const hit = data.results?.[0];
+    if (!hit) return null;
+    return { lat: hit.latitude, lon: hit.longitude, name: hit.name || placeName, state: hit.admin1, country: hit.country_code };
+  }
+}
+
+export class LocalStubWeatherProvider {
+  static id = 'stub';
+  static label = 'Local stub';
+  static _fixture = weatherStub;
+
+  static isConfigured() {
+    return true;
+  }
+
+  /** Replace the bundled fixture (tests / demos) */
+  static setFixture(fixture) {
+    this._fixture = fixture || weatherStub;
+  }
+
+  // Fixture timestamps are shifted by whole days so the first day is today and times of day are kept
+  static async fetchWeather(lat, lon) {
+    const fixture = this._fixture;
+    const shift = Math.floor((Date.now() / 1000 - fixture.generatedAt) / DAY_S) * DAY_S;
+    const move = (row) => ({ ...row, dt: row.dt + shift });
+    return {
+      current: { ...fixture.current, dt: Math.floor(Date.now() / 1000) },
+      hourly: (fixture.hourly || []).map(move),
+      daily: (fixture.daily || []).map(move).map(day => ({ ...day, date: localDateKey(day.dt, fixture.timezoneOffset) })),
+      alerts: fixture.alerts || [],
+      timezoneOffset: fixture.timezoneOffset
+    };
+  }
+
+  // Only the fixture's own place resolves; any other name stays unresolved instead of borrowing its coordinates
+  static async geocode(placeName) {
+    const { location } = this._fixture;
+    const wanted = String(placeName || '').trim().toLowerCase();
+    if (!location?.name || wanted !== location.name.toLowerCase()) return null;
+    return { lat: location.lat, lon: location.lon, name: location.name, state: location.state || null, country: 'IN' };
+  }
+}
+
+class WeatherProviderService {
+  static PROVIDERS = {
+    [OpenWeatherProvider.id]: OpenWeatherProvider,
+    [OpenMeteoProvider.id]: OpenMeteoProvider,
+    [LocalStubWeatherProvider.id]: LocalStubWeatherProvider
+  };
+
+  static DEFAULT_TZ_OFFSET_S = DEFAULT_TZ_OFFSET_S;
+
+  /** Location-local date key for a unix time; pass the forecast's timezoneOffset */
+  static localDateKey(dtS, tzOffsetS) {
+    return localDateKey(dtS, tzOffsetS);
+  }
+
+  /** Display name for a provider id (tool source lines) */
+  static labelFor(id) {
+    return this.PROVIDERS[id]?.label || 'Weather provider';
+  }
+
+  static register(provider) {
+    this.PROVIDERS[provider.id] = provider;
+  }
+
+  /** Configured providers in failover order (the stub only when WEATHER_PROVIDERS names it) */
+  static getProviders() {
+    return EnvironmentConfig.getWeatherProviderOrder()
+      .map(id => this.PROVIDERS[id])
+      .filter(p => p && p.isConfigured());
+  }
+
+  /**
+   * Weather from the first provider that answers
+   * @param {Object} [options] - fetch for the provider requests
+   * @returns {Promise<Object>} normalized weather plus `provider` id and `failover` errors of skipped providers
+   */
+  static async fetchWeather(lat, lon, options = {}) {
+    const providers = this.getProviders();
+    if (!providers.length) throw new Error('No weather provider configured');
+    const errors = [];
+    for (const provider of providers) {
+      try {
+        const data = await provider.fetchWeather(lat, lon, options);
+        if (errors.length) console.log(`🌦️ Weather served by ${provider.label} after: ${errors.map(e => `${e.provider} (${e.error})`).join(', ')}`);
+        return { ...data, provider: provider.id, ...(errors.length ? { failover: errors } : {}) };
+      } catch (error) {
+        errors.push({ provider: provider.id, error: error.message });
+      }
+    }
+    throw new Error(`All weather providers failed: ${errors.map(e => `${e.provider}: ${e.error}`).join('; ')}`);
+  }
+
+  static async geocode(placeName, options = {}) {
+    const errors = [];
+    for (const provider of this.getProviders()) {
+      try {
+        const hit = await provider.geocode(placeName, options);
+        if (hit) return { ...hit, provider: provider.id };
+      } catch (error) {
+        errors.push(`${provider.id}: ${error.message}`);
+      }
+    }
+    if (errors.length) throw new Error(errors.join('; '));
+    return null;
+  }
+}
+
+export default WeatherProviderService;
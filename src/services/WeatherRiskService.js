@@ -0,0 +1,177 @@
+/**
+ * Weather Risk Service for Khet AI
+ * Multi-day temperature risk rules over the daily forecast: heatwaves
+ * (consecutive hot days), frost and cold waves (night minima below the
+ * crop's cold threshold) and sudden temperature drops. Severity is raised
+ * when the crop is in a stage that is sensitive to the hazard (e.g. wheat
+ * at flowering / grain fill).
+ */
+
+import PhenologyService from './PhenologyService';
+import WeatherProviderService from './WeatherProviderService';
+
+const SEVERITY = ['low', 'medium', 'high', 'critical'];
+
+class WeatherRiskService {
+  static HEATWAVE_MIN_DAYS = 2; // consecutive days at / above the crop's heat threshold
+  static FROST_C = 2; // screen-level minimum at which ground frost is likely
+  static SUDDEN_DROP_C = 6; // day-to-day fall in night minimum
+
+  // Night minimum below `cold` and day maximum above `heat` (°C) stress the crop;
+  // `sensitive` stages take the hazard one severity level higher
+  static CROP_TEMP_THRESHOLDS = {
+    wheat: { cold: 3, heat: 34, sensitive: { heat: ['flowering', 'fruiting'], cold: ['flowering', 'fruiting'] } },
+    rice: { cold: 15, heat: 35, sensitive: { heat: ['flowering'], cold: ['flowering', 'fruiting'] } },
+    paddy: { cold: 15, heat: 35, sensitive: { heat: ['flowering'], cold: ['flowering', 'fruiting'] } },
+    maize: { cold: 8, heat: 38, sensitive: { heat: ['flowering'], cold: ['sowing', 'vegetative'] } },
+    cotton: { cold: 12, heat: 40, sensitive: { heat: ['flowering', 'fruiting'], cold: ['sowing', 'fruiting'] } },
+    potato: { cold: 2, heat: 30, sensitive: { heat: ['flowering', 'fruiting'], cold: ['vegetative', 'flowering', 'fruiting'] } },
+    tomato: { cold: 10, heat: 35, sensitive: { heat: ['flowering', 'fruiting'], cold: ['flowering', 'fruiting'] } },
+    chickpea: { cold: 5, heat: 35, sensitive: { heat: ['flowering', 'fruiting'], cold: ['flowering'] } },
+    gram: { cold: 5, heat: 35, sensitive: { heat: ['flowering', 'fruiting'], cold: ['flowering'] } },
+    mustard: { cold: 3, heat: 32, sensitive: { heat: ['flowering', 'fruiting'], cold: ['flowering', 'fruiting'] } },
+    soybean: { cold: 10, heat: 38, sensitive: { heat: ['flowering'], cold: ['flowering'] } },
+    onion: { cold: 5, heat: 38, sensitive: { heat: ['fruiting'], cold: ['sowing'] } },
+    sugarcane: { cold: 5, heat: 42, sensitive: { heat: ['sowing'], cold: ['sowing', 'vegetative'] } },
+    default: { cold: 4, heat: 38, sensitive: { heat: ['flowering', 'fruiting'], cold: ['sowing', 'flowering'] } }
+  };
+
+  static ACTIONS = {
+    heatwave: [
+      'Give a light irrigation in the evening or early morning to cool the canopy',
+      'Avoid spraying and fertilizer top-dressing during the hot days',
+      'Mulch or shade nursery beds and young plants'
+    ],
+    frost: [
+      'Irrigate lightly the evening before the cold night (moist soil holds heat)',
+      'Smoke or trash-burning on field bunds around midnight to early morning',
+      'Cover nursery and vegetable seedlings with straw or plastic sheets'
+    ],
+    cold_wave: [
+      'Keep the soil moist with light irrigation',
+      'Postpone transplanting and sowing until nights warm up',
+      'Cover nursery beds and seedlings at night'
+    ],
+    temp_drop: [
+      'Check for cold injury on new leaves and flowers after the drop',
+      'Hold back nitrogen top-dressing until temperatures recover'
+    ]
+  };
+
+  static thresholdsFor(cropName) {
+    const key = String(cropName || '').toLowerCase().trim();
+    return this.CROP_TEMP_THRESHOLDS[key] || this.CROP_TEMP_THRESHOLDS.default;
+  }
+
+  /**
+   * Evaluate the daily forecast for one crop project
+   * @param {Object} project - crop project (cropName, cropDetails.growthStage, workflows.thermalTime)
+   * @param {Object[]} daily - WeatherToolsService daily entries ({dt, date, complete, temp:{min,max}})
+   * @param {{tzOffsetS?: number}} [options] - forecast timezone for entries without a local `date`
+   * @returns {Object[]} risks: {type, severity, forecastDate, days, peak, message, actions}
+   */
+  static evaluate(project, daily = [], { tzOffsetS } = {}) {
+    const days = daily
+      .filter(d => d?.temp?.min != null && d?.temp?.max != null)
+      .map(d => ({
+        date: d.date || WeatherProviderService.localDateKey(d.dt, tzOffsetS),
+        tMin: d.temp.min,
+        tMax: d.temp.max,
+        complete: d.complete !== false
+      }));
+    if (!days.length) return [];
+
+    const limits = this.thresholdsFor(project.cropName);
+    const stage = PhenologyService.effectiveStage(project).stage;
+    const crop = project.cropName;
+    const risks = [];
+
+    // Heatwave: runs of consecutive hot days
+    this._runs(days, d => d.tMax >= limits.heat).forEach(run => {
+      if (run.length < this.HEATWAVE_MIN_DAYS) return;
+      const peak = Math.max(...run.map(d => d.tMax));
+      let level = run.length >= 4 || peak >= 45 ? 2 : 1;
+      if (limits.sensitive.heat.includes(stage)) level += 1;
+      risks.push(this._risk('heatwave', level, run, Math.round(peak),
+        `${run.length}-day heatwave for ${crop} from ${this._label(run[0].date)} (up to ${Math.round(peak)}°C)${this._stageNote(stage, limits.sensitive.heat)}.`));
+    });
+
+    // Frost: any night at / below the frost point
+    this._runs(days, d => d.tMin <= this.FROST_C).forEach(run => {
+      const low = Math.min(...run.map(d => d.tMin));
+      let level = low <= 0 ? 2 : 1;
+      if (limits.sensitive.cold.includes(stage)) level += 1;
+      risks.push(this._risk('frost', level, run, Math.round(low),
+        `Frost risk for ${crop} on ${this._label(run[0].date)}${run.length > 1 ? ` for ${run.length} nights` : ''} (minimum ${Math.round(low)}°C)${this._stageNote(stage, limits.sensitive.cold)}.`));
+    });
+
+    // Cold wave: consecutive nights below the crop's cold threshold (frost nights already covered)
+    this._runs(days, d => d.tMin < limits.cold && d.tMin > this.FROST_C).forEach(run => {
+      if (run.length < 2 && !limits.sensitive.cold.includes(stage)) return;
+      const low = Math.min(...run.map(d => d.tMin));
+      let level = run.length >= 3 ? 1 : 0;
+      if (limits.sensitive.cold.includes(stage)) level += 1;
+      risks.push(this._risk('cold_wave', level, run, Math.round(low),
+        `Cold nights for ${crop} from ${this._label(run[0].date)} (${run.length} night${run.length > 1 ? 's' : ''} below ${limits.cold}°C, minimum ${Math.round(low)}°C)${this._stageNote(stage, limits.sensitive.cold)}.`));
+    });
+
+    // Sudden drop in night minimum; a partly elapsed day's minimum is an afternoon value, not a night one
+    for (let i = 1; i < days.length; i++) {
+      if (!days[i - 1].complete || !days[i].complete) continue;
+      const drop = days[i - 1].tMin - days[i].tMin;
+      if (drop >= this.SUDDEN_DROP_C) {
+        let level = drop >= 10 ? 1 : 0;
+        if (limits.sensitive.cold.includes(stage)) level += 1;
+        risks.push(this._risk('temp_drop', level, [days[i]], Math.round(days[i].tMin),
+          `Night temperature falls ${Math.round(drop)}°C on ${this._label(days[i].date)} (${Math.round(days[i - 1].tMin)}°C → ${Math.round(days[i].tMin)}°C) for ${crop}.`));
+      }
+    }
+
+    return risks;
+  }
+
+  /**
+   * True when a stored alert already covers this risk at the same or higher severity
+   */
+  static isCovered(alerts = [], risk) {
+    return alerts.some(a => a.type === risk.type &&
+      (a.days || [a.forecastDate]).some(d => risk.days.includes(d)) &&
+      SEVERITY.indexOf(a.severity) >= SEVERITY.indexOf(risk.severity));
+  }
+
+  static _risk(type, level, run, peak, message) {
+    return {
+      type,
+      severity: SEVERITY[Math.min(Math.max(level, 0), SEVERITY.length - 1)],
+      forecastDate: run[0].date,
+      days: run.map(d => d.date),
+      peak,
+      message,
+      actions: this.ACTIONS[type]
+    };
+  }
+
+  static _runs(days, predicate) {
+    const runs = [];
+    let current = null;
+    days.forEach(d => {
+      if (predicate(d)) {
+        if (!current) { current = []; runs.push(current); }
+        current.push(d);
+      } else {
+        current = null;
+      }
+    });
+    return runs;
+  }
+
+  static _stageNote(stage, sensitiveStages) {
+    return sensitiveStages.includes(stage) ? ` - crop is at ${stage}, a sensitive stage` : '';
+  }
+
+  static _label(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+}
+
+export default WeatherRiskService;
@@ -1,9 +1,13 @@
 /**
  * Enhanced Weather Tools Service for Khet AI
- * Uses OpenWeather OneCall API for advanced agricultural weather data
+ * Agricultural weather (irrigation, spray windows, alerts) on top of the
+ * pluggable providers in WeatherProviderService (OpenWeather, Open-Meteo, stub)
  */
 
 import EnvironmentConfig from '../config/environment.js';
+import WeatherProviderService from './WeatherProviderService';
+import EvapotranspirationService from './EvapotranspirationService';
+import SprayWindowService from './SprayWindowService';
 
 class WeatherToolsService {
   // Static irrigation recommendation logic (restored for compatibility)
@@ -33,7 +37,6 @@ class WeatherToolsService {
     }
   }
   static BASE_URL = 'https://api.openweathermap.org/data';
-  static GEO_URL = 'https://api.openweathermap.org/geo/1.0/direct';
   static _geoCache = new Map();
   // Lightweight in‑memory weather cache to reduce latency & API hits
   // key: `${lat}|${lon}` -> { ts: epochMs, data }
@@ -52,29 +55,23 @@ class WeatherToolsService {
   }
 
   // Geocode a place name to coordinates (no hardcoded coordinates)
-  static async geocodePlace(placeName) {
+  // options: fetch for the provider requests, noCache to skip the geocode cache (cassette turns)
+  static async geocodePlace(placeName, options = {}) {
     if (!placeName || typeof placeName !== 'string') {
       return { success: false, error: 'No place name provided' };
     }
 
     const key = placeName.toLowerCase().trim();
-    if (this._geoCache.has(key)) {
+    if (!options.noCache && this._geoCache.has(key)) {
       return { success: true, ...this._geoCache.get(key) };
     }
 
     try {
-      const apiKey = this.getApiKey();
-      const response = await fetch(`${this.GEO_URL}?q=${encodeURIComponent(placeName)}&limit=1&appid=${apiKey}`);
-      if (!response.ok) {
-        return { success: false, error: `Geocoding failed: ${response.status}` };
-      }
-      const data = await response.json();
-      if (!Array.isArray(data) || data.length === 0) {
+      const value = await WeatherProviderService.geocode(placeName, options);
+      if (!value) {
         return { success: false, error: 'Location not found' };
       }
-      const { lat, lon, name, state, country } = data[0];
-      const value = { lat, lon, name: name || placeName, state, country };
-      this._geoCache.set(key, value);
+      if (!options.noCache) this._geoCache.set(key, value);
       return { success: true, ...value };
     } catch (error) {
       return { success: false, error: error.message };
@@ -103,64 +100,30 @@ class WeatherToolsService {
     }
   }
 
-  // Get comprehensive weather data for farming using free API
-  static async getAgricultureWeather(lat, lon) {
+  // Get comprehensive weather data for farming (provider-agnostic, cached)
+  // options: fetch for the provider requests, noCache to neither read nor fill the cache (cassette turns)
+  static async getAgricultureWeather(lat, lon, options = {}) {
     try {
       const cacheKey = `${lat}|${lon}`;
-      const cached = this._weatherCache.get(cacheKey);
+      const cached = options.noCache ? null : this._weatherCache.get(cacheKey);
       if (cached && (Date.now() - cached.ts) < this.WEATHER_TTL_MS) {
         return cached.data; // already shaped object
       }
-      const apiKey = this.getApiKey();
-      
-      // Use free 2.5 API endpoints instead of paid OneCall 3.0
-      const [currentResponse, forecastResponse] = await Promise.all([
-        fetch(`${this.BASE_URL}/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`),
-        fetch(`${this.BASE_URL}/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`)
-      ]);
-
-      if (!currentResponse.ok) {
-        throw new Error(`Weather API error: ${currentResponse.status}`);
-      }
-      
-      if (!forecastResponse.ok) {
-        throw new Error(`Forecast API error: ${forecastResponse.status}`);
-      }
-
-      const currentData = await currentResponse.json();
-      const forecastData = await forecastResponse.json();
-      
-      // Transform free API data to match OneCall format
-      const transformedData = {
-        current: {
-          temp: Math.round(currentData.main.temp), // Round to match WeatherCard
-          humidity: currentData.main.humidity,
-          wind_speed: currentData.wind.speed,
-          weather: currentData.weather,
-          dt: currentData.dt
-        },
-        hourly: forecastData.list.slice(0, 24).map(item => ({
-          dt: item.dt,
-          temp: Math.round(item.main.temp), // Round to match WeatherCard
-          humidity: item.main.humidity,
-          wind_speed: item.wind.speed,
-          weather: item.weather,
-          rain: item.rain
-        })),
-        daily: this.groupForecastByDay(forecastData.list).slice(0, 7),
-        alerts: [] // Free API doesn't include alerts
-      };
-      
+      // First configured provider in the failover order answers
+      const data = await WeatherProviderService.fetchWeather(lat, lon, options);
       const shaped = {
         success: true,
-        current: transformedData.current,
-        hourly: transformedData.hourly,
-        daily: transformedData.daily,
-        alerts: transformedData.alerts,
-        location: { lat, lon }
+        current: data.current,
+        hourly: data.hourly,
+        daily: data.daily,
+        alerts: data.alerts,
+        timezoneOffset: data.timezoneOffset,
+        location: { lat, lon },
+        provider: data.provider,
+        ...(data.failover ? { failover: data.failover } : {})
       };
       // store in cache
-      this._weatherCache.set(cacheKey, { ts: Date.now(), data: shaped });
+      if (!options.noCache) this._weatherCache.set(cacheKey, { ts: Date.now(), data: shaped });
       return shaped;
     } catch (error) {
       console.error('Weather Tools API error:', error);
@@ -172,40 +135,29 @@ class WeatherToolsService {
   }
 
   // Calculate irrigation recommendations
-  static async getIrrigationAdvice(lat, lon, cropType, soilType = 'loam') {
+  // options: { plantingDate, growthStage, areaAcres, elevation } from the crop project (all optional),
+  // fetch / noCache as for getAgricultureWeather
+  static async getIrrigationAdvice(lat, lon, cropType, soilType = 'loam', options = {}) {
     try {
-      const weatherData = await this.getAgricultureWeather(lat, lon);
+      const weatherData = await this.getAgricultureWeather(lat, lon, options);
       
       if (!weatherData.success) {
         throw new Error('Failed to get weather data');
       }
 
       const { current, daily } = weatherData;
+      const { plantingDate, growthStage, areaAcres = 1, elevation = 0 } = options;
       
-      // Calculate ET0 (Reference Evapotranspiration) - simplified
-      const temperature = current.temp;
-      const humidity = current.humidity;
-      const windSpeed = current.wind_speed;
-      
-      // Simplified Penman-Monteith equation
-      const et0 = this.calculateET0(temperature, humidity, windSpeed);
-      
-      // Crop coefficient (Kc) - simplified values
-      const cropCoefficients = {
-        wheat: 1.15,
-        rice: 1.20,
-        cotton: 1.15,
-        sugarcane: 1.25,
-        tomato: 1.15,
-        potato: 1.15,
-        maize: 1.20,
-        default: 1.10
-      };
+      // FAO-56 Penman-Monteith ET0 for today and the next two forecast days
+      const et = this.calculateDailyET(daily.slice(0, 3), lat, { current, elevation, tzOffsetS: weatherData.timezoneOffset });
+      const et0 = et[0]?.et0 ?? 0;
       
-      const kc = cropCoefficients[cropType?.toLowerCase()] || cropCoefficients.default;
+      // Stage-dependent crop coefficient (planting date > growth stage > mid-season)
+      const kc = EvapotranspirationService.cropCoefficient(cropType, { plantingDate, growthStage });
       
       // Calculate crop water requirement
-      const cropET = et0 * kc;
+      const cropET = et0 * kc.kc;
+      const cropET3Day = et.reduce((sum, d) => sum + d.et0 * kc.kc, 0);
       
       // Check upcoming rainfall
       const upcomingRain = daily.slice(0, 3).reduce((total, day) => {
@@ -230,13 +182,25 @@ class WeatherToolsService {
         current.temp,
         current.humidity
       );
+      const area = Number(areaAcres) > 0 ? Number(areaAcres) : 1;
+      recommendation.litresPerAcre = EvapotranspirationService.mmToLitres(recommendation.waterAmount, 1);
+      recommendation.totalLitres = EvapotranspirationService.mmToLitres(recommendation.waterAmount, area);
+      recommendation.areaAcres = area;
 
       return {
         success: true,
+        provider: weatherData.provider,
         recommendation,
         data: {
+          method: 'FAO-56 Penman-Monteith',
           et0: Math.round(et0 * 100) / 100,
+          kc: kc.kc,
+          kcStage: kc.stage,
+          kcBasis: kc.basis,
+          daysAfterPlanting: kc.daysAfterPlanting,
           cropET: Math.round(cropET * 100) / 100,
+          cropET3Day: Math.round(cropET3Day * 10) / 10,
+          dailyET: et.map(d => ({ ...d, etc: Math.round(d.et0 * kc.kc * 100) / 100 })),
           upcomingRain: Math.round(upcomingRain * 100) / 100,
           soilCapacity: waterHoldingCapacity,
           temperature: current.temp,
@@ -253,10 +217,32 @@ class WeatherToolsService {
     }
   }
 
+  // Ranked spray windows for the next 48 h from the (3-hourly) forecast
+  static async getSprayWindows(lat, lon, { hours = 48, rainFastHours, ...transport } = {}) {
+    try {
+      const weatherData = await this.getAgricultureWeather(lat, lon, transport);
+      if (!weatherData.success) {
+        throw new Error('Failed to get weather data');
+      }
+      const plan = SprayWindowService.planWindows(weatherData.hourly, {
+        hours,
+        rainFastHours,
+        tzOffsetS: weatherData.timezoneOffset ?? SprayWindowService.DEFAULT_TZ_OFFSET_S
+      });
+      return { success: true, provider: weatherData.provider, ...plan };
+    } catch (error) {
+      console.error('Spray window error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Get weather alerts for farming
-  static async getFarmingAlerts(lat, lon, crops = []) {
+  static async getFarmingAlerts(lat, lon, crops = [], options = {}) {
     try {
-      const weatherData = await this.getAgricultureWeather(lat, lon);
+      const weatherData = await this.getAgricultureWeather(lat, lon, options);
       
       if (!weatherData.success) {
         throw new Error('Failed to get weather data');
@@ -286,6 +272,7 @@ class WeatherToolsService {
 
       return {
         success: true,
+        provider: weatherData.provider,
         alerts: farmingAlerts,
         summary: this.generateAlertSummary(farmingAlerts)
       };
@@ -300,10 +287,30 @@ class WeatherToolsService {
   }
 
   // Helper methods
-  static calculateET0(temp, humidity, windSpeed) {
-    // Simplified ET0 calculation (Hargreaves method)
-    const tempRange = 10; // Assumed temperature range
-    return 0.0023 * (temp + 17.8) * Math.sqrt(tempRange) * 0.408;
+  // FAO-56 ET0 per forecast day; radiation is estimated from latitude, day-of-year and temperature range
+  static calculateDailyET(days, lat, { current = {}, elevation = 0, tzOffsetS } = {}) {
+    return days.map(day => {
+      let tMin = day.temp?.min ?? current.temp;
+      let tMax = day.temp?.max ?? current.temp;
+      // Today's forecast may only cover the remaining hours; keep a plausible diurnal range
+      if (tMax - tMin < 4) { tMin = Math.min(tMin, tMax - 4); }
+      // Key by the location's calendar day so ledgers built from it line up with local "today"
+      const dateKey = day.date || WeatherProviderService.localDateKey(day.dt, tzOffsetS);
+      const date = new Date(`${dateKey}T00:00:00Z`);
+      return {
+        date: dateKey,
+        ...EvapotranspirationService.et0PenmanMonteith({
+          tMin,
+          tMax,
+          rhMean: day.humidity ?? current.humidity,
+          windSpeed: day.wind_speed ?? current.wind_speed,
+          windHeight: 10,
+          latitude: lat,
+          dayOfYear: EvapotranspirationService.dayOfYear(date),
+          elevation
+        })
+      };
+    });
   }
 
 
@@ -376,39 +383,6 @@ class WeatherToolsService {
       return `${alerts.length} weather advisory(s). Plan farming activities accordingly.`;
     }
   }
-
-  // Helper method to group 5-day forecast into daily data
-  static groupForecastByDay(forecastList) {
-    const dailyData = {};
-    
-    forecastList.forEach(item => {
-      const date = new Date(item.dt * 1000).toDateString();
-      
-      if (!dailyData[date]) {
-        dailyData[date] = {
-          dt: item.dt,
-          temp: { min: item.main.temp, max: item.main.temp },
-          humidity: item.main.humidity,
-          weather: item.weather,
-          rain: item.rain || null,
-          wind_speed: item.wind.speed
-        };
-      } else {
-        // Update min/max temperatures
-        dailyData[date].temp.min = Math.min(dailyData[date].temp.min, item.main.temp);
-        dailyData[date].temp.max = Math.max(dailyData[date].temp.max, item.main.temp);
-        
-        // Accumulate rain if present
-        if (item.rain && dailyData[date].rain) {
-          dailyData[date].rain['1h'] = (dailyData[date].rain['1h'] || 0) + (item.rain['3h'] || 0);
-        } else if (item.rain) {
-          dailyData[date].rain = item.rain;
-        }
-      }
-    });
-    
-    return Object.values(dailyData);
-  }
 }
 
 export default WeatherToolsService;
\ No newline at end of file
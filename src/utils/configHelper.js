@@ -46,8 +46,8 @@ class ConfigHelper {
     return {
       openweather: {
         configured: !!EnvironmentConfig.getOpenWeatherApiKey(),
-        required: true,
-        description: 'Required for weather services and irrigation advice'
+        required: false,
+        description: 'Primary weather provider; keyless Open-Meteo is used when missing (see WEATHER_PROVIDERS)'
       },
       sarvam: {
         configured: !!EnvironmentConfig.getSarvamApiKey(),
@@ -1,9 +1,20 @@
 /**
  * Test script for Agmarknet scraper
  * Run this to verify the scraping functionality works
+ *
+ *   node test-agmarknet-scraper.js           # live, drives a browser
+ *   node test-agmarknet-scraper.js --record  # live + save the result table as a fixture
+ *   node test-agmarknet-scraper.js --replay  # parse a saved fixture, no browser / network
  */
 
-const puppeteer = require('puppeteer');
+const path = require('path');
+const { RESULT_TABLE_ID, extractResultTable } = require('./scraper/table-parser');
+const { FixtureStore } = require('./scraper/fixtures');
+
+const MODE = process.argv.includes('--replay') ? 'replay' : process.argv.includes('--record') ? 'record' : 'live';
+const fixtureStore = new FixtureStore({
+  dir: process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, 'scraper', 'fixtures')
+});
 
 // Function to select dropdown by visible text
 async function selectByText(page, selector, text) {
@@ -33,9 +44,21 @@ async function testAgmarknetScraper() {
   console.log('🚀 Starting Agmarknet scraper test...');
   console.log('Test parameters:', testParams);
 
+  if (MODE === 'replay') {
+    const fixture = fixtureStore.find(testParams);
+    if (!fixture) {
+      console.log(`❌ No fixture for these parameters in ${fixtureStore.dir} (run with --record first)`);
+      return;
+    }
+    console.log(`📼 Replaying fixture ${fixture.name} (recorded ${fixture.recordedAt})`);
+    reportData(extractResultTable(fixture.html));
+    return;
+  }
+
   let browser;
   try {
-    browser = await puppeteer.launch({ 
+    // Required lazily so --replay works without Puppeteer installed
+    browser = await require('puppeteer').launch({ 
       headless: false, // Set to true for headless mode
       slowMo: 100 // Add slight delay for debugging
     });
@@ -94,45 +117,17 @@ async function testAgmarknetScraper() {
     console.log('📋 Waiting for results table...');
     await page.waitForSelector('#cphBody_GridPriceData', { timeout: 10000 });
 
-    const data = await page.evaluate(() => {
-      const table = document.querySelector('#cphBody_GridPriceData');
-      if (!table) return { headers: [], rows: [] };
+    const tableHtml = await page.evaluate((id) => {
+      const table = document.getElementById(id);
+      return table ? table.outerHTML : '';
+    }, RESULT_TABLE_ID);
 
-      const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-      const rows = Array.from(table.querySelectorAll('tr')).slice(1).map(tr => {
-        return Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim());
-      });
-      return { headers, rows };
-    });
-
-    if (data.headers.length === 0) {
-      console.log('❌ No data found in table');
-      return;
-    }
-
-    console.log('✅ Data extracted successfully!');
-    console.log('Headers:', data.headers);
-    console.log(`Rows found: ${data.rows.length}`);
-    
-    if (data.rows.length > 0) {
-      console.log('Sample row:', data.rows[0]);
-      
-      // Create CSV output
-      let csvContent = data.headers.join(',') + '\n';
-      data.rows.forEach(row => {
-        csvContent += row.join(',') + '\n';
-      });
-      
-      const fs = require('fs');
-      fs.writeFileSync('test_agmarknet_data.csv', csvContent);
-      console.log('💾 Data saved to test_agmarknet_data.csv');
+    if (MODE === 'record' && tableHtml) {
+      const name = fixtureStore.save(testParams, tableHtml);
+      console.log(`📼 Fixture saved: ${name}`);
     }
 
-    // Extract price summary
-    const summary = extractPriceSummary(data, testParams.commodity, testParams.state);
-    if (summary) {
-      console.log('📊 Price Summary:', summary);
-    }
+    reportData(extractResultTable(tableHtml));
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
@@ -143,6 +138,38 @@ async function testAgmarknetScraper() {
   }
 }
 
+// Print extracted rows, write CSV and the price summary
+function reportData(data) {
+  if (data.headers.length === 0) {
+    console.log('❌ No data found in table');
+    return;
+  }
+
+  console.log('✅ Data extracted successfully!');
+  console.log('Headers:', data.headers);
+  console.log(`Rows found: ${data.rows.length}`);
+  
+  if (data.rows.length > 0) {
+    console.log('Sample row:', data.rows[0]);
+    
+    // Create CSV output
+    let csvContent = data.headers.join(',') + '\n';
+    data.rows.forEach(row => {
+      csvContent += row.join(',') + '\n';
+    });
+    
+    const fs = require('fs');
+    fs.writeFileSync('test_agmarknet_data.csv', csvContent);
+    console.log('💾 Data saved to test_agmarknet_data.csv');
+  }
+
+  // Extract price summary
+  const summary = extractPriceSummary(data, testParams.commodity, testParams.state);
+  if (summary) {
+    console.log('📊 Price Summary:', summary);
+  }
+}
+
 // Helper function to extract price summary
 function extractPriceSummary(data, commodity, state) {
   if (!data.rows || data.rows.length === 0) {
@@ -150,8 +177,8 @@ function extractPriceSummary(data, commodity, state) {
   }
 
   const headers = data.headers;
-  const minPriceIdx = headers.findIndex(h => h.toLowerCase().includes('minimum'));
-  const maxPriceIdx = headers.findIndex(h => h.toLowerCase().includes('maximum'));
+  const minPriceIdx = headers.findIndex(h => /minimum|min price/i.test(h));
+  const maxPriceIdx = headers.findIndex(h => /maximum|max price/i.test(h));
   const modalPriceIdx = headers.findIndex(h => h.toLowerCase().includes('modal'));
 
   if (modalPriceIdx === -1) {
@@ -171,7 +198,7 @@ function extractPriceSummary(data, commodity, state) {
     maxPrice,
     priceUnit: 'Rs/Quintal',
     recordCount: data.rows.length,
-    date: latestRow[0] // Assuming first column is date
+    date: latestRow[headers.findIndex(h => h.toLowerCase().includes('date'))] ?? latestRow[0]
   };
 }
 
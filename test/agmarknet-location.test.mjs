@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AgentToolsService from '../src/services/AgentToolsService.js';
+
+const QUESTION = 'What is the onion price in the mandi today?';
+
+test('the planner takes the state from a place named in the question', () => {
+  const params = AgentToolsService.extractParametersFromContext('get_agmarknet_prices', {}, 'Onion rate in Nashik mandi today?');
+  assert.equal(params.commodity, 'onion');
+  assert.equal(params.state, 'Maharashtra');
+});
+
+test('a question with no location reports the state as unresolved instead of failing validation', async () => {
+  const params = AgentToolsService.extractParametersFromContext('get_agmarknet_prices', {}, QUESTION);
+  assert.equal(params.state, '');
+  const { success, result } = await AgentToolsService.executeTool('get_agmarknet_prices', params);
+  assert.equal(success, true);
+  assert.equal(result.locationUnresolved, true);
+  assert.equal(result.reason, 'no state in the question or farmer profile');
+});
+
+test('a model call without a state gets the same unresolved result', async () => {
+  const result = await AgentToolsService.executeModelToolCall('get_agmarknet_prices', { commodity: 'Onion' });
+  assert.equal(result.success, true);
+  assert.equal(result.result.locationUnresolved, true);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BrowserPool } from '../scraper/browser-pool.js';
+
+// Stand-in for a Puppeteer browser
+const fakeBrowser = (id) => {
+  const browser = { id, connected: true, closed: false };
+  browser.isConnected = () => browser.connected;
+  browser.close = async () => { browser.closed = true; browser.connected = false; };
+  return browser;
+};
+
+const counter = () => {
+  let launched = 0;
+  return { launch: async () => fakeBrowser(++launched), count: () => launched };
+};
+
+test('reuses an idle browser instead of launching a new one', async () => {
+  const { launch, count } = counter();
+  const pool = new BrowserPool({ size: 2, launch });
+  const first = await pool.acquire();
+  await pool.release(first);
+  const second = await pool.acquire();
+  assert.equal(second, first);
+  assert.equal(count(), 1);
+});
+
+test('never launches more than size browsers and queues the rest', async () => {
+  const { launch, count } = counter();
+  const pool = new BrowserPool({ size: 2, launch });
+  const a = await pool.acquire();
+  await pool.acquire();
+  const waiting = pool.acquire();
+  assert.equal(count(), 2);
+  assert.deepEqual(pool.stats(), { size: 2, idle: 0, busy: 2, waiting: 1 });
+  await pool.release(a);
+  assert.equal(await waiting, a);
+  assert.equal(pool.stats().waiting, 0);
+});
+
+test('a broken browser is closed and its slot goes to the next waiter', async () => {
+  const { launch, count } = counter();
+  const pool = new BrowserPool({ size: 1, launch });
+  const broken = await pool.acquire();
+  const waiting = pool.acquire();
+  await pool.release(broken, { broken: true });
+  const replacement = await waiting;
+  assert.equal(broken.closed, true);
+  assert.notEqual(replacement, broken);
+  assert.equal(count(), 2);
+});
+
+test('a failed replacement launch rejects the waiter instead of hanging it', async () => {
+  let launches = 0;
+  const pool = new BrowserPool({
+    size: 1,
+    launch: async () => {
+      launches++;
+      if (launches > 1) throw new Error('launch failed');
+      return fakeBrowser(launches);
+    }
+  });
+  const broken = await pool.acquire();
+  const waiting = pool.acquire();
+  await pool.release(broken, { broken: true });
+  await assert.rejects(waiting, /launch failed/);
+  assert.equal(pool.stats().busy, 0);
+});
+
+test('disconnected idle browsers are skipped', async () => {
+  const { launch, count } = counter();
+  const pool = new BrowserPool({ size: 2, launch });
+  const first = await pool.acquire();
+  await pool.release(first);
+  first.connected = false;
+  const next = await pool.acquire();
+  assert.notEqual(next, first);
+  assert.equal(count(), 2);
+});
+
+test('close rejects waiters and closes every browser', async () => {
+  const { launch } = counter();
+  const pool = new BrowserPool({ size: 1, launch });
+  const busy = await pool.acquire();
+  const waiting = pool.acquire();
+  await pool.close();
+  await assert.rejects(waiting, /Browser pool closed/);
+  assert.equal(busy.closed, true);
+});
@@ -0,0 +1,79 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import KnowledgeBaseService from '../src/services/KnowledgeBaseService.js';
+
+const IRRIGATION_TEXT = 'Give the first irrigation at crown root initiation, 21 days after sowing.';
+const pack = (id, overrides = {}) => ({
+  id,
+  version: '1',
+  language: 'en',
+  title: `Test pack ${id}`,
+  documents: [{
+    id: `${id}-millet`,
+    crop: 'Kodo',
+    aliases: ['kodo millet'],
+    title: 'Kodo Millet Practices',
+    sections: [
+      { topic: 'irrigation', heading: 'Irrigation', text: IRRIGATION_TEXT },
+      { topic: 'harvest', heading: 'Harvest', text: 'Harvest when the panicles turn golden brown.' }
+    ]
+  }],
+  ...overrides
+});
+
+after(async () => {
+  await KnowledgeBaseService.removePack('test-national');
+  await KnowledgeBaseService.removePack('test-state');
+});
+
+test('tokenize drops stopwords and stems plurals and -ing forms', () => {
+  assert.deepEqual(KnowledgeBaseService.tokenize('When should I be sowing the seeds?'), ['sow', 'seed']);
+  assert.equal(KnowledgeBaseService.stem('varieties'), 'variety');
+  assert.equal(KnowledgeBaseService.stem('grass'), 'grass');
+  assert.deepEqual(KnowledgeBaseService.tokenize('गेहूं की बुवाई कब करें'), ['गेहूं', 'बुवाई']);
+});
+
+test('rejects packs without the required fields', () => {
+  assert.throws(() => KnowledgeBaseService.validatePack({ id: 'x', version: '1' }), /missing language/);
+  assert.throws(() => KnowledgeBaseService.validatePack(pack('x', { documents: [{ id: 'd', crop: 'Kodo', sections: [{ topic: 'sowing' }] }] })), /without topic or text/);
+});
+
+test('finds the passage for the topic the farmer asks about, within the crop named in the question', async () => {
+  const result = await KnowledgeBaseService.search('How many irrigations does wheat need?', { crop: 'rice' });
+  assert.equal(result.crop, 'Wheat');
+  assert.equal(result.passages[0].topic, 'irrigation');
+  assert.equal(result.passages[0].citation, 'KB1');
+  assert.ok(result.passages.every(p => p.crop === 'Wheat'));
+});
+
+test('state packs only apply in their state and outrank national advice', async () => {
+  await KnowledgeBaseService.installPack(pack('test-national'));
+  await KnowledgeBaseService.installPack(pack('test-state', { states: ['Punjab'] }));
+
+  const national = await KnowledgeBaseService.search('kodo millet irrigation', { state: 'Bihar' });
+  assert.equal(national.passages[0].pack, 'test-national');
+
+  const local = await KnowledgeBaseService.search('kodo millet irrigation', { state: 'Ludhiana, Punjab' });
+  assert.equal(local.passages[0].pack, 'test-state');
+  assert.equal(local.passages[0].text, IRRIGATION_TEXT);
+  // One passage per crop and topic: the national copy is not repeated
+  assert.equal(local.passages.filter(p => p.topic === 'irrigation').length, 1);
+});
+
+test('a crop without a package of practices says so instead of answering for another crop', async () => {
+  const result = await KnowledgeBaseService.search('fertilizer dose', { crop: 'dragonfruit' });
+  assert.deepEqual(result.passages, []);
+  assert.match(result.message, /no package of practices for dragonfruit/);
+});
+
+test('citations are numbered across every knowledge base result of a turn', () => {
+  const kb = (n) => ({ toolName: 'search_knowledge_base', success: true, result: { passages: Array.from({ length: n }, (_, i) => ({ citation: `KB${i + 1}`, title: `t${i}` })) } });
+  const results = [kb(2), { toolName: 'get_weather', success: true, result: {} }, kb(1)];
+  const numbered = KnowledgeBaseService.numberCitations(results);
+  assert.deepEqual(numbered[0].result.passages.map(p => p.citation), ['KB1', 'KB2']);
+  assert.deepEqual(numbered[2].result.passages.map(p => p.citation), ['KB3']);
+  assert.equal(numbered[1], results[1]);
+  assert.equal(KnowledgeBaseService.countPassages(results), 3);
+  assert.equal(KnowledgeBaseService.numberCitations([kb(1)], 3)[0].result.passages[0].citation, 'KB4');
+  assert.deepEqual(KnowledgeBaseService.citationsFromToolResults(results).map(c => c.citation), ['KB1', 'KB2', 'KB3']);
+});
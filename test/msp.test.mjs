@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MSPService from '../src/services/MSPService.js';
+
+test('Agmarknet labels and farmer names resolve to the MSP crop', () => {
+  assert.equal(MSPService.resolveCrop('Paddy(Dhan)(Common)'), 'Paddy');
+  assert.equal(MSPService.resolveCrop('Bengal Gram(Gram)(Whole)'), 'Gram');
+  assert.equal(MSPService.resolveCrop('Black Gram (Urd Beans)(Whole)'), 'Urad');
+  assert.equal(MSPService.resolveCrop('Arhar (Tur/Red Gram)(Whole)'), 'Tur (Arhar)');
+  assert.equal(MSPService.resolveCrop('Sunflower Seed'), 'Sunflower Seed');
+  assert.equal(MSPService.resolveCrop('sharbati wheat'), 'Wheat');
+  assert.equal(MSPService.resolveCrop('chana'), 'Gram');
+});
+
+test('look-alike commodities without an MSP do not resolve', () => {
+  ['Horse Gram(Kulthi)', 'Cotton Seed', 'Wheat Atta', 'Bengal Gram Dal (Chana Dal)', 'Arhar Dal(Tur Dal)',
+    'Kabuli Chana(Chickpeas-White)', 'Mustard Oil', 'Rice'].forEach(name => {
+    assert.equal(MSPService.resolveCrop(name), null, name);
+  });
+});
+
+test('mandi prices of a look-alike commodity get no MSP block', () => {
+  const result = { priceData: { summary: { commodity: 'Horse Gram(Kulthi)', currentPrice: 3000 } } };
+  assert.equal(MSPService.annotateToolResult('get_agmarknet_prices', { commodity: 'Horse Gram(Kulthi)', state: 'Karnataka' }, result), result);
+
+  const gram = { priceData: { summary: { commodity: 'Bengal Gram(Gram)(Whole)', currentPrice: 3000 } } };
+  const annotated = MSPService.annotateToolResult('get_agmarknet_prices', { commodity: 'Bengal Gram(Gram)(Whole)', state: 'Madhya Pradesh' }, gram);
+  assert.equal(annotated.msp.crop, 'Gram');
+  assert.equal(annotated.msp.belowMsp, true);
+});
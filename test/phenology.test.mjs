@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PhenologyService from '../src/services/PhenologyService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateKey = (d) => d.toISOString().slice(0, 10);
+
+test('daily GDD clips temperatures to the base and upper thresholds', () => {
+  assert.equal(PhenologyService.dailyGDD(10, 20, 0, 30), 15);
+  assert.equal(PhenologyService.dailyGDD(20, 40, 10, 30), 15); // 40 counts as 30
+  assert.equal(PhenologyService.dailyGDD(-5, 8, 10, 30), 0); // both clipped to base
+  assert.equal(PhenologyService.dailyGDD(5, 15, 10, 30), 2.5); // 5 counts as 10
+});
+
+test('unknown crops fall back to the default thermal parameters', () => {
+  assert.equal(PhenologyService.paramsFor('Wheat').crop, 'wheat');
+  assert.equal(PhenologyService.paramsFor('dragonfruit').crop, 'default');
+});
+
+test('accumulates GDD from planting and back-fills days without observations', () => {
+  const now = new Date('2026-02-10T06:00:00Z');
+  const planted = new Date(now.getTime() - 9 * DAY_MS);
+  const project = { cropName: 'wheat', cropDetails: { plantingDate: dateKey(planted) } };
+  const daily = [{ date: dateKey(now), temp: { min: 8, max: 22 } }];
+  const state = PhenologyService.update(project, daily, now);
+  assert.equal(state.days.length, 10);
+  assert.equal(state.gdd, 150); // 10 days × (8 + 22) / 2 with base 0
+  assert.equal(state.estimatedDays, 9);
+  assert.equal(state.days[state.days.length - 1].provisional, true);
+  assert.equal(state.prediction.confidence, 'low');
+});
+
+test('predicts the next phase from the forecast, then the recent GDD rate', () => {
+  const params = PhenologyService.paramsFor('wheat');
+  const state = {
+    gdd: 1000,
+    estimatedDays: 0,
+    days: Array.from({ length: 14 }, (_, i) => ({ date: `2026-02-${String(i + 1).padStart(2, '0')}`, gdd: 20, cumulative: 740 + (i + 1) * 20 }))
+  };
+  const forecast = [
+    { date: '2026-02-15', tMin: 10, tMax: 30 }, // 20
+    { date: '2026-02-16', tMin: 10, tMax: 30 } // 20
+  ];
+  const prediction = PhenologyService.predict(state, params, forecast, new Date('2026-02-14T06:00:00Z'));
+  assert.equal(prediction.stage, 'vegetative');
+  assert.equal(prediction.nextPhase.key, 'flowering');
+  // 1000 + 40 from the forecast, then 60 more at 20 GDD/day = 3 days after the last forecast day
+  assert.equal(prediction.milestones.flowering.date, '2026-02-19');
+  assert.equal(prediction.gddPerDay, 20);
+  assert.equal(prediction.confidence, 'high');
+});
+
+test('a low-confidence prediction never overrides the stage the farmer set', () => {
+  const project = {
+    cropDetails: { growthStage: 'vegetative' },
+    workflows: { thermalTime: { prediction: { stage: 'flowering', confidence: 'low' } } }
+  };
+  assert.equal(PhenologyService.effectiveStage(project).stage, 'vegetative');
+  project.workflows.thermalTime.prediction.confidence = 'medium';
+  assert.deepEqual(
+    { stage: PhenologyService.effectiveStage(project).stage, differs: PhenologyService.effectiveStage(project).differs },
+    { stage: 'flowering', differs: true }
+  );
+});
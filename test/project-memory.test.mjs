@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProjectMemoryService from '../src/services/ProjectMemoryService.js';
+
+const turn = (date, query, response = 'Advice.', processingType = 'GROQ_TOOLS') => ({
+  timestamp: `${date}T09:00:00.000Z`,
+  query,
+  response,
+  metadata: { processingType }
+});
+const texts = (items) => items.map(item => item.text);
+
+test('rule extraction records what the farmer did, plans and sees', () => {
+  const lists = ProjectMemoryService.extractWithRules([
+    turn('2026-10-10', 'I sprayed mancozeb on the lower leaves. There are brown spots on the leaves.'),
+    turn('2026-10-12', 'We will irrigate on Friday.')
+  ]);
+  assert.deepEqual(texts(lists.inputsApplied), ['I sprayed mancozeb on the lower leaves.']);
+  assert.deepEqual(texts(lists.problemsSeen), ['There are brown spots on the leaves.']);
+  assert.deepEqual(lists.decisions, [{ text: 'We will irrigate on Friday.', date: '2026-10-12' }]);
+  assert.deepEqual(lists.openQuestions, []);
+});
+
+test('questions about a problem are not recorded as problems seen', () => {
+  const lists = ProjectMemoryService.extractWithRules([
+    turn('2026-10-10', 'How do I control aphids?'),
+    turn('2026-10-11', 'should I spray for yellowing leaves'),
+    turn('2026-10-12', 'क्या पत्तों पर धब्बे रोग हैं')
+  ]);
+  assert.deepEqual(lists.problemsSeen, []);
+  assert.deepEqual(lists.inputsApplied, []);
+});
+
+test('a turn without a usable answer stays an open question', () => {
+  const lists = ProjectMemoryService.extractWithRules([turn('2026-10-10', 'Which fungicide for blast?', '', 'ERROR')]);
+  assert.deepEqual(texts(lists.openQuestions), ['Which fungicide for blast?']);
+});
+
+test('merging puts new items first, drops duplicates and caps each list', () => {
+  const previous = { ...ProjectMemoryService.emptySummary(), inputsApplied: [{ text: 'I applied urea.', date: '2026-10-01' }] };
+  const fresh = Array.from({ length: 10 }, (_, i) => ({ text: `Item ${i}` }));
+  const merged = ProjectMemoryService.mergeSummary(previous, { inputsApplied: [{ text: 'i applied  UREA.' }], decisions: fresh });
+  assert.deepEqual(texts(merged.inputsApplied), ['i applied  UREA.']);
+  assert.equal(merged.decisions.length, ProjectMemoryService.MAX_ITEMS);
+});
+
+test('the summary only carries a date line when the caller passes today', () => {
+  const summary = { ...ProjectMemoryService.emptySummary(), inputsApplied: [{ text: 'mancozeb spray', date: '2026-10-12' }] };
+  assert.equal(ProjectMemoryService.formatSummary(summary), 'Inputs applied: mancozeb spray (2026-10-12)');
+  assert.equal(ProjectMemoryService.formatSummary(summary, '2026-10-19'), 'Today is 2026-10-19.\nInputs applied: mancozeb spray (2026-10-12)');
+  assert.equal(ProjectMemoryService.formatSummary(ProjectMemoryService.emptySummary(), '2026-10-19'), '');
+});
+
+test('relevant turns share words with the question and come back oldest first', () => {
+  const history = [ // newest first
+    turn('2026-10-14', 'Mandi price for paddy today?'),
+    turn('2026-10-13', 'Neighbour field has stem borer.'),
+    turn('2026-10-12', 'When should I apply potash?'),
+    turn('2026-10-11', 'Stem borer damage in my paddy field.')
+  ];
+  const turns = ProjectMemoryService.selectRelevantTurns(history, 'Which spray for stem borer in paddy?', 2);
+  // The last exchange's bonus point ties it with the neighbour's stem borer turn; ties go to the newer turn
+  assert.deepEqual(turns.map(t => t.timestamp.slice(0, 10)), ['2026-10-11', '2026-10-14']);
+});
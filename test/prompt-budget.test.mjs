@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PromptBudgetService from '../src/services/PromptBudgetService.js';
+import { GroqLLMProvider } from '../src/services/LLMProviderService.js';
+import GroqAIService from '../src/services/GroqAIService.js';
+
+const model = 'mock-chat'; // 4 chars per token
+const words = (n, word = 'wheat') => Array.from({ length: n }, () => word).join(' ');
+const segment = (breakdown, id) => breakdown.segments.find(s => s.id === id);
+
+test('non-Latin scripts cost more tokens than the same length of Latin text', () => {
+  assert.equal(PromptBudgetService.estimateTokens('a'.repeat(40), model), 10);
+  assert.equal(PromptBudgetService.estimateTokens('क'.repeat(40), model), 25);
+  assert.equal(PromptBudgetService.estimateTokens('', model), 0);
+});
+
+test('the budget is the smaller of the window less the completion reserve and the per-request cap', () => {
+  assert.equal(PromptBudgetService.getBudget(model).budget, PromptBudgetService.MAX_PROMPT_TOKENS);
+  assert.equal(PromptBudgetService.getBudget('unknown-model', { maxCompletionTokens: 4000 }).budget, 8192 - 4000);
+});
+
+test('a prompt within budget is assembled unchanged: system, history, then query with context blocks', () => {
+  const { messages, breakdown } = PromptBudgetService.build({
+    model,
+    system: 'You are a farming assistant.',
+    query: 'When should I irrigate?',
+    history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+    segments: [{ id: 'farmer_context', text: 'Farmer in Punjab.' }]
+  });
+  assert.deepEqual(messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(messages[3].content, 'When should I irrigate?\n\nFarmer Context:\nFarmer in Punjab.');
+  assert.ok(breakdown.segments.every(s => s.action === 'kept'));
+  assert.equal(breakdown.overBudget, false);
+});
+
+test('over budget, the lowest-priority segments give way first', () => {
+  const history = Array.from({ length: 6 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i} ${words(40)}` }));
+  const { messages, breakdown } = PromptBudgetService.build({
+    model,
+    maxPromptTokens: 400,
+    system: 'You are a farming assistant.',
+    query: 'When should I irrigate?',
+    history,
+    segments: [
+      { id: 'farmer_context', text: `Farmer grows wheat. ${words(60)}.` },
+      { id: 'tool_results', text: `Forecast: no rain.\n${words(60)}` }
+    ]
+  });
+  assert.equal(segment(breakdown, 'history').action, 'summarized');
+  assert.equal(segment(breakdown, 'farmer_context').action, 'kept');
+  assert.equal(segment(breakdown, 'tool_results').action, 'kept');
+  assert.ok(breakdown.used <= breakdown.budget);
+  // Newest turns are the ones kept
+  assert.match(messages[messages.length - 2].content, /^turn 5/);
+});
+
+test('required segments survive even when optional ones are dropped', () => {
+  const { breakdown } = PromptBudgetService.build({
+    model,
+    maxPromptTokens: 256,
+    system: 'You are a farming assistant.',
+    query: 'When should I irrigate?',
+    segments: [
+      { id: 'farmer_context', text: words(400) },
+      { id: 'tool_results', text: `Forecast: no rain.\n${words(150)}` }
+    ]
+  });
+  assert.equal(segment(breakdown, 'farmer_context').action, 'dropped');
+  assert.notEqual(segment(breakdown, 'tool_results').action, 'dropped');
+  assert.equal(segment(breakdown, 'system').action, 'kept');
+  assert.equal(segment(breakdown, 'query').action, 'kept');
+});
+
+test('line summaries keep leading lines and count what was left out', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i} ${words(8)}`).join('\n');
+  const summary = PromptBudgetService.summarize({ strategy: 'lines', text: lines }, 60, model);
+  assert.match(summary, /^line 0 /);
+  assert.match(summary, /\(\d+ more omitted\)$/);
+  assert.ok(PromptBudgetService.estimateTokens(summary, model) <= 60);
+  assert.equal(PromptBudgetService.summarize({ strategy: 'lines', minTokens: 80, text: lines }, 60, model), null);
+});
+
+test('a tool round cuts the largest result first and still answers every tool call', () => {
+  const messages = [
+    { role: 'system', content: 'You are a farming assistant.' },
+    { role: 'user', content: 'Wheat price and weather?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'a', type: 'function', function: { name: 'get_weather', arguments: '{}' } }, { id: 'b', type: 'function', function: { name: 'get_mandi_prices', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'a', content: 'Clear, 24°C, no rain expected.' },
+    { role: 'tool', tool_call_id: 'b', content: words(800, 'mandi') }
+  ];
+  const { messages: fitted, breakdown } = PromptBudgetService.fitToolRound({ model, messages, maxPromptTokens: 400 });
+  assert.deepEqual(fitted.filter(m => m.role === 'tool').map(m => m.tool_call_id), ['a', 'b']);
+  assert.equal(fitted[3].content, messages[3].content);
+  assert.ok(fitted[4].content.endsWith('…'));
+  assert.equal(segment(breakdown, 'tool_results_round').action, 'summarized');
+  assert.ok(breakdown.used <= breakdown.budget);
+});
+
+test('a tool result with no room left is replaced by the omitted note', () => {
+  const messages = [
+    { role: 'user', content: words(240) },
+    { role: 'tool', tool_call_id: 'a', content: words(200, 'mandi') }
+  ];
+  const { messages: fitted } = PromptBudgetService.fitToolRound({ model, messages, maxPromptTokens: 256 });
+  assert.equal(fitted[1].content, PromptBudgetService.TOOL_RESULT_OMITTED);
+});
+
+test('the same inputs always build the same prompt', () => {
+  const input = { model, maxPromptTokens: 300, system: 'S', query: 'Q', segments: [{ id: 'farmer_context', text: words(500) }] };
+  assert.deepEqual(PromptBudgetService.build(input), PromptBudgetService.build(input));
+});
+
+test('chat history reaches the budget whole and is trimmed by tokens, newest turns kept', async () => {
+  process.env.LLM_PROVIDERS = 'groq';
+  GroqLLMProvider.setApiKey('test-key');
+  const bodies = [];
+  const fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: 'Irrigate tomorrow.' }, finish_reason: 'stop' }] }), { status: 200 });
+  };
+  const history = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` }));
+  const groq = new GroqAIService();
+
+  await groq.callGroq('openai/gpt-oss-120b', 'You are a farming assistant.', 'Should I irrigate?', { conversationHistory: history, fetch });
+  assert.deepEqual(bodies[0].messages.slice(1, -1), history);
+
+  const long = history.map(m => ({ ...m, content: `${m.content} ${words(300)}` }));
+  await groq.callGroq('openai/gpt-oss-120b', 'You are a farming assistant.', 'Should I irrigate?', { conversationHistory: long, fetch });
+  const sent = bodies[1].messages.slice(1, -1);
+  assert.ok(sent.length > 0 && sent.length < long.length);
+  assert.deepEqual(sent, long.slice(-sent.length));
+  assert.equal(segment(groq.lastPromptBudget, 'history').action, 'summarized');
+});
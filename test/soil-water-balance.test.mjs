@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SoilWaterBalanceService from '../src/services/SoilWaterBalanceService.js';
+
+const project = { cropName: 'wheat', cropDetails: { area: 1, soilType: 'loam', plantingDate: '2026-01-01' } };
+const DATES = ['2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13'];
+const zone = SoilWaterBalanceService.rootZone(project, new Date(`${DATES[0]}T00:00:00Z`));
+
+const day = (date, { etcMm = 5, effectiveRainMm = 0 } = {}) => ({ date, etcMm, effectiveRainMm });
+const ledger = (days, { initialDepletionMm = 0, events = [] } = {}) => ({ initialDepletionMm, depletionMm: 0, days, events });
+
+test('effective rain ignores light showers and loses a fifth of larger ones', () => {
+  assert.equal(SoilWaterBalanceService.effectiveRain(1.5), 0);
+  assert.equal(SoilWaterBalanceService.effectiveRain(10), 8);
+});
+
+test('parses farmer irrigation notes', () => {
+  assert.deepEqual(SoilWaterBalanceService.parseIrrigationLog('irrigated 2 hours by drip yesterday'),
+    { durationHours: 2, method: 'drip', daysAgo: 1 });
+  assert.deepEqual(SoilWaterBalanceService.parseIrrigationLog('gave 40 mm flood 3 days ago'),
+    { amountMm: 40, method: 'flood', daysAgo: 3 });
+  assert.equal(SoilWaterBalanceService.parseIrrigationLog('drip 90 min').durationHours, 1.5);
+  assert.equal(SoilWaterBalanceService.parseIrrigationLog('when should I irrigate?'), null);
+});
+
+test('a loam root zone holds TAW and readily available water RAW = p × TAW', () => {
+  assert.equal(zone.soilType, 'loam');
+  assert.equal(zone.taw, Math.round(140 * zone.rootDepthM));
+  assert.equal(zone.raw, Math.round(zone.taw * 0.55));
+});
+
+test('depletion grows with ETc, falls with rain and irrigation and stops at field capacity', () => {
+  const wb = ledger([day(DATES[0]), day(DATES[1], { effectiveRainMm: 8 }), day(DATES[2]), day(DATES[3])], {
+    events: [{ date: DATES[2], netMm: 30 }]
+  });
+  SoilWaterBalanceService._replay(project, wb);
+  assert.deepEqual(wb.days.map(d => d.depletionMm), [5, 2, 0, 5]);
+  assert.equal(wb.days[2].irrigationMm, 30);
+  assert.equal(wb.depletionMm, 5);
+});
+
+test('water stress (Ks) slows ET once depletion passes RAW', () => {
+  const start = zone.raw + (zone.taw - zone.raw) / 2;
+  const wb = ledger([day(DATES[0], { etcMm: 6 })], { initialDepletionMm: start });
+  SoilWaterBalanceService._replay(project, wb);
+  assert.equal(wb.days[0].ks, 0.5);
+  assert.equal(wb.depletionMm, Math.round((start + 3) * 10) / 10);
+});
+
+test('depletion never exceeds TAW', () => {
+  const wb = ledger([day(DATES[0], { etcMm: 500 })], { initialDepletionMm: zone.raw - 1 });
+  SoilWaterBalanceService._replay(project, wb);
+  assert.ok(wb.depletionMm <= zone.taw);
+});
+
+test('projects the next irrigation when forecast ETc crosses RAW', () => {
+  const now = new Date(`${DATES[0]}T06:00:00Z`);
+  const wb = { ...ledger([]), depletionMm: zone.raw - 1, method: 'drip', tzOffsetS: 0 };
+  const forecast = [{ date: DATES[1], et0: 5, rainMm: 0 }];
+  const next = SoilWaterBalanceService.projectNextIrrigation(project, wb, forecast, now);
+  assert.equal(next.inDays, 1);
+  assert.equal(next.date, DATES[1]);
+  assert.equal(next.basis, 'forecast');
+  assert.equal(next.refillGrossMm, Math.round(next.refillNetMm / 0.9));
+
+  const depleted = SoilWaterBalanceService.projectNextIrrigation(project, { ...wb, depletionMm: zone.raw }, forecast, now);
+  assert.equal(depleted.inDays, 0);
+  assert.equal(depleted.basis, 'depleted');
+});
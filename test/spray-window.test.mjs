@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SprayWindowService from '../src/services/SprayWindowService.js';
+
+// 10:00 IST on 2026-03-10 (tzOffsetS 0 below, so hours read as UTC)
+const BASE_S = Date.UTC(2026, 2, 10, 10) / 1000;
+const slot = (hoursFromBase, overrides = {}) => ({
+  dt: BASE_S + hoursFromBase * 3600,
+  temp: 26,
+  humidity: 60,
+  wind_speed: 2,
+  clouds: 40,
+  pop: 0,
+  ...overrides
+});
+const score = (s, after = [], before = null) => SprayWindowService.scoreSlot(s, after, before, { tzOffsetS: 0 });
+
+test('wet-bulb and Delta T follow the Stull approximation', () => {
+  assert.ok(Math.abs(SprayWindowService.wetBulb(20, 50) - 13.7) < 0.1);
+  assert.equal(SprayWindowService.deltaT(20, 50), 6.3);
+  assert.ok(SprayWindowService.deltaT(30, 20) > SprayWindowService.LIMITS.deltaTMax);
+  assert.ok(SprayWindowService.deltaT(15, 98) < 1);
+});
+
+test('a mild, light-wind morning is a good slot', () => {
+  const result = score(slot(0));
+  assert.equal(result.sprayable, true);
+  assert.equal(result.score, 100);
+  assert.deepEqual(result.reasons, []);
+});
+
+test('hot dry air (Delta T above 10) blocks the slot', () => {
+  const result = score(slot(0, { temp: 38, humidity: 15 }));
+  assert.equal(result.sprayable, false);
+  assert.match(result.reasons.join(), /Delta T .* droplets evaporate/);
+});
+
+test('strong wind and rain within the rain-fast period block the slot', () => {
+  assert.match(score(slot(0, { wind_speed: 6 })).reasons.join(), /drift/);
+  const rained = score(slot(0), [slot(1), slot(2, { rain: { '1h': 2 } })]);
+  assert.equal(rained.sprayable, false);
+  assert.ok(rained.reasons.includes('rain within 2 h'));
+});
+
+test('a calm clear night is an inversion risk', () => {
+  const result = score(slot(12, { wind_speed: 0.5, clouds: 10 })); // 22:00
+  assert.equal(result.inversionRisk, 'high');
+  assert.equal(result.sprayable, false);
+});
+
+test('consecutive sprayable slots merge into one ranked window', () => {
+  const hourly = [slot(0), slot(1), slot(2), slot(3, { wind_speed: 7 }), slot(4), slot(5)];
+  const plan = SprayWindowService.planWindows(hourly, { tzOffsetS: 0, rainFastHours: 1, now: BASE_S * 1000 });
+  assert.equal(plan.stepHours, 1);
+  assert.equal(plan.windows.length, 2);
+  assert.equal(plan.windows[0].durationHours, 3);
+  assert.equal(plan.windows[0].rating, 'good');
+  assert.match(plan.summary, /^Best spray window/);
+});
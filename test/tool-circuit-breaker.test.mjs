@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolCircuitBreaker } from '../src/services/AgentToolsService.js';
+
+const upstream = { type: 'upstream', message: 'HTTP 502' };
+const later = (breaker) => breaker.retryAt + 1;
+
+const tripped = (options) => {
+  const breaker = new ToolCircuitBreaker('get_mandi_prices', options);
+  for (let i = 0; i < 3; i++) breaker.recordFailure(upstream, 100);
+  return breaker;
+};
+
+test('stays closed until the minimum number of calls is reached', () => {
+  const breaker = new ToolCircuitBreaker('get_mandi_prices');
+  breaker.recordFailure(upstream, 100);
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+});
+
+test('opens once the rolling failure rate reaches the threshold', () => {
+  const breaker = new ToolCircuitBreaker('get_mandi_prices');
+  breaker.recordSuccess(120);
+  breaker.recordSuccess(80);
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.state, 'closed'); // 1 of 3
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.state, 'open'); // 2 of 4
+  assert.equal(breaker.allowRequest(), false);
+  assert.equal(breaker.snapshot().avgLatencyMs, 100);
+});
+
+test('bad input, unknown tools and empty answers never count against the source', () => {
+  const breaker = new ToolCircuitBreaker('get_mandi_prices');
+  ['validation', 'not_found', 'no_data', 'validation'].forEach(type => breaker.recordFailure({ type, message: type }, 10));
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.snapshot().calls, 0);
+});
+
+test('only old outcomes leave the rolling window', () => {
+  const breaker = new ToolCircuitBreaker('get_mandi_prices', { windowSize: 4 });
+  for (let i = 0; i < 6; i++) breaker.recordSuccess(50);
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.outcomes.length, 4);
+  assert.equal(breaker.failureRate(), 0.25);
+});
+
+test('after the cooldown a single half-open probe is let through', () => {
+  const breaker = tripped();
+  const now = later(breaker);
+  assert.equal(breaker.allowRequest(now), true);
+  assert.equal(breaker.state, 'half_open');
+  assert.equal(breaker.allowRequest(now), false);
+});
+
+test('a successful probe closes the breaker and resets the cooldown', () => {
+  const breaker = tripped({ cooldownMs: 1000 });
+  breaker.allowRequest(later(breaker));
+  breaker.recordSuccess(90);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.cooldownMs, 1000);
+  assert.equal(breaker.failureRate(), 0);
+});
+
+test('a failed probe reopens with a doubled cooldown, capped at the maximum', () => {
+  const breaker = tripped({ cooldownMs: 1000, maxCooldownMs: 3000 });
+  breaker.allowRequest(later(breaker));
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.cooldownMs, 2000);
+  breaker.allowRequest(later(breaker));
+  breaker.recordFailure(upstream, 100);
+  assert.equal(breaker.cooldownMs, 3000);
+  assert.ok(breaker.snapshot().retryAt);
+});
+
+test('an ignored error during the probe frees the probe slot', () => {
+  const breaker = tripped();
+  const now = later(breaker);
+  breaker.allowRequest(now);
+  breaker.recordFailure({ type: 'validation', message: 'bad commodity' }, 5);
+  assert.equal(breaker.state, 'half_open');
+  assert.equal(breaker.allowRequest(now), true);
+});
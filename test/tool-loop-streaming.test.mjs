@@ -0,0 +1,73 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GroqLLMProvider } from '../src/services/LLMProviderService.js';
+import GroqAIService from '../src/services/GroqAIService.js';
+
+const MODEL = 'openai/gpt-oss-120b';
+const tools = [{ name: 'get_weather', description: 'Weather forecast', parameters: { type: 'object', properties: {} } }];
+
+// Server-sent events for one streamed completion
+const sse = (deltas) => {
+  const events = deltas.map(delta => `data: ${JSON.stringify({ id: 'c1', model: MODEL, choices: [{ index: 0, delta }] })}\n\n`);
+  return new Response(`${events.join('')}data: [DONE]\n\n`, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+// Replies with the scripted rounds in order and records each request body
+const scriptedFetch = (rounds) => {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return sse(rounds[requests.length - 1]);
+  };
+  return { fetch, requests };
+};
+
+const weatherCall = { index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } };
+const ANSWER = 'No rain is expected for three days, so irrigate your wheat tomorrow morning. Check soil moisture at 10 cm first; if it is still moist, wait one more day before watering.';
+
+before(() => {
+  process.env.LLM_PROVIDERS = 'groq';
+  GroqLLMProvider.setApiKey('test-key');
+});
+
+const ask = (fetch, onDelta) => new GroqAIService().callGroq(MODEL, 'You are a farming assistant.', 'Should I irrigate?', {
+  tools,
+  executeTool: async () => ({ success: true, result: { rainMm: 0 } }),
+  onDelta,
+  fetch
+});
+
+test('the answer after a tool round streams to onDelta', async () => {
+  const { fetch, requests } = scriptedFetch([
+    [{ role: 'assistant', content: 'Let me check the forecast.' }, { tool_calls: [weatherCall] }],
+    ANSWER.match(/\S+\s*/g).map(word => ({ content: word }))
+  ]);
+  const deltas = [];
+  const answer = await ask(fetch, text => deltas.push(text));
+
+  assert.equal(requests.length, 2);
+  assert.ok(requests.every(body => body.stream === true && body.tools.length === 1));
+  assert.ok(deltas.length > 1, 'answer arrives in pieces');
+  assert.equal(deltas.join(''), ANSWER);
+  assert.equal(answer, ANSWER);
+});
+
+test('a short answer is released when its round ends without tool calls', async () => {
+  const { fetch } = scriptedFetch([
+    [{ tool_calls: [weatherCall] }],
+    [{ content: 'Irrigate ' }, { content: 'tomorrow.' }]
+  ]);
+  const deltas = [];
+  await ask(fetch, text => deltas.push(text));
+  assert.deepEqual(deltas, ['Irrigate tomorrow.']);
+});
+
+test('without onDelta the rounds are not streamed', async () => {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: 'Irrigate tomorrow.' }, finish_reason: 'stop' }] }), { status: 200 });
+  };
+  assert.equal(await ask(fetch, undefined), 'Irrigate tomorrow.');
+  assert.equal(requests[0].stream, false);
+});
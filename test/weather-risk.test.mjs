@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WeatherRiskService from '../src/services/WeatherRiskService.js';
+
+const wheat = (growthStage = 'vegetative') => ({ cropName: 'wheat', cropDetails: { growthStage } });
+const forecast = (temps) => temps.map(([min, max], i) => ({
+  date: `2026-03-${String(10 + i).padStart(2, '0')}`,
+  temp: { min, max }
+}));
+const ofType = (risks, type) => risks.filter(r => r.type === type);
+
+test('a single hot day is not a heatwave; two in a row are', () => {
+  assert.deepEqual(ofType(WeatherRiskService.evaluate(wheat(), forecast([[18, 35], [18, 30], [18, 35]])), 'heatwave'), []);
+  const [risk] = ofType(WeatherRiskService.evaluate(wheat(), forecast([[18, 30], [18, 35], [18, 36]])), 'heatwave');
+  assert.equal(risk.severity, 'medium');
+  assert.deepEqual(risk.days, ['2026-03-11', '2026-03-12']);
+  assert.equal(risk.peak, 36);
+});
+
+test('a sensitive growth stage raises the severity by one level', () => {
+  const temps = forecast([[18, 35], [18, 36]]);
+  const [vegetative] = ofType(WeatherRiskService.evaluate(wheat('vegetative'), temps), 'heatwave');
+  const [flowering] = ofType(WeatherRiskService.evaluate(wheat('flowering'), temps), 'heatwave');
+  assert.equal(vegetative.severity, 'medium');
+  assert.equal(flowering.severity, 'high');
+  assert.match(flowering.message, /sensitive stage/);
+});
+
+test('frost nights and cold waves are reported separately', () => {
+  const risks = WeatherRiskService.evaluate({ cropName: 'maize', cropDetails: { growthStage: 'fruiting' } },
+    forecast([[12, 25], [6, 22], [5, 22], [-1, 18]]));
+  const [frost] = ofType(risks, 'frost');
+  assert.equal(frost.severity, 'high'); // at or below 0°C
+  assert.deepEqual(frost.days, ['2026-03-13']);
+  const [cold] = ofType(risks, 'cold_wave');
+  assert.deepEqual(cold.days, ['2026-03-11', '2026-03-12']);
+});
+
+test('a sudden drop in night minimum is flagged, but not from a partly elapsed day', () => {
+  const temps = forecast([[16, 28], [9, 24]]);
+  assert.equal(ofType(WeatherRiskService.evaluate(wheat(), temps), 'temp_drop').length, 1);
+  temps[0].complete = false;
+  assert.equal(ofType(WeatherRiskService.evaluate(wheat(), temps), 'temp_drop').length, 0);
+});
+
+test('unknown crops use the default thresholds', () => {
+  assert.equal(WeatherRiskService.thresholdsFor('dragonfruit'), WeatherRiskService.CROP_TEMP_THRESHOLDS.default);
+  assert.deepEqual(WeatherRiskService.evaluate(wheat(), []), []);
+});
+
+test('an alert covers a risk on an overlapping day at the same or higher severity', () => {
+  const [risk] = ofType(WeatherRiskService.evaluate(wheat(), forecast([[18, 35], [18, 36]])), 'heatwave');
+  assert.equal(WeatherRiskService.isCovered([{ type: 'heatwave', days: ['2026-03-11'], severity: 'high' }], risk), true);
+  assert.equal(WeatherRiskService.isCovered([{ type: 'heatwave', days: ['2026-03-11'], severity: 'low' }], risk), false);
+  assert.equal(WeatherRiskService.isCovered([{ type: 'heatwave', forecastDate: '2026-03-20', severity: 'high' }], risk), false);
+});